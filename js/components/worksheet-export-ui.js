@@ -47,6 +47,7 @@ class WorksheetExportUI {
                             <option value="flashcards">Flash Cards</option>
                             <option value="dragdrop">Drag & Drop Matching</option>
                             <option value="crossword">Crossword Puzzle</option>
+                            <option value="wordsearch">Word Search</option>
                             <option value="timeline">Timeline Sequencing</option>
                             <option value="labeldiagram">Label Diagram</option>
                             <option value="contentreveal">Content Reveal</option>
@@ -355,6 +356,12 @@ class WorksheetExportUI {
                 bestFor: 'Word games and vocabulary practice',
                 features: ['Grid placeholder', 'Across/Down clues', 'Numbered squares']
             },
+            wordsearch: {
+                title: 'Word Search Worksheet',
+                description: 'Letter grid with the word list to find and tick off',
+                bestFor: 'Spelling and vocabulary recognition',
+                features: ['Same grid as the online puzzle', 'Word checklist', 'Optional answer key']
+            },
             timeline: {
                 title: 'Timeline Sequencing Worksheet',
                 description: 'Chronological ordering exercise',
@@ -130,13 +130,16 @@ export const TemplateSchemas = {
      */
     interactivevideo: {
         videoUrl: { type: 'string', required: true },
-        videoType: { type: 'string', enum: ['youtube', 'vimeo'], default: 'youtube' },
+        videoType: { type: 'string', enum: ['youtube', 'vimeo', 'file'], default: 'youtube', description: 'file = uploaded or self-hosted video played natively' },
+        videoPath: { type: 'string', description: 'Storage path of an uploaded video' },
+        preventSkipping: { type: 'boolean', default: false, description: 'Stop learners seeking past unanswered questions (native video only)' },
+        frameRate: { type: 'number', default: 30, description: 'Frames per second used for frame stepping in the editor' },
         questions: {
             type: 'array',
             required: true,
             items: {
                 id: { type: 'string', required: true },
-                timestamp: { type: 'number', required: true, description: 'Time in seconds' },
+                timestamp: { type: 'number', required: true, description: 'Time in seconds, fractional for native video' },
                 question: { type: 'string', required: true },
                 options: { 
                     type: 'array', 
@@ -144,7 +147,41 @@ export const TemplateSchemas = {
                     items: { type: 'string' }
                 },
                 correctIndex: { type: 'number', required: true },
-                answered: { type: 'boolean', default: false }
+                answered: { type: 'boolean', default: false },
+                branches: {
+                    type: 'array',
+                    description: 'Where each option leads, in option order: { type: next|time|segment, time, segmentId }',
+                    items: { type: 'object' }
+                }
+            }
+        },
+        segments: {
+            type: 'array',
+            description: 'Named parts of the video that answers can jump to',
+            items: {
+                id: { type: 'string', required: true },
+                title: { type: 'string', required: true },
+                start: { type: 'number', required: true, description: 'Time in seconds' },
+                end: { type: 'number', required: true, description: 'Time in seconds' },
+                then: { type: 'object', description: 'Branch taken when playback reaches the end' }
+            }
+        },
+        chapters: {
+            type: 'array',
+            items: {
+                id: { type: 'string', required: true },
+                time: { type: 'number', required: true, description: 'Time in seconds' },
+                title: { type: 'string', required: true }
+            }
+        },
+        captions: {
+            type: 'array',
+            description: 'Caption tracks parsed from uploaded WebVTT/SRT files',
+            items: {
+                id: { type: 'string', required: true },
+                label: { type: 'string', required: true },
+                language: { type: 'string', default: 'en', description: 'BCP 47 language code' },
+                cues: { type: 'array', required: true, items: { type: 'object' }, description: '{ start, end, text } in seconds' }
             }
         }
     },
@@ -165,28 +202,152 @@ export const TemplateSchemas = {
         }
     },
     
+    /**
+     * Crossword Schema
+     * The layout is generated from the words by CrosswordGenerator (js/utils/crossword-generator.js)
+     */
+    crossword: {
+        words: {
+            type: 'array',
+            required: true,
+            items: {
+                word: { type: 'string', required: true, description: 'Answer; only letters are used' },
+                clue: { type: 'string', required: true }
+            }
+        },
+        layout: {
+            type: 'object',
+            required: false,
+            description: 'Generated grid, regenerated when the words change',
+            properties: {
+                signature: { type: 'string', description: 'Word list signature the layout was generated from' },
+                rows: { type: 'number', description: 'Grid height in cells' },
+                cols: { type: 'number', description: 'Grid width in cells' },
+                grid: { type: 'array', items: { type: 'string' }, description: "One string per row, '#' for black squares" },
+                placements: {
+                    type: 'array',
+                    items: {
+                        wordIndex: { type: 'number', description: 'Index into words' },
+                        word: { type: 'string' },
+                        answer: { type: 'string', description: 'Normalized uppercase answer' },
+                        clue: { type: 'string' },
+                        row: { type: 'number', description: 'Zero-based start row' },
+                        col: { type: 'number', description: 'Zero-based start column' },
+                        direction: { type: 'string', enum: ['across', 'down'] },
+                        number: { type: 'number', description: 'Clue number shown in the grid' }
+                    }
+                },
+                unplaced: {
+                    type: 'array',
+                    description: 'Words that could not be fitted into the grid',
+                    items: {
+                        wordIndex: { type: 'number' },
+                        word: { type: 'string' },
+                        clue: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    
+    /**
+     * Word Search Schema
+     * The grid is generated from the words and settings by WordSearchGenerator
+     * (js/utils/word-search-generator.js); the seed makes it reproducible
+     */
+    wordsearch: {
+        words: { type: 'array', required: true, items: { type: 'string' } },
+        gridSize: { type: 'number', default: 0, description: 'Grid width and height (0 = fit the longest word, minimum 10)' },
+        directions: {
+            type: 'array',
+            default: ['horizontal', 'vertical', 'diagonal'],
+            items: { type: 'string', enum: ['horizontal', 'vertical', 'diagonal'] }
+        },
+        reversed: { type: 'boolean', default: false, description: 'Also hide words backwards' },
+        seed: { type: 'number', required: true, description: 'Random seed used to generate the grid' }
+    },
+    
     /**
      * Timeline Schema
      */
     timeline: {
+        mode: { type: 'string', enum: ['present', 'quiz'], default: 'present', description: 'Default play mode' },
         events: {
             type: 'array',
             required: true,
             items: {
                 id: { type: 'string', required: true },
-                date: { type: 'string', required: true, description: 'ISO date string' },
+                date: { type: 'string', required: true, description: 'Year, BCE year or ISO date, parsed by TimelineDates (js/utils/timeline-dates.js)' },
+                endDate: { type: 'string', required: false, description: 'End of a date range' },
                 title: { type: 'string', required: true },
                 description: { type: 'string', required: false },
+                image: { type: 'string', required: false, description: 'Image URL' },
                 position: { type: 'number', required: false, description: 'Position in sequence' }
             }
         }
     },
     
+    /**
+     * Matching Pairs Schema
+     */
+    matchingpairs: {
+        mode: { type: 'string', enum: ['memory', 'connect'], default: 'memory', description: 'Default play style' },
+        pairs: {
+            type: 'array',
+            required: true,
+            items: {
+                left: {
+                    type: 'object',
+                    required: true,
+                    properties: {
+                        text: { type: 'string', required: false },
+                        image: { type: 'string', required: false, description: 'Image URL' }
+                    }
+                },
+                right: {
+                    type: 'object',
+                    required: true,
+                    properties: {
+                        text: { type: 'string', required: false },
+                        image: { type: 'string', required: false, description: 'Image URL' }
+                    }
+                }
+            }
+        }
+    },
+    
+    /**
+     * Sorting Schema
+     */
+    sorting: {
+        categories: {
+            type: 'array',
+            required: true,
+            items: {
+                id: { type: 'string', required: true },
+                name: { type: 'string', required: true },
+                color: { type: 'string', default: '#3b82f6', description: 'Hex colour for the bucket' }
+            }
+        },
+        items: {
+            type: 'array',
+            required: true,
+            items: {
+                id: { type: 'string', required: true },
+                text: { type: 'string', required: true },
+                category: { type: 'string', required: true, description: 'Id of the correct category' }
+            }
+        }
+    },
+    
     /**
      * Label Diagram Schema
      */
     labeldiagram: {
-        imageUrl: { type: 'string', required: true },
+        imageUrl: { type: 'string', required: true, description: 'Storage download URL, or a data URL for guests' },
+        imagePath: { type: 'string', required: false, description: 'Storage path of the uploaded image' },
+        mode: { type: 'string', enum: ['drag', 'type'], default: 'drag' },
+        tolerance: { type: 'number', default: 8, description: 'Drop radius around a pin, as a percentage of the image width (1-50)' },
         labels: {
             type: 'array',
             required: true,
@@ -194,8 +355,39 @@ export const TemplateSchemas = {
                 id: { type: 'string', required: true },
                 x: { type: 'number', required: true, description: 'X coordinate (0-100%)' },
                 y: { type: 'number', required: true, description: 'Y coordinate (0-100%)' },
-                text: { type: 'string', required: true },
-                correct: { type: 'boolean', default: false }
+                text: { type: 'string', required: true }
+            }
+        }
+    },
+    
+    /**
+     * Image Hotspot Schema
+     * Shape coordinates are percentages of the image width (x) and height (y)
+     */
+    imagehotspot: {
+        imageUrl: { type: 'string', required: true, description: 'Storage download URL, or a data URL for guests' },
+        imagePath: { type: 'string', required: false, description: 'Storage path of the uploaded image' },
+        mode: { type: 'string', enum: ['explore', 'find'], default: 'explore', description: 'Default play mode' },
+        hotspots: {
+            type: 'array',
+            required: true,
+            items: {
+                id: { type: 'string', required: true },
+                shape: { type: 'string', enum: ['rect', 'circle', 'polygon'], required: true },
+                x: { type: 'number', required: false, description: 'Rectangle left edge' },
+                y: { type: 'number', required: false, description: 'Rectangle top edge' },
+                width: { type: 'number', required: false },
+                height: { type: 'number', required: false },
+                cx: { type: 'number', required: false, description: 'Circle centre' },
+                cy: { type: 'number', required: false, description: 'Circle centre' },
+                rx: { type: 'number', required: false, description: 'Circle radius as a percentage of the image width' },
+                ry: { type: 'number', required: false, description: 'Circle radius as a percentage of the image height' },
+                points: { type: 'array', required: false, description: 'Polygon corners as { x, y } objects' },
+                title: { type: 'string', required: true },
+                content: { type: 'string', required: false, description: 'Formatted text (HTML)' },
+                prompt: { type: 'string', required: false, description: 'Question shown in find it mode' },
+                image: { type: 'string', required: false },
+                audio: { type: 'string', required: false }
             }
         }
     },
@@ -204,19 +396,40 @@ export const TemplateSchemas = {
      * Survey Schema
      */
     survey: {
+        anonymous: { type: 'boolean', default: true, description: "Don't record who responded" },
+        thankYouMessage: { type: 'string', required: false },
         questions: {
             type: 'array',
             required: true,
             items: {
                 id: { type: 'string', required: true },
                 question: { type: 'string', required: true },
-                type: { type: 'string', enum: ['rating', 'text', 'multiple'], required: true },
-                options: { type: 'array', required: false, items: { type: 'string' } },
+                type: { type: 'string', enum: ['likert', 'single', 'multi', 'rating', 'text'], required: true },
+                options: { type: 'array', required: false, items: { type: 'string' }, description: 'Choices for single and multi questions' },
+                scale: { type: 'number', enum: [5, 10], default: 5, description: 'Highest rating for rating questions' },
                 required: { type: 'boolean', default: false }
             }
         }
     },
     
+    /**
+     * Accordion Schema
+     */
+    accordion: {
+        singleOpen: { type: 'boolean', default: false, description: 'Close other sections when one opens' },
+        items: {
+            type: 'array',
+            required: true,
+            items: {
+                id: { type: 'string', required: true, description: 'Used in #section= deep links' },
+                question: { type: 'string', required: true, description: 'Section heading' },
+                answer: { type: 'string', required: false, description: 'Formatted section body (HTML)' },
+                image: { type: 'string', required: false },
+                videoUrl: { type: 'string', required: false, description: 'YouTube or Vimeo link' }
+            }
+        }
+    },
+    
     /**
      * Game Arena Schema
      */
@@ -325,11 +538,17 @@ function getTemplateDefaults(templateType) {
         truefalse: { items: [] },
         flipcards: { cards: [] },
         dragdrop: { pairs: [] },
-        interactivevideo: { videoUrl: '', questions: [] },
+        interactivevideo: { videoUrl: '', questions: [], segments: [], chapters: [], captions: [] },
         contentreveal: { panels: [] },
+        crossword: { words: [] },
+        wordsearch: { words: [], directions: ['horizontal', 'vertical', 'diagonal'], reversed: false, seed: 1 },
         timeline: { events: [] },
-        labeldiagram: { imageUrl: '', labels: [] },
-        survey: { questions: [] },
+        matchingpairs: { mode: 'memory', pairs: [] },
+        sorting: { categories: [], items: [] },
+        labeldiagram: { imageUrl: '', labels: [], mode: 'drag', tolerance: 8 },
+        imagehotspot: { imageUrl: '', mode: 'explore', hotspots: [] },
+        survey: { anonymous: true, questions: [] },
+        accordion: { singleOpen: false, items: [] },
         gamearena: { packagePath: '', instructions: '' },
         scormviewer: { scormUrl: '' }
     };
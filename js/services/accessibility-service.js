@@ -1127,6 +1127,18 @@ class AccessibilityService {
             }
         });
         
+        // Check for videos without captions
+        const videos = document.querySelectorAll('video');
+        videos.forEach(video => {
+            if (!video.querySelector('track[kind="captions"], track[kind="subtitles"]')) {
+                issues.push({
+                    type: 'warning',
+                    element: video,
+                    message: 'Video missing captions track'
+                });
+            }
+        });
+        
         // Check for low contrast text
         const textElements = document.querySelectorAll('p, span, div, h1, h2, h3, h4, h5, h6');
         textElements.forEach(el => {
@@ -1154,6 +1166,32 @@ class AccessibilityService {
         };
     }
     
+    /**
+     * Check activity content for problems the author can fix before publishing.
+     * Unlike runAccessibilityAudit this reads the saved data, not the page, so it
+     * works in the editor before anything is rendered
+     * @param {string} templateType - Template of the activity
+     * @param {Object} data - Activity data
+     * @returns {Array<Object>} Issues: { type: 'warning', field, message }
+     */
+    auditActivity(templateType, data) {
+        const issues = [];
+        if (!data) return issues;
+        
+        if (templateType === 'interactivevideo' && data.videoUrl) {
+            const captioned = (data.captions || []).some(track => track.cues && track.cues.length > 0);
+            if (!captioned) {
+                issues.push({
+                    type: 'warning',
+                    field: 'captions',
+                    message: 'Video has no captions. Upload a WebVTT or SRT file so learners who are deaf or hard of hearing can follow along.'
+                });
+            }
+        }
+        
+        return issues;
+    }
+    
     /**
      * Convert hex color to RGB
      */
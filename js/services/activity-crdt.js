@@ -0,0 +1,460 @@
+/**
+ * Activity CRDT
+ *
+ * A replica of an activity that several editors change at once. Plain fields are
+ * last-writer-wins registers keyed by their path; arrays of objects (questions,
+ * cards, items...) become lists whose items have an id, a position and their own
+ * last-writer-wins fields, so two editors touching the same list never overwrite
+ * each other's items. Changes travel as operations that can be applied in any
+ * order and more than once; every replica that has seen the same operations holds
+ * the same activity. Stamps are Lamport clocks, ties broken by the actor id.
+ */
+
+const POSITION_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+class ActivityCRDT {
+    /**
+     * @param {Object} state - State from ActivityCRDT.fromActivityData (shared by all replicas)
+     * @param {string} actor - Id of this replica; unique per editor and tab
+     */
+    constructor(state, actor) {
+        this.state = ActivityCRDT.clone(state || { fields: {}, lists: {} });
+        this.actor = actor;
+        this.counter = ActivityCRDT.highestCounter(this.state);
+        this.applied = new Set();
+    }
+
+    /**
+     * Top-level keys that describe the document rather than its content
+     */
+    static get META_KEYS() {
+        return ['version', 'lastModifiedBy', 'lastModifiedAt'];
+    }
+
+    /**
+     * Build the starting state of a shared activity. List items get their id
+     * here, once, so every replica refers to them the same way
+     */
+    static fromActivityData(activityData, actor) {
+        const replica = new ActivityCRDT(null, actor);
+        const data = {};
+        Object.keys(activityData || {}).forEach(key => {
+            if (!ActivityCRDT.META_KEYS.includes(key) && activityData[key] !== undefined) {
+                data[key] = activityData[key];
+            }
+        });
+        replica.applyOperations(replica.diff(data));
+        return replica.getState();
+    }
+
+    /**
+     * Copy of the state, for storing as a new starting point
+     */
+    getState() {
+        return ActivityCRDT.clone(this.state);
+    }
+
+    /**
+     * Next stamp of this replica
+     */
+    tick() {
+        this.counter += 1;
+        return { counter: this.counter, actor: this.actor };
+    }
+
+    /**
+     * Apply one operation; returns false if it was already applied
+     */
+    applyOperation(op) {
+        if (!op || !op.id || this.applied.has(op.id)) {
+            return false;
+        }
+        this.applied.add(op.id);
+        this.counter = Math.max(this.counter, op.stamp.counter);
+
+        const key = ActivityCRDT.pathKey(op.path);
+        if (op.type === 'set') {
+            ActivityCRDT.writeRegister(this.state.fields, key, {
+                path: op.path,
+                value: op.removed ? null : op.value,
+                removed: !!op.removed,
+                stamp: op.stamp
+            });
+            return true;
+        }
+
+        const list = this.state.lists[key] || (this.state.lists[key] = { path: op.path, items: {} });
+        const item = list.items[op.itemId] ||
+            (list.items[op.itemId] = { id: op.itemId, fields: {}, position: null, inserted: false, deleted: null });
+
+        switch (op.type) {
+            case 'insert':
+                item.inserted = true;
+                Object.keys(op.fields || {}).forEach(name => {
+                    ActivityCRDT.writeRegister(item.fields, name, { value: op.fields[name], removed: false, stamp: op.stamp });
+                });
+                ActivityCRDT.writeRegister(item, 'position', { value: op.position, stamp: op.stamp });
+                break;
+            case 'update':
+                ActivityCRDT.writeRegister(item.fields, op.field, {
+                    value: op.removed ? null : op.value,
+                    removed: !!op.removed,
+                    stamp: op.stamp
+                });
+                break;
+            case 'move':
+                ActivityCRDT.writeRegister(item, 'position', { value: op.position, stamp: op.stamp });
+                break;
+            case 'delete':
+                // A deleted item stays deleted; later edits to it are kept but not shown
+                if (!item.deleted || ActivityCRDT.compareStamps(op.stamp, item.deleted) > 0) {
+                    item.deleted = op.stamp;
+                }
+                break;
+            default:
+                console.warn(`Unknown activity operation: ${op.type}`);
+        }
+        return true;
+    }
+
+    /**
+     * Apply operations from any replica
+     * @returns {Array} The operations that were new to this replica
+     */
+    applyOperations(operations) {
+        return (operations || []).filter(op => this.applyOperation(op));
+    }
+
+    /**
+     * Operations that turn this replica's activity into the given one. Only the
+     * top-level keys present in updateData are compared, so a caller can pass
+     * just the part it edited; list items are matched by their id
+     */
+    diff(updateData) {
+        const operations = [];
+
+        Object.keys(updateData || {}).forEach(key => {
+            if (ActivityCRDT.META_KEYS.includes(key)) {
+                return;
+            }
+
+            const target = { fields: new Map(), lists: new Map() };
+            if (updateData[key] !== undefined) {
+                this.flatten(updateData[key], [key], target);
+            }
+
+            // Fields and lists under this key that the new value no longer has
+            Object.entries(this.state.fields).forEach(([fieldKey, field]) => {
+                if (field.path[0] === key && !field.removed && !target.fields.has(fieldKey)) {
+                    operations.push(this.createOperation({ type: 'set', path: field.path, value: null, removed: true }));
+                }
+            });
+            Object.entries(this.state.lists).forEach(([listKey, list]) => {
+                if (list.path[0] === key && !target.lists.has(listKey)) {
+                    this.getVisibleItems(list).forEach(item => {
+                        operations.push(this.createOperation({ type: 'delete', path: list.path, itemId: item.id }));
+                    });
+                }
+            });
+
+            target.fields.forEach(({ path, value }, fieldKey) => {
+                const field = this.state.fields[fieldKey];
+                if (!field || field.removed || !ActivityCRDT.isEqual(field.value, value)) {
+                    operations.push(this.createOperation({ type: 'set', path, value }));
+                }
+            });
+            target.lists.forEach(({ path, items }, listKey) => {
+                operations.push(...this.diffList(this.state.lists[listKey], path, items));
+            });
+        });
+
+        return operations;
+    }
+
+    /**
+     * Operations for one list: inserts, field updates, moves and deletes
+     */
+    diffList(list, path, items) {
+        const operations = [];
+        const existing = list ? this.getVisibleItems(list) : [];
+        const existingById = new Map(existing.map(item => [item.id, item]));
+        const used = new Set();
+        const desired = items.map(value => {
+            const id = value && value.id !== undefined && value.id !== null ? String(value.id) : null;
+            const known = id !== null && !used.has(id) && existingById.has(id);
+            const taken = id === null || used.has(id) || (list && list.items[id]);
+            used.add(id);
+            return {
+                id: known ? id : (taken ? ActivityCRDT.createItemId() : id),
+                value,
+                current: known ? existingById.get(id) : null
+            };
+        });
+
+        // Deleted items
+        const kept = new Set(desired.filter(entry => entry.current).map(entry => entry.id));
+        existing.forEach(item => {
+            if (!kept.has(item.id)) {
+                operations.push(this.createOperation({ type: 'delete', path, itemId: item.id }));
+            }
+        });
+
+        // Items that can stay where they are: the longest run already in order
+        const staying = ActivityCRDT.longestOrderedRun(desired.map(entry => entry.current ? entry.current.position.value : null));
+        const positions = desired.map((entry, index) => staying.has(index) ? entry.current.position.value : null);
+        desired.forEach((entry, index) => {
+            if (positions[index] !== null) {
+                return;
+            }
+            const before = index > 0 ? positions[index - 1] : '';
+            const nextIndex = positions.findIndex((position, i) => i > index && position !== null && staying.has(i));
+            positions[index] = ActivityCRDT.positionBetween(before, nextIndex === -1 ? '' : positions[nextIndex]);
+        });
+
+        desired.forEach((entry, index) => {
+            const fields = ActivityCRDT.itemFields(entry.value);
+            if (!entry.current) {
+                operations.push(this.createOperation({ type: 'insert', path, itemId: entry.id, fields, position: positions[index] }));
+                return;
+            }
+
+            Object.keys(fields).forEach(name => {
+                const field = entry.current.fields[name];
+                if (!field || field.removed || !ActivityCRDT.isEqual(field.value, fields[name])) {
+                    operations.push(this.createOperation({ type: 'update', path, itemId: entry.id, field: name, value: fields[name] }));
+                }
+            });
+            Object.entries(entry.current.fields).forEach(([name, field]) => {
+                if (!field.removed && !(name in fields)) {
+                    operations.push(this.createOperation({ type: 'update', path, itemId: entry.id, field: name, value: null, removed: true }));
+                }
+            });
+            if (positions[index] !== entry.current.position.value) {
+                operations.push(this.createOperation({ type: 'move', path, itemId: entry.id, position: positions[index] }));
+            }
+        });
+
+        return operations;
+    }
+
+    /**
+     * Split a value into field registers and lists
+     */
+    flatten(value, path, target) {
+        const key = ActivityCRDT.pathKey(path);
+        if (Array.isArray(value)) {
+            const isList = this.state.lists[key] ?
+                value.every(ActivityCRDT.isPlainObject) :
+                value.length > 0 && value.every(ActivityCRDT.isPlainObject);
+            if (isList) {
+                target.lists.set(key, { path, items: value });
+                return;
+            }
+        } else if (ActivityCRDT.isPlainObject(value) && Object.keys(value).length > 0) {
+            Object.keys(value).forEach(name => {
+                if (value[name] !== undefined) {
+                    this.flatten(value[name], [...path, name], target);
+                }
+            });
+            return;
+        }
+        target.fields.set(key, { path, value });
+    }
+
+    /**
+     * Stamp and name an operation
+     */
+    createOperation(operation) {
+        const stamp = this.tick();
+        return { id: `${stamp.actor}:${stamp.counter}`, ...operation, stamp };
+    }
+
+    /**
+     * Items of a list that are shown, in order
+     */
+    getVisibleItems(list) {
+        return Object.values(list.items)
+            .filter(item => item.inserted && !item.deleted)
+            .sort((a, b) => {
+                if (a.position.value !== b.position.value) {
+                    return a.position.value < b.position.value ? -1 : 1;
+                }
+                return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+            });
+    }
+
+    /**
+     * The activity as plain data; list items carry their id
+     */
+    toActivityData() {
+        const data = {};
+        Object.values(this.state.fields)
+            .filter(field => !field.removed)
+            .sort((a, b) => a.path.length - b.path.length)
+            .forEach(field => ActivityCRDT.assignPath(data, field.path, ActivityCRDT.clone(field.value)));
+
+        Object.values(this.state.lists).forEach(list => {
+            const items = this.getVisibleItems(list).map(item => {
+                const value = { id: item.id };
+                Object.entries(item.fields).forEach(([name, field]) => {
+                    if (!field.removed) {
+                        value[name] = ActivityCRDT.clone(field.value);
+                    }
+                });
+                return value;
+            });
+            ActivityCRDT.assignPath(data, list.path, items);
+        });
+
+        return data;
+    }
+
+    /**
+     * Whether the item is still in its list
+     */
+    hasItem(path, itemId) {
+        const list = this.state.lists[ActivityCRDT.pathKey(path)];
+        const item = list && list.items[itemId];
+        return !!(item && item.inserted && !item.deleted);
+    }
+
+    /**
+     * Keep the newer of the stored and the incoming register
+     */
+    static writeRegister(owner, name, register) {
+        const current = owner[name];
+        if (!current || ActivityCRDT.compareStamps(register.stamp, current.stamp) > 0) {
+            owner[name] = register;
+        }
+    }
+
+    /**
+     * Order stamps by counter, then by actor
+     */
+    static compareStamps(a, b) {
+        if (a.counter !== b.counter) {
+            return a.counter - b.counter;
+        }
+        return a.actor < b.actor ? -1 : (a.actor > b.actor ? 1 : 0);
+    }
+
+    /**
+     * Latest Lamport counter in a state, so new stamps win over everything in it
+     */
+    static highestCounter(state) {
+        let highest = 0;
+        const see = stamp => {
+            if (stamp) highest = Math.max(highest, stamp.counter);
+        };
+        Object.values(state.fields).forEach(field => see(field.stamp));
+        Object.values(state.lists).forEach(list => Object.values(list.items).forEach(item => {
+            Object.values(item.fields).forEach(field => see(field.stamp));
+            see(item.position && item.position.stamp);
+            see(item.deleted);
+        }));
+        return highest;
+    }
+
+    /**
+     * A position string that sorts between two others ('' means no bound).
+     * Positions never end in the lowest digit, so there is always room before one
+     */
+    static positionBetween(before, after) {
+        let result = '';
+        let bounded = true;
+        for (let i = 0; ; i++) {
+            const low = i < before.length ? POSITION_DIGITS.indexOf(before[i]) : 0;
+            const high = bounded && i < after.length ? POSITION_DIGITS.indexOf(after[i]) : POSITION_DIGITS.length;
+            if (high - low > 1) {
+                return result + POSITION_DIGITS[Math.floor((low + high) / 2)];
+            }
+            result += POSITION_DIGITS[low];
+            if (low < high) {
+                bounded = false;
+            }
+        }
+    }
+
+    /**
+     * Indexes of the longest run of positions that are already strictly increasing
+     * (null entries are new items and never part of the run)
+     */
+    static longestOrderedRun(positions) {
+        const tails = [];
+        const previous = [];
+        positions.forEach((position, index) => {
+            if (position === null) {
+                return;
+            }
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (positions[tails[mid]] < position) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            previous[index] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = index;
+        });
+
+        const run = new Set();
+        for (let index = tails.length ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) {
+            run.add(index);
+        }
+        return run;
+    }
+
+    /**
+     * Fields of a list item without its id
+     */
+    static itemFields(value) {
+        const fields = {};
+        Object.keys(value || {}).forEach(name => {
+            if (name !== 'id' && value[name] !== undefined) {
+                fields[name] = value[name];
+            }
+        });
+        // Keep an id the activity had itself (it may be a number)
+        if (value && value.id !== undefined && value.id !== null && typeof value.id !== 'string') {
+            fields.id = value.id;
+        }
+        return fields;
+    }
+
+    static createItemId() {
+        return `item_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 8)}`;
+    }
+
+    static pathKey(path) {
+        return path.join('/');
+    }
+
+    static assignPath(data, path, value) {
+        let node = data;
+        path.slice(0, -1).forEach(name => {
+            if (!ActivityCRDT.isPlainObject(node[name])) {
+                node[name] = {};
+            }
+            node = node[name];
+        });
+        node[path[path.length - 1]] = value;
+    }
+
+    static isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+    }
+
+    static isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    static clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+}
+
+// Export the service
+export default ActivityCRDT;
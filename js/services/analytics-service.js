@@ -15,6 +15,16 @@ class AnalyticsService {
         this.startTime = null;
         this.pageViews = 0;
         this.events = [];
+        this.sendTimer = null;
+    }
+    
+    // Past these, the oldest events are dropped (a long session tracks every click and scroll)
+    static get MAX_QUEUED_EVENTS() {
+        return 500;
+    }
+    
+    static get MAX_SESSION_EVENTS() {
+        return 1000;
     }
     
     /**
@@ -81,7 +91,8 @@ class AnalyticsService {
      */
     startPeriodicSend() {
         // Send data every 30 seconds
-        setInterval(() => {
+        clearInterval(this.sendTimer);
+        this.sendTimer = setInterval(() => {
             if (this.trackingQueue.length > 0) {
                 this.sendData();
             }
@@ -234,8 +245,12 @@ class AnalyticsService {
      * Queue event for sending
      */
     queueEvent(event) {
-        this.trackingQueue.push(event);
-        this.events.push(event);
+        this.trackingQueue = this.keepLatest([...this.trackingQueue, event], AnalyticsService.MAX_QUEUED_EVENTS);
+        this.events = this.keepLatest([...this.events, event], AnalyticsService.MAX_SESSION_EVENTS);
+    }
+    
+    keepLatest(events, max) {
+        return events.length > max ? events.slice(events.length - max) : events;
     }
     
     /**
@@ -246,10 +261,10 @@ class AnalyticsService {
             return;
         }
         
+        const eventsToSend = [...this.trackingQueue];
         try {
             // In a real implementation, this would send data to Firebase or another analytics service
             // For now, we'll simulate sending to a Firebase collection
-            const eventsToSend = [...this.trackingQueue];
             this.trackingQueue = []; // Clear the queue
             
             // This is where you would actually send the data
@@ -269,7 +284,7 @@ class AnalyticsService {
         } catch (error) {
             console.error('Error sending analytics data:', error);
             // Put events back in queue if sending failed
-            this.trackingQueue = [...eventsToSend, ...this.trackingQueue];
+            this.trackingQueue = this.keepLatest([...eventsToSend, ...this.trackingQueue], AnalyticsService.MAX_QUEUED_EVENTS);
         }
     }
     
@@ -550,6 +565,8 @@ class AnalyticsService {
         }
         
         // Clear intervals and event listeners
+        clearInterval(this.sendTimer);
+        this.sendTimer = null;
         // In a real implementation, you would remove event listeners here
     }
     
@@ -0,0 +1,240 @@
+/**
+ * cmi5 Launch Service
+ *
+ * This service is the LMS side of cmi5 for the SCORM viewer. It writes an AU's
+ * launch data to the LRS, records the launched statement and builds the launch
+ * URL with the fetch URL the AU gets its auth token from. Afterwards it reads
+ * the AU's statements back to work out whether AUs, blocks and the course are
+ * satisfied under their moveOn rules.
+ */
+
+import XAPIService from './xapi-service.js';
+
+class Cmi5LaunchService {
+    /**
+     * @param {XAPIService} xapiService - Configured with the LRS and the learner
+     */
+    constructor(xapiService) {
+        this.xapi = xapiService;
+        this.sessionId = null;
+        this.satisfiedSent = new Set();
+    }
+
+    static get VERBS() {
+        return {
+            launched: 'http://adlnet.gov/expapi/verbs/launched',
+            satisfied: 'https://w3id.org/xapi/adl/verbs/satisfied',
+            completed: 'http://adlnet.gov/expapi/verbs/completed',
+            passed: 'http://adlnet.gov/expapi/verbs/passed',
+            failed: 'http://adlnet.gov/expapi/verbs/failed'
+        };
+    }
+
+    static get EXTENSIONS() {
+        return {
+            sessionId: 'https://w3id.org/xapi/cmi5/context/extensions/sessionid',
+            launchMode: 'https://w3id.org/xapi/cmi5/context/extensions/launchmode',
+            launchURL: 'https://w3id.org/xapi/cmi5/context/extensions/launchurl',
+            moveOn: 'https://w3id.org/xapi/cmi5/context/extensions/moveon',
+            launchParameters: 'https://w3id.org/xapi/cmi5/context/extensions/launchparameters'
+        };
+    }
+
+    static get CATEGORY() {
+        return 'https://w3id.org/xapi/cmi5/context/categories/cmi5';
+    }
+
+    /**
+     * cmi5 needs an Agent identified by an account; a learner known by email
+     * gets an account named after it
+     */
+    getLaunchActor() {
+        const actor = this.xapi.options.actor || {};
+        if (actor.account) return actor;
+        return {
+            objectType: 'Agent',
+            name: actor.name || 'Learner',
+            account: {
+                homePage: window.location.origin,
+                name: (actor.mbox || '').replace(/^mailto:/, '') || 'anonymous'
+            }
+        };
+    }
+
+    /**
+     * The AU POSTs to this to get its auth token. With no LMS server to hand out
+     * one-time tokens, it is a data: URL holding the configured LRS credentials
+     */
+    buildFetchURL() {
+        const token = (this.xapi.getAuthorization() || '').replace(/^Basic\s+/i, '');
+        return `data:application/json,${encodeURIComponent(JSON.stringify({ 'auth-token': token }))}`;
+    }
+
+    /**
+     * Launch an AU: LMS.LaunchData, then the launched statement, then the launch URL
+     * @param {Object} course - Parsed cmi5.xml (SCORMManifestParser.parseCourseStructure)
+     * @param {Object} au - One of course.aus
+     * @param {Object} options - { baseUrl: location of cmi5.xml, registration, returnURL, launchMode }
+     * @returns {Promise<string>} URL to open the AU at
+     */
+    async launch(course, au, { baseUrl, registration, returnURL = '', launchMode = 'Normal' }) {
+        if (!this.xapi.options.endpoint) {
+            throw new Error('Set up a Learning Record Store before launching cmi5 content');
+        }
+
+        const actor = this.getLaunchActor();
+        const auURL = new URL(au.url, new URL(baseUrl, window.location.href)).href;
+        this.sessionId = XAPIService.uuid();
+
+        const launchData = {
+            contextTemplate: {
+                contextActivities: { grouping: [{ objectType: 'Activity', id: course.id }] },
+                extensions: { [Cmi5LaunchService.EXTENSIONS.sessionId]: this.sessionId }
+            },
+            launchMode,
+            launchMethod: au.launchMethod,
+            moveOn: au.moveOn,
+            returnURL
+        };
+        if (au.masteryScore !== null) launchData.masteryScore = au.masteryScore;
+        if (au.launchParameters) launchData.launchParameters = au.launchParameters;
+        if (au.entitlementKey) launchData.entitlementKey = { courseStructure: au.entitlementKey };
+
+        await this.request('PUT', 'activities/state', {
+            stateId: 'LMS.LaunchData',
+            activityId: au.id,
+            agent: JSON.stringify(actor),
+            registration
+        }, launchData);
+
+        const extensions = {
+            [Cmi5LaunchService.EXTENSIONS.sessionId]: this.sessionId,
+            [Cmi5LaunchService.EXTENSIONS.launchMode]: launchMode,
+            [Cmi5LaunchService.EXTENSIONS.launchURL]: auURL,
+            [Cmi5LaunchService.EXTENSIONS.moveOn]: au.moveOn
+        };
+        if (au.launchParameters) extensions[Cmi5LaunchService.EXTENSIONS.launchParameters] = au.launchParameters;
+        await this.request('POST', 'statements', null, [
+            this.buildStatement('launched', au, course, registration, extensions)
+        ]);
+
+        const params = new URLSearchParams({
+            endpoint: this.xapi.options.endpoint,
+            fetch: this.buildFetchURL(),
+            actor: JSON.stringify(actor),
+            registration,
+            activityId: au.id
+        });
+        return `${auURL}${auURL.includes('?') ? '&' : '?'}${params}`;
+    }
+
+    /**
+     * Statement the LMS makes about an AU, block or course
+     */
+    buildStatement(verb, target, course, registration, extensions) {
+        const statement = {
+            id: XAPIService.uuid(),
+            actor: this.getLaunchActor(),
+            verb: { id: Cmi5LaunchService.VERBS[verb], display: { 'en-US': verb } },
+            object: {
+                objectType: 'Activity',
+                id: target.id,
+                definition: { name: { 'en-US': target.title || target.id } }
+            },
+            context: {
+                registration,
+                contextActivities: { category: [{ id: Cmi5LaunchService.CATEGORY }] },
+                extensions
+            },
+            timestamp: new Date().toISOString()
+        };
+        if (target.id !== course.id) {
+            statement.context.contextActivities.grouping = [{ objectType: 'Activity', id: course.id }];
+        }
+        return statement;
+    }
+
+    /**
+     * What the learner has done in an AU for this registration, read back from the LRS
+     * @returns {Promise<Object>} { completed, passed, failed, satisfied }
+     */
+    async getAUStatus(au, registration) {
+        const response = await this.request('GET', 'statements', {
+            agent: JSON.stringify(this.getLaunchActor()),
+            activity: au.id,
+            registration
+        });
+        const verbs = new Set((response && response.statements || []).map(statement => statement.verb.id));
+        const status = {
+            completed: verbs.has(Cmi5LaunchService.VERBS.completed),
+            passed: verbs.has(Cmi5LaunchService.VERBS.passed),
+            failed: verbs.has(Cmi5LaunchService.VERBS.failed) && !verbs.has(Cmi5LaunchService.VERBS.passed)
+        };
+        status.satisfied = Cmi5LaunchService.isSatisfied(au.moveOn, status);
+        return status;
+    }
+
+    /**
+     * Whether an AU's moveOn rule is met
+     */
+    static isSatisfied(moveOn, status) {
+        switch (moveOn) {
+            case 'Passed':
+                return status.passed;
+            case 'Completed':
+                return status.completed;
+            case 'CompletedAndPassed':
+                return status.completed && status.passed;
+            case 'CompletedOrPassed':
+                return status.completed || status.passed;
+            default:
+                // NotApplicable: satisfied as soon as the AU is there
+                return true;
+        }
+    }
+
+    /**
+     * Send satisfied for blocks and the course once all their AUs are satisfied
+     * @param {Object} statuses - AU id -> status from getAUStatus
+     * @returns {Promise<boolean>} Whether the whole course is satisfied
+     */
+    async recordSatisfied(course, registration, statuses) {
+        const satisfied = au => statuses[au.id] && statuses[au.id].satisfied;
+        const targets = [
+            ...course.blocks.map(block => ({ target: block, aus: course.aus.filter(au => au.blockIds.includes(block.id)) })),
+            { target: course, aus: course.aus }
+        ];
+
+        const extensions = this.sessionId ? { [Cmi5LaunchService.EXTENSIONS.sessionId]: this.sessionId } : undefined;
+        const statements = targets
+            .filter(({ target, aus }) => aus.length > 0 && aus.every(satisfied) && !this.satisfiedSent.has(`${registration} ${target.id}`))
+            .map(({ target }) => {
+                this.satisfiedSent.add(`${registration} ${target.id}`);
+                return this.buildStatement('satisfied', target, course, registration, extensions);
+            });
+
+        if (statements.length > 0) {
+            await this.request('POST', 'statements', null, statements);
+        }
+        return course.aus.every(satisfied);
+    }
+
+    /**
+     * Call the LRS directly; launches can't wait in the statement queue
+     */
+    async request(method, resource, query = null, body = undefined) {
+        const url = `${this.xapi.getResourceURL(resource)}${query ? `?${new URLSearchParams(query)}` : ''}`;
+        const response = await fetch(url, {
+            method,
+            headers: this.xapi.getHeaders(),
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`The LRS answered HTTP ${response.status} to ${method} ${resource}`);
+        }
+        return response.status === 204 ? null : response.json().catch(() => null);
+    }
+}
+
+// Export the service
+export default Cmi5LaunchService;
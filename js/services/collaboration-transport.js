@@ -0,0 +1,119 @@
+/**
+ * Collaboration Transport
+ *
+ * Carries co-editing operations and presence between the editors of a
+ * collaboration session through Firestore. Each session keeps the starting state
+ * of its activity in `collaboration_sessions/<id>/document/base`, every operation
+ * as its own document in `operations/` (named by the operation id, so sending one
+ * twice is harmless) and one presence document per editor in `presence/`.
+ * InMemoryCollaborationTransport has the same methods for tests and local use.
+ */
+
+const FIRESTORE_MODULE = 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+
+class FirestoreCollaborationTransport {
+    constructor(firebaseService) {
+        this.firebaseService = firebaseService;
+    }
+
+    // Firestore batches hold at most 500 writes
+    static get BATCH_SIZE() {
+        return 500;
+    }
+
+    get db() {
+        if (!this.firebaseService || !this.firebaseService.firestore) {
+            throw new Error('Firebase is not initialized');
+        }
+        return this.firebaseService.firestore;
+    }
+
+    /**
+     * Store the starting state of a session's activity
+     */
+    async createDocument(sessionId, state) {
+        const { doc, setDoc, serverTimestamp } = await import(FIRESTORE_MODULE);
+        await setDoc(doc(this.db, 'collaboration_sessions', sessionId, 'document', 'base'), {
+            state,
+            createdAt: serverTimestamp()
+        });
+    }
+
+    /**
+     * Starting state and every operation sent so far
+     * @returns {Promise<{state: Object|null, operations: Array}>}
+     */
+    async loadDocument(sessionId) {
+        const { doc, getDoc, collection, getDocs } = await import(FIRESTORE_MODULE);
+        const [base, operations] = await Promise.all([
+            getDoc(doc(this.db, 'collaboration_sessions', sessionId, 'document', 'base')),
+            getDocs(collection(this.db, 'collaboration_sessions', sessionId, 'operations'))
+        ]);
+
+        return {
+            state: base.exists() ? base.data().state : null,
+            operations: operations.docs.map(snapshot => snapshot.data())
+        };
+    }
+
+    /**
+     * Send operations to the other editors
+     */
+    async publish(sessionId, operations) {
+        const { doc, writeBatch } = await import(FIRESTORE_MODULE);
+        for (let start = 0; start < operations.length; start += FirestoreCollaborationTransport.BATCH_SIZE) {
+            const batch = writeBatch(this.db);
+            operations.slice(start, start + FirestoreCollaborationTransport.BATCH_SIZE).forEach(op => {
+                // Firestore refuses undefined values anywhere in a document
+                batch.set(doc(this.db, 'collaboration_sessions', sessionId, 'operations', op.id), JSON.parse(JSON.stringify(op)));
+            });
+            await batch.commit();
+        }
+    }
+
+    /**
+     * Listen for operations and presence. The first call of each handler has
+     * everything already there
+     * @returns {Function} Stops listening
+     */
+    subscribe(sessionId, { onOperations, onPresence }) {
+        const unsubscribers = [];
+        let stopped = false;
+
+        import(FIRESTORE_MODULE).then(({ collection, onSnapshot }) => {
+            if (stopped) return;
+
+            unsubscribers.push(onSnapshot(collection(this.db, 'collaboration_sessions', sessionId, 'operations'), snapshot => {
+                const added = snapshot.docChanges()
+                    .filter(change => change.type === 'added')
+                    .map(change => change.doc.data());
+                if (added.length && onOperations) onOperations(added);
+            }, error => console.error('Error listening for collaboration operations:', error)));
+
+            unsubscribers.push(onSnapshot(collection(this.db, 'collaboration_sessions', sessionId, 'presence'), snapshot => {
+                if (onPresence) onPresence(snapshot.docs.map(presence => presence.data()));
+            }, error => console.error('Error listening for collaboration presence:', error)));
+        }).catch(error => console.error('Error subscribing to collaboration session:', error));
+
+        return () => {
+            stopped = true;
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+        };
+    }
+
+    /**
+     * Publish what an editor is working on, or clear it with null
+     */
+    async setPresence(sessionId, userId, presence) {
+        const { doc, setDoc, deleteDoc } = await import(FIRESTORE_MODULE);
+        const presenceRef = doc(this.db, 'collaboration_sessions', sessionId, 'presence', userId);
+        if (presence) {
+            await setDoc(presenceRef, presence);
+        } else {
+            await deleteDoc(presenceRef);
+        }
+    }
+}
+
+// Export the service
+export default FirestoreCollaborationTransport;
@@ -5,9 +5,12 @@
  * for educational content in the platform.
  */
 
+import ScormPackageBuilder from './scorm-package-builder.js';
+
 class ExportSystemService {
     constructor() {
         this.exportFormats = ['pdf', 'ppt', 'scorm', 'worksheet'];
+        this.scormBuilder = new ScormPackageBuilder();
         this.exportQueue = [];
         this.isProcessing = false;
         this.progressCallbacks = new Map();
@@ -514,48 +517,22 @@ class ExportSystemService {
     }
     
     /**
-     * Create SCORM manifest (imsmanifest.xml)
+     * Create SCORM manifest (imsmanifest.xml), one SCO per content page
      */
     async createSCORMManifest(scormPackage) {
-        // Create the IMS Manifest XML structure
-        const manifestXml = `<?xml version="1.0" encoding="UTF-8"?>
-<manifest identifier="manifest_${Date.now()}" version="1.0" xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2" 
-          xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2" 
-          xmlns:imsss="http://www.imsglobal.org/xsd/imsss_rootv1p0" 
-          xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" 
-          xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd 
-                              http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd 
-                              http://www.imsglobal.org/xsd/imsss_rootv1p0 imsss_rootv1p0.xsd">
-  
-  <metadata>
-    <schema>ADL SCORM</schema>
-    <schemaversion>${scormPackage.metadata.schemaversion}</schemaversion>
-  </metadata>
-  
-  <organizations default="default_org">
-    ${scormPackage.organizations.map(org => `
-    <organization identifier="${org.identifier}">
-      <title>${this.escapeXml(org.title)}</title>
-      ${org.items.map(item => `
-      <item identifier="${item.identifier}" identifierref="${item.id}" isvisible="${item.isvisible}">
-        <title>${this.escapeXml(item.title)}</title>
-        ${item.parameters ? `<parameters>${this.escapeXml(item.parameters)}</parameters>` : ''}
-        ${item.prerequisites ? `<prerequisites>${this.escapeXml(item.prerequisites)}</prerequisites>` : ''}
-      </item>`).join('\n      ')}
-    </organization>`).join('\n    ')}
-  </organizations>
-  
-  <resources>
-    ${scormPackage.resources.map(res => `
-    <resource identifier="${res.identifier}" type="${res.type}" href="${res.href}">
-      ${res.parameters ? `<parameters>${this.escapeXml(res.parameters)}</parameters>` : ''}
-      ${res.base ? `<file href="${res.base}"/>` : ''}
-    </resource>`).join('\n    ')}
-  </resources>
-  
-</manifest>`;
-        
-        return manifestXml;
+        const organization = scormPackage.organizations[0];
+        return this.scormBuilder.buildManifest({
+            version: scormPackage.metadata.schemaversion === '2004' ? '2004' : '1.2',
+            identifier: `manifest_${Date.now()}`,
+            title: organization.title,
+            masteryScore: scormPackage.settings.masteryScore,
+            scos: organization.items.map(item => ({
+                identifier: item.identifier,
+                title: item.title,
+                href: item.href,
+                files: ['api.js']
+            }))
+        });
     }
     
     /**
@@ -569,7 +546,7 @@ class ExportSystemService {
             'imsmanifest.xml': manifest,
             'content/': {},
             'index.html': this.generateSCORMIndexPage(scormPackage),
-            'api.js': this.generateSCORMAPI(),
+            'api.js': this.generateSCORMAPI(scormPackage),
             'content.js': this.generateSCORMContentJS(scormPackage)
         };
         
@@ -602,17 +579,12 @@ class ExportSystemService {
         <!-- Content will be loaded dynamically -->
     </div>
     <script>
-        // Initialize SCORM
-        var scorm = new ScormAPI();
-        scorm.initialize();
-        
-        // Load content
+        // api.js has already started the attempt
         loadContent();
         
         // Set completion status when done
         function setCompleted() {
-            scorm.setValue('cmi.core.lesson_status', 'completed');
-            scorm.commit();
+            window.scormRuntime.setCompleted();
         }
     </script>
 </body>
@@ -620,123 +592,14 @@ class ExportSystemService {
     }
     
     /**
-     * Generate SCORM API implementation
+     * Generate the SCORM runtime: it finds the LMS's API (a package never provides
+     * its own) and reports status, score, session time and interactions
      */
-    generateSCORMAPI() {
-        return `// Simplified SCORM 1.2 API Implementation
-var ScormAPI = function() {
-    var initialized = false;
-    var dataBucket = {};
-    var errorCode = 0;
-
-    this.LMSInitialize = function(param) {
-        if (initialized) {
-            errorCode = 101; // Already initialized
-            return 'false';
-        }
-        
-        initialized = true;
-        errorCode = 0;
-        
-        // Set default values
-        dataBucket['cmi.core.lesson_status'] = 'incomplete';
-        dataBucket['cmi.core.exit'] = '';
-        dataBucket['cmi.core.session_time'] = '00:00:00';
-        
-        return 'true';
-    };
-
-    this.LMSFinish = function(param) {
-        if (!initialized) {
-            errorCode = 301; // Not initialized
-            return 'false';
-        }
-        
-        initialized = false;
-        errorCode = 0;
-        
-        // Here you would save data to server
-        console.log('SCORM session finished', dataBucket);
-        
-        return 'true';
-    };
-
-    this.LMSGetValue = function(element) {
-        if (!initialized) {
-            errorCode = 301; // Not initialized
-            return '';
-        }
-
-        errorCode = 0;
-        
-        if (dataBucket.hasOwnProperty(element)) {
-            return dataBucket[element];
-        } else {
-            errorCode = 401; // Element not found
-            return '';
-        }
-    };
-
-    this.LMSSetValue = function(element, value) {
-        if (!initialized) {
-            errorCode = 301; // Not initialized
-            return 'false';
-        }
-
-        if (element.startsWith('cmi.') || element.startsWith('adl.')) {
-            dataBucket[element] = value;
-            errorCode = 0;
-            return 'true';
-        } else {
-            errorCode = 401; // Element not found
-            return 'false';
-        }
-    };
-
-    this.LMSCommit = function(param) {
-        if (!initialized) {
-            errorCode = 301; // Not initialized
-            return 'false';
-        }
-
-        errorCode = 0;
-        
-        // Here you would send data to server
-        console.log('SCORM data committed', dataBucket);
-        
-        return 'true';
-    };
-
-    this.LMSGetLastError = function() {
-        return errorCode.toString();
-    };
-
-    this.LMSGetErrorString = function(errorCode) {
-        var errorStrings = {
-            0: 'No error',
-            101: 'General exception',
-            201: 'Invalid argument error',
-            202: 'Element cannot have children',
-            203: 'Element not an array - cannot have count',
-            301: 'Not initialized',
-            401: 'General Get Failure',
-            402: 'General Set Failure',
-            403: 'Not implemented error'
-        };
-        
-        return errorStrings[errorCode] || 'Unknown error';
-    };
-
-    this.LMSGetDiagnostic = function(errorCode) {
-        return 'Diagnostic information for error code: ' + errorCode;
-    };
-};
-
-// Global API instance for SCORM
-var API = new ScormAPI();
-
-// Aliases for SCORM 2004 (if needed)
-var API_1484_11 = API;`;
+    generateSCORMAPI(scormPackage) {
+        return this.scormBuilder.buildRuntimeScript({
+            version: scormPackage.metadata.schemaversion === '2004' ? '2004' : '1.2',
+            masteryScore: scormPackage.settings.masteryScore
+        });
     }
     
     /**
@@ -749,16 +612,12 @@ function loadContent() {
     const contentArea = document.getElementById('content-area');
     
     // Example: load first piece of content
-    if (window.scorm && scorm.LMSInitialize('')) {
+    if (window.scormRuntime && window.scormRuntime.active) {
         console.log('SCORM initialized successfully');
-        
-        // Set initial values
-        scorm.LMSSetValue('cmi.core.lesson_location', '1');
-        scorm.LMSSetValue('cmi.core.student_name', 'Learner');
-        
-        // Render content
-        renderContent(contentArea, ${JSON.stringify(scormPackage.content[0] || {}), 2});
     }
+    
+    // Render content
+    renderContent(contentArea, ${JSON.stringify(scormPackage.content[0] || {}, null, 2)});
 }
 
 function renderContent(container, content) {
@@ -826,21 +685,10 @@ function renderGenericContent(container, content) {
     </div>
     
     <script>
-        var scorm = new ScormAPI();
-        
-        function initializeScorm() {
-            if (scorm.LMSInitialize("")) {
-                console.log("SCORM initialized for ${this.escapeXml(item.title)}");
-                
-                // Set location
-                scorm.LMSSetValue("cmi.core.lesson_location", "${item.id}");
-                
-                // Interact with content...
-            }
-        }
-        
-        // Initialize when page loads
-        window.onload = initializeScorm;
+        // api.js starts the attempt; viewing the page completes it
+        window.addEventListener('load', function() {
+            window.scormRuntime.setCompleted();
+        });
     </script>
 </body>
 </html>`;
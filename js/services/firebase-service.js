@@ -50,6 +50,10 @@ class FirebaseService {
                 this.notifyAuthObservers(user);
             });
             
+            // Tell connection observers when the browser goes offline or comes back
+            window.addEventListener('online', () => this.notifyConnectionObservers(true));
+            window.addEventListener('offline', () => this.notifyConnectionObservers(false));
+            
             this.initialized = true;
             console.log('Firebase services initialized successfully');
             
@@ -375,6 +379,8 @@ class FirebaseService {
      */
     addConnectionObserver(callback) {
         this.connectionObservers.push(callback);
+        // Immediately notify with current connection state
+        callback(this.isOnline());
     }
     
     /**
@@ -387,6 +393,26 @@ class FirebaseService {
         }
     }
     
+    /**
+     * Notify connection observers
+     */
+    notifyConnectionObservers(online) {
+        this.connectionObservers.forEach(callback => {
+            try {
+                callback(online);
+            } catch (error) {
+                console.error('Error in connection observer:', error);
+            }
+        });
+    }
+    
+    /**
+     * Whether the browser has a network connection
+     */
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+    
     /**
      * Utility methods
      */
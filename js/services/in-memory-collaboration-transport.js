@@ -0,0 +1,113 @@
+/**
+ * In-Memory Collaboration Transport
+ *
+ * Same methods as FirestoreCollaborationTransport, kept in memory. Give one
+ * instance to several MultiUserCollaborationService objects and they co-edit as
+ * if they were in different browsers. Deliveries are asynchronous (after
+ * `latency` ms); `flush()` waits for all of them.
+ */
+
+class InMemoryCollaborationTransport {
+    constructor(options = {}) {
+        this.latency = options.latency || 0;
+        this.sessions = new Map();
+        this.pending = new Set();
+    }
+
+    getSession(sessionId) {
+        if (!this.sessions.has(sessionId)) {
+            this.sessions.set(sessionId, {
+                state: null,
+                operations: new Map(),
+                presence: new Map(),
+                subscribers: new Set()
+            });
+        }
+        return this.sessions.get(sessionId);
+    }
+
+    async createDocument(sessionId, state) {
+        this.getSession(sessionId).state = InMemoryCollaborationTransport.copy(state);
+    }
+
+    async loadDocument(sessionId) {
+        const session = this.getSession(sessionId);
+        return {
+            state: InMemoryCollaborationTransport.copy(session.state),
+            operations: [...session.operations.values()].map(InMemoryCollaborationTransport.copy)
+        };
+    }
+
+    async publish(sessionId, operations) {
+        const session = this.getSession(sessionId);
+        const added = operations
+            .filter(op => !session.operations.has(op.id))
+            .map(InMemoryCollaborationTransport.copy);
+        added.forEach(op => session.operations.set(op.id, op));
+        if (added.length) {
+            session.subscribers.forEach(subscriber => {
+                if (subscriber.onOperations) this.deliver(() => subscriber.onOperations(added.map(InMemoryCollaborationTransport.copy)));
+            });
+        }
+    }
+
+    subscribe(sessionId, handlers) {
+        const session = this.getSession(sessionId);
+        const subscriber = { ...handlers };
+        session.subscribers.add(subscriber);
+
+        // Like a snapshot listener, start with what is already there
+        const operations = [...session.operations.values()].map(InMemoryCollaborationTransport.copy);
+        if (operations.length && subscriber.onOperations) {
+            this.deliver(() => subscriber.onOperations(operations));
+        }
+        if (subscriber.onPresence) {
+            this.deliver(() => subscriber.onPresence(this.getPresenceList(session)));
+        }
+
+        return () => session.subscribers.delete(subscriber);
+    }
+
+    async setPresence(sessionId, userId, presence) {
+        const session = this.getSession(sessionId);
+        if (presence) {
+            session.presence.set(userId, InMemoryCollaborationTransport.copy(presence));
+        } else {
+            session.presence.delete(userId);
+        }
+        session.subscribers.forEach(subscriber => {
+            if (subscriber.onPresence) this.deliver(() => subscriber.onPresence(this.getPresenceList(session)));
+        });
+    }
+
+    getPresenceList(session) {
+        return [...session.presence.values()].map(InMemoryCollaborationTransport.copy);
+    }
+
+    /**
+     * Call a handler later, the way a network listener would
+     */
+    deliver(handler) {
+        const delivery = new Promise(resolve => setTimeout(resolve, this.latency)).then(handler);
+        this.pending.add(delivery);
+        delivery
+            .catch(error => console.error('Error delivering collaboration update:', error))
+            .finally(() => this.pending.delete(delivery));
+    }
+
+    /**
+     * Wait until everything sent so far has been delivered
+     */
+    async flush() {
+        while (this.pending.size) {
+            await Promise.allSettled([...this.pending]);
+        }
+    }
+
+    static copy(value) {
+        return value === null || value === undefined ? value : JSON.parse(JSON.stringify(value));
+    }
+}
+
+// Export the service
+export default InMemoryCollaborationTransport;
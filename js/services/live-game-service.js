@@ -0,0 +1,458 @@
+/**
+ * Live Game Service
+ *
+ * Runs an MCQ or True/False activity as a live classroom game. The teacher's
+ * screen hosts it: students join from their phones with a 6-digit code and a
+ * nickname, the host moves through the questions with a countdown, and answers
+ * are scored on accuracy and speed. Between questions the standings are shown
+ * as a podium from PersistentLeaderboardsService.
+ *
+ * Firestore layout (players need no account):
+ *   live_games/<code>                      status, current question (without its answer), reveal
+ *   live_games/<code>/players/<playerId>   nickname, score, rank, last result
+ *   live_games/<code>/answers/<q>_<player> choice and server time of the answer
+ *   leaderboards/live_<code>/scores/<playerId>  podium entries
+ * The answers stay on the host until a question closes; the host does the scoring.
+ * Codes are never reused, so a game's players, answers and podium are its own.
+ */
+
+const FIRESTORE_MODULE = 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+
+class LiveGameService {
+    constructor(firebaseService, leaderboardsService) {
+        this.firebaseService = firebaseService;
+        this.leaderboardsService = leaderboardsService;
+        this.hostedGames = new Map(); // code -> { questions, activityId, questionTime }
+    }
+
+    static get TEMPLATES() {
+        return ['mcq', 'truefalse'];
+    }
+
+    // A correct answer is worth MAX_POINTS when given at once, half of it at the buzzer
+    static get MAX_POINTS() {
+        return 1000;
+    }
+
+    static get DEFAULT_QUESTION_TIME() {
+        return 20;
+    }
+
+    // Answers that reach the server this long after the countdown still count
+    static get ANSWER_GRACE() {
+        return 1000;
+    }
+
+    static get NICKNAME_MAX_LENGTH() {
+        return 20;
+    }
+
+    // Tries at finding a code no game has had
+    static get CODE_ATTEMPTS() {
+        return 10;
+    }
+
+    get db() {
+        if (!this.firebaseService || !this.firebaseService.firestore) {
+            throw new Error('Firebase is not initialized');
+        }
+        return this.firebaseService.firestore;
+    }
+
+    /**
+     * The questions of an activity as { text, options, correctIndex }
+     */
+    static getQuestions(activityData) {
+        if (!activityData) return [];
+
+        if (activityData.template === 'truefalse') {
+            return (activityData.items || [])
+                .map(item => ({
+                    text: item.q || item.question || item.statement || '',
+                    options: ['True', 'False'],
+                    correctIndex: item.isTrue ? 0 : 1
+                }))
+                .filter(question => question.text);
+        }
+
+        return (activityData.questions || [])
+            .map(question => {
+                const options = (question.options || []).map(option =>
+                    typeof option === 'object' && option !== null ? (option.text || '') : String(option)
+                );
+                const correctIndex = question.correctIndex !== undefined ? question.correctIndex : question.correct;
+                return { text: question.q || question.question || '', options, correctIndex: Number(correctIndex) || 0 };
+            })
+            .filter(question => question.text && question.options.length >= 2);
+    }
+
+    /**
+     * Whether an activity can be hosted live
+     */
+    static canHost(activityData) {
+        return !!activityData && LiveGameService.TEMPLATES.includes(activityData.template) &&
+            LiveGameService.getQuestions(activityData).length > 0;
+    }
+
+    /**
+     * A random 6-digit code from crypto.getRandomValues
+     */
+    static generateCode() {
+        // Drop the top of the 32-bit range so every code is equally likely
+        const range = 900000;
+        const limit = Math.floor(0x100000000 / range) * range;
+        const value = new Uint32Array(1);
+        do {
+            crypto.getRandomValues(value);
+        } while (value[0] >= limit);
+        return String(100000 + value[0] % range);
+    }
+
+    static isValidCode(code) {
+        return /^\d{6}$/.test(String(code || ''));
+    }
+
+    static leaderboardType(code) {
+        return `live_${code}`;
+    }
+
+    /**
+     * Points for one answer. An answer from before the question opened gets
+     * nothing, so guessing ahead of time doesn't earn the speed bonus
+     * @param {boolean} correct
+     * @param {number} elapsed - Milliseconds from the question opening to the answer
+     * @param {number} duration - Question time in seconds
+     */
+    static scoreAnswer(correct, elapsed, duration) {
+        const limit = duration * 1000;
+        if (!correct || elapsed < 0 || elapsed > limit + LiveGameService.ANSWER_GRACE) return 0;
+        const share = Math.min(1, elapsed / limit);
+        return Math.round(LiveGameService.MAX_POINTS * (1 - share / 2));
+    }
+
+    // ----- Host -----
+
+    /**
+     * Open a game for an activity and return its join code
+     */
+    async hostGame(activityData, options = {}) {
+        if (!this.firebaseService || !this.firebaseService.isAuthenticated()) {
+            throw new Error('Sign in to host a live game');
+        }
+
+        const questions = LiveGameService.getQuestions(activityData);
+        if (!LiveGameService.TEMPLATES.includes(activityData.template) || questions.length === 0) {
+            throw new Error('Only Quiz and True or False activities with questions can be hosted live');
+        }
+
+        const {
+            activityId = null,
+            questionTime = LiveGameService.DEFAULT_QUESTION_TIME
+        } = options;
+
+        const { doc, getDoc, setDoc, serverTimestamp } = await import(FIRESTORE_MODULE);
+
+        // A finished game keeps its players and answers, so its code is never given out again
+        let code = null;
+        for (let attempt = 0; attempt < LiveGameService.CODE_ATTEMPTS && !code; attempt++) {
+            const candidate = LiveGameService.generateCode();
+            const existing = await getDoc(doc(this.db, 'live_games', candidate));
+            if (!existing.exists()) {
+                code = candidate;
+            }
+        }
+        if (!code) {
+            throw new Error('Could not find a free game code, please try again');
+        }
+
+        await setDoc(doc(this.db, 'live_games', code), {
+            code,
+            hostUserId: this.firebaseService.getCurrentUser().uid,
+            activityId,
+            title: activityData.title || 'Live Game',
+            template: activityData.template,
+            status: 'lobby',
+            questionIndex: -1,
+            questionCount: questions.length,
+            question: null,
+            questionTime,
+            questionStartedAt: null,
+            reveal: null,
+            createdAt: serverTimestamp()
+        });
+
+        this.hostedGames.set(code, { questions, activityId: activityId || code, questionTime });
+        console.log(`Live game ${code} opened with ${questions.length} questions`);
+        return code;
+    }
+
+    getHostedGame(code) {
+        const game = this.hostedGames.get(code);
+        if (!game) {
+            throw new Error('This game is not hosted from this page');
+        }
+        return game;
+    }
+
+    /**
+     * Show the next question to the players and start its countdown
+     * @returns {Promise<Object|null>} The question, or null when there are no more
+     */
+    async nextQuestion(code) {
+        const game = this.getHostedGame(code);
+        const { doc, getDoc, updateDoc, serverTimestamp } = await import(FIRESTORE_MODULE);
+        const gameRef = doc(this.db, 'live_games', code);
+        const snapshot = await getDoc(gameRef);
+        const questionIndex = snapshot.data().questionIndex + 1;
+
+        if (questionIndex >= game.questions.length) {
+            await this.endGame(code);
+            return null;
+        }
+
+        const question = game.questions[questionIndex];
+        await updateDoc(gameRef, {
+            status: 'question',
+            questionIndex,
+            question: { text: question.text, options: question.options },
+            questionStartedAt: serverTimestamp(),
+            reveal: null
+        });
+
+        return { ...question, questionIndex, questionTime: game.questionTime };
+    }
+
+    /**
+     * Stop taking answers for the current question, score them and update the
+     * players and the podium
+     * @returns {Promise<Object>} { correctIndex, counts, answered }
+     */
+    async closeQuestion(code) {
+        const game = this.getHostedGame(code);
+        const {
+            doc, getDoc, updateDoc, collection, query, where, getDocs, writeBatch
+        } = await import(FIRESTORE_MODULE);
+        const gameRef = doc(this.db, 'live_games', code);
+        const gameData = (await getDoc(gameRef)).data();
+        const questionIndex = gameData.questionIndex;
+        const question = game.questions[questionIndex];
+        const startedAt = gameData.questionStartedAt ? gameData.questionStartedAt.toMillis() : Date.now();
+
+        const [answersSnapshot, playersSnapshot] = await Promise.all([
+            getDocs(query(collection(this.db, 'live_games', code, 'answers'), where('questionIndex', '==', questionIndex))),
+            getDocs(collection(this.db, 'live_games', code, 'players'))
+        ]);
+
+        const answers = new Map();
+        answersSnapshot.forEach(answer => answers.set(answer.data().playerId, answer.data()));
+
+        const counts = question.options.map(() => 0);
+        const players = playersSnapshot.docs.map(player => {
+            const data = player.data();
+            const answer = answers.get(data.playerId);
+            const answered = !!answer && Number.isInteger(answer.choice) && answer.choice >= 0 && answer.choice < counts.length;
+            if (answered) counts[answer.choice]++;
+
+            const elapsed = answered && answer.answeredAt ? answer.answeredAt.toMillis() - startedAt : Infinity;
+            // An answer written before the question opened doesn't count as correct either
+            const correct = answered && elapsed >= 0 && answer.choice === question.correctIndex;
+            const points = LiveGameService.scoreAnswer(correct, elapsed, game.questionTime);
+
+            return {
+                ...data,
+                score: (data.score || 0) + points,
+                correctCount: (data.correctCount || 0) + (correct ? 1 : 0),
+                streak: correct ? (data.streak || 0) + 1 : 0,
+                lastAnswered: answered,
+                lastCorrect: correct,
+                lastPoints: points
+            };
+        });
+
+        // Ties share a rank
+        const sorted = [...players].sort((a, b) => b.score - a.score);
+        players.forEach(player => {
+            player.rank = sorted.findIndex(other => other.score === player.score) + 1;
+        });
+
+        const batch = writeBatch(this.db);
+        players.forEach(player => {
+            batch.update(doc(this.db, 'live_games', code, 'players', player.playerId), {
+                score: player.score,
+                correctCount: player.correctCount,
+                streak: player.streak,
+                rank: player.rank,
+                lastAnswered: player.lastAnswered,
+                lastCorrect: player.lastCorrect,
+                lastPoints: player.lastPoints,
+                lastQuestionIndex: questionIndex
+            });
+        });
+        await batch.commit();
+
+        const reveal = { correctIndex: question.correctIndex, counts, answered: answers.size };
+        await updateDoc(gameRef, { status: 'results', reveal });
+
+        // Podium entries; a failed one only leaves that player's entry behind
+        await Promise.all(players.map(player =>
+            this.leaderboardsService.submitScore(player.playerId, player.nickname, game.activityId, player.score, {
+                leaderboardType: LiveGameService.leaderboardType(code),
+                scoreId: player.playerId,
+                metadata: { gameCode: code, correctCount: player.correctCount, questionIndex }
+            }).catch(error => console.warn(`Podium entry for ${player.nickname} not saved:`, error))
+        ));
+
+        return reveal;
+    }
+
+    /**
+     * Finish the game; players see their final rank
+     */
+    async endGame(code) {
+        const { doc, updateDoc, serverTimestamp } = await import(FIRESTORE_MODULE);
+        await updateDoc(doc(this.db, 'live_games', code), {
+            status: 'finished',
+            question: null,
+            endedAt: serverTimestamp()
+        });
+        this.hostedGames.delete(code);
+    }
+
+    /**
+     * Players in the game, in join order
+     * @returns {Promise<Function>} Stops listening
+     */
+    async subscribePlayers(code, callback) {
+        const { collection, onSnapshot } = await import(FIRESTORE_MODULE);
+        return onSnapshot(collection(this.db, 'live_games', code, 'players'), snapshot => {
+            const players = snapshot.docs.map(player => player.data())
+                .sort((a, b) => (a.joinedAt || 0) - (b.joinedAt || 0));
+            callback(players);
+        }, error => console.error('Error listening for live game players:', error));
+    }
+
+    /**
+     * Number of answers to one question so far
+     * @returns {Promise<Function>} Stops listening
+     */
+    async subscribeAnswerCount(code, questionIndex, callback) {
+        const { collection, query, where, onSnapshot } = await import(FIRESTORE_MODULE);
+        const answersQuery = query(collection(this.db, 'live_games', code, 'answers'), where('questionIndex', '==', questionIndex));
+        return onSnapshot(answersQuery, snapshot => callback(snapshot.size),
+            error => console.error('Error listening for live game answers:', error));
+    }
+
+    /**
+     * Top of the standings, from the game's leaderboard
+     * @returns {Promise<Function>} Stops listening
+     */
+    async subscribePodium(code, callback, limit = 5) {
+        const subscriberId = await this.leaderboardsService.subscribeToLeaderboard(
+            LiveGameService.leaderboardType(code),
+            board => callback(board.entries),
+            { limit }
+        );
+        return () => this.leaderboardsService.unsubscribeFromLeaderboard(subscriberId);
+    }
+
+    // ----- Players -----
+
+    /**
+     * Join a game; the same playerId rejoins with the score kept
+     * @returns {Promise<Object>} { code, playerId, nickname, title }
+     */
+    async joinGame(code, nickname, playerId = null) {
+        code = String(code || '').trim();
+        nickname = String(nickname || '').trim().slice(0, LiveGameService.NICKNAME_MAX_LENGTH);
+        if (!LiveGameService.isValidCode(code)) {
+            throw new Error('Enter the 6-digit game code');
+        }
+        if (!nickname) {
+            throw new Error('Enter a nickname');
+        }
+
+        const { doc, getDoc, setDoc, collection, query, where, getDocs } = await import(FIRESTORE_MODULE);
+        const game = await getDoc(doc(this.db, 'live_games', code));
+        if (!game.exists() || game.data().status === 'finished') {
+            throw new Error('No game is running with that code');
+        }
+
+        const id = playerId || `player_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 8)}`;
+        const playerRef = doc(this.db, 'live_games', code, 'players', id);
+        const existing = await getDoc(playerRef);
+
+        if (!existing.exists()) {
+            const taken = await getDocs(query(
+                collection(this.db, 'live_games', code, 'players'),
+                where('nicknameKey', '==', nickname.toLowerCase())
+            ));
+            if (!taken.empty) {
+                throw new Error('That nickname is taken, please choose another');
+            }
+
+            await setDoc(playerRef, {
+                playerId: id,
+                nickname,
+                nicknameKey: nickname.toLowerCase(),
+                joinedAt: Date.now(),
+                score: 0,
+                correctCount: 0,
+                streak: 0,
+                rank: null,
+                lastQuestionIndex: -1
+            });
+        }
+
+        return { code, playerId: id, nickname: existing.exists() ? existing.data().nickname : nickname, title: game.data().title };
+    }
+
+    /**
+     * The game as players see it (status, current question, reveal)
+     * @returns {Promise<Function>} Stops listening
+     */
+    async subscribeGame(code, callback) {
+        const { doc, onSnapshot } = await import(FIRESTORE_MODULE);
+        return onSnapshot(doc(this.db, 'live_games', code), snapshot => {
+            callback(snapshot.exists() ? snapshot.data() : null);
+        }, error => console.error('Error listening for live game:', error));
+    }
+
+    /**
+     * One player's score, rank and last result
+     * @returns {Promise<Function>} Stops listening
+     */
+    async subscribePlayer(code, playerId, callback) {
+        const { doc, onSnapshot } = await import(FIRESTORE_MODULE);
+        return onSnapshot(doc(this.db, 'live_games', code, 'players', playerId), snapshot => {
+            callback(snapshot.exists() ? snapshot.data() : null);
+        }, error => console.error('Error listening for live game player:', error));
+    }
+
+    /**
+     * Lock in an answer; only the first answer to the open question counts
+     */
+    async submitAnswer(code, playerId, questionIndex, choice) {
+        const { doc, runTransaction, serverTimestamp } = await import(FIRESTORE_MODULE);
+        const gameRef = doc(this.db, 'live_games', code);
+        const answerRef = doc(this.db, 'live_games', code, 'answers', `${questionIndex}_${playerId}`);
+
+        await runTransaction(this.db, async transaction => {
+            const [game, existing] = await Promise.all([transaction.get(gameRef), transaction.get(answerRef)]);
+            if (!game.exists() || game.data().status !== 'question' || game.data().questionIndex !== questionIndex) {
+                throw new Error('This question is not open for answers');
+            }
+            if (existing.exists()) {
+                throw new Error('You already answered this question');
+            }
+            transaction.set(answerRef, {
+                playerId,
+                questionIndex,
+                choice,
+                answeredAt: serverTimestamp()
+            });
+        });
+    }
+}
+
+// Export the service
+export default LiveGameService;
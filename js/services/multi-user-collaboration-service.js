@@ -3,18 +3,42 @@
  * 
  * This service handles multi-user collaboration features allowing users to work together
  * on educational activities with view-only and edit roles.
+ * Editors change the activity through operations (ActivityCRDT) sent over a
+ * transport, so two teachers can edit the same activity at once without losing
+ * each other's changes, and see who is editing which item through presence.
+ * Presence is data only for now: no editor in index.html opens sessions or
+ * draws the cursors from getItemEditors yet.
  */
 
+import ActivityCRDT from './activity-crdt.js';
+import FirestoreCollaborationTransport from './collaboration-transport.js';
+
+const FIRESTORE_MODULE = 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+
 class MultiUserCollaborationService {
-    constructor(firebaseService) {
+    constructor(firebaseService, transport = null) {
         this.firebaseService = firebaseService;
+        this.transport = transport || new FirestoreCollaborationTransport(firebaseService);
         this.activeSessions = new Map(); // Active collaboration sessions
         this.userConnections = new Map(); // User connections in sessions
         this.sessionSubscriptions = new Map(); // Real-time subscriptions
         this.userPermissions = new Map(); // User permissions in sessions
         this.presenceTracking = new Map(); // Track user presence
         this.messageQueues = new Map(); // Message queues for offline users
-        this.editConflicts = new Map(); // Track edit conflicts
+        this.documents = new Map(); // Shared activity documents being opened or open
+        this.openDocuments = new Map(); // Shared activity documents that are open
+        this.documentObservers = new Map(); // Listeners for activity changes
+        this.presenceObservers = new Map(); // Listeners for presence changes
+        this.presenceTimer = null;
+    }
+    
+    // Presence not refreshed for this long is treated as gone (closed tab, lost connection)
+    static get PRESENCE_TIMEOUT() {
+        return 60 * 1000;
+    }
+    
+    static get PRESENCE_HEARTBEAT() {
+        return 20 * 1000;
     }
     
     /**
@@ -76,14 +100,17 @@ class MultiUserCollaborationService {
                 isActive: true,
                 settings: {
                     syncFrequency: 2000, // Sync every 2 seconds
-                    conflictResolution: 'last_write_wins', // Or 'merge'
+                    conflictResolution: 'operational_merge',
                     versionControl: true
                 }
             };
             
             // Save session to Firestore
-            const sessionRef = this.firebaseService.firestore.collection('collaboration_sessions').doc(sessionId);
-            await sessionRef.set(sessionData);
+            const { doc, setDoc } = await import(FIRESTORE_MODULE);
+            await setDoc(doc(this.firebaseService.firestore, 'collaboration_sessions', sessionId), sessionData);
+            
+            // Starting point of the shared document editors send operations against
+            await this.transport.createDocument(sessionId, ActivityCRDT.fromActivityData(activityData, hostUserId));
             
             // Initialize the session locally
             this.activeSessions.set(sessionId, sessionData);
@@ -117,10 +144,11 @@ class MultiUserCollaborationService {
             }
             
             // Get session data
-            const sessionRef = this.firebaseService.firestore.collection('collaboration_sessions').doc(sessionId);
-            const sessionDoc = await sessionRef.get();
+            const { doc, getDoc, updateDoc } = await import(FIRESTORE_MODULE);
+            const sessionRef = doc(this.firebaseService.firestore, 'collaboration_sessions', sessionId);
+            const sessionDoc = await getDoc(sessionRef);
             
-            if (!sessionDoc.exists) {
+            if (!sessionDoc.exists()) {
                 throw new Error('Session not found');
             }
             
@@ -152,7 +180,7 @@ class MultiUserCollaborationService {
             };
             
             // Update session with new participant
-            await sessionRef.update({
+            await updateDoc(sessionRef, {
                 [`participants.${userId}`]: userParticipantData
             });
             
@@ -209,13 +237,16 @@ class MultiUserCollaborationService {
     async leaveSession(sessionId, userId) {
         try {
             // Remove user from session participants
-            const sessionRef = this.firebaseService.firestore.collection('collaboration_sessions').doc(sessionId);
+            const { doc, updateDoc, deleteField } = await import(FIRESTORE_MODULE);
             
             // Remove the specific user from participants
-            await sessionRef.update({
-                [`participants.${userId}`]: this.firebaseService.firestore.FieldValue.delete()
+            await updateDoc(doc(this.firebaseService.firestore, 'collaboration_sessions', sessionId), {
+                [`participants.${userId}`]: deleteField()
             });
             
+            // Stop co-editing and clear presence
+            await this.closeDocument(sessionId, userId);
+            
             // Remove local connection
             this.userConnections.delete(`${sessionId}_${userId}`);
             
@@ -260,10 +291,8 @@ class MultiUserCollaborationService {
     async broadcastMessage(sessionId, message, excludeUsers = []) {
         try {
             // Add message to session chat
-            const chatRef = this.firebaseService.firestore.collection('collaboration_sessions')
-                .doc(sessionId)
-                .collection('chat')
-                .doc();
+            const { doc, collection, setDoc } = await import(FIRESTORE_MODULE);
+            const chatRef = doc(collection(this.firebaseService.firestore, 'collaboration_sessions', sessionId, 'chat'));
             
             const messageData = {
                 ...message,
@@ -271,7 +300,7 @@ class MultiUserCollaborationService {
                 timestamp: new Date()
             };
             
-            await chatRef.set(messageData);
+            await setDoc(chatRef, messageData);
             
             // Also broadcast via real-time mechanisms if needed
             // In a real implementation, this would use WebSockets or similar
@@ -301,10 +330,8 @@ class MultiUserCollaborationService {
             }
             
             // Create message document
-            const messageRef = this.firebaseService.firestore.collection('collaboration_sessions')
-                .doc(sessionId)
-                .collection('messages')
-                .doc();
+            const { doc, collection, setDoc } = await import(FIRESTORE_MODULE);
+            const messageRef = doc(collection(this.firebaseService.firestore, 'collaboration_sessions', sessionId, 'messages'));
             
             const messageData = {
                 id: messageRef.id,
@@ -315,7 +342,7 @@ class MultiUserCollaborationService {
                 readBy: [senderUserId] // Sender marks as read
             };
             
-            await messageRef.set(messageData);
+            await setDoc(messageRef, messageData);
             
             // Notify recipients
             for (const recipientId of recipientUserIds) {
@@ -337,9 +364,12 @@ class MultiUserCollaborationService {
     }
     
     /**
-     * Update activity data during collaboration
+     * Update activity data during collaboration. updateData is the edited
+     * activity, or just the top-level keys that changed; it is compared with the
+     * shared document and only the fields, list items and moves that differ are
+     * sent, so edits other editors make at the same time are kept
      */
-    async updateActivityData(sessionId, userId, updateData, options = {}) {
+    async updateActivityData(sessionId, userId, updateData) {
         try {
             // Check user permissions
             const hasPermission = await this.checkPermission(sessionId, userId, 'edit');
@@ -347,87 +377,28 @@ class MultiUserCollaborationService {
                 throw new Error('User does not have permission to edit activity data');
             }
             
-            const { 
-                mergeStrategy = 'replace', // 'replace', 'merge', 'deep_merge'
-                versionCheck = true
-            } = options;
-            
-            // Get current session data
-            const sessionRef = this.firebaseService.firestore.collection('collaboration_sessions').doc(sessionId);
-            const sessionDoc = await sessionRef.get();
-            
-            if (!sessionDoc.exists) {
-                throw new Error('Session not found');
-            }
-            
-            const sessionData = sessionDoc.data();
+            const document = await this.openDocument(sessionId, userId);
+            const operations = document.replica.diff(updateData);
             
-            // Check version if required
-            if (versionCheck && updateData.version !== undefined) {
-                const currentVersion = sessionData.activityData.version || 0;
-                if (updateData.version < currentVersion) {
-                    // Handle conflict
-                    await this.handleEditConflict(sessionId, userId, updateData, sessionData.activityData);
-                    return {
-                        success: false,
-                        conflict: true,
-                        message: 'Version conflict detected, changes may need merging',
-                        currentData: sessionData.activityData
-                    };
-                }
+            if (operations.length > 0) {
+                document.replica.applyOperations(operations);
+                document.unsent.push(...operations);
+                this.documentChanged(sessionId, document.replica, operations, userId);
             }
             
-            // Prepare update
-            let updatedActivityData;
-            
-            switch (mergeStrategy) {
-                case 'merge':
-                    updatedActivityData = { ...sessionData.activityData, ...updateData };
-                    break;
-                case 'deep_merge':
-                    updatedActivityData = this.deepMerge(sessionData.activityData, updateData);
-                    break;
-                case 'replace':
-                default:
-                    updatedActivityData = { ...sessionData.activityData, ...updateData };
-                    break;
+            // Operations a failed send left behind go out with this update
+            if (document.unsent.length > 0) {
+                const sending = [...document.unsent];
+                await this.transport.publish(sessionId, sending);
+                document.unsent = document.unsent.filter(op => !sending.includes(op));
             }
             
-            // Add version tracking
-            updatedActivityData.version = (updatedActivityData.version || 0) + 1;
-            updatedActivityData.lastModifiedBy = userId;
-            updatedActivityData.lastModifiedAt = new Date();
-            
-            // Update session
-            await sessionRef.update({
-                activityData: updatedActivityData,
-                updatedAt: new Date()
-            });
-            
-            // Update local cache
-            if (this.activeSessions.has(sessionId)) {
-                const localSession = this.activeSessions.get(sessionId);
-                this.activeSessions.set(sessionId, {
-                    ...localSession,
-                    activityData: updatedActivityData,
-                    updatedAt: new Date()
-                });
-            }
-            
-            // Broadcast update to all participants
-            await this.broadcastMessage(sessionId, {
-                type: 'activity_updated',
-                userId,
-                updateData,
-                version: updatedActivityData.version,
-                timestamp: new Date()
-            });
-            
-            console.log(`Activity data updated in session ${sessionId} by user ${userId}`);
+            console.log(`Activity data updated in session ${sessionId} by user ${userId} (${operations.length} operations)`);
             
             return {
                 success: true,
-                version: updatedActivityData.version,
+                operations: operations.length,
+                activityData: document.replica.toActivityData(),
                 message: 'Activity data updated successfully'
             };
         } catch (error) {
@@ -437,93 +408,202 @@ class MultiUserCollaborationService {
     }
     
     /**
-     * Handle edit conflicts
+     * Start co-editing a session's activity: load the shared document, replay its
+     * operations and listen for other editors' operations and presence
      */
-    async handleEditConflict(sessionId, userId, updateData, currentData) {
-        // Log conflict for resolution
-        const conflictId = `${sessionId}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
-        
-        const conflictData = {
-            id: conflictId,
-            sessionId,
-            userId,
-            updateData,
-            currentData,
-            detectedAt: new Date(),
-            resolved: false
-        };
-        
-        // Store conflict
-        const conflictRef = this.firebaseService.firestore.collection('collaboration_conflicts').doc(conflictId);
-        await conflictRef.set(conflictData);
-        
-        // Add to conflict tracking
-        if (!this.editConflicts.has(sessionId)) {
-            this.editConflicts.set(sessionId, []);
+    async openDocument(sessionId, userId) {
+        const key = `${sessionId}_${userId}`;
+        if (!this.documents.has(key)) {
+            const opening = (async () => {
+                const { state, operations } = await this.transport.loadDocument(sessionId);
+                if (!state) {
+                    throw new Error('Session has no shared activity document');
+                }
+                
+                // One actor per open document, so two tabs of the same user don't clash
+                const actor = `${userId}.${Math.random().toString(36).substr(2, 6)}`;
+                const replica = new ActivityCRDT(state, actor);
+                replica.applyOperations(operations);
+                
+                const document = { sessionId, userId, replica, unsent: [], presence: null, unsubscribe: null };
+                this.openDocuments.set(key, document);
+                document.unsubscribe = this.transport.subscribe(sessionId, {
+                    onOperations: ops => this.receiveOperations(sessionId, ops),
+                    onPresence: entries => this.receivePresence(sessionId, entries)
+                });
+                this.documentChanged(sessionId, replica, []);
+                return document;
+            })();
+            
+            this.documents.set(key, opening);
+            opening.catch(() => {
+                this.documents.delete(key);
+                this.openDocuments.delete(key);
+            });
         }
-        this.editConflicts.get(sessionId).push(conflictData);
-        
-        // Notify session participants about conflict
-        await this.broadcastMessage(sessionId, {
-            type: 'edit_conflict_detected',
-            conflictId,
-            userId,
-            timestamp: new Date()
-        });
-        
-        console.warn(`Edit conflict detected in session ${sessionId} for user ${userId}`);
+        return this.documents.get(key);
     }
     
     /**
-     * Resolve an edit conflict
+     * Stop co-editing and clear this user's presence
      */
-    async resolveConflict(conflictId, resolutionData) {
+    async closeDocument(sessionId, userId) {
+        const key = `${sessionId}_${userId}`;
+        const opening = this.documents.get(key);
+        if (!opening) {
+            return;
+        }
+        this.documents.delete(key);
+        this.openDocuments.delete(key);
+        
         try {
-            const conflictRef = this.firebaseService.firestore.collection('collaboration_conflicts').doc(conflictId);
-            const conflictDoc = await conflictRef.get();
-            
-            if (!conflictDoc.exists) {
-                throw new Error('Conflict not found');
+            const document = await opening;
+            document.unsubscribe();
+            if (document.presence) {
+                await this.transport.setPresence(sessionId, userId, null);
             }
+        } catch (error) {
+            console.warn(`Error closing shared document for session ${sessionId}:`, error);
+        }
+    }
+    
+    /**
+     * Apply operations that arrived from the transport to the documents open on
+     * this session (our own operations come back too and are skipped)
+     */
+    receiveOperations(sessionId, operations) {
+        this.openDocuments.forEach(document => {
+            if (document.sessionId !== sessionId) return;
             
-            const conflict = conflictDoc.data();
-            
-            // Update conflict with resolution
-            await conflictRef.update({
-                resolved: true,
-                resolutionData,
-                resolvedAt: new Date(),
-                resolvedBy: resolutionData.resolvedBy
+            const applied = document.replica.applyOperations(operations);
+            if (applied.length > 0) {
+                this.documentChanged(sessionId, document.replica, applied);
+            }
+        });
+    }
+    
+    /**
+     * Refresh the cached session and tell document observers
+     */
+    documentChanged(sessionId, replica, operations, userId = null) {
+        const activityData = replica.toActivityData();
+        activityData.version = replica.applied.size;
+        if (userId) {
+            activityData.lastModifiedBy = userId;
+            activityData.lastModifiedAt = new Date();
+        }
+        
+        if (this.activeSessions.has(sessionId)) {
+            this.activeSessions.set(sessionId, {
+                ...this.activeSessions.get(sessionId),
+                activityData,
+                updatedAt: new Date()
             });
-            
-            // Remove from local tracking
-            if (this.editConflicts.has(conflict.sessionId)) {
-                const conflicts = this.editConflicts.get(conflict.sessionId);
-                const index = conflicts.findIndex(c => c.id === conflictId);
-                if (index !== -1) {
-                    conflicts.splice(index, 1);
-                }
+        }
+        
+        (this.documentObservers.get(sessionId) || []).forEach(callback => {
+            try {
+                callback(activityData, operations);
+            } catch (error) {
+                console.error('Error in document observer:', error);
             }
-            
-            // Apply resolution to session if needed
-            if (resolutionData.applyToSession) {
-                await this.updateActivityData(
-                    conflict.sessionId, 
-                    resolutionData.resolvedBy, 
-                    resolutionData.resolvedUpdate, 
-                    { mergeStrategy: 'merge' }
-                );
+        });
+    }
+    
+    /**
+     * Listen for changes to a session's activity, local or remote
+     * @param {Function} callback - (activityData, operations)
+     */
+    addDocumentObserver(sessionId, callback) {
+        if (!this.documentObservers.has(sessionId)) {
+            this.documentObservers.set(sessionId, []);
+        }
+        this.documentObservers.get(sessionId).push(callback);
+    }
+    
+    removeDocumentObserver(sessionId, callback) {
+        const observers = this.documentObservers.get(sessionId) || [];
+        const index = observers.indexOf(callback);
+        if (index > -1) {
+            observers.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Tell the other editors what this user is editing
+     * @param {Object|null} target - { path, itemId, field }, e.g. { path: ['questions'], itemId, field: 'question' }; null when nothing is focused
+     */
+    async updatePresence(sessionId, userId, target) {
+        const document = await this.openDocument(sessionId, userId);
+        document.presence = target ? {
+            userId,
+            username: await this.getUsername(userId),
+            path: target.path || null,
+            itemId: target.itemId || null,
+            field: target.field || null,
+            updatedAt: Date.now()
+        } : null;
+        
+        await this.transport.setPresence(sessionId, userId, document.presence);
+        this.receivePresence(sessionId, [
+            ...this.getSessionPresence(sessionId).filter(entry => entry.userId !== userId),
+            ...(document.presence ? [document.presence] : [])
+        ]);
+    }
+    
+    /**
+     * Store the presence list the transport reported and tell presence observers
+     */
+    receivePresence(sessionId, entries) {
+        this.presenceTracking.set(sessionId, new Map(entries.map(entry => [entry.userId, entry])));
+        
+        const presence = this.getSessionPresence(sessionId);
+        (this.presenceObservers.get(sessionId) || []).forEach(callback => {
+            try {
+                callback(presence);
+            } catch (error) {
+                console.error('Error in presence observer:', error);
             }
-            
-            console.log(`Conflict ${conflictId} resolved`);
-            
-            return {
-                success: true,
-                message: 'Conflict resolved successfully'
-            };
-        } catch (error) {
-            console.error('Error resolving conflict:', error);
-            throw error;
+        });
+    }
+    
+    /**
+     * Who is editing what; entries not refreshed within PRESENCE_TIMEOUT are left out
+     */
+    getSessionPresence(sessionId) {
+        const entries = this.presenceTracking.get(sessionId);
+        if (!entries) return [];
+        
+        const cutoff = Date.now() - MultiUserCollaborationService.PRESENCE_TIMEOUT;
+        return [...entries.values()].filter(entry => entry.updatedAt >= cutoff);
+    }
+    
+    /**
+     * Editors currently working on one list item (for showing their cursors)
+     */
+    getItemEditors(sessionId, path, itemId) {
+        const pathKey = ActivityCRDT.pathKey(path);
+        return this.getSessionPresence(sessionId).filter(entry =>
+            entry.itemId === itemId && entry.path && ActivityCRDT.pathKey(entry.path) === pathKey
+        );
+    }
+    
+    /**
+     * Listen for presence changes
+     * @param {Function} callback - (presence entries)
+     */
+    addPresenceObserver(sessionId, callback) {
+        if (!this.presenceObservers.has(sessionId)) {
+            this.presenceObservers.set(sessionId, []);
+        }
+        this.presenceObservers.get(sessionId).push(callback);
+    }
+    
+    removePresenceObserver(sessionId, callback) {
+        const observers = this.presenceObservers.get(sessionId) || [];
+        const index = observers.indexOf(callback);
+        if (index > -1) {
+            observers.splice(index, 1);
         }
     }
     
@@ -538,10 +618,10 @@ class MultiUserCollaborationService {
             }
             
             // Get from Firestore
-            const sessionRef = this.firebaseService.firestore.collection('collaboration_sessions').doc(sessionId);
-            const sessionDoc = await sessionRef.get();
+            const { doc, getDoc } = await import(FIRESTORE_MODULE);
+            const sessionDoc = await getDoc(doc(this.firebaseService.firestore, 'collaboration_sessions', sessionId));
             
-            if (!sessionDoc.exists) {
+            if (!sessionDoc.exists()) {
                 throw new Error('Session not found');
             }
             
@@ -563,10 +643,11 @@ class MultiUserCollaborationService {
     async getUserSessions(userId) {
         try {
             // Query for sessions where user is a participant
-            const sessionsSnapshot = await this.firebaseService.firestore
-                .collection('collaboration_sessions')
-                .where('isActive', '==', true)
-                .get();
+            const { collection, query, where, getDocs } = await import(FIRESTORE_MODULE);
+            const sessionsSnapshot = await getDocs(query(
+                collection(this.firebaseService.firestore, 'collaboration_sessions'),
+                where('isActive', '==', true)
+            ));
             
             const userSessions = [];
             
@@ -624,10 +705,10 @@ class MultiUserCollaborationService {
      */
     async getUsername(userId) {
         try {
-            const userRef = this.firebaseService.firestore.collection('users').doc(userId);
-            const userDoc = await userRef.get();
+            const { doc, getDoc } = await import(FIRESTORE_MODULE);
+            const userDoc = await getDoc(doc(this.firebaseService.firestore, 'users', userId));
             
-            if (userDoc.exists) {
+            if (userDoc.exists()) {
                 return userDoc.data().displayName || userDoc.data().email || userId;
             }
             
@@ -686,8 +767,8 @@ class MultiUserCollaborationService {
             }
             
             // Update user role in session
-            const sessionRef = this.firebaseService.firestore.collection('collaboration_sessions').doc(sessionId);
-            await sessionRef.update({
+            const { doc, updateDoc } = await import(FIRESTORE_MODULE);
+            await updateDoc(doc(this.firebaseService.firestore, 'collaboration_sessions', sessionId), {
                 [`participants.${targetUserId}.role`]: newRole,
                 [`participants.${targetUserId}.permissions`]: this.getPermissionsForRole(newRole)
             });
@@ -772,8 +853,8 @@ class MultiUserCollaborationService {
             }
             
             // Update session as inactive
-            const sessionRef = this.firebaseService.firestore.collection('collaboration_sessions').doc(sessionId);
-            await sessionRef.update({
+            const { doc, updateDoc } = await import(FIRESTORE_MODULE);
+            await updateDoc(doc(this.firebaseService.firestore, 'collaboration_sessions', sessionId), {
                 isActive: false,
                 endedAt: new Date(),
                 endedBy: userId
@@ -795,6 +876,11 @@ class MultiUserCollaborationService {
                     this.userConnections.delete(connKey);
                 }
             }
+            for (const document of [...this.openDocuments.values()]) {
+                if (document.sessionId === sessionId) {
+                    await this.closeDocument(sessionId, document.userId);
+                }
+            }
             
             console.log(`Session ${sessionId} ended by user ${userId}`);
             
@@ -819,13 +905,12 @@ class MultiUserCollaborationService {
                 direction = 'desc'
             } = options;
             
-            const chatSnapshot = await this.firebaseService.firestore
-                .collection('collaboration_sessions')
-                .doc(sessionId)
-                .collection('chat')
-                .orderBy(orderBy, direction)
-                .limit(limit)
-                .get();
+            const { collection, query, orderBy: orderByField, limit: limitTo, getDocs } = await import(FIRESTORE_MODULE);
+            const chatSnapshot = await getDocs(query(
+                collection(this.firebaseService.firestore, 'collaboration_sessions', sessionId, 'chat'),
+                orderByField(orderBy, direction),
+                limitTo(limit)
+            ));
             
             const messages = [];
             chatSnapshot.forEach(doc => {
@@ -891,10 +976,18 @@ class MultiUserCollaborationService {
      * Set up real-time presence tracking
      */
     setupPresenceTracking() {
-        // In a real implementation, this would use Firestore's real-time capabilities
-        // or a real-time database to track user presence
+        // Refresh our presence so others don't time it out while we stay on an item
+        if (!this.presenceTimer) {
+            this.presenceTimer = setInterval(() => {
+                this.openDocuments.forEach(document => {
+                    if (!document.presence) return;
+                    document.presence = { ...document.presence, updatedAt: Date.now() };
+                    this.transport.setPresence(document.sessionId, document.userId, document.presence)
+                        .catch(error => console.warn('Error refreshing presence:', error));
+                });
+            }, MultiUserCollaborationService.PRESENCE_HEARTBEAT);
+        }
         
-        // For now, we'll just log that presence tracking is set up
         console.log('Presence tracking initialized');
     }
     
@@ -909,34 +1002,6 @@ class MultiUserCollaborationService {
         console.log('Message handling initialized');
     }
     
-    /**
-     * Deep merge two objects
-     */
-    deepMerge(target, source) {
-        const output = { ...target };
-        if (this.isObject(target) && this.isObject(source)) {
-            Object.keys(source).forEach(key => {
-                if (this.isObject(source[key])) {
-                    if (!(key in target)) {
-                        Object.assign(output, { [key]: source[key] });
-                    } else {
-                        output[key] = this.deepMerge(target[key], source[key]);
-                    }
-                } else {
-                    Object.assign(output, { [key]: source[key] });
-                }
-            });
-        }
-        return output;
-    }
-    
-    /**
-     * Check if value is an object
-     */
-    isObject(item) {
-        return (item && typeof item === 'object' && !Array.isArray(item) && item !== null);
-    }
-    
     /**
      * Get active sessions count
      */
@@ -953,13 +1018,6 @@ class MultiUserCollaborationService {
             this.userConnections.get(connKey) : null;
     }
     
-    /**
-     * Get all conflicts for a session
-     */
-    getSessionConflicts(sessionId) {
-        return this.editConflicts.get(sessionId) || [];
-    }
-    
     /**
      * Get collaboration statistics
      */
@@ -988,6 +1046,19 @@ class MultiUserCollaborationService {
      * Cleanup the collaboration service
      */
     cleanup() {
+        // Stop co-editing everything that is open
+        this.openDocuments.forEach(document => {
+            document.unsubscribe();
+            if (document.presence) {
+                this.transport.setPresence(document.sessionId, document.userId, null)
+                    .catch(error => console.warn('Error clearing presence:', error));
+            }
+        });
+        if (this.presenceTimer) {
+            clearInterval(this.presenceTimer);
+            this.presenceTimer = null;
+        }
+        
         // Clear all caches
         this.activeSessions.clear();
         this.userConnections.clear();
@@ -995,7 +1066,10 @@ class MultiUserCollaborationService {
         this.userPermissions.clear();
         this.presenceTracking.clear();
         this.messageQueues.clear();
-        this.editConflicts.clear();
+        this.documents.clear();
+        this.openDocuments.clear();
+        this.documentObservers.clear();
+        this.presenceObservers.clear();
         
         console.log('Collaboration service cleaned up');
     }
@@ -1069,17 +1143,19 @@ class MultiUserCollaborationService {
                 };
                 
                 // Save to Firestore
-                const sessionRef = this.firebaseService.firestore.collection('collaboration_sessions').doc(newSessionId);
-                await sessionRef.set(cleanSessionData);
+                const { doc, collection, setDoc } = await import(FIRESTORE_MODULE);
+                await setDoc(doc(this.firebaseService.firestore, 'collaboration_sessions', newSessionId), cleanSessionData);
+                
+                // The imported activity starts a new shared document
+                await this.transport.createDocument(
+                    newSessionId,
+                    ActivityCRDT.fromActivityData(cleanSessionData.activityData || {}, cleanSessionData.hostUserId)
+                );
                 
                 // If preserving history, import chat messages
                 if (preserveHistory && sessionData.chat) {
                     for (const message of sessionData.chat) {
-                        const msgRef = this.firebaseService.firestore.collection('collaboration_sessions')
-                            .doc(newSessionId)
-                            .collection('chat')
-                            .doc();
-                        await msgRef.set(message);
+                        await setDoc(doc(collection(this.firebaseService.firestore, 'collaboration_sessions', newSessionId, 'chat')), message);
                     }
                 }
                 
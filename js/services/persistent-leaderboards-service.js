@@ -5,6 +5,8 @@
  * in the educational platform.
  */
 
+const FIRESTORE_MODULE = 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+
 class PersistentLeaderboardsService {
     constructor(firebaseService) {
         this.firebaseService = firebaseService;
@@ -47,7 +49,8 @@ class PersistentLeaderboardsService {
             const {
                 leaderboardType = 'gamearena',
                 metadata = {},
-                timestamp = new Date()
+                timestamp = new Date(),
+                scoreId = null // Keeps one entry per player, updated in place (live games)
             } = options;
             
             // Validate inputs
@@ -66,12 +69,11 @@ class PersistentLeaderboardsService {
             };
             
             // Save to Firestore
-            const scoresRef = this.firebaseService.firestore.collection('leaderboards')
-                .doc(leaderboardType)
-                .collection('scores')
-                .doc(); // Auto-generated ID
+            const { doc, collection, setDoc } = await import(FIRESTORE_MODULE);
+            const scoresCollection = collection(this.firebaseService.firestore, 'leaderboards', leaderboardType, 'scores');
+            const scoresRef = scoreId ? doc(scoresCollection, scoreId) : doc(scoresCollection); // Auto-generated ID
             
-            await scoresRef.set(scoreEntry);
+            await setDoc(scoresRef, scoreEntry);
             
             // Update local cache
             await this.updateLocalCache(leaderboardType);
@@ -110,25 +112,23 @@ class PersistentLeaderboardsService {
             }
             
             // Query Firestore for scores
-            let query = this.firebaseService.firestore.collection('leaderboards')
-                .doc(leaderboardType)
-                .collection('scores');
+            const { collection, query, where, orderBy, limit: limitTo, getDocs } = await import(FIRESTORE_MODULE);
+            const constraints = [];
             
             // Apply timeframe filter if specified
             if (timeframe !== 'all_time') {
                 const cutoffDate = this.getTimeframeCutoff(timeframe);
-                query = query.where('timestamp', '>=', cutoffDate);
+                constraints.push(where('timestamp', '>=', cutoffDate));
             }
             
-            // Order by score descending and limit results
-            query = query.orderBy('score', 'desc')
-                        .limit(limit)
-                        .offset(offset);
+            // Order by score descending and limit results. The modular API has no
+            // offset(), so fetch through the end of the page and skip the rest.
+            constraints.push(orderBy('score', 'desc'), limitTo(offset + limit));
             
-            const snapshot = await query.get();
+            const snapshot = await getDocs(query(collection(this.firebaseService.firestore, 'leaderboards', leaderboardType, 'scores'), ...constraints));
             
             const scores = [];
-            snapshot.forEach(doc => {
+            snapshot.docs.slice(offset).forEach(doc => {
                 const data = doc.data();
                 scores.push({
                     id: doc.id,
@@ -146,7 +146,7 @@ class PersistentLeaderboardsService {
             const result = {
                 leaderboardType,
                 timeframe,
-                totalEntries: snapshot.size,
+                totalEntries: scores.length,
                 entries: rankedScores,
                 lastUpdated: new Date()
             };
@@ -187,17 +187,17 @@ class PersistentLeaderboardsService {
             }
             
             // Get all scores for the leaderboard and timeframe
-            let query = this.firebaseService.firestore.collection('leaderboards')
-                .doc(leaderboardType)
-                .collection('scores');
+            const { collection, query, where, orderBy, getDocs } = await import(FIRESTORE_MODULE);
+            const constraints = [];
             
             if (timeframe !== 'all_time') {
                 const cutoffDate = this.getTimeframeCutoff(timeframe);
-                query = query.where('timestamp', '>=', cutoffDate);
+                constraints.push(where('timestamp', '>=', cutoffDate));
             }
             
             // Get all scores ordered by score descending
-            const allScoresQuery = await query.orderBy('score', 'desc').get();
+            constraints.push(orderBy('score', 'desc'));
+            const allScoresQuery = await getDocs(query(collection(this.firebaseService.firestore, 'leaderboards', leaderboardType, 'scores'), ...constraints));
             
             // Find user's rank
             let rank = -1;
@@ -252,16 +252,16 @@ class PersistentLeaderboardsService {
         try {
             const cutoffDate = this.getTimeframeCutoff(timeframe);
             
-            const query = await this.firebaseService.firestore.collection('leaderboards')
-                .doc(leaderboardType)
-                .collection('scores')
-                .where('timestamp', '>=', cutoffDate)
-                .orderBy('score', 'desc')
-                .limit(limit)
-                .get();
+            const { collection, query, where, orderBy, limit: limitTo, getDocs } = await import(FIRESTORE_MODULE);
+            const snapshot = await getDocs(query(
+                collection(this.firebaseService.firestore, 'leaderboards', leaderboardType, 'scores'),
+                where('timestamp', '>=', cutoffDate),
+                orderBy('score', 'desc'),
+                limitTo(limit)
+            ));
             
             const performers = [];
-            query.forEach(doc => {
+            snapshot.forEach(doc => {
                 const data = doc.data();
                 performers.push({
                     id: doc.id,
@@ -285,21 +285,19 @@ class PersistentLeaderboardsService {
      */
     async getUserRecentScores(userId, leaderboardType = null, limit = 10) {
         try {
-            let query = this.firebaseService.firestore.collection('leaderboards');
-            
-            if (leaderboardType) {
-                query = query.doc(leaderboardType).collection('scores');
-            } else {
+            if (!leaderboardType) {
                 // If no specific leaderboard, get from all leaderboards
                 // This would require a more complex query in a real implementation
                 throw new Error('Specific leaderboard type required for this implementation');
             }
             
-            query = query.where('userId', '==', userId)
-                        .orderBy('timestamp', 'desc')
-                        .limit(limit);
-            
-            const snapshot = await query.get();
+            const { collection, query, where, orderBy, limit: limitTo, getDocs } = await import(FIRESTORE_MODULE);
+            const snapshot = await getDocs(query(
+                collection(this.firebaseService.firestore, 'leaderboards', leaderboardType, 'scores'),
+                where('userId', '==', userId),
+                orderBy('timestamp', 'desc'),
+                limitTo(limit)
+            ));
             
             const scores = [];
             snapshot.forEach(doc => {
@@ -329,18 +327,18 @@ class PersistentLeaderboardsService {
         
         try {
             // Create a real-time listener
-            let query = this.firebaseService.firestore.collection('leaderboards')
-                .doc(leaderboardType)
-                .collection('scores');
+            const { collection, query, where, orderBy, limit: limitTo, onSnapshot } = await import(FIRESTORE_MODULE);
+            const constraints = [];
             
             if (timeframe !== 'all_time') {
                 const cutoffDate = this.getTimeframeCutoff(timeframe);
-                query = query.where('timestamp', '>=', cutoffDate);
+                constraints.push(where('timestamp', '>=', cutoffDate));
             }
             
-            query = query.orderBy('score', 'desc').limit(limit);
+            constraints.push(orderBy('score', 'desc'), limitTo(limit));
             
-            const unsubscribe = query.onSnapshot(snapshot => {
+            const scoresQuery = query(collection(this.firebaseService.firestore, 'leaderboards', leaderboardType, 'scores'), ...constraints);
+            const unsubscribe = onSnapshot(scoresQuery, snapshot => {
                 const scores = [];
                 snapshot.forEach(doc => {
                     const data = doc.data();
@@ -366,7 +364,7 @@ class PersistentLeaderboardsService {
             });
             
             // Store unsubscribe function
-            const subscriberId = `${leaderboardType}_${Date.now()}`;
+            const subscriberId = `${leaderboardType}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
             this.subscribers.set(subscriberId, {
                 unsubscribe,
                 callback,
@@ -400,16 +398,15 @@ class PersistentLeaderboardsService {
         try {
             const cutoffDate = this.getTimeframeCutoff(timeframe);
             
-            let query = this.firebaseService.firestore.collection('leaderboards')
-                .doc(leaderboardType)
-                .collection('scores')
-                .where('timestamp', '>=', cutoffDate);
+            const { collection, query, where, orderBy, getDocs } = await import(FIRESTORE_MODULE);
+            const constraints = [where('timestamp', '>=', cutoffDate)];
             
             if (userId) {
-                query = query.where('userId', '==', userId);
+                constraints.push(where('userId', '==', userId));
             }
             
-            const snapshot = await query.orderBy('timestamp', 'asc').get();
+            constraints.push(orderBy('timestamp', 'asc'));
+            const snapshot = await getDocs(query(collection(this.firebaseService.firestore, 'leaderboards', leaderboardType, 'scores'), ...constraints));
             
             const trends = [];
             snapshot.forEach(doc => {
@@ -590,16 +587,15 @@ class PersistentLeaderboardsService {
      */
     async calculatePercentileRank(leaderboardType, score, timeframe = 'all_time') {
         try {
-            let query = this.firebaseService.firestore.collection('leaderboards')
-                .doc(leaderboardType)
-                .collection('scores');
+            const { collection, query, where, getDocs } = await import(FIRESTORE_MODULE);
+            const constraints = [];
             
             if (timeframe !== 'all_time') {
                 const cutoffDate = this.getTimeframeCutoff(timeframe);
-                query = query.where('timestamp', '>=', cutoffDate);
+                constraints.push(where('timestamp', '>=', cutoffDate));
             }
             
-            const allScoresSnapshot = await query.get();
+            const allScoresSnapshot = await getDocs(query(collection(this.firebaseService.firestore, 'leaderboards', leaderboardType, 'scores'), ...constraints));
             const allScores = [];
             
             allScoresSnapshot.forEach(doc => {
@@ -640,17 +636,17 @@ class PersistentLeaderboardsService {
             const endOfSeason = new Date(startOfSeason);
             endOfSeason.setMonth(endOfSeason.getMonth() + 3); // 3-month season
             
-            const query = await this.firebaseService.firestore.collection('leaderboards')
-                .doc(leaderboardType)
-                .collection('scores')
-                .where('timestamp', '>=', startOfSeason)
-                .where('timestamp', '<', endOfSeason)
-                .orderBy('score', 'desc')
-                .limit(50)
-                .get();
+            const { collection, query, where, orderBy, limit, getDocs } = await import(FIRESTORE_MODULE);
+            const snapshot = await getDocs(query(
+                collection(this.firebaseService.firestore, 'leaderboards', leaderboardType, 'scores'),
+                where('timestamp', '>=', startOfSeason),
+                where('timestamp', '<', endOfSeason),
+                orderBy('score', 'desc'),
+                limit(50)
+            ));
             
             const scores = [];
-            query.forEach(doc => {
+            snapshot.forEach(doc => {
                 const data = doc.data();
                 scores.push({
                     id: doc.id,
@@ -692,11 +688,12 @@ class PersistentLeaderboardsService {
             
             if (earnedAchievements.length > 0) {
                 // Save achievements to user profile
-                const userAchievementsRef = this.firebaseService.firestore.collection('users').doc(userId);
+                const { doc, updateDoc, setDoc, arrayUnion } = await import(FIRESTORE_MODULE);
+                const userAchievementsRef = doc(this.firebaseService.firestore, 'users', userId);
                 
                 // Add achievements to user profile
-                await userAchievementsRef.update({
-                    [`achievements.${leaderboardType}`]: this.firebaseService.firestore.FieldValue.arrayUnion(
+                await updateDoc(userAchievementsRef, {
+                    [`achievements.${leaderboardType}`]: arrayUnion(
                         ...earnedAchievements.map(a => ({
                             name: a.name,
                             badge: a.badge,
@@ -706,13 +703,16 @@ class PersistentLeaderboardsService {
                     )
                 }).catch(async () => {
                     // If the field doesn't exist, create it
-                    await userAchievementsRef.set({
-                        [`achievements.${leaderboardType}`]: earnedAchievements.map(a => ({
-                            name: a.name,
-                            badge: a.badge,
-                            earnedAt: new Date(),
-                            rank: currentRank
-                        }))
+                    // (setDoc takes nested objects, not dotted field paths)
+                    await setDoc(userAchievementsRef, {
+                        achievements: {
+                            [leaderboardType]: earnedAchievements.map(a => ({
+                                name: a.name,
+                                badge: a.badge,
+                                earnedAt: new Date(),
+                                rank: currentRank
+                            }))
+                        }
                     }, { merge: true });
                 });
                 
@@ -731,10 +731,10 @@ class PersistentLeaderboardsService {
      */
     async getUserAchievements(userId, leaderboardType = null) {
         try {
-            const userRef = this.firebaseService.firestore.collection('users').doc(userId);
-            const userDoc = await userRef.get();
+            const { doc, getDoc } = await import(FIRESTORE_MODULE);
+            const userDoc = await getDoc(doc(this.firebaseService.firestore, 'users', userId));
             
-            if (!userDoc.exists) {
+            if (!userDoc.exists()) {
                 return [];
             }
             
@@ -785,16 +785,15 @@ class PersistentLeaderboardsService {
      */
     async getLeaderboardStats(leaderboardType, timeframe = 'all_time') {
         try {
-            let query = this.firebaseService.firestore.collection('leaderboards')
-                .doc(leaderboardType)
-                .collection('scores');
+            const { collection, query, where, getDocs } = await import(FIRESTORE_MODULE);
+            const constraints = [];
             
             if (timeframe !== 'all_time') {
                 const cutoffDate = this.getTimeframeCutoff(timeframe);
-                query = query.where('timestamp', '>=', cutoffDate);
+                constraints.push(where('timestamp', '>=', cutoffDate));
             }
             
-            const snapshot = await query.get();
+            const snapshot = await getDocs(query(collection(this.firebaseService.firestore, 'leaderboards', leaderboardType, 'scores'), ...constraints));
             
             if (snapshot.empty) {
                 return {
@@ -898,16 +897,16 @@ class PersistentLeaderboardsService {
                 includeMetadata = true
             } = options;
             
-            const allScoresQuery = await this.firebaseService.firestore.collection('leaderboards')
-                .doc(leaderboardType)
-                .collection('scores');
+            const { collection, query, where, orderBy, getDocs } = await import(FIRESTORE_MODULE);
+            const constraints = [];
             
             if (timeframe !== 'all_time') {
                 const cutoffDate = this.getTimeframeCutoff(timeframe);
-                allScoresQuery.where('timestamp', '>=', cutoffDate);
+                constraints.push(where('timestamp', '>=', cutoffDate));
             }
             
-            const snapshot = await allScoresQuery.orderBy('score', 'desc').get();
+            constraints.push(orderBy('score', 'desc'));
+            const snapshot = await getDocs(query(collection(this.firebaseService.firestore, 'leaderboards', leaderboardType, 'scores'), ...constraints));
             
             const scores = [];
             snapshot.forEach(doc => {
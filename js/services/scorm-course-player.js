@@ -0,0 +1,484 @@
+/**
+ * SCORM Course Player
+ *
+ * Plays an uploaded package in the SCORM viewer (renderSCORMViewerPlayMode in
+ * index.html). A SCORM package is played one SCO at a time under SCORMSequencer,
+ * with SCORMRuntimeAPI as the LMS the SCOs report to, and picks up where the
+ * learner left off. A cmi5 course lists its AUs and launches them through
+ * Cmi5LaunchService, one registration per learner and course, and reads their
+ * results back from the LRS. The viewer draws the contents and the frame; the
+ * player keeps the state and calls onChange whenever there is something new to show.
+ */
+
+import SCORMSequencer from './scorm-sequencing-service.js';
+import SCORMRuntimeAPI from './scorm-runtime-api.js';
+import Cmi5LaunchService from './cmi5-launch-service.js';
+import XAPIService from './xapi-service.js';
+
+class SCORMCoursePlayer {
+    /**
+     * @param {Object} options - {
+     *   format: 'scorm' or 'cmi5',
+     *   structure: the parsed imsmanifest.xml (SCORMManifestParser.parseManifest)
+     *     or cmi5.xml (SCORMManifestParser.parseCourseStructure),
+     *   baseUrl: URL of that file, which launch URLs are relative to,
+     *   frame: the iframe units play in,
+     *   learner: { id, name } for SCORM's cmi.learner_id and cmi.learner_name,
+     *   storageKey: where a SCORM learner's progress is kept,
+     *   xapiService: XAPIService set up with the LRS and the learner, for cmi5,
+     *   storage: where progress and registrations are kept (localStorage by default),
+     *   win: the window SCOs look for the API in (the frame's parent),
+     *   openWindow(url): opens an AU that asks for a window of its own,
+     *   onChange(player): statuses, the current unit or the message changed,
+     *   onComplete(status, seconds): the SCORM course was completed; status is the
+     *     sequencer's course status and seconds the time spent in all its SCOs }
+     */
+    constructor({ format = 'scorm', structure, baseUrl, frame = null, learner = {}, storageKey = null, xapiService = null,
+        storage = null, win = null, openWindow = null, onChange = null, onComplete = null }) {
+        this.format = format;
+        this.structure = structure;
+        this.baseUrl = baseUrl;
+        this.frame = frame;
+        this.xapiService = xapiService;
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.openWindow = openWindow || (url => window.open(url, '_blank'));
+        this.onChange = onChange;
+        this.onComplete = onComplete;
+        this.message = '';
+        this.learner = learner;
+        this.storageKey = storageKey;
+        this.win = win || (typeof window !== 'undefined' ? window : null);
+        this.sequencer = null;
+        this.runtimeAPI = null;
+        this.scoData = {};
+        this.launchedScoId = null;
+        this.completionReported = false;
+        this.cmi5Service = xapiService ? new Cmi5LaunchService(xapiService) : null;
+        this.auStatuses = {};
+        this.currentIndex = null;
+        this.courseSatisfied = false;
+        this.timers = [];
+    }
+
+    /**
+     * Show the course where the learner left off
+     */
+    async start() {
+        if (this.format === 'cmi5') {
+            await this.startCmi5();
+        } else {
+            await this.startScorm();
+        }
+    }
+
+    /**
+     * Stop watching windows and frames; call before the viewer is replaced
+     */
+    destroy() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        if (this.frame && this.frameListener) {
+            this.frame.removeEventListener('load', this.frameListener);
+        }
+        if (this.runtimeAPI) {
+            // Let the open SCO save before it loses the API
+            if (this.runtimeAPI.state === 'initialized') this.runtimeAPI.finish('');
+            this.runtimeAPI.uninstall(this.win);
+        }
+        this.onChange = null;
+        this.onComplete = null;
+    }
+
+    /**
+     * Launch the current unit again
+     */
+    relaunch() {
+        if (this.format === 'cmi5' && this.currentIndex !== null) {
+            return this.launchUnit(this.currentIndex);
+        }
+        if (this.sequencer && this.launchedScoId) {
+            return this.launchSCO(this.launchedScoId);
+        }
+        return null;
+    }
+
+    setMessage(message) {
+        this.message = message;
+        this.changed();
+    }
+
+    changed() {
+        if (this.onChange) this.onChange(this);
+    }
+
+    // ===== SCORM =====
+
+    /**
+     * Build the activity tree, put the SCORM API where SCOs look for it, and
+     * resume where the learner left off
+     */
+    async startScorm() {
+        try {
+            this.sequencer = new SCORMSequencer(this.structure, { baseUrl: this.baseUrl });
+        } catch (error) {
+            console.error('Failed to read the package organization:', error);
+            this.setMessage('Package error: ' + error.message);
+            return;
+        }
+
+        const saved = this.loadSequencingState();
+        this.sequencer.restoreState(saved.sequencer);
+        this.scoData = saved.scos || {};
+        // Progress saved before a reload shouldn't count as finishing the course again
+        this.completionReported = this.sequencer.getCourseStatus().completion === 'completed';
+
+        this.runtimeAPI = new SCORMRuntimeAPI({
+            version: this.sequencer.version,
+            learner: this.learner,
+            onCommit: (scoId, tracking, savedData) => this.recordSCOData(scoId, tracking, savedData),
+            onTerminate: (scoId, tracking, savedData, navRequest) => this.handleSCOExit(scoId, navRequest),
+            isNavigationValid: request => this.isNavigationValid(request)
+        });
+        this.runtimeAPI.install(this.win);
+
+        const start = this.sequencer.getNode(this.sequencer.currentId) || this.sequencer.getStartTarget();
+        if (start) {
+            await this.launchSCO(start.id);
+        } else {
+            this.setMessage('Choose a unit to start');
+        }
+    }
+
+    /**
+     * Whether the package has a single SCO, which needs no contents or Previous/Next
+     */
+    isSingleUnit() {
+        return !!this.sequencer && this.sequencer.leaves.length === 1;
+    }
+
+    /**
+     * Sequencing state and each SCO's saved data from earlier visits
+     */
+    loadSequencingState() {
+        if (!this.storageKey || !this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveSequencingState() {
+        if (!this.storageKey || !this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                sequencer: this.sequencer.getState(),
+                scos: this.scoData
+            }));
+        } catch (error) {
+            console.warn('Could not save SCORM progress:', error);
+        }
+    }
+
+    /**
+     * Launch a SCO (or asset) in the frame with a fresh data model
+     */
+    async launchSCO(id) {
+        const sco = this.sequencer.getNode(id);
+        if (!sco || !sco.href) return;
+
+        // Unload the open SCO first so its unload handler can finish its session
+        if (this.runtimeAPI.state === 'initialized' && this.frame) {
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, 2000);
+                this.frame.addEventListener('load', () => {
+                    clearTimeout(timer);
+                    resolve();
+                }, { once: true });
+                this.frame.src = 'about:blank';
+            });
+        }
+
+        this.runtimeAPI.prepare(sco, this.scoData[id] || null);
+        this.sequencer.currentId = id;
+        this.launchedScoId = id;
+
+        // Assets never talk to the API; opening one is all there is to it
+        if (sco.scormType === 'asset') {
+            this.sequencer.setStatus(id, { completion: 'completed' });
+        }
+
+        if (this.frame) {
+            this.frame.src = sco.href;
+        }
+        this.message = sco.title;
+        this.saveSequencingState();
+        this.checkCompletion();
+        this.changed();
+    }
+
+    /**
+     * Keep what a SCO committed and roll it up through the course
+     */
+    recordSCOData(scoId, tracking, savedData) {
+        if (!this.sequencer) return;
+        this.sequencer.setStatus(scoId, tracking);
+        this.scoData[scoId] = savedData;
+        this.saveSequencingState();
+        this.checkCompletion();
+        this.changed();
+    }
+
+    /**
+     * Tell the viewer once when the whole course has been completed
+     */
+    checkCompletion() {
+        const status = this.sequencer.getCourseStatus();
+        if (status.completion === 'completed' && !this.completionReported) {
+            this.completionReported = true;
+            const seconds = Object.values(this.scoData).reduce((sum, saved) => sum + (saved.totalSeconds || 0), 0);
+            if (this.onComplete) this.onComplete(status, seconds);
+        }
+    }
+
+    /**
+     * Act on the navigation request a SCO made when it finished (SCORM 2004 adl.nav.request)
+     */
+    handleSCOExit(scoId, navRequest) {
+        // A SCO finished because another was launched: nothing more to do
+        if (scoId !== this.launchedScoId) return;
+
+        const choice = /^\{target=([^}]+)\}choice$/.exec(navRequest || '');
+        if (navRequest === 'continue') {
+            this.navigate(1);
+        } else if (navRequest === 'previous') {
+            this.navigate(-1);
+        } else if (choice) {
+            this.choose(choice[1]);
+        } else if (['exit', 'exitAll', 'suspendAll', 'abandon', 'abandonAll'].includes(navRequest)) {
+            if (this.frame) this.frame.src = 'about:blank';
+            this.setMessage(navRequest === 'suspendAll' ? 'Course suspended' : 'Unit closed');
+        }
+    }
+
+    /**
+     * Go to the next (1) or previous (-1) unit, if sequencing allows it
+     */
+    navigate(direction) {
+        const result = direction > 0 ? this.sequencer.getNext() : this.sequencer.getPrevious();
+        if (result.target) {
+            return this.launchSCO(result.target.id);
+        }
+        this.setMessage(result.reason);
+        return null;
+    }
+
+    /**
+     * Launch a unit chosen from the contents, if sequencing allows it
+     */
+    choose(id) {
+        const check = this.sequencer.checkChoice(id);
+        if (check.allowed) {
+            return this.launchSCO(id);
+        }
+        this.setMessage(check.reason);
+        return null;
+    }
+
+    /**
+     * Answers adl.nav.request_valid.* for the SCO in the frame
+     */
+    isNavigationValid(request) {
+        if (request === 'continue') return !!this.sequencer.getNext().target;
+        if (request === 'previous') return !!this.sequencer.getPrevious().target;
+        const choice = /^\{target=([^}]+)\}choice$/.exec(request);
+        return choice ? this.sequencer.checkChoice(choice[1]).allowed : false;
+    }
+
+    /**
+     * Contents entries (SCORMSequencer.getTableOfContents)
+     */
+    getTableOfContents() {
+        return this.sequencer ? this.sequencer.getTableOfContents() : [];
+    }
+
+    /**
+     * Whether Previous and Next can be used now, and why not
+     * @returns {Object} { previous: { allowed, reason }, next: { allowed, reason } }
+     */
+    getNavigation() {
+        const describe = result => ({ allowed: !!result.target, reason: result.reason || '' });
+        return {
+            previous: describe(this.sequencer.getPrevious()),
+            next: describe(this.sequencer.getNext())
+        };
+    }
+
+    // ===== cmi5 =====
+
+    canLaunchCmi5() {
+        return !!this.cmi5Service && !!this.xapiService.options.endpoint;
+    }
+
+    async startCmi5() {
+        this.message = this.canLaunchCmi5() ? 'Choose a unit to start' : 'Set up a Learning Record Store to launch cmi5 content';
+
+        // An AU that exits sends the frame to its returnURL (about:blank): read its results back
+        if (this.frame) {
+            this.frameListener = () => {
+                let returned = false;
+                try {
+                    returned = this.frame.contentWindow.location.href === 'about:blank';
+                } catch (error) {
+                    // Still on the AU's own origin
+                }
+                if (returned && this.currentIndex !== null) {
+                    this.message = 'Unit closed';
+                    this.refreshCmi5Status();
+                }
+            };
+            this.frame.addEventListener('load', this.frameListener);
+        }
+
+        this.changed();
+        await this.refreshCmi5Status();
+    }
+
+    /**
+     * The learner's registration for this course, kept so every launch adds to the same attempt
+     */
+    getCmi5Registration() {
+        const actor = this.cmi5Service.getLaunchActor();
+        const key = `cmi5Registration:${this.structure.id}:${actor.account.name}`;
+        try {
+            let registration = this.storage.getItem(key);
+            if (!registration) {
+                registration = XAPIService.uuid();
+                this.storage.setItem(key, registration);
+            }
+            return registration;
+        } catch (error) {
+            // Storage turned off: one registration for as long as the page is open
+            this.cmi5Registration = this.cmi5Registration || XAPIService.uuid();
+            return this.cmi5Registration;
+        }
+    }
+
+    /**
+     * Launch an AU in the frame, or in a window of its own when it asks for one
+     * @returns {Promise<string|null>} The launch URL, or null when it couldn't be launched
+     */
+    async launchUnit(index) {
+        const au = this.structure.aus[index];
+        if (!au) return null;
+        if (!this.canLaunchCmi5()) {
+            this.setMessage('Set up a Learning Record Store to launch cmi5 content');
+            return null;
+        }
+
+        try {
+            this.setMessage('Launching...');
+            const ownWindow = au.launchMethod === 'OwnWindow';
+            const url = await this.cmi5Service.launch(this.structure, au, {
+                baseUrl: this.baseUrl,
+                registration: this.getCmi5Registration(),
+                returnURL: ownWindow ? window.location.href : 'about:blank'
+            });
+            this.currentIndex = index;
+
+            if (ownWindow) {
+                const auWindow = this.openWindow(url);
+                const timer = setInterval(() => {
+                    if (!auWindow || auWindow.closed) {
+                        clearInterval(timer);
+                        this.timers = this.timers.filter(other => other !== timer);
+                        this.refreshCmi5Status();
+                    }
+                }, 1000);
+                this.timers.push(timer);
+                this.setMessage('Unit opened in a new window');
+            } else {
+                if (this.frame) this.frame.src = url;
+                this.setMessage(au.title || 'Unit launched');
+            }
+            return url;
+        } catch (error) {
+            console.error('Failed to launch cmi5 AU:', error);
+            this.setMessage('Launch error: ' + error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Read each AU's results from the LRS and record satisfied blocks and course
+     */
+    async refreshCmi5Status() {
+        if (!this.canLaunchCmi5()) return;
+
+        const course = this.structure;
+        const registration = this.getCmi5Registration();
+        try {
+            const statuses = {};
+            for (const au of course.aus) {
+                statuses[au.id] = await this.cmi5Service.getAUStatus(au, registration);
+            }
+            this.auStatuses = statuses;
+            this.courseSatisfied = await this.cmi5Service.recordSatisfied(course, registration, statuses);
+            this.changed();
+        } catch (error) {
+            console.error('Failed to read cmi5 progress:', error);
+            this.setMessage('Progress error: ' + error.message);
+        }
+    }
+
+    /**
+     * AUs in course order with their status
+     * @returns {Array<Object>} { index, id, title, status, current }
+     */
+    getUnits() {
+        return this.structure.aus.map((au, index) => ({
+            index,
+            id: au.id,
+            title: au.title || au.id,
+            status: SCORMCoursePlayer.describeAUStatus(this.auStatuses[au.id]),
+            current: index === this.currentIndex
+        }));
+    }
+
+    /**
+     * One line about the whole course
+     */
+    getCourseSummary() {
+        if (this.format !== 'cmi5') {
+            if (!this.sequencer) return '';
+            const status = this.sequencer.getCourseStatus();
+            const parts = [status.completion === 'completed' ? 'Course complete' : (status.attempted ? 'In progress' : 'Not started')];
+            if (status.success === 'passed' || status.success === 'failed') {
+                parts.push(status.success === 'passed' ? 'Passed' : 'Failed');
+            }
+            if (status.scaled !== null) {
+                parts.push(`Score ${Math.round(status.scaled * 100)}%`);
+            }
+            return parts.join(' · ');
+        }
+
+        const aus = this.structure.aus;
+        if (this.courseSatisfied) return 'Course complete';
+        const done = aus.filter(au => this.auStatuses[au.id] && this.auStatuses[au.id].satisfied).length;
+        return `${done} of ${aus.length} units done`;
+    }
+
+    /**
+     * Short label for an AU's status
+     */
+    static describeAUStatus(status) {
+        if (!status) return 'Not attempted';
+        if (status.passed) return status.completed ? 'Completed, passed' : 'Passed';
+        if (status.failed) return status.completed ? 'Completed, failed' : 'Failed';
+        if (status.completed) return 'Completed';
+        return 'Not attempted';
+    }
+}
+
+// Export the service
+export default SCORMCoursePlayer;
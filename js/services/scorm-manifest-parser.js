@@ -2,7 +2,8 @@
  * SCORM Manifest Parser
  * 
  * This service parses imsmanifest.xml files to extract SCORM package information
- * and map them to appropriate templates.
+ * and map them to appropriate templates. It also reads cmi5 course structures
+ * (cmi5.xml) for the SCORM viewer to launch.
  */
 
 class SCORMManifestParser {
@@ -32,11 +33,15 @@ class SCORMManifestParser {
             const organizations = this.extractOrganizations(xmlDoc);
             const resources = this.extractResources(xmlDoc);
             
+            const organizationsNode = xmlDoc.getElementsByTagName('organizations')[0];
+            
             return {
                 manifestId: manifest.getAttribute('identifier'),
                 version: manifest.getAttribute('version') || '1.2',
+                scormVersion: this.detectSCORMVersion(metadata, resources),
                 metadata: metadata,
                 organizations: organizations,
+                defaultOrganization: organizationsNode ? organizationsNode.getAttribute('default') : null,
                 resources: resources,
                 isValid: true
             };
@@ -103,6 +108,22 @@ class SCORMManifestParser {
         return metadata;
     }
     
+    /**
+     * SCORM version a package is written for: '2004' or '1.2'
+     */
+    detectSCORMVersion(metadata, resources) {
+        const schemaVersion = (metadata && metadata.schemaVersion || '').toLowerCase();
+        if (schemaVersion.includes('2004') || schemaVersion.includes('cam 1.3')) {
+            return '2004';
+        }
+        if (schemaVersion.includes('1.2')) {
+            return '1.2';
+        }
+        
+        // SCORM 2004 spells the resource attribute adlcp:scormType, SCORM 1.2 adlcp:scormtype
+        return resources.some(resource => resource.scormTypeAttribute === 'scormType') ? '2004' : '1.2';
+    }
+    
     /**
      * Extract organizations from manifest
      */
@@ -112,16 +133,30 @@ class SCORMManifestParser {
             return [];
         }
         
+        // Shared sequencing that items refer to with IDRef
+        const sequencingCollection = {};
+        Array.from(xmlDoc.documentElement.children)
+            .filter(node => node.localName === 'sequencingCollection')
+            .forEach(collection => {
+                Array.from(collection.children).forEach(node => {
+                    if (node.localName === 'sequencing' && node.getAttribute('ID')) {
+                        sequencingCollection[node.getAttribute('ID')] = node;
+                    }
+                });
+            });
+        
         const organizations = [];
         const orgNodes = xmlDoc.getElementsByTagName('organization');
         
         for (let i = 0; i < orgNodes.length; i++) {
             const orgNode = orgNodes[i];
+            const titleNode = this.getChildElement(orgNode, 'title');
             const organization = {
                 id: orgNode.getAttribute('identifier'),
-                title: orgNode.getAttribute('title') || '',
+                title: titleNode ? titleNode.textContent.trim() : (orgNode.getAttribute('title') || ''),
                 structure: orgNode.getAttribute('structure') || 'hierarchical',
-                items: this.extractOrganizationItems(orgNode)
+                sequencing: this.extractSequencing(orgNode, sequencingCollection),
+                items: this.extractOrganizationItems(orgNode, sequencingCollection)
             };
             
             organizations.push(organization);
@@ -131,41 +166,78 @@ class SCORMManifestParser {
     }
     
     /**
-     * Extract organization items (learning objects)
+     * Extract organization items (learning objects), keeping the item tree
      */
-    extractOrganizationItems(orgNode) {
-        const items = [];
-        const itemNodes = orgNode.getElementsByTagName('item');
-        
-        for (let i = 0; i < itemNodes.length; i++) {
-            const itemNode = itemNodes[i];
-            const item = {
-                id: itemNode.getAttribute('identifier'),
-                identifierref: itemNode.getAttribute('identifierref'),
-                title: itemNode.getAttribute('title') || '',
-                isvisible: itemNode.getAttribute('isvisible') === 'true',
-                parameters: itemNode.getAttribute('parameters') || '',
-                prerequisites: this.extractPrerequisites(itemNode),
-                objectives: this.extractObjectives(itemNode),
-                children: this.extractOrganizationItems(itemNode) // Recursive for nested items
-            };
-            
-            items.push(item);
-        }
-        
-        return items;
+    extractOrganizationItems(orgNode, sequencingCollection = {}) {
+        return Array.from(orgNode.children)
+            .filter(node => node.localName === 'item')
+            .map(itemNode => {
+                const titleNode = this.getChildElement(itemNode, 'title');
+                const masteryScore = parseFloat(this.getChildText(itemNode, 'masteryscore'));
+                return {
+                    id: itemNode.getAttribute('identifier'),
+                    identifierref: itemNode.getAttribute('identifierref'),
+                    title: titleNode ? titleNode.textContent.trim() : (itemNode.getAttribute('title') || ''),
+                    isvisible: itemNode.getAttribute('isvisible') !== 'false',
+                    parameters: itemNode.getAttribute('parameters') || '',
+                    prerequisites: this.extractPrerequisites(itemNode),
+                    masteryScore: isNaN(masteryScore) ? null : masteryScore,
+                    dataFromLMS: this.getChildText(itemNode, 'datafromlms') || this.getChildText(itemNode, 'dataFromLMS'),
+                    objectives: this.extractObjectives(itemNode),
+                    sequencing: this.extractSequencing(itemNode, sequencingCollection),
+                    children: this.extractOrganizationItems(itemNode, sequencingCollection) // Recursive for nested items
+                };
+            });
     }
     
     /**
-     * Extract prerequisites from item
+     * Text of a direct child element, or ''
+     */
+    getChildText(node, name) {
+        const element = this.getChildElement(node, name);
+        return element ? element.textContent.trim() : '';
+    }
+    
+    /**
+     * Extract prerequisites from item (SCORM 1.2 adlcp:prerequisites, an AICC script expression)
      */
     extractPrerequisites(itemNode) {
-        const prereqNodes = itemNode.getElementsByTagName('prerequisites');
-        if (prereqNodes.length === 0) {
+        return this.getChildText(itemNode, 'prerequisites') || null;
+    }
+    
+    /**
+     * Extract the SCORM 2004 simple sequencing an item or organization declares:
+     * control modes and rollup settings. Null when there is none (the sequencer applies the defaults)
+     */
+    extractSequencing(node, sequencingCollection = {}) {
+        const sequencingNode = this.getChildElement(node, 'sequencing');
+        if (!sequencingNode) {
             return null;
         }
         
-        return prereqNodes[0].textContent.trim();
+        // Attributes on the item's own element override the shared ones it refers to
+        const shared = sequencingCollection[sequencingNode.getAttribute('IDRef')];
+        const read = (childName, attribute) => {
+            const own = this.getChildElement(sequencingNode, childName);
+            if (own && own.hasAttribute(attribute)) return own.getAttribute(attribute);
+            const fallback = shared && this.getChildElement(shared, childName);
+            return fallback && fallback.hasAttribute(attribute) ? fallback.getAttribute(attribute) : null;
+        };
+        const readBoolean = (childName, attribute) => {
+            const value = read(childName, attribute);
+            return value === null ? null : value === 'true';
+        };
+        const weight = parseFloat(read('rollupRules', 'objectiveMeasureWeight'));
+        
+        return {
+            choice: readBoolean('controlMode', 'choice'),
+            choiceExit: readBoolean('controlMode', 'choiceExit'),
+            flow: readBoolean('controlMode', 'flow'),
+            forwardOnly: readBoolean('controlMode', 'forwardOnly'),
+            rollupObjectiveSatisfied: readBoolean('rollupRules', 'rollupObjectiveSatisfied'),
+            rollupProgressCompletion: readBoolean('rollupRules', 'rollupProgressCompletion'),
+            objectiveMeasureWeight: isNaN(weight) ? null : weight
+        };
     }
     
     /**
@@ -204,9 +276,13 @@ class SCORMManifestParser {
         
         for (let i = 0; i < resourceNodes.length; i++) {
             const resourceNode = resourceNodes[i];
+            const scormTypeAttribute = Array.from(resourceNode.attributes)
+                .find(attribute => attribute.localName.toLowerCase() === 'scormtype');
             const resource = {
                 id: resourceNode.getAttribute('identifier'),
                 type: resourceNode.getAttribute('type'),
+                scormType: scormTypeAttribute ? scormTypeAttribute.value.toLowerCase() : null,
+                scormTypeAttribute: scormTypeAttribute ? scormTypeAttribute.localName : null,
                 href: resourceNode.getAttribute('href'),
                 parameters: resourceNode.getAttribute('parameters') || '',
                 metadata: this.extractResourceMetadata(resourceNode),
@@ -393,6 +469,151 @@ class SCORMManifestParser {
         return config;
     }
     
+    /**
+     * Parse a cmi5 course structure (cmi5.xml)
+     * @returns {Object} { isValid, format: 'cmi5', id, title, description, aus, blocks }; each AU is
+     *   { id, title, description, url, launchMethod, moveOn, masteryScore (0-1 or null),
+     *   activityType, launchParameters, entitlementKey, blockIds (outermost first) }
+     */
+    parseCourseStructure(courseXml) {
+        try {
+            const xmlDoc = this.parser.parseFromString(courseXml, 'text/xml');
+            
+            if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+                throw new Error('Invalid XML format');
+            }
+            
+            const root = xmlDoc.documentElement;
+            if (!root || root.localName !== 'courseStructure') {
+                throw new Error('No courseStructure element found');
+            }
+            
+            const course = this.getChildElement(root, 'course');
+            if (!course || !course.getAttribute('id')) {
+                throw new Error('No course element found');
+            }
+            
+            const aus = [];
+            const blocks = [];
+            this.extractCourseUnits(root, [], aus, blocks);
+            if (aus.length === 0) {
+                throw new Error('The course has no AUs');
+            }
+            
+            return {
+                isValid: true,
+                format: 'cmi5',
+                id: course.getAttribute('id'),
+                title: this.getLangString(course, 'title'),
+                description: this.getLangString(course, 'description'),
+                aus: aus,
+                blocks: blocks
+            };
+        } catch (error) {
+            console.error('Error parsing cmi5 course structure:', error);
+            return {
+                isValid: false,
+                format: 'cmi5',
+                error: error.message,
+                id: null,
+                title: null,
+                description: null,
+                aus: [],
+                blocks: []
+            };
+        }
+    }
+    
+    /**
+     * Collect the AUs and blocks under a course or block, in course order
+     */
+    extractCourseUnits(parentNode, blockIds, aus, blocks) {
+        Array.from(parentNode.children).forEach(node => {
+            if (node.localName === 'block') {
+                const id = node.getAttribute('id');
+                blocks.push({
+                    id: id,
+                    title: this.getLangString(node, 'title'),
+                    description: this.getLangString(node, 'description'),
+                    blockIds: blockIds
+                });
+                this.extractCourseUnits(node, [...blockIds, id], aus, blocks);
+            } else if (node.localName === 'au') {
+                const masteryScore = parseFloat(node.getAttribute('masteryScore'));
+                const urlNode = this.getChildElement(node, 'url');
+                const launchParameters = this.getChildElement(node, 'launchParameters');
+                const entitlementKey = this.getChildElement(node, 'entitlementKey');
+                aus.push({
+                    id: node.getAttribute('id'),
+                    title: this.getLangString(node, 'title'),
+                    description: this.getLangString(node, 'description'),
+                    url: urlNode ? urlNode.textContent.trim() : '',
+                    launchMethod: node.getAttribute('launchMethod') || 'AnyWindow',
+                    moveOn: node.getAttribute('moveOn') || 'NotApplicable',
+                    masteryScore: isNaN(masteryScore) ? null : masteryScore,
+                    activityType: node.getAttribute('activityType') || null,
+                    launchParameters: launchParameters ? launchParameters.textContent.trim() : '',
+                    entitlementKey: entitlementKey ? entitlementKey.textContent.trim() : '',
+                    blockIds: blockIds
+                });
+            }
+        });
+    }
+    
+    /**
+     * First child element with a name, ignoring namespaces
+     */
+    getChildElement(node, name) {
+        return Array.from(node.children).find(child => child.localName === name) || null;
+    }
+    
+    /**
+     * Text of a title or description: the langstring in the browser's language, else the first
+     */
+    getLangString(node, name) {
+        const element = this.getChildElement(node, name);
+        if (!element) {
+            return '';
+        }
+        
+        const strings = Array.from(element.children).filter(child => child.localName === 'langstring');
+        if (strings.length === 0) {
+            return element.textContent.trim();
+        }
+        
+        const language = (typeof navigator !== 'undefined' && navigator.language || 'en').toLowerCase();
+        const match = strings.find(string => (string.getAttribute('lang') || '').toLowerCase() === language) ||
+            strings.find(string => (string.getAttribute('lang') || '').toLowerCase().split('-')[0] === language.split('-')[0]) ||
+            strings[0];
+        return match.textContent.trim();
+    }
+    
+    /**
+     * Parse a cmi5 course structure from URL
+     */
+    async parseCourseStructureFromUrl(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            return this.parseCourseStructure(await response.text());
+        } catch (error) {
+            console.error('Error fetching cmi5 course structure from URL:', error);
+            return {
+                isValid: false,
+                format: 'cmi5',
+                error: error.message,
+                id: null,
+                title: null,
+                description: null,
+                aus: [],
+                blocks: []
+            };
+        }
+    }
+    
     /**
      * Parse manifest from file
      */
@@ -0,0 +1,767 @@
+/**
+ * SCORM Package Builder
+ *
+ * This service builds SCORM 1.2 and SCORM 2004 4th Edition packages around an
+ * activity's player: the imsmanifest.xml and the runtime script that reports
+ * score, status, session time and interactions to the LMS. It builds xAPI
+ * (Tin Can) and cmi5 packages the same way, with tincan.xml or cmi5.xml and a
+ * statement runtime.
+ */
+
+import XAPIService from './xapi-service.js';
+
+/**
+ * Runs inside the package. Finds the LMS API, starts the attempt and turns the
+ * player's scores and answers into cmi data model values for either version.
+ * Serialized into scorm.js with toString, so it can't use anything outside itself
+ */
+class ScormRuntime {
+    constructor(options = {}) {
+        this.version = options.version === '2004' ? '2004' : '1.2';
+        this.masteryScore = typeof options.masteryScore === 'number' ? options.masteryScore : null;
+        this.api = null;
+        this.active = false;
+        this.completed = false;
+        this.startTime = Date.now();
+        this.interactionCount = 0;
+    }
+
+    /**
+     * Look for the LMS API object in parent frames, then in the window that opened this one
+     */
+    static findAPI(win, name) {
+        for (let depth = 0; win && depth < 500; depth++) {
+            try {
+                if (win[name]) return win[name];
+            } catch (error) {
+                // Cross-origin frame: keep looking further up
+            }
+            if (win.parent === win) break;
+            win = win.parent;
+        }
+        try {
+            if (window.opener) return ScormRuntime.findAPI(window.opener, name);
+        } catch (error) {
+            // Cross-origin opener
+        }
+        return null;
+    }
+
+    /**
+     * Call an API method by its SCORM 2004 name (Initialize, GetValue, ...);
+     * SCORM 1.2 names carry an LMS prefix
+     */
+    call(method, ...args) {
+        if (!this.api) return '';
+        const name = this.version === '2004' ? method : `LMS${method === 'Terminate' ? 'Finish' : method}`;
+        return String(this.api[name](...args));
+    }
+
+    getValue(element) {
+        return this.active ? this.call('GetValue', element) : '';
+    }
+
+    setValue(element, value) {
+        if (!this.active) return false;
+        const ok = this.call('SetValue', element, String(value)) === 'true';
+        if (!ok) console.warn(`SCORM: could not set ${element} (error ${this.call('GetLastError')})`);
+        return ok;
+    }
+
+    commit() {
+        if (this.active) this.call('Commit', '');
+    }
+
+    /**
+     * Start the attempt; without an LMS the player still works, it just doesn't report
+     * @returns {boolean} Whether an LMS is listening
+     */
+    initialize() {
+        this.api = ScormRuntime.findAPI(window, this.version === '2004' ? 'API_1484_11' : 'API');
+        if (!this.api) {
+            console.warn('SCORM: no LMS API found, progress will not be reported');
+            return false;
+        }
+        this.active = this.call('Initialize', '') === 'true';
+        if (!this.active) return false;
+
+        if (this.version === '2004') {
+            const status = this.getValue('cmi.completion_status');
+            if (status === 'not attempted' || status === 'unknown' || status === '') this.setValue('cmi.completion_status', 'incomplete');
+        } else if (this.getValue('cmi.core.lesson_status') === 'not attempted') {
+            this.setValue('cmi.core.lesson_status', 'incomplete');
+        }
+        this.interactionCount = parseInt(this.getValue('cmi.interactions._count'), 10) || 0;
+        this.commit();
+
+        const finish = () => this.terminate();
+        window.addEventListener('pagehide', finish);
+        window.addEventListener('beforeunload', finish);
+        return true;
+    }
+
+    /**
+     * Passing score as a percentage: the LMS's value (from the manifest) wins
+     * @returns {number|null} Percentage, or null when there is no pass mark
+     */
+    getPassingScore() {
+        const fromLMS = this.version === '2004'
+            ? parseFloat(this.getValue('cmi.scaled_passing_score')) * 100
+            : parseFloat(this.getValue('cmi.student_data.mastery_score'));
+        return isFinite(fromLMS) ? fromLMS : this.masteryScore;
+    }
+
+    /**
+     * Report the score and set completion and pass/fail from it
+     */
+    setScore(score, maxScore) {
+        if (!this.active) return;
+        const percentage = maxScore > 0 ? Math.round((score / maxScore) * 10000) / 100 : 0;
+        const passing = this.getPassingScore();
+
+        if (this.version === '2004') {
+            this.setValue('cmi.score.raw', score);
+            this.setValue('cmi.score.min', 0);
+            this.setValue('cmi.score.max', maxScore);
+            this.setValue('cmi.score.scaled', maxScore > 0 ? Math.round((score / maxScore) * 10000) / 10000 : 0);
+            this.setValue('cmi.completion_status', 'completed');
+            if (passing !== null) this.setValue('cmi.success_status', percentage >= passing ? 'passed' : 'failed');
+        } else {
+            // Most SCORM 1.2 LMSs compare the raw score with the mastery score, so report a percentage
+            this.setValue('cmi.core.score.raw', percentage);
+            this.setValue('cmi.core.score.min', 0);
+            this.setValue('cmi.core.score.max', 100);
+            this.setValue('cmi.core.lesson_status', passing === null ? 'completed' : (percentage >= passing ? 'passed' : 'failed'));
+        }
+        this.completed = true;
+        this.commit();
+    }
+
+    /**
+     * Mark the activity complete without touching the score (surveys, accordions)
+     */
+    setCompleted() {
+        if (!this.active) return;
+        if (this.version === '2004') {
+            this.setValue('cmi.completion_status', 'completed');
+        } else if (!['passed', 'failed'].includes(this.getValue('cmi.core.lesson_status'))) {
+            this.setValue('cmi.core.lesson_status', 'completed');
+        }
+        this.completed = true;
+        this.commit();
+    }
+
+    /**
+     * Record one answered question as cmi.interactions.n
+     * @param {Object} interaction - { id, type, description, response, correctResponse, correct, latency }
+     *   type is choice, true-false, fill-in, matching, sequencing, likert or other; responses
+     *   are strings or lists (matching responses are [source, target] pairs); correct is
+     *   true, false or null when there is no right answer; latency is in seconds
+     */
+    recordInteraction(interaction) {
+        if (!this.active) return;
+        const is2004 = this.version === '2004';
+        const types = is2004
+            ? ['true-false', 'choice', 'fill-in', 'long-fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric', 'other']
+            : ['true-false', 'choice', 'fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric'];
+        const type = types.includes(interaction.type) ? interaction.type : (is2004 ? 'other' : 'performance');
+        const prefix = `cmi.interactions.${this.interactionCount}.`;
+
+        this.setValue(`${prefix}id`, ScormRuntime.identifier(interaction.id));
+        this.setValue(`${prefix}type`, type);
+        if (is2004) {
+            if (interaction.description) this.setValue(`${prefix}description`, String(interaction.description).slice(0, 250));
+            this.setValue(`${prefix}timestamp`, `${new Date().toISOString().slice(0, 19)}Z`);
+        } else {
+            this.setValue(`${prefix}time`, new Date().toTimeString().slice(0, 8));
+        }
+
+        if (interaction.correctResponse !== undefined && interaction.correctResponse !== null) {
+            this.setValue(`${prefix}correct_responses.0.pattern`, this.formatResponse(type, interaction.correctResponse));
+        }
+        this.setValue(`${prefix}${is2004 ? 'learner_response' : 'student_response'}`, this.formatResponse(type, interaction.response));
+
+        const result = interaction.correct === true ? 'correct'
+            : interaction.correct === false ? (is2004 ? 'incorrect' : 'wrong')
+            : 'neutral';
+        this.setValue(`${prefix}result`, result);
+        if (typeof interaction.latency === 'number') {
+            this.setValue(`${prefix}latency`, this.formatDuration(interaction.latency));
+        }
+
+        this.interactionCount++;
+        this.commit();
+    }
+
+    /**
+     * Response text in the version's format: SCORM 1.2 separates with "," and ".",
+     * SCORM 2004 with "[,]" and "[.]"
+     */
+    formatResponse(type, response) {
+        const list = Array.isArray(response) ? response : [response];
+        const comma = this.version === '2004' ? '[,]' : ',';
+        const dot = this.version === '2004' ? '[.]' : '.';
+        const limit = this.version === '2004' ? 4000 : 255;
+
+        if (type === 'true-false') {
+            const value = list[0] === true || list[0] === 'true' || list[0] === 't';
+            return this.version === '2004' ? String(value) : (value ? 't' : 'f');
+        }
+        if (type === 'matching') {
+            return list.map(pair => `${ScormRuntime.identifier(pair[0])}${dot}${ScormRuntime.identifier(pair[1])}`).join(comma);
+        }
+        if (type === 'choice' || type === 'sequencing' || type === 'likert') {
+            return list.map(ScormRuntime.identifier).join(comma);
+        }
+        return list.map(value => (value === undefined || value === null ? '' : String(value))).join(comma).slice(0, limit);
+    }
+
+    /**
+     * Identifiers can't contain spaces or punctuation
+     */
+    static identifier(value) {
+        return String(value === undefined || value === null ? '' : value).replace(/[^A-Za-z0-9_.:-]/g, '_').slice(0, 250) || 'item';
+    }
+
+    /**
+     * Time span in the version's format: HHHH:MM:SS.SS (1.2) or ISO 8601 PT#H#M#S (2004)
+     */
+    formatDuration(seconds) {
+        const centiseconds = Math.round(Math.max(0, seconds || 0) * 100);
+        const hours = Math.floor(centiseconds / 360000);
+        const minutes = Math.floor(centiseconds / 6000) % 60;
+        const secs = Math.floor(centiseconds / 100) % 60;
+        const hundredths = centiseconds % 100;
+        if (this.version === '2004') return `PT${hours}H${minutes}M${secs + hundredths / 100}S`;
+        const pad = value => String(value).padStart(2, '0');
+        return `${String(hours).padStart(4, '0')}:${pad(minutes)}:${pad(secs)}.${pad(hundredths)}`;
+    }
+
+    /**
+     * End the attempt: session time, exit mode, final commit
+     */
+    terminate() {
+        if (!this.active) return;
+        const sessionTime = this.formatDuration((Date.now() - this.startTime) / 1000);
+        if (this.version === '2004') {
+            this.setValue('cmi.session_time', sessionTime);
+            this.setValue('cmi.exit', this.completed ? 'normal' : 'suspend');
+        } else {
+            this.setValue('cmi.core.session_time', sessionTime);
+            this.setValue('cmi.core.exit', this.completed ? '' : 'suspend');
+        }
+        this.commit();
+        this.call('Terminate', '');
+        this.active = false;
+    }
+}
+
+/**
+ * Runs inside cmi5 packages on top of XAPIService (both serialized into cmi5.js).
+ * Does the launch handshake (auth token from the fetch URL, then LMS.LaunchData)
+ * and sends the cmi5 defined statements: initialized, completed, passed/failed
+ * and terminated, each once per session and only in Normal launch mode.
+ * Calls made before the handshake finishes wait for it
+ */
+class Cmi5Runtime extends XAPIService {
+    constructor(options = {}) {
+        super(options);
+        this.fetchURL = options.fetchURL || '';
+        this.launchData = {};
+        this.ready = false;
+        this.waiting = [];
+        this.sessionStart = Date.now();
+        this.sent = { initialized: false, completed: false, passedOrFailed: false, terminated: false };
+    }
+
+    static get VERBS() {
+        return { ...XAPIService.VERBS, terminated: 'http://adlnet.gov/expapi/verbs/terminated' };
+    }
+
+    static get CATEGORIES() {
+        return {
+            cmi5: 'https://w3id.org/xapi/cmi5/context/categories/cmi5',
+            moveOn: 'https://w3id.org/xapi/cmi5/context/categories/moveon'
+        };
+    }
+
+    /**
+     * Read the cmi5 launch parameters: endpoint, fetch, actor, registration, activityId
+     * @returns {Cmi5Runtime}
+     */
+    static fromLaunch(search, defaults = {}) {
+        const params = new URLSearchParams(search || '');
+        let actor = null;
+        try {
+            actor = JSON.parse(params.get('actor'));
+        } catch (error) {
+            // Not launched by an LMS; the player works without reporting
+        }
+        return new Cmi5Runtime({
+            ...defaults,
+            endpoint: params.get('endpoint') || '',
+            fetchURL: params.get('fetch') || '',
+            actor,
+            registration: params.get('registration') || '',
+            activityId: params.get('activityId') || defaults.activityId
+        });
+    }
+
+    /**
+     * Get the auth token and launch data, then send what the player reported meanwhile
+     * @returns {Promise<boolean>} Whether the LMS launch succeeded
+     */
+    async start() {
+        if (!this.fetchURL || !this.enabled) {
+            console.warn('cmi5: not launched by an LMS, progress will not be reported');
+            return false;
+        }
+
+        try {
+            const tokenResponse = await fetch(this.fetchURL, { method: 'POST' });
+            const token = await tokenResponse.json();
+            if (!token['auth-token']) throw new Error(`fetch URL error ${token['error-code'] || tokenResponse.status}`);
+            this.options.auth = `Basic ${token['auth-token']}`;
+
+            const query = new URLSearchParams({
+                stateId: 'LMS.LaunchData',
+                activityId: this.options.activityId,
+                agent: JSON.stringify(this.options.actor),
+                registration: this.options.registration
+            });
+            const stateResponse = await fetch(`${this.getResourceURL('activities/state')}?${query}`, { headers: this.getHeaders() });
+            if (!stateResponse.ok) throw new Error(`LMS.LaunchData HTTP ${stateResponse.status}`);
+            this.launchData = await stateResponse.json();
+        } catch (error) {
+            console.error('cmi5: launch failed, progress will not be reported', error);
+            return false;
+        }
+
+        this.ready = true;
+        window.addEventListener('pagehide', () => this.terminate());
+        super.start();
+        this.waiting.splice(0).forEach(action => action());
+        return true;
+    }
+
+    whenReady(action) {
+        if (this.ready) {
+            action();
+        } else {
+            this.waiting.push(action);
+        }
+    }
+
+    /**
+     * Browse and Review launches must not change the learner's status
+     */
+    get recordsResults() {
+        return (this.launchData.launchMode || 'Normal') === 'Normal';
+    }
+
+    /**
+     * Passing score as a fraction: the LMS's (from cmi5.xml) wins
+     */
+    getMasteryScore() {
+        if (typeof this.launchData.masteryScore === 'number') return this.launchData.masteryScore;
+        return typeof this.options.masteryScore === 'number' ? this.options.masteryScore / 100 : null;
+    }
+
+    /**
+     * Add the LMS's context template (session ID, course grouping) to every
+     * statement and the cmi5 categories to the defined ones
+     */
+    buildStatement(verb, object, extra = {}) {
+        const statement = super.buildStatement(verb, object, extra);
+        const template = this.launchData.contextTemplate || {};
+        const context = statement.context;
+
+        context.contextActivities = { ...(template.contextActivities || {}), ...(context.contextActivities || {}) };
+        context.extensions = { ...(template.extensions || {}), ...(context.extensions || {}) };
+
+        if (['initialized', 'completed', 'passed', 'failed', 'terminated'].includes(verb)) {
+            const category = [{ id: Cmi5Runtime.CATEGORIES.cmi5 }];
+            if (['completed', 'passed', 'failed'].includes(verb)) category.push({ id: Cmi5Runtime.CATEGORIES.moveOn });
+            context.contextActivities.category = [...(context.contextActivities.category || []), ...category];
+        }
+        if (Object.keys(context.extensions).length === 0) delete context.extensions;
+        return statement;
+    }
+
+    flush(options) {
+        return this.ready ? super.flush(options) : Promise.resolve(false);
+    }
+
+    initialized(activity) {
+        this.whenReady(() => {
+            if (this.sent.initialized) return;
+            this.sent.initialized = true;
+            this.activity = activity;
+            this.send(this.buildStatement('initialized', this.getActivityObject(activity)));
+        });
+    }
+
+    answered(activity, interaction) {
+        this.whenReady(() => super.answered(activity, interaction));
+    }
+
+    progressed(activity, done, total) {
+        this.whenReady(() => super.progressed(activity, done, total));
+    }
+
+    completed(activity) {
+        this.whenReady(() => {
+            if (!this.recordsResults || this.sent.completed) return;
+            this.sent.completed = true;
+            this.send(this.buildStatement('completed', this.getActivityObject(activity), {
+                result: { completion: true, duration: this.formatDuration((Date.now() - this.sessionStart) / 1000) }
+            }));
+        });
+    }
+
+    scored(activity, score, maxScore) {
+        this.whenReady(() => {
+            const masteryScore = this.getMasteryScore();
+            if (this.recordsResults && !this.sent.passedOrFailed && masteryScore !== null && maxScore > 0) {
+                this.sent.passedOrFailed = true;
+                const result = this.buildScore(score, maxScore);
+                const success = result.scaled >= masteryScore;
+                this.send(this.buildStatement(success ? 'passed' : 'failed', this.getActivityObject(activity), {
+                    result: { score: result, success, duration: this.formatDuration((Date.now() - this.sessionStart) / 1000) }
+                }));
+            }
+            this.completed(activity);
+        });
+    }
+
+    /**
+     * End the session; the last statement the AU sends
+     */
+    terminate() {
+        if (!this.ready || this.sent.terminated) return;
+        this.sent.terminated = true;
+        this.send(this.buildStatement('terminated', this.getActivityObject(this.activity || {}), {
+            result: { duration: this.formatDuration((Date.now() - this.sessionStart) / 1000) }
+        }));
+        this.flush({ keepalive: true });
+    }
+}
+
+class ScormPackageBuilder {
+    static get VERSIONS() {
+        return ['1.2', '2004'];
+    }
+
+    /**
+     * The ADL schema files each SCORM version's manifest points at. They go at the
+     * package root, where xsi:schemaLocation looks for them, so validators and LMSs
+     * can check the manifest without downloading anything
+     */
+    static get SCHEMA_FILES() {
+        return {
+            '1.2': ['imscp_rootv1p1p2.xsd', 'adlcp_rootv1p2.xsd', 'ims_xml.xsd', 'imsmd_rootv1p2p1.xsd'],
+            '2004': [
+                'imscp_v1p1.xsd', 'adlcp_v1p3.xsd', 'adlseq_v1p3.xsd', 'adlnav_v1p3.xsd', 'imsss_v1p0.xsd',
+                'imsss_v1p0auxresource.xsd', 'imsss_v1p0control.xsd', 'imsss_v1p0delivery.xsd',
+                'imsss_v1p0limit.xsd', 'imsss_v1p0objective.xsd', 'imsss_v1p0random.xsd',
+                'imsss_v1p0rollup.xsd', 'imsss_v1p0seqrule.xsd', 'imsss_v1p0util.xsd',
+                'xml.xsd', 'XMLSchema.dtd', 'datatypes.dtd'
+            ]
+        };
+    }
+
+    /**
+     * Where the schema files are served from (scorm/schemas/<version>/ in the app)
+     */
+    static getSchemaURL(version, name) {
+        return new URL(`../../scorm/schemas/${version}/${name}`, import.meta.url).href;
+    }
+
+    /**
+     * What an AU's moveOn can require before the LMS counts it as satisfied
+     */
+    static get CMI5_MOVE_ON() {
+        return ['Passed', 'Completed', 'CompletedAndPassed', 'CompletedOrPassed', 'NotApplicable'];
+    }
+
+    /**
+     * Build imsmanifest.xml
+     * @param {Object} options
+     * @param {string} options.version - '1.2' or '2004' (4th Edition)
+     * @param {string} options.identifier - Package identifier
+     * @param {string} options.title - Course title
+     * @param {number|null} options.masteryScore - Passing percentage, or null for activities without a pass mark
+     * @param {Array<Object>} options.scos - { identifier, title, href, files } for each SCO
+     * @returns {string} Manifest XML
+     */
+    buildManifest({ version = '1.2', identifier, title, masteryScore = null, scos }) {
+        const is2004 = version === '2004';
+        const id = this.toXMLId(identifier);
+        const orgId = `${id}_org`;
+
+        const items = scos.map((sco, index) => {
+            const itemId = this.toXMLId(sco.identifier || `item_${index + 1}`);
+            let item = `\n      <item identifier="${itemId}" identifierref="${itemId}_res">`;
+            item += `\n        <title>${this.escapeXML(sco.title || title)}</title>`;
+            if (masteryScore !== null && masteryScore !== undefined) {
+                if (is2004) {
+                    // The LMS hands this to the SCO as cmi.scaled_passing_score
+                    item += '\n        <imsss:sequencing>';
+                    item += '\n          <imsss:objectives>';
+                    item += `\n            <imsss:primaryObjective objectiveID="${itemId}_primary" satisfiedByMeasure="true">`;
+                    item += `\n              <imsss:minNormalizedMeasure>${Math.min(100, Math.max(0, masteryScore)) / 100}</imsss:minNormalizedMeasure>`;
+                    item += '\n            </imsss:primaryObjective>';
+                    item += '\n          </imsss:objectives>';
+                    item += '\n        </imsss:sequencing>';
+                } else {
+                    item += `\n        <adlcp:masteryscore>${Math.round(Math.min(100, Math.max(0, masteryScore)))}</adlcp:masteryscore>`;
+                }
+            }
+            return item + '\n      </item>';
+        }).join('');
+
+        const resources = scos.map((sco, index) => {
+            const itemId = this.toXMLId(sco.identifier || `item_${index + 1}`);
+            const scormType = is2004 ? 'adlcp:scormType' : 'adlcp:scormtype';
+            const files = [...new Set([sco.href, ...(sco.files || [])])]
+                .map(file => `\n      <file href="${this.escapeXML(file)}"/>`).join('');
+            return `\n    <resource identifier="${itemId}_res" type="webcontent" ${scormType}="sco" href="${this.escapeXML(sco.href)}">${files}\n    </resource>`;
+        }).join('');
+
+        const namespaces = is2004
+            ? `xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+  xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+  xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+  xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd
+                      http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd
+                      http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd
+                      http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd
+                      http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd"`
+            : `xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd
+                      http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd"`;
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${id}" version="1.0"
+  ${namespaces}>
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>${is2004 ? '2004 4th Edition' : '1.2'}</schemaversion>
+  </metadata>
+  <organizations default="${orgId}">
+    <organization identifier="${orgId}">
+      <title>${this.escapeXML(title)}</title>${items}
+    </organization>
+  </organizations>
+  <resources>${resources}
+  </resources>
+</manifest>
+`;
+    }
+
+    /**
+     * Build scorm.js: the runtime class and an instance that starts the attempt on load
+     * @param {Object} options - { version, masteryScore }
+     * @returns {string} Script text; the player reports through window.scormRuntime
+     */
+    buildRuntimeScript({ version = '1.2', masteryScore = null } = {}) {
+        const config = JSON.stringify({ version, masteryScore });
+        return `// SCORM ${version === '2004' ? '2004 4th Edition' : '1.2'} runtime
+${ScormRuntime.toString()}
+
+window.scormRuntime = new ScormRuntime(${config});
+window.scormRuntime.initialize();
+`;
+    }
+
+    /**
+     * Build tincan.xml, which tells the LMS the activity ID and launch page
+     * @param {Object} options - { activityId, title, description }
+     * @returns {string} Launch file XML
+     */
+    buildTinCanManifest({ activityId, title, description = '' }) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<tincan xmlns="http://projecttincan.com/tincan.xsd">
+  <activities>
+    <activity id="${this.escapeXML(activityId)}" type="http://adlnet.gov/expapi/activities/lesson">
+      <name>${this.escapeXML(title)}</name>
+      <description lang="en-US">${this.escapeXML(description)}</description>
+      <launch lang="en-US">index.html</launch>
+    </activity>
+  </activities>
+</tincan>
+`;
+    }
+
+    /**
+     * Build xapi.js: the statement service, set up from the LMS's launch link
+     * @param {Object} options - { activityId, masteryScore }
+     * @returns {string} Script text; the player reports through window.xapiService
+     */
+    buildXAPIRuntimeScript({ activityId, masteryScore = null }) {
+        const config = JSON.stringify({ activityId, masteryScore });
+        return `// xAPI (Tin Can) runtime
+${XAPIService.toString()}
+
+window.xapiService = XAPIService.fromLaunch(window.location.search, ${config});
+window.xapiService.start();
+`;
+    }
+
+    /**
+     * Build cmi5.xml: a course with its AUs
+     * @param {Object} options
+     * @param {string} options.courseId - Course IRI
+     * @param {string} options.title - Course title
+     * @param {string} options.description - Course description
+     * @param {Array<Object>} options.aus - { id, title, description, url, moveOn, masteryScore (percentage or null) }
+     * @returns {string} Course structure XML
+     */
+    buildCourseStructure({ courseId, title, description = '', aus }) {
+        const langstring = text => `<langstring lang="en-US">${this.escapeXML(text)}</langstring>`;
+        const units = aus.map(au => {
+            const moveOn = ScormPackageBuilder.CMI5_MOVE_ON.includes(au.moveOn) ? au.moveOn : 'Completed';
+            const mastery = au.masteryScore !== null && au.masteryScore !== undefined
+                ? ` masteryScore="${Math.min(100, Math.max(0, au.masteryScore)) / 100}"`
+                : '';
+            return `
+  <au id="${this.escapeXML(au.id)}" moveOn="${moveOn}"${mastery} launchMethod="AnyWindow">
+    <title>${langstring(au.title || title)}</title>
+    <description>${langstring(au.description || '')}</description>
+    <url>${this.escapeXML(au.url)}</url>
+  </au>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<courseStructure xmlns="https://w3id.org/xapi/profiles/cmi5/v1/CourseStructure.xsd">
+  <course id="${this.escapeXML(courseId)}">
+    <title>${langstring(title)}</title>
+    <description>${langstring(description)}</description>
+  </course>${units}
+</courseStructure>
+`;
+    }
+
+    /**
+     * Build cmi5.js: the statement service with the cmi5 launch and rules on top
+     * @param {Object} options - { activityId, masteryScore } used when the LMS doesn't say
+     * @returns {string} Script text; the player reports through window.xapiService
+     */
+    buildCmi5RuntimeScript({ activityId, masteryScore = null }) {
+        const config = JSON.stringify({ activityId, masteryScore });
+        return `// cmi5 runtime
+${XAPIService.toString()}
+
+${Cmi5Runtime.toString()}
+
+window.xapiService = Cmi5Runtime.fromLaunch(window.location.search, ${config});
+window.xapiService.start();
+`;
+    }
+
+    /**
+     * Read a SCORM version's schema files (see SCHEMA_FILES)
+     * @param {string} version - '1.2' or '2004'
+     * @param {Function} readFile - URL -> Promise of the file's text; fetch by default
+     * @returns {Promise<Object>} File name -> contents, for buildPackageFiles' schemaFiles
+     */
+    async loadSchemaFiles(version, readFile = null) {
+        const read = readFile || (async url => {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Could not load ${url} (${response.status})`);
+            }
+            return response.text();
+        });
+
+        const schemaVersion = version === '2004' ? '2004' : '1.2';
+        const names = ScormPackageBuilder.SCHEMA_FILES[schemaVersion];
+        const contents = await Promise.all(names.map(name => read(ScormPackageBuilder.getSchemaURL(schemaVersion, name))));
+        return Object.fromEntries(names.map((name, index) => [name, contents[index]]));
+    }
+
+    /**
+     * All files of a single-SCO package, or of an xAPI or cmi5 package when version
+     * is 'xapi' or 'cmi5'
+     * @param {Object} activity - Activity data (title, template, id)
+     * @param {string} playerHTML - Player page; must load scorm.js (xapi.js, cmi5.js)
+     * @param {Object} options - { version, masteryScore, activityIdBase (xAPI and cmi5 activity IDs), moveOn (cmi5),
+     *                 schemaFiles (SCORM: from loadSchemaFiles; the package needs every file in SCHEMA_FILES) }
+     * @returns {Object} File name -> contents
+     */
+    buildPackageFiles(activity, playerHTML, { version = '1.2', masteryScore = null, activityIdBase = '', moveOn = 'Completed', schemaFiles = null } = {}) {
+        const title = activity.title || 'Educational Activity';
+
+        if (version === 'cmi5') {
+            const xapi = new XAPIService({ activityIdBase });
+            const activityId = xapi.getActivityId(activity);
+            return {
+                'cmi5.xml': this.buildCourseStructure({
+                    courseId: xapi.joinIRI(activityId, 'course'),
+                    title,
+                    description: activity.description || '',
+                    aus: [{ id: activityId, title, description: activity.description || '', url: 'index.html', moveOn, masteryScore }]
+                }),
+                'index.html': playerHTML,
+                'cmi5.js': this.buildCmi5RuntimeScript({ activityId, masteryScore })
+            };
+        }
+
+        if (version === 'xapi') {
+            const activityId = new XAPIService({ activityIdBase }).getActivityId(activity);
+            return {
+                'tincan.xml': this.buildTinCanManifest({ activityId, title, description: activity.description || '' }),
+                'index.html': playerHTML,
+                'xapi.js': this.buildXAPIRuntimeScript({ activityId, masteryScore })
+            };
+        }
+
+        const schemaVersion = version === '2004' ? '2004' : '1.2';
+        const missing = ScormPackageBuilder.SCHEMA_FILES[schemaVersion].filter(name => !schemaFiles || typeof schemaFiles[name] !== 'string');
+        if (missing.length) {
+            throw new Error(`SCORM ${schemaVersion} packages need their schema files (missing ${missing.join(', ')})`);
+        }
+
+        return {
+            ...schemaFiles,
+            'imsmanifest.xml': this.buildManifest({
+                version,
+                identifier: `${activity.template || 'activity'}_${activity.id || Date.now()}`,
+                title,
+                masteryScore,
+                scos: [{ identifier: activity.template || 'activity', title, href: 'index.html', files: ['scorm.js'] }]
+            }),
+            'index.html': playerHTML,
+            'scorm.js': this.buildRuntimeScript({ version, masteryScore })
+        };
+    }
+
+    /**
+     * Manifest identifiers are xs:ID values: a letter or underscore first, no spaces or colons
+     */
+    toXMLId(value) {
+        const id = String(value || 'item').replace(/[^A-Za-z0-9_.-]/g, '_');
+        return /^[A-Za-z_]/.test(id) ? id : `_${id}`;
+    }
+
+    /**
+     * Escape text for XML element content and attributes
+     */
+    escapeXML(value) {
+        if (value === undefined || value === null) return '';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+// Export the builder
+export default ScormPackageBuilder;
@@ -3,7 +3,8 @@
  * 
  * This service handles the detection, analysis, and processing of SCORM packages.
  * It integrates with the manifest parser to auto-detect package types and map
- * them to appropriate templates.
+ * them to appropriate templates. Zip uploads are unpacked with JSZip in the
+ * browser, ready for SCORMPackageStore.
  */
 
 import SCORMManifestParser from './scorm-manifest-parser.js';
@@ -175,9 +176,7 @@ class SCORMPackageProcessor {
             
             let manifestData = null;
             try {
-                // In a real implementation, we would fetch and parse the actual manifest
-                // For now, we'll simulate based on the path
-                manifestData = await this.simulateManifestParsing(manifestPath, packageInfo);
+                manifestData = await this.readManifest(manifestPath);
             } catch (manifestError) {
                 console.warn('Could not parse manifest, using directory-based detection:', manifestError);
                 // Fall back to directory-based detection
@@ -211,28 +210,131 @@ class SCORMPackageProcessor {
     }
     
     /**
-     * Simulate manifest parsing (would be replaced with actual file reading)
+     * Fetch and parse a package's imsmanifest.xml
      */
-    async simulateManifestParsing(manifestPath, packageInfo) {
-        // In a real implementation, this would fetch and parse the actual manifest file
-        // For now, we'll create a simulated manifest based on the package info
+    async readManifest(manifestPath) {
+        const manifestData = await this.parser.parseManifestFromUrl(manifestPath);
+        if (!manifestData.isValid) {
+            throw new Error(manifestData.error);
+        }
+        return manifestData;
+    }
+    
+    /**
+     * Unpack an uploaded SCORM zip and read its manifest. A zip with a cmi5.xml and no
+     * imsmanifest.xml is a cmi5 course: processedPackage.format is 'cmi5', its
+     * manifestData is the parsed course structure and its launchHref is cmi5.xml
+     * @param {Blob} file - The .zip
+     * @param {Object} options - { id } to keep an existing package's id when unpacking it again
+     * @returns {Promise<Object>} { processedPackage, files } with files a Map of path -> Blob,
+     *   paths relative to the folder imsmanifest.xml (or cmi5.xml) is in
+     */
+    async importPackageZip(file, { id = null } = {}) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('JSZip library not loaded. Please refresh the page.');
+        }
         
-        const directoryName = packageInfo.path.split('/')[1];
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(file);
+        } catch (error) {
+            throw new Error('This file is not a zip archive');
+        }
         
-        // Create a simulated manifest based on directory name
-        const simulatedManifest = {
-            manifestId: this.generateId(),
-            version: '1.2',
-            metadata: {
-                title: directoryName,
-                description: `SCORM package from ${directoryName} directory`
-            },
-            organizations: [],
-            resources: [],
-            isValid: true
+        // The manifest is usually at the top, but some tools zip the package folder itself
+        const findEntry = pattern => Object.values(zip.files)
+            .filter(entry => !entry.dir && pattern.test(entry.name) && !entry.name.startsWith('__MACOSX/'))
+            .sort((a, b) => a.name.split('/').length - b.name.split('/').length)[0];
+        const manifestEntry = findEntry(/(^|\/)imsmanifest\.xml$/i);
+        const courseEntry = manifestEntry ? null : findEntry(/(^|\/)cmi5\.xml$/i);
+        if (!manifestEntry && !courseEntry) {
+            throw new Error('No imsmanifest.xml or cmi5.xml found; this zip is not a SCORM or cmi5 package');
+        }
+        
+        const structureEntry = manifestEntry || courseEntry;
+        const structureFile = structureEntry.name.split('/').pop();
+        const root = structureEntry.name.slice(0, structureEntry.name.length - structureFile.length);
+        const structureXml = await structureEntry.async('text');
+        const manifestData = manifestEntry
+            ? this.parser.parseManifest(structureXml)
+            : this.parser.parseCourseStructure(structureXml);
+        if (!manifestData.isValid) {
+            throw new Error(`The package ${manifestEntry ? 'manifest' : 'course structure'} could not be read: ${manifestData.error}`);
+        }
+        
+        const files = new Map();
+        for (const entry of Object.values(zip.files)) {
+            if (entry.dir || !entry.name.startsWith(root) || entry.name.startsWith('__MACOSX/')) continue;
+            files.set(entry.name.slice(root.length), await entry.async('blob'));
+        }
+        
+        // A cmi5 course starts from its course structure; its AUs may also be hosted elsewhere
+        const launchHref = manifestEntry ? this.getLaunchHref(manifestData) : structureFile;
+        if (!launchHref) {
+            throw new Error('The manifest does not name a file to launch');
+        }
+        const launchPaths = manifestEntry
+            ? [launchHref.split(/[?#]/)[0]]
+            : manifestData.aus.map(au => au.url.split(/[?#]/)[0]).filter(url => !/^[a-z][a-z0-9+.-]*:/i.test(url));
+        const missing = launchPaths.find(path => !files.has(path));
+        if (missing) {
+            throw new Error(`The ${manifestEntry ? 'manifest' : 'course'} launches ${missing}, which is not in the zip`);
+        }
+        
+        const title = manifestEntry
+            ? manifestData.metadata?.title || manifestData.organizations[0]?.title
+            : manifestData.title;
+        const processedPackage = {
+            id: id || this.generateId(),
+            name: title || (file.name || 'SCORM Package').replace(/\.zip$/i, ''),
+            format: manifestEntry ? 'scorm' : 'cmi5',
+            path: launchHref,
+            launchHref: launchHref,
+            templateType: manifestEntry ? this.parser.detectTemplateType(manifestData) : 'scormviewer',
+            manifestData: manifestData,
+            configuration: manifestEntry ? this.extractConfiguration(manifestData) : this.getDefaultConfiguration('scormviewer'),
+            status: 'processed',
+            processedAt: new Date(),
+            originalInfo: { name: file.name || null, size: file.size }
         };
         
-        return simulatedManifest;
+        this.processedPackages.set(processedPackage.id, processedPackage);
+        
+        return { processedPackage, files };
+    }
+    
+    /**
+     * The file a package starts at: the first item (in tree order) of its default
+     * organization that points at a resource, with the item's parameters, else the
+     * first resource with an href
+     */
+    getLaunchHref(manifestData) {
+        const resources = manifestData.resources || [];
+        const findResource = id => resources.find(resource => resource.id === id && resource.href);
+        const findItem = items => {
+            for (const candidate of items) {
+                if (candidate.identifierref && findResource(candidate.identifierref)) return candidate;
+                const nested = findItem(candidate.children || []);
+                if (nested) return nested;
+            }
+            return null;
+        };
+        const organizations = [...(manifestData.organizations || [])]
+            .sort((a, b) => (b.id === manifestData.defaultOrganization) - (a.id === manifestData.defaultOrganization));
+        
+        for (const organization of organizations) {
+            const item = findItem(organization.items);
+            if (item) {
+                const resource = findResource(item.identifierref);
+                const parameters = item.parameters || resource.parameters;
+                if (!parameters) return resource.href;
+                return /^[?#]/.test(parameters) ? resource.href + parameters
+                    : resource.href + (resource.href.includes('?') ? '&' : '?') + parameters;
+            }
+        }
+        
+        const resource = resources.find(candidate => candidate.href);
+        return resource ? resource.href : null;
     }
     
     /**
@@ -0,0 +1,175 @@
+/**
+ * SCORM Package Store
+ *
+ * This service keeps unpacked SCORM packages in IndexedDB so they can be played
+ * without a server folder. The service worker (service-worker.js) serves the
+ * stored files under scorm-packages/<package id>/, which lets relative URLs
+ * inside a package resolve as they would on a web server.
+ */
+
+class SCORMPackageStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    // service-worker.js opens the same database; keep the names in step
+    static get DB_NAME() {
+        return 'tamerScormPackages';
+    }
+
+    static get DB_VERSION() {
+        return 1;
+    }
+
+    static get VIRTUAL_ROOT() {
+        return 'scorm-packages/';
+    }
+
+    /**
+     * Open the database, creating the packages and files stores on first use
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('This browser cannot store packages (IndexedDB is not available)'));
+                    return;
+                }
+
+                const request = indexedDB.open(SCORMPackageStore.DB_NAME, SCORMPackageStore.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('packages')) {
+                        db.createObjectStore('packages', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('files')) {
+                        const files = db.createObjectStore('files', { keyPath: 'key' });
+                        files.createIndex('packageId', 'packageId');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a transaction and wait for it to finish
+     */
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+            result = work(tx);
+        });
+    }
+
+    /**
+     * Key of a file in the files store; the service worker builds the same key from the URL
+     */
+    static fileKey(packageId, path) {
+        return `${packageId}/${path}`;
+    }
+
+    /**
+     * Store a package, replacing any earlier copy with the same id
+     * @param {Object} record - { id, title, launchHref, ... } kept in the packages store
+     * @param {Map<string, Blob>} files - Package-relative path -> contents
+     */
+    async savePackage(record, files) {
+        await this.deletePackage(record.id);
+
+        let size = 0;
+        files.forEach(blob => { size += blob.size; });
+
+        await this.transaction(['packages', 'files'], 'readwrite', tx => {
+            const fileStore = tx.objectStore('files');
+            files.forEach((blob, path) => {
+                fileStore.put({ key: SCORMPackageStore.fileKey(record.id, path), packageId: record.id, path, blob });
+            });
+            tx.objectStore('packages').put({ ...record, fileCount: files.size, size, storedAt: new Date().toISOString() });
+        });
+    }
+
+    /**
+     * Get a stored package record, or null
+     */
+    async getPackage(packageId) {
+        return this.transaction(['packages'], 'readonly', tx => {
+            const holder = { value: null };
+            const request = tx.objectStore('packages').get(packageId);
+            request.onsuccess = () => { holder.value = request.result || null; };
+            return holder;
+        }).then(holder => holder.value);
+    }
+
+    /**
+     * Whether a package is stored on this device
+     */
+    async hasPackage(packageId) {
+        return (await this.getPackage(packageId)) !== null;
+    }
+
+    /**
+     * All stored package records
+     */
+    async listPackages() {
+        return this.transaction(['packages'], 'readonly', tx => {
+            const holder = { value: [] };
+            const request = tx.objectStore('packages').getAll();
+            request.onsuccess = () => { holder.value = request.result; };
+            return holder;
+        }).then(holder => holder.value);
+    }
+
+    /**
+     * Remove a package and its files
+     */
+    async deletePackage(packageId) {
+        await this.transaction(['packages', 'files'], 'readwrite', tx => {
+            tx.objectStore('packages').delete(packageId);
+            const cursorRequest = tx.objectStore('files').index('packageId').openKeyCursor(IDBKeyRange.only(packageId));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    tx.objectStore('files').delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    /**
+     * URL a stored package is played from, relative to the app page
+     */
+    static getLaunchURL(packageId, launchHref) {
+        // Launch parameters (?query or #fragment from the manifest) are kept as written
+        const split = launchHref.search(/[?#]/);
+        const path = split === -1 ? launchHref : launchHref.slice(0, split);
+        const parameters = split === -1 ? '' : launchHref.slice(split);
+        const encodedPath = path.split('/').map(part => encodeURIComponent(part)).join('/');
+        return `${SCORMPackageStore.VIRTUAL_ROOT}${encodeURIComponent(packageId)}/${encodedPath}${parameters}`;
+    }
+
+    /**
+     * Register the service worker that serves stored packages and wait until it is active
+     */
+    static async registerServiceWorker(scriptURL = 'service-worker.js') {
+        if (!('serviceWorker' in navigator)) {
+            throw new Error('This browser cannot play uploaded packages (service workers are not available)');
+        }
+        await navigator.serviceWorker.register(scriptURL);
+        return navigator.serviceWorker.ready;
+    }
+}
+
+// Export the service
+export default SCORMPackageStore;
@@ -0,0 +1,428 @@
+/**
+ * SCORM Runtime API
+ *
+ * This service is the LMS end of the SCORM run-time: the window.API (SCORM 1.2)
+ * and window.API_1484_11 (SCORM 2004) objects a SCO finds by walking up its
+ * parent windows. It keeps one SCO's data model at a time and reports its
+ * tracking data, and SCORM 2004 navigation requests, back to the viewer.
+ */
+
+class SCORMRuntimeAPI {
+    /**
+     * @param {Object} options - { version: '1.2' or '2004', learner: { id, name },
+     *   onCommit(scoId, tracking, saved), onTerminate(scoId, tracking, saved, navRequest),
+     *   isNavigationValid(request) -> true, false or null when unknown }
+     */
+    constructor({ version = '1.2', learner = {}, onCommit = null, onTerminate = null, isNavigationValid = null } = {}) {
+        this.version = version;
+        this.learner = learner;
+        this.onCommit = onCommit;
+        this.onTerminate = onTerminate;
+        this.isNavigationValid = isNavigationValid;
+        this.scoId = null;
+        this.state = 'notInitialized';
+        this.data = {};
+        this.lastError = '0';
+        this.sessionStart = null;
+        this.adapters = {
+            API: this.buildAdapter12(),
+            API_1484_11: this.buildAdapter2004()
+        };
+    }
+
+    static get ERRORS_12() {
+        return {
+            '0': 'No error',
+            '101': 'General exception',
+            '201': 'Invalid argument error',
+            '202': 'Element cannot have children',
+            '203': 'Element not an array, cannot have count',
+            '301': 'Not initialized',
+            '401': 'Not implemented error',
+            '402': 'Invalid set value, element is a keyword',
+            '403': 'Element is read only',
+            '404': 'Element is write only',
+            '405': 'Incorrect data type'
+        };
+    }
+
+    static get ERRORS_2004() {
+        return {
+            '0': 'No error',
+            '101': 'General exception',
+            '102': 'General initialization failure',
+            '103': 'Already initialized',
+            '104': 'Content instance terminated',
+            '111': 'General termination failure',
+            '112': 'Termination before initialization',
+            '113': 'Termination after termination',
+            '122': 'Retrieve data before initialization',
+            '123': 'Retrieve data after termination',
+            '132': 'Store data before initialization',
+            '133': 'Store data after termination',
+            '142': 'Commit before initialization',
+            '143': 'Commit after termination',
+            '201': 'General argument error',
+            '301': 'General get failure',
+            '351': 'General set failure',
+            '391': 'General commit failure',
+            '401': 'Undefined data model element',
+            '402': 'Unimplemented data model element',
+            '403': 'Data model element value not initialized',
+            '404': 'Data model element is read only',
+            '405': 'Data model element is write only',
+            '406': 'Data model element type mismatch',
+            '407': 'Data model element value out of range'
+        };
+    }
+
+    getErrorString(code) {
+        const errors = this.version === '2004' ? SCORMRuntimeAPI.ERRORS_2004 : SCORMRuntimeAPI.ERRORS_12;
+        return errors[String(code)] || '';
+    }
+
+    // Vocabularies the SCO may set
+    static get LESSON_STATUS() {
+        return ['passed', 'completed', 'failed', 'incomplete', 'browsed', 'not attempted'];
+    }
+
+    static get COMPLETION_STATUS() {
+        return ['completed', 'incomplete', 'not attempted', 'unknown'];
+    }
+
+    static get SUCCESS_STATUS() {
+        return ['passed', 'failed', 'unknown'];
+    }
+
+    /**
+     * Elements the SCO can read but not set, and the other way round
+     */
+    static get READ_ONLY() {
+        return [
+            'cmi.core.student_id', 'cmi.core.student_name', 'cmi.core.credit', 'cmi.core.entry',
+            'cmi.core.total_time', 'cmi.core.lesson_mode', 'cmi.launch_data', 'cmi.student_data.mastery_score',
+            'cmi.learner_id', 'cmi.learner_name', 'cmi.credit', 'cmi.entry', 'cmi.total_time', 'cmi.mode',
+            'cmi.scaled_passing_score', 'cmi.completion_threshold', 'cmi.time_limit_action', 'cmi.max_time_allowed'
+        ];
+    }
+
+    static get WRITE_ONLY() {
+        return ['cmi.core.exit', 'cmi.core.session_time', 'cmi.exit', 'cmi.session_time'];
+    }
+
+    /**
+     * Make the API available to SCOs framed by (or opened from) a window
+     */
+    install(win = window) {
+        win.API = this.adapters.API;
+        win.API_1484_11 = this.adapters.API_1484_11;
+    }
+
+    uninstall(win = window) {
+        if (win.API === this.adapters.API) delete win.API;
+        if (win.API_1484_11 === this.adapters.API_1484_11) delete win.API_1484_11;
+    }
+
+    /**
+     * Set up the data model for the SCO about to be launched. A SCO still open is
+     * finished first, in case it is being replaced without calling LMSFinish/Terminate
+     * @param {Object} sco - Sequencer node: { id, masteryScore, dataFromLMS }
+     * @param {Object} saved - What getSavedData returned for it last time, or null
+     */
+    prepare(sco, saved = null) {
+        if (this.state === 'initialized') {
+            this.finish('');
+        }
+
+        const resume = !!saved && saved.exit === 'suspend';
+        this.scoId = sco.id;
+        this.state = 'notInitialized';
+        this.lastError = '0';
+        this.sessionStart = null;
+        this.totalSeconds = saved ? saved.totalSeconds || 0 : 0;
+
+        if (this.version === '2004') {
+            this.data = {
+                'cmi.learner_id': this.learner.id || '',
+                'cmi.learner_name': this.learner.name || '',
+                'cmi.credit': 'credit',
+                'cmi.mode': 'normal',
+                'cmi.entry': resume ? 'resume' : (saved ? '' : 'ab-initio'),
+                'cmi.location': resume ? saved.location || '' : '',
+                'cmi.suspend_data': resume ? saved.suspendData || '' : '',
+                'cmi.launch_data': sco.dataFromLMS || '',
+                'cmi.completion_status': resume ? saved.completion || 'unknown' : 'unknown',
+                'cmi.success_status': resume ? saved.success || 'unknown' : 'unknown',
+                'cmi.total_time': SCORMRuntimeAPI.formatDuration2004(this.totalSeconds),
+                'cmi.exit': '',
+                'adl.nav.request': '_none_'
+            };
+            if (sco.masteryScore !== null && sco.masteryScore !== undefined) {
+                this.data['cmi.scaled_passing_score'] = String(sco.masteryScore / 100);
+            }
+        } else {
+            this.data = {
+                'cmi.core.student_id': this.learner.id || '',
+                'cmi.core.student_name': this.learner.name || '',
+                'cmi.core.credit': 'credit',
+                'cmi.core.lesson_mode': 'normal',
+                'cmi.core.entry': resume ? 'resume' : (saved ? '' : 'ab-initio'),
+                'cmi.core.lesson_location': resume ? saved.location || '' : '',
+                'cmi.suspend_data': resume ? saved.suspendData || '' : '',
+                'cmi.launch_data': sco.dataFromLMS || '',
+                // Lesson status carries over between attempts in SCORM 1.2
+                'cmi.core.lesson_status': saved ? saved.lessonStatus || 'not attempted' : 'not attempted',
+                'cmi.core.total_time': SCORMRuntimeAPI.formatDuration12(this.totalSeconds),
+                'cmi.core.exit': ''
+            };
+            if (sco.masteryScore !== null && sco.masteryScore !== undefined) {
+                this.data['cmi.student_data.mastery_score'] = String(sco.masteryScore);
+            }
+        }
+    }
+
+    buildAdapter12() {
+        return {
+            LMSInitialize: () => this.initialize('', '101'),
+            LMSFinish: () => this.finish(''),
+            LMSGetValue: element => this.getValue(element),
+            LMSSetValue: (element, value) => this.setValue(element, value),
+            LMSCommit: () => this.commit(''),
+            LMSGetLastError: () => this.lastError,
+            LMSGetErrorString: code => this.getErrorString(code),
+            LMSGetDiagnostic: code => this.getErrorString(code || this.lastError)
+        };
+    }
+
+    buildAdapter2004() {
+        return {
+            Initialize: () => this.initialize('', '103'),
+            Terminate: () => this.finish(''),
+            GetValue: element => this.getValue(element),
+            SetValue: (element, value) => this.setValue(element, value),
+            Commit: () => this.commit(''),
+            GetLastError: () => this.lastError,
+            GetErrorString: code => this.getErrorString(code),
+            GetDiagnostic: code => this.getErrorString(code || this.lastError)
+        };
+    }
+
+    /**
+     * Error for calling something in the wrong state: SCORM 1.2 only has 301 (and 101),
+     * SCORM 2004 has one per call and state
+     */
+    stateError(codes2004) {
+        if (this.version !== '2004') {
+            return this.state === 'notInitialized' ? '301' : '101';
+        }
+        return this.state === 'notInitialized' ? codes2004[0] : codes2004[1];
+    }
+
+    fail(code, result = 'false') {
+        this.lastError = code;
+        return result;
+    }
+
+    initialize(parameter, alreadyInitializedCode) {
+        if (parameter !== '' && parameter !== undefined) return this.fail('201');
+        if (!this.scoId) return this.fail(this.version === '2004' ? '102' : '101');
+        if (this.state === 'initialized') return this.fail(alreadyInitializedCode);
+        if (this.state === 'terminated') return this.fail(this.version === '2004' ? '104' : '101');
+
+        this.state = 'initialized';
+        this.sessionStart = Date.now();
+        this.lastError = '0';
+        return 'true';
+    }
+
+    finish(parameter) {
+        if (parameter !== '' && parameter !== undefined) return this.fail('201');
+        if (this.state !== 'initialized') return this.fail(this.stateError(['112', '113']));
+
+        // A SCORM 1.2 SCO that never set a status is taken to be completed
+        if (this.version !== '2004' && this.data['cmi.core.lesson_status'] === 'not attempted') {
+            this.data['cmi.core.lesson_status'] = 'completed';
+        }
+        this.addSessionTime();
+        this.report();
+        this.state = 'terminated';
+        this.lastError = '0';
+
+        // Let the SCO's call return before the viewer navigates its frame away
+        const scoId = this.scoId;
+        const tracking = this.getTracking();
+        const saved = this.getSavedData();
+        const navRequest = this.version === '2004' ? this.data['adl.nav.request'] : '_none_';
+        if (this.onTerminate) {
+            setTimeout(() => this.onTerminate(scoId, tracking, saved, navRequest), 0);
+        }
+        return 'true';
+    }
+
+    commit(parameter) {
+        if (parameter !== '' && parameter !== undefined) return this.fail('201');
+        if (this.state !== 'initialized') return this.fail(this.stateError(['142', '143']));
+        this.report();
+        this.lastError = '0';
+        return 'true';
+    }
+
+    getValue(element) {
+        if (this.state !== 'initialized') return this.fail(this.stateError(['122', '123']), '');
+        if (!element) return this.fail('201', '');
+        this.lastError = '0';
+
+        if (SCORMRuntimeAPI.WRITE_ONLY.includes(element)) {
+            return this.fail(this.version === '2004' ? '405' : '404', '');
+        }
+
+        const navValidity = /^adl\.nav\.request_valid\.(continue|previous|choice\.\{target=([^}]+)\})$/.exec(element);
+        if (navValidity) {
+            const request = navValidity[2] ? `{target=${navValidity[2]}}choice` : navValidity[1];
+            const valid = this.isNavigationValid ? this.isNavigationValid(request) : null;
+            return valid === null ? 'unknown' : String(valid);
+        }
+
+        if (element.endsWith('._count')) {
+            const prefix = element.slice(0, -'_count'.length);
+            const indexes = new Set(Object.keys(this.data)
+                .filter(key => key.startsWith(prefix))
+                .map(key => key.slice(prefix.length).split('.')[0])
+                .filter(index => /^\d+$/.test(index)));
+            return String(indexes.size);
+        }
+
+        if (element.endsWith('._children')) {
+            const children = {
+                'cmi.core._children': 'student_id,student_name,lesson_location,credit,lesson_status,entry,score,total_time,lesson_mode,exit,session_time',
+                'cmi.core.score._children': 'raw,min,max',
+                'cmi.score._children': 'scaled,raw,min,max',
+                'cmi.interactions._children': this.version === '2004'
+                    ? 'id,type,objectives,timestamp,correct_responses,weighting,learner_response,result,latency,description'
+                    : 'id,objectives,time,type,correct_responses,weighting,student_response,result,latency',
+                'cmi.objectives._children': this.version === '2004'
+                    ? 'id,score,success_status,completion_status,progress_measure,description'
+                    : 'id,score,status'
+            };
+            return children[element] !== undefined ? children[element] : this.fail(this.version === '2004' ? '401' : '202', '');
+        }
+
+        if (Object.prototype.hasOwnProperty.call(this.data, element)) {
+            return this.data[element];
+        }
+        // Known element with nothing stored yet
+        if (this.version === '2004') {
+            return element.startsWith('cmi.') || element.startsWith('adl.') ? this.fail('403', '') : this.fail('401', '');
+        }
+        return element.startsWith('cmi.') ? '' : this.fail('201', '');
+    }
+
+    setValue(element, value) {
+        if (this.state !== 'initialized') return this.fail(this.stateError(['132', '133']));
+        if (!element) return this.fail('201');
+
+        const text = String(value);
+        if (element.endsWith('._children') || element.endsWith('._count')) {
+            return this.fail(this.version === '2004' ? '404' : '402');
+        }
+        if (SCORMRuntimeAPI.READ_ONLY.includes(element)) {
+            return this.fail(this.version === '2004' ? '404' : '403');
+        }
+
+        const typeError = this.version === '2004' ? '406' : '405';
+        if (element === 'cmi.core.lesson_status' && !SCORMRuntimeAPI.LESSON_STATUS.includes(text)) return this.fail(typeError);
+        if (element === 'cmi.completion_status' && !SCORMRuntimeAPI.COMPLETION_STATUS.includes(text)) return this.fail(typeError);
+        if (element === 'cmi.success_status' && !SCORMRuntimeAPI.SUCCESS_STATUS.includes(text)) return this.fail(typeError);
+        if (/score\.(raw|min|max|scaled)$/.test(element) && text !== '' && isNaN(parseFloat(text))) return this.fail(typeError);
+        if (element === 'cmi.score.scaled' && (parseFloat(text) < -1 || parseFloat(text) > 1)) return this.fail('407');
+
+        this.data[element] = text;
+        this.lastError = '0';
+        return 'true';
+    }
+
+    /**
+     * Add this session's time to the total
+     */
+    addSessionTime() {
+        if (this.sessionStart) {
+            this.totalSeconds += Math.round((Date.now() - this.sessionStart) / 1000);
+            this.sessionStart = null;
+        }
+    }
+
+    report() {
+        if (this.onCommit) {
+            this.onCommit(this.scoId, this.getTracking(), this.getSavedData());
+        }
+    }
+
+    /**
+     * Status for the sequencer: { completion, success, scaled, lessonStatus }
+     */
+    getTracking() {
+        if (this.version === '2004') {
+            const scaled = parseFloat(this.data['cmi.score.scaled']);
+            let success = this.data['cmi.success_status'] || 'unknown';
+            // With a passing score, the LMS decides success from the score
+            const passing = parseFloat(this.data['cmi.scaled_passing_score']);
+            if (!isNaN(passing) && !isNaN(scaled)) {
+                success = scaled >= passing ? 'passed' : 'failed';
+            }
+            return {
+                completion: this.data['cmi.completion_status'] === 'not attempted' ? 'incomplete' : (this.data['cmi.completion_status'] || 'unknown'),
+                success: success,
+                scaled: isNaN(scaled) ? null : scaled,
+                lessonStatus: null
+            };
+        }
+
+        let lessonStatus = this.data['cmi.core.lesson_status'];
+        const raw = parseFloat(this.data['cmi.core.score.raw']);
+        const min = parseFloat(this.data['cmi.core.score.min']);
+        const max = parseFloat(this.data['cmi.core.score.max']);
+        const mastery = parseFloat(this.data['cmi.student_data.mastery_score']);
+        // The LMS sets passed/failed against the mastery score when the SCO reports a score
+        if (!isNaN(mastery) && !isNaN(raw) && ['completed', 'failed', 'passed'].includes(lessonStatus)) {
+            lessonStatus = raw >= mastery ? 'passed' : 'failed';
+        }
+        const low = isNaN(min) ? 0 : min;
+        const high = isNaN(max) ? 100 : max;
+        return {
+            completion: ['passed', 'completed', 'failed'].includes(lessonStatus) ? 'completed' : 'incomplete',
+            success: lessonStatus === 'passed' || lessonStatus === 'failed' ? lessonStatus : 'unknown',
+            scaled: isNaN(raw) || high === low ? null : Math.max(0, Math.min(1, (raw - low) / (high - low))),
+            lessonStatus: lessonStatus
+        };
+    }
+
+    /**
+     * What to keep for the SCO's next launch
+     */
+    getSavedData() {
+        const is2004 = this.version === '2004';
+        return {
+            exit: this.data[is2004 ? 'cmi.exit' : 'cmi.core.exit'] || '',
+            location: this.data[is2004 ? 'cmi.location' : 'cmi.core.lesson_location'] || '',
+            suspendData: this.data['cmi.suspend_data'] || '',
+            lessonStatus: is2004 ? null : this.data['cmi.core.lesson_status'],
+            completion: is2004 ? this.data['cmi.completion_status'] : null,
+            success: is2004 ? this.data['cmi.success_status'] : null,
+            totalSeconds: this.totalSeconds + (this.sessionStart ? Math.round((Date.now() - this.sessionStart) / 1000) : 0)
+        };
+    }
+
+    static formatDuration12(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const pad = value => String(value).padStart(2, '0');
+        return `${String(hours).padStart(4, '0')}:${pad(minutes)}:${pad(seconds % 60)}`;
+    }
+
+    static formatDuration2004(seconds) {
+        return `PT${Math.floor(seconds / 3600)}H${Math.floor((seconds % 3600) / 60)}M${seconds % 60}S`;
+    }
+}
+
+// Export the service
+export default SCORMRuntimeAPI;
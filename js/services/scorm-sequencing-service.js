@@ -0,0 +1,450 @@
+/**
+ * SCORM Sequencing Service
+ *
+ * This service builds the activity tree of a multi-SCO package from its parsed
+ * manifest and decides what the learner may launch next. It covers SCORM 2004
+ * simple sequencing control modes (flow, choice, choiceExit, forwardOnly),
+ * SCORM 1.2 prerequisites, and the rollup of completion, success and score from
+ * SCOs up through their clusters to the course.
+ */
+
+class SCORMSequencer {
+    /**
+     * @param {Object} manifestData - From SCORMManifestParser.parseManifest
+     * @param {Object} options - { organizationId (default organization if not given),
+     *   baseUrl: URL of imsmanifest.xml, which SCO hrefs are relative to }
+     */
+    constructor(manifestData, { organizationId = null, baseUrl = '' } = {}) {
+        this.version = manifestData.scormVersion || '1.2';
+        this.baseUrl = baseUrl;
+        this.resources = new Map((manifestData.resources || []).map(resource => [resource.id, resource]));
+        this.nodes = new Map();
+        this.currentId = null;
+
+        const organizations = manifestData.organizations || [];
+        const organization = organizations.find(org => org.id === (organizationId || manifestData.defaultOrganization)) || organizations[0];
+        if (!organization) {
+            throw new Error('The manifest has no organization to play');
+        }
+
+        this.root = this.buildNode(organization, null, -1);
+        this.leaves = [];
+        this.collectLeaves(this.root);
+        if (this.leaves.length === 0) {
+            throw new Error('The organization has no SCOs or assets to launch');
+        }
+    }
+
+    /**
+     * Activity tree node for an organization or item
+     */
+    buildNode(item, parent, depth) {
+        const resource = item.identifierref ? this.resources.get(item.identifierref) : null;
+        const node = {
+            id: item.id,
+            title: item.title || item.id,
+            parent: parent,
+            depth: depth,
+            isvisible: item.isvisible !== false,
+            href: resource && resource.href ? this.resolveHref(resource, item) : null,
+            scormType: resource ? (resource.scormType || 'sco') : null,
+            prerequisites: item.prerequisites || null,
+            masteryScore: item.masteryScore ?? null,
+            dataFromLMS: item.dataFromLMS || '',
+            sequencing: this.getControlModes(item.sequencing),
+            status: { attempted: false, completion: 'unknown', success: 'unknown', scaled: null, lessonStatus: null }
+        };
+        this.nodes.set(node.id, node);
+        node.children = (item.items || item.children || []).map(child => this.buildNode(child, node, depth + 1));
+        return node;
+    }
+
+    /**
+     * Control modes and rollup settings with the defaults filled in. SCORM 1.2 has no
+     * sequencing, so its packages get free choice plus Next/Previous in manifest order;
+     * SCORM 2004 defaults are those of the spec (choice allowed, no flow)
+     */
+    getControlModes(sequencing) {
+        const declared = sequencing || {};
+        const pick = (value, fallback) => (value === null || value === undefined ? fallback : value);
+        return {
+            choice: pick(declared.choice, true),
+            choiceExit: pick(declared.choiceExit, true),
+            flow: pick(declared.flow, this.version !== '2004'),
+            forwardOnly: pick(declared.forwardOnly, false),
+            rollupObjectiveSatisfied: pick(declared.rollupObjectiveSatisfied, true),
+            rollupProgressCompletion: pick(declared.rollupProgressCompletion, true),
+            objectiveMeasureWeight: pick(declared.objectiveMeasureWeight, 1)
+        };
+    }
+
+    /**
+     * Launch URL of an item: its resource's href with the item's parameters
+     */
+    resolveHref(resource, item) {
+        let href = resource.href;
+        const parameters = item.parameters || resource.parameters;
+        if (parameters) {
+            href = /^[?#]/.test(parameters) ? href + parameters : href + (href.includes('?') ? '&' : '?') + parameters;
+        }
+        return this.baseUrl ? new URL(href, new URL(this.baseUrl, window.location.href)).href : href;
+    }
+
+    collectLeaves(node) {
+        if (this.isLeaf(node)) {
+            this.leaves.push(node);
+        }
+        node.children.forEach(child => this.collectLeaves(child));
+    }
+
+    /**
+     * Whether a node is something to launch (a SCO or asset) rather than a cluster
+     */
+    isLeaf(node) {
+        return node.children.length === 0 && !!node.href;
+    }
+
+    getNode(id) {
+        return this.nodes.get(id) || null;
+    }
+
+    /**
+     * Where a new attempt starts: the first leaf reached by flowing in from the
+     * course, or null when the course only allows choice
+     */
+    getStartTarget() {
+        const result = this.flowInto(this.root, 1);
+        return result.target && this.prerequisitesMet(result.target) ? result.target : null;
+    }
+
+    /**
+     * The leaf a Continue (Next) request goes to
+     * @returns {Object} { target, reason } - target is null when the request isn't allowed
+     */
+    getNext(fromId = this.currentId) {
+        return this.checkPrerequisites(this.flowFrom(fromId, 1));
+    }
+
+    /**
+     * The leaf a Previous request goes to
+     * @returns {Object} { target, reason }
+     */
+    getPrevious(fromId = this.currentId) {
+        return this.checkPrerequisites(this.flowFrom(fromId, -1));
+    }
+
+    checkPrerequisites(result) {
+        if (result.target && !this.prerequisitesMet(result.target)) {
+            return { target: null, reason: `${result.target.title} is locked until its prerequisites are done` };
+        }
+        return result;
+    }
+
+    /**
+     * Flow tree traversal from a leaf to the next or previous leaf; every cluster
+     * passed through must allow flow, and Previous is refused in forward-only clusters
+     */
+    flowFrom(fromId, direction) {
+        let node = this.nodes.get(fromId);
+        if (!node) {
+            return direction > 0 ? this.flowInto(this.root, 1) : { target: null, reason: 'Nothing has been launched yet' };
+        }
+
+        while (node.parent) {
+            const parent = node.parent;
+            if (!parent.sequencing.flow) {
+                return { target: null, reason: `${parent.title} does not allow Next and Previous; choose from the contents` };
+            }
+            if (direction < 0 && parent.sequencing.forwardOnly) {
+                return { target: null, reason: `${parent.title} only moves forward` };
+            }
+
+            const siblings = parent.children;
+            for (let i = siblings.indexOf(node) + direction; i >= 0 && i < siblings.length; i += direction) {
+                const result = this.flowInto(siblings[i], direction);
+                if (result.target) return result;
+            }
+            node = parent;
+        }
+
+        return { target: null, reason: direction > 0 ? 'This is the last unit' : 'This is the first unit' };
+    }
+
+    /**
+     * First leaf at or under a node in the direction of travel. Flowing backward into
+     * a forward-only cluster enters it at its first child
+     */
+    flowInto(node, direction) {
+        if (this.isLeaf(node)) {
+            return { target: node, reason: '' };
+        }
+        if (!node.sequencing.flow) {
+            return { target: null, reason: `${node.title} does not allow Next and Previous; choose from the contents` };
+        }
+
+        const inward = direction > 0 || node.sequencing.forwardOnly ? 1 : -1;
+        const children = inward > 0 ? node.children : [...node.children].reverse();
+        for (const child of children) {
+            const result = this.flowInto(child, inward);
+            if (result.target) return result;
+        }
+        return { target: null, reason: `${node.title} has nothing to launch` };
+    }
+
+    /**
+     * Whether the learner may choose a leaf from the table of contents
+     * @returns {Object} { allowed, reason }
+     */
+    checkChoice(targetId) {
+        const target = this.nodes.get(targetId);
+        if (!target || !this.isLeaf(target)) {
+            return { allowed: false, reason: 'There is nothing to launch here' };
+        }
+
+        for (let node = target.parent; node; node = node.parent) {
+            if (!node.sequencing.choice) {
+                return { allowed: false, reason: `${node.title} has to be taken in order` };
+            }
+        }
+
+        const current = this.nodes.get(this.currentId);
+        if (current && current !== target) {
+            const common = this.getCommonAncestor(current, target);
+            for (let node = current.parent; node && node !== common; node = node.parent) {
+                if (!node.sequencing.choiceExit) {
+                    return { allowed: false, reason: `Finish ${node.title} before leaving it` };
+                }
+            }
+            if (common.sequencing.forwardOnly && this.leaves.indexOf(target) < this.leaves.indexOf(current)) {
+                return { allowed: false, reason: `${common.title} only moves forward` };
+            }
+        }
+
+        if (!this.prerequisitesMet(target)) {
+            return { allowed: false, reason: 'Locked until its prerequisites are done' };
+        }
+        return { allowed: true, reason: '' };
+    }
+
+    getCommonAncestor(a, b) {
+        const ancestors = new Set();
+        for (let node = a.parent; node; node = node.parent) {
+            ancestors.add(node);
+        }
+        for (let node = b.parent; node; node = node.parent) {
+            if (ancestors.has(node)) return node;
+        }
+        return this.root;
+    }
+
+    /**
+     * Evaluate a SCORM 1.2 prerequisites expression (AICC script): item identifiers,
+     * & | ~ and parentheses, "item = status" / "item <> status", and "n*{a,b,c}" sets.
+     * An item on its own counts when it is passed or completed. Expressions that
+     * can't be read don't lock anything
+     */
+    prerequisitesMet(node) {
+        if (!node.prerequisites || this.version === '2004') {
+            return true;
+        }
+
+        try {
+            const tokens = node.prerequisites.match(/\d+\s*\*|<>|[&|~(){}=,]|not attempted|[^\s&|~(){}=,<>]+/gi) || [];
+            let position = 0;
+            const peek = () => tokens[position];
+            const take = expected => {
+                const token = tokens[position++];
+                if (expected && token !== expected) throw new Error(`Expected ${expected} in "${node.prerequisites}"`);
+                return token;
+            };
+
+            const parseAtom = () => {
+                const id = take();
+                if (!id || /^[&|~(){}=,]$/.test(id)) throw new Error(`Unexpected "${id}" in "${node.prerequisites}"`);
+                const status = this.getLessonStatus(id);
+                if (peek() === '=' || peek() === '<>') {
+                    const operator = take();
+                    const expected = (take() || '').toLowerCase();
+                    return operator === '=' ? status === expected : status !== expected;
+                }
+                return status === 'passed' || status === 'completed';
+            };
+            const parseFactor = () => {
+                const token = peek();
+                if (token === '~') {
+                    take();
+                    return !parseFactor();
+                }
+                if (token === '(') {
+                    take();
+                    const value = parseExpression();
+                    take(')');
+                    return value;
+                }
+                if (/^\d+\s*\*$/.test(token || '')) {
+                    const needed = parseInt(take(), 10);
+                    take('{');
+                    let met = 0;
+                    do {
+                        if (parseAtom()) met++;
+                    } while (peek() === ',' && take());
+                    take('}');
+                    return met >= needed;
+                }
+                return parseAtom();
+            };
+            const parseTerm = () => {
+                let value = parseFactor();
+                while (peek() === '&') {
+                    take();
+                    value = parseFactor() && value;
+                }
+                return value;
+            };
+            const parseExpression = () => {
+                let value = parseTerm();
+                while (peek() === '|') {
+                    take();
+                    value = parseTerm() || value;
+                }
+                return value;
+            };
+
+            const result = parseExpression();
+            if (position < tokens.length) throw new Error(`Unexpected "${tokens[position]}" in "${node.prerequisites}"`);
+            return result;
+        } catch (error) {
+            console.warn('Ignoring prerequisites that could not be read:', error.message);
+            return true;
+        }
+    }
+
+    /**
+     * SCORM 1.2 lesson status of an item, for prerequisites
+     */
+    getLessonStatus(id) {
+        const node = this.nodes.get(id);
+        if (!node) return 'not attempted';
+        const status = node.status;
+        if (status.lessonStatus) return status.lessonStatus;
+        if (status.success === 'passed' || status.success === 'failed') return status.success;
+        if (status.completion === 'completed') return 'completed';
+        return status.attempted ? 'incomplete' : 'not attempted';
+    }
+
+    /**
+     * Record a SCO's tracking data and roll it up through its clusters
+     * @param {Object} status - { completion, success, scaled, lessonStatus }
+     */
+    setStatus(id, status) {
+        const node = this.nodes.get(id);
+        if (!node) return;
+
+        node.status = { ...node.status, ...status, attempted: true };
+        for (let parent = node.parent; parent; parent = parent.parent) {
+            this.rollup(parent);
+        }
+    }
+
+    /**
+     * Cluster status from its children: completed when all are, passed when all are
+     * and failed when any is; score is the weighted mean of the children with one
+     */
+    rollup(cluster) {
+        const children = cluster.children;
+        const forCompletion = children.filter(child => child.sequencing.rollupProgressCompletion);
+        const forSuccess = children.filter(child => child.sequencing.rollupObjectiveSatisfied);
+        const status = cluster.status;
+
+        status.attempted = children.some(child => child.status.attempted);
+        if (forCompletion.length > 0 && forCompletion.every(child => child.status.completion === 'completed')) {
+            status.completion = 'completed';
+        } else {
+            status.completion = status.attempted ? 'incomplete' : 'unknown';
+        }
+
+        if (forSuccess.some(child => child.status.success === 'failed')) {
+            status.success = 'failed';
+        } else if (forSuccess.length > 0 && forSuccess.every(child => child.status.success === 'passed')) {
+            status.success = 'passed';
+        } else {
+            status.success = 'unknown';
+        }
+
+        const scored = children.filter(child => child.status.scaled !== null && child.sequencing.objectiveMeasureWeight > 0);
+        const weight = scored.reduce((sum, child) => sum + child.sequencing.objectiveMeasureWeight, 0);
+        status.scaled = weight > 0
+            ? scored.reduce((sum, child) => sum + child.status.scaled * child.sequencing.objectiveMeasureWeight, 0) / weight
+            : null;
+    }
+
+    /**
+     * Course status (the organization's rolled-up status)
+     */
+    getCourseStatus() {
+        return { ...this.root.status };
+    }
+
+    /**
+     * Visible items in order, with depth, status and whether they can be chosen now
+     */
+    getTableOfContents() {
+        const entries = [];
+        const visit = node => {
+            node.children.forEach(child => {
+                if (child.isvisible) {
+                    const launchable = this.isLeaf(child);
+                    const choice = launchable ? this.checkChoice(child.id) : { allowed: false, reason: '' };
+                    entries.push({
+                        id: child.id,
+                        title: child.title,
+                        depth: child.depth,
+                        launchable: launchable,
+                        current: child.id === this.currentId,
+                        allowed: choice.allowed,
+                        reason: choice.reason,
+                        status: { ...child.status }
+                    });
+                }
+                visit(child);
+            });
+        };
+        visit(this.root);
+        return entries;
+    }
+
+    /**
+     * Tracking state to keep between visits
+     */
+    getState() {
+        const statuses = {};
+        this.leaves.forEach(leaf => {
+            if (leaf.status.attempted) statuses[leaf.id] = { ...leaf.status };
+        });
+        return { currentId: this.currentId, statuses: statuses };
+    }
+
+    /**
+     * Restore state from getState and roll it up again
+     */
+    restoreState(state) {
+        if (!state) return;
+        Object.entries(state.statuses || {}).forEach(([id, status]) => {
+            const node = this.nodes.get(id);
+            if (node) node.status = { ...node.status, ...status };
+        });
+
+        const rollupFrom = node => {
+            node.children.forEach(rollupFrom);
+            if (node.children.length > 0) this.rollup(node);
+        };
+        rollupFrom(this.root);
+
+        if (state.currentId && this.nodes.has(state.currentId)) {
+            this.currentId = state.currentId;
+        }
+    }
+}
+
+// Export the service
+export default SCORMSequencer;
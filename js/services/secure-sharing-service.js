@@ -3,54 +3,74 @@
  * 
  * This service handles password-protected and expiring links for shared content
  * in the educational platform.
+ * Share passwords are stored as salted PBKDF2 hashes and share IDs come from
+ * crypto.getRandomValues. A share can also carry the activity encrypted with
+ * AES-GCM; its key is only ever in the link's fragment (#key=...), which browsers
+ * don't send to the server, so Firestore holds nothing but ciphertext. For
+ * password shares the fragment holds that key wrapped with a key derived from
+ * the password, so the link on its own can't decrypt the activity.
  */
 
+const FIRESTORE_MODULE = 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+
 class SecureSharingService {
     constructor(firebaseService) {
         this.firebaseService = firebaseService;
-        this.encryptionKey = null;
         this.activeShares = new Map();
         this.shareValidationCache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
     }
     
+    // OWASP's current recommendation for PBKDF2-HMAC-SHA256
+    static get PBKDF2_ITERATIONS() {
+        return 600000;
+    }
+    
+    static get SALT_BYTES() {
+        return 16;
+    }
+    
+    static get SHARE_ID_BYTES() {
+        return 16;
+    }
+    
+    // AES-GCM nonce size
+    static get IV_BYTES() {
+        return 12;
+    }
+    
     /**
      * Initialize the service
      */
     initialize() {
-        // Generate or retrieve encryption key
-        this.encryptionKey = this.getEncryptionKey();
+        // Keys from older versions are no longer used (passwords carry their own salt)
+        localStorage.removeItem('secure-sharing-key');
         console.log('Secure sharing service initialized');
     }
     
     /**
-     * Get or create encryption key
+     * WebCrypto, which needs a secure context (https or localhost)
      */
-    getEncryptionKey() {
-        // In a real implementation, this would securely retrieve the key
-        // For now, we'll use a placeholder key
-        let key = localStorage.getItem('secure-sharing-key');
-        if (!key) {
-            key = this.generateEncryptionKey();
-            localStorage.setItem('secure-sharing-key', key);
+    getCrypto() {
+        const webCrypto = typeof crypto !== 'undefined' ? crypto : null;
+        if (!webCrypto || !webCrypto.subtle || !webCrypto.getRandomValues) {
+            throw new Error('Secure sharing needs a browser with WebCrypto over https');
         }
-        return key;
+        return webCrypto;
     }
     
     /**
-     * Generate a random encryption key
+     * Cryptographically random bytes
      */
-    generateEncryptionKey() {
-        // Generate a random string for encryption purposes
-        // Note: This is a simplified approach - a real implementation would use proper crypto
-        return Math.random().toString(36).substring(2, 15) + 
-               Math.random().toString(36).substring(2, 15);
+    randomBytes(length) {
+        return this.getCrypto().getRandomValues(new Uint8Array(length));
     }
     
     /**
      * Create a password-protected share link
+     * @param {Object} options - { payload }: activity data to encrypt end to end (see encryptPayload)
      */
-    async createPasswordProtectedShare(contentId, password, expirationHours = 24) {
+    async createPasswordProtectedShare(contentId, password, expirationHours = 24, options = {}) {
         if (!this.firebaseService || !this.firebaseService.isAuthenticated()) {
             throw new Error('User must be authenticated to create protected shares');
         }
@@ -60,7 +80,11 @@ class SecureSharingService {
             const shareId = this.generateShareId();
             const expiresAt = new Date(Date.now() + (expirationHours * 60 * 60 * 1000));
             
-            // Hash the password (in a real implementation, use proper hashing)
+            if (!password) {
+                throw new Error('A password is required for a password-protected share');
+            }
+            
+            // Salted PBKDF2 hash; the password itself is never stored
             const hashedPassword = await this.hashPassword(password);
             
             // Create share record
@@ -76,19 +100,27 @@ class SecureSharingService {
                 isActive: true
             };
             
+            // Only ciphertext goes to Firestore; the key goes in the link, wrapped
+            // with the password so the link alone doesn't open the activity
+            const encryption = options.payload !== undefined ? await this.encryptPayload(options.payload, shareId, password) : null;
+            if (encryption) {
+                shareData.encryptedPayload = encryption.encryptedPayload;
+            }
+            
             // Save to Firestore
-            const shareRef = this.firebaseService.firestore.collection('shares').doc(shareId);
-            await shareRef.set(shareData);
+            const { doc, setDoc } = await import(FIRESTORE_MODULE);
+            await setDoc(doc(this.firebaseService.firestore, 'shares', shareId), shareData);
             
             // Generate the share URL
-            const shareUrl = `${window.location.origin}/share/${shareId}`;
+            const shareUrl = this.getPublicShareUrl(shareId, encryption ? encryption.key : null);
             
-            console.log(`Password-protected share created: ${shareUrl}`);
+            console.log(`Password-protected share created: ${shareId}`);
             
             return {
                 shareId,
                 shareUrl,
                 expiresAt,
+                encrypted: !!encryption,
                 success: true
             };
         } catch (error) {
@@ -99,8 +131,9 @@ class SecureSharingService {
     
     /**
      * Create an expiring share link without password
+     * @param {Object} options - { payload }: activity data to encrypt end to end (see encryptPayload)
      */
-    async createExpiringShare(contentId, expirationHours = 24) {
+    async createExpiringShare(contentId, expirationHours = 24, options = {}) {
         if (!this.firebaseService || !this.firebaseService.isAuthenticated()) {
             throw new Error('User must be authenticated to create shares');
         }
@@ -123,19 +156,26 @@ class SecureSharingService {
                 requiresPassword: false
             };
             
+            // Only ciphertext goes to Firestore; the key goes in the link
+            const encryption = options.payload !== undefined ? await this.encryptPayload(options.payload, shareId) : null;
+            if (encryption) {
+                shareData.encryptedPayload = encryption.encryptedPayload;
+            }
+            
             // Save to Firestore
-            const shareRef = this.firebaseService.firestore.collection('shares').doc(shareId);
-            await shareRef.set(shareData);
+            const { doc, setDoc } = await import(FIRESTORE_MODULE);
+            await setDoc(doc(this.firebaseService.firestore, 'shares', shareId), shareData);
             
             // Generate the share URL
-            const shareUrl = `${window.location.origin}/share/${shareId}`;
+            const shareUrl = this.getPublicShareUrl(shareId, encryption ? encryption.key : null);
             
-            console.log(`Expiring share created: ${shareUrl}`);
+            console.log(`Expiring share created: ${shareId}`);
             
             return {
                 shareId,
                 shareUrl,
                 expiresAt,
+                encrypted: !!encryption,
                 success: true
             };
         } catch (error) {
@@ -146,28 +186,31 @@ class SecureSharingService {
     
     /**
      * Validate a share link and check password if required
+     * @param {Object} options - { recordAccess: false leaves counting the access to the caller (see recordShareAccess) }
      */
-    async validateShare(shareId, password = null) {
+    async validateShare(shareId, password = null, { recordAccess = true } = {}) {
         try {
-            // Check cache first
-            const cacheKey = `${shareId}_${password || 'nopass'}`;
-            const cachedResult = this.shareValidationCache.get(cacheKey);
+            // Check cache first. Attempts with a password are never cached, so
+            // passwords aren't kept in memory and every guess is checked again
+            const cacheKey = password ? null : shareId;
+            const cachedResult = cacheKey ? this.shareValidationCache.get(cacheKey) : null;
             
             if (cachedResult && Date.now() < cachedResult.expires) {
                 return cachedResult.data;
             }
             
             // Get share from Firestore
-            const shareRef = this.firebaseService.firestore.collection('shares').doc(shareId);
-            const doc = await shareRef.get();
+            const { doc, getDoc, updateDoc } = await import(FIRESTORE_MODULE);
+            const shareRef = doc(this.firebaseService.firestore, 'shares', shareId);
+            const shareDoc = await getDoc(shareRef);
             
-            if (!doc.exists) {
+            if (!shareDoc.exists()) {
                 const result = { valid: false, reason: 'Share not found' };
                 this.cacheValidationResult(cacheKey, result);
                 return result;
             }
             
-            const shareData = doc.data();
+            const shareData = shareDoc.data();
             
             // Check if share is active
             if (!shareData.isActive) {
@@ -182,7 +225,7 @@ class SecureSharingService {
             
             if (now > expiresAt) {
                 // Mark as inactive
-                await shareRef.update({ isActive: false });
+                await updateDoc(shareRef, { isActive: false });
                 const result = { valid: false, reason: 'Share has expired' };
                 this.cacheValidationResult(cacheKey, result);
                 return result;
@@ -190,7 +233,7 @@ class SecureSharingService {
             
             // Check access count
             if (shareData.accessCount >= (shareData.maxAccessCount || 100)) {
-                await shareRef.update({ isActive: false });
+                await updateDoc(shareRef, { isActive: false });
                 const result = { valid: false, reason: 'Maximum access count reached' };
                 this.cacheValidationResult(cacheKey, result);
                 return result;
@@ -213,21 +256,22 @@ class SecureSharingService {
                 }
             }
             
-            // Increment access count
-            await shareRef.update({ 
-                accessCount: this.firebaseService.firestore.FieldValue.increment(1),
-                lastAccessed: new Date()
-            });
+            if (recordAccess) {
+                await this.recordShareAccess(shareId);
+            }
             
-            // Return valid share data
+            // Return valid share data (the password hash stays out of it)
+            const { hashedPassword, ...publicShareData } = shareData;
             const result = {
                 valid: true,
                 contentId: shareData.contentId,
                 userId: shareData.userId,
-                shareData: shareData
+                encrypted: !!shareData.encryptedPayload,
+                shareData: publicShareData
             };
             
-            this.cacheValidationResult(cacheKey, result);
+            // A result that hasn't been counted yet isn't reused, or the access would never be
+            this.cacheValidationResult(recordAccess ? cacheKey : null, result);
             return result;
         } catch (error) {
             console.error('Error validating share:', error);
@@ -235,6 +279,17 @@ class SecureSharingService {
         }
     }
     
+    /**
+     * Count one access to a share
+     */
+    async recordShareAccess(shareId) {
+        const { doc, updateDoc, increment } = await import(FIRESTORE_MODULE);
+        await updateDoc(doc(this.firebaseService.firestore, 'shares', shareId), {
+            accessCount: increment(1),
+            lastAccessed: new Date()
+        });
+    }
+    
     /**
      * Get share information (for the owner)
      */
@@ -245,14 +300,14 @@ class SecureSharingService {
         
         try {
             const userId = this.firebaseService.getCurrentUser().uid;
-            const shareRef = this.firebaseService.firestore.collection('shares').doc(shareId);
-            const doc = await shareRef.get();
+            const { doc, getDoc } = await import(FIRESTORE_MODULE);
+            const shareDoc = await getDoc(doc(this.firebaseService.firestore, 'shares', shareId));
             
-            if (!doc.exists) {
+            if (!shareDoc.exists()) {
                 throw new Error('Share not found');
             }
             
-            const shareData = doc.data();
+            const shareData = shareDoc.data();
             
             // Verify ownership
             if (shareData.userId !== userId) {
@@ -285,14 +340,15 @@ class SecureSharingService {
         
         try {
             const userId = this.firebaseService.getCurrentUser().uid;
-            const shareRef = this.firebaseService.firestore.collection('shares').doc(shareId);
-            const doc = await shareRef.get();
+            const { doc, getDoc, updateDoc } = await import(FIRESTORE_MODULE);
+            const shareRef = doc(this.firebaseService.firestore, 'shares', shareId);
+            const shareDoc = await getDoc(shareRef);
             
-            if (!doc.exists) {
+            if (!shareDoc.exists()) {
                 throw new Error('Share not found');
             }
             
-            const shareData = doc.data();
+            const shareData = shareDoc.data();
             
             // Verify ownership
             if (shareData.userId !== userId) {
@@ -300,7 +356,7 @@ class SecureSharingService {
             }
             
             // Mark as inactive
-            await shareRef.update({ 
+            await updateDoc(shareRef, {
                 isActive: false,
                 revokedAt: new Date(),
                 revokedBy: userId
@@ -324,14 +380,15 @@ class SecureSharingService {
         
         try {
             const userId = this.firebaseService.getCurrentUser().uid;
-            const shareRef = this.firebaseService.firestore.collection('shares').doc(shareId);
-            const doc = await shareRef.get();
+            const { doc, getDoc, updateDoc } = await import(FIRESTORE_MODULE);
+            const shareRef = doc(this.firebaseService.firestore, 'shares', shareId);
+            const shareDoc = await getDoc(shareRef);
             
-            if (!doc.exists) {
+            if (!shareDoc.exists()) {
                 throw new Error('Share not found');
             }
             
-            const shareData = doc.data();
+            const shareData = shareDoc.data();
             
             // Verify ownership
             if (shareData.userId !== userId) {
@@ -342,6 +399,12 @@ class SecureSharingService {
             const preparedUpdates = {};
             
             if (updates.password !== undefined) {
+                // The key in the link is wrapped with the old password, and only
+                // the people holding the link have it
+                if (shareData.encryptedPayload) {
+                    throw new Error('The password of an encrypted share cannot be changed; create a new share instead');
+                }
+                
                 if (updates.password) {
                     preparedUpdates.hashedPassword = await this.hashPassword(updates.password);
                 } else {
@@ -362,7 +425,7 @@ class SecureSharingService {
             preparedUpdates.updatedAt = new Date();
             
             // Apply updates
-            await shareRef.update(preparedUpdates);
+            await updateDoc(shareRef, preparedUpdates);
             
             console.log(`Share ${shareId} updated`);
             return { success: true };
@@ -382,12 +445,13 @@ class SecureSharingService {
         
         try {
             const currentUserId = userId || this.firebaseService.getCurrentUser().uid;
-            const sharesSnapshot = await this.firebaseService.firestore
-                .collection('shares')
-                .where('userId', '==', currentUserId)
-                .orderBy('createdAt', 'desc')
-                .limit(50) // Limit to prevent huge result sets
-                .get();
+            const { collection, query, where, orderBy, limit, getDocs } = await import(FIRESTORE_MODULE);
+            const sharesSnapshot = await getDocs(query(
+                collection(this.firebaseService.firestore, 'shares'),
+                where('userId', '==', currentUserId),
+                orderBy('createdAt', 'desc'),
+                limit(50) // Limit to prevent huge result sets
+            ));
             
             const shares = [];
             sharesSnapshot.forEach(doc => {
@@ -412,48 +476,251 @@ class SecureSharingService {
     }
     
     /**
-     * Generate a unique share ID
+     * Generate a unique share ID (128 random bits, URL-safe)
      */
     generateShareId() {
-        // Create a unique identifier for the share
-        return 'share_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+        return 'share_' + this.toBase64Url(this.randomBytes(SecureSharingService.SHARE_ID_BYTES));
     }
     
     /**
-     * Hash a password (simplified implementation)
+     * Hash a password with PBKDF2-HMAC-SHA256 and a random salt
+     * @returns {Promise<string>} "pbkdf2-sha256$<iterations>$<salt>$<hash>", so the
+     *          iteration count can be raised later without breaking stored hashes
      */
-    async hashPassword(password) {
-        // Note: This is a simplified hash for demonstration
-        // A real implementation would use proper cryptographic hashing
-        const encoder = new TextEncoder();
-        const data = encoder.encode(password + this.encryptionKey);
+    async hashPassword(password, salt = null, iterations = SecureSharingService.PBKDF2_ITERATIONS) {
+        const saltBytes = salt || this.randomBytes(SecureSharingService.SALT_BYTES);
+        const hash = await this.derivePasswordHash(password, saltBytes, iterations);
+        return `pbkdf2-sha256$${iterations}$${this.toBase64Url(saltBytes)}$${this.toBase64Url(hash)}`;
+    }
+    
+    async derivePasswordHash(password, saltBytes, iterations) {
+        const subtle = this.getCrypto().subtle;
+        const baseKey = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations },
+            baseKey,
+            256
+        );
+        return new Uint8Array(bits);
+    }
+    
+    /**
+     * Verify a password against its hash. Hashes from before PBKDF2 can't be
+     * checked (they depended on a key kept in the owner's browser); the owner
+     * sets the password again with updateShare
+     */
+    async verifyPassword(password, hashedPassword) {
+        const parts = String(hashedPassword || '').split('$');
+        if (parts.length !== 4 || parts[0] !== 'pbkdf2-sha256') {
+            console.warn('Share password was stored in an old format and has to be set again');
+            return false;
+        }
+        
+        const iterations = parseInt(parts[1], 10);
+        if (!Number.isInteger(iterations) || iterations < 1) {
+            return false;
+        }
         
-        // In a real implementation, use crypto.subtle.digest or a proper hashing library
-        // For now, we'll just use a simple approach
-        let hash = 0;
-        const str = Array.from(data).map(byte => String.fromCharCode(byte)).join('');
+        const expected = this.fromBase64Url(parts[3]);
+        const actual = await this.derivePasswordHash(password, this.fromBase64Url(parts[2]), iterations);
         
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32bit integer
+        // Compare every byte so the time taken doesn't reveal where they differ
+        let difference = expected.length ^ actual.length;
+        for (let i = 0; i < actual.length; i++) {
+            difference |= actual[i] ^ (expected[i] || 0);
         }
+        return difference === 0;
+    }
+    
+    /**
+     * Encrypt a share's activity with a new AES-GCM key. The share ID is bound in
+     * as additional data, so the ciphertext can't be moved to another share
+     * @param {string|null} password - When given, the key is wrapped (see wrapKey)
+     * @returns {Promise<Object>} { key, encryptedPayload }: key (base64url) belongs
+     *          in the link fragment only; encryptedPayload is what gets stored
+     */
+    async encryptPayload(payload, shareId, password = null) {
+        const subtle = this.getCrypto().subtle;
+        const key = await subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const iv = this.randomBytes(SecureSharingService.IV_BYTES);
+        
+        const ciphertext = await subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(shareId) },
+            key,
+            new TextEncoder().encode(JSON.stringify(payload))
+        );
+        let linkKey = new Uint8Array(await subtle.exportKey('raw', key));
         
-        return hash.toString();
+        const encryptedPayload = {
+            algorithm: 'AES-GCM',
+            iv: this.toBase64Url(iv),
+            ciphertext: this.toBase64Url(new Uint8Array(ciphertext))
+        };
+        
+        if (password) {
+            const wrapped = await this.wrapKey(linkKey, password, shareId);
+            linkKey = wrapped.wrappedKey;
+            encryptedPayload.keyWrap = wrapped.keyWrap;
+        }
+        
+        return {
+            key: this.toBase64Url(linkKey),
+            encryptedPayload
+        };
     }
     
     /**
-     * Verify a password against its hash
+     * Encrypt a raw content key with an AES-GCM key derived from the password
+     * (PBKDF2 with its own salt, separate from the password hash's). Firestore
+     * keeps the salt and nonce, the link keeps the wrapped key, so opening the
+     * activity takes both the link and the password
+     * @returns {Promise<Object>} { wrappedKey, keyWrap }
      */
-    async verifyPassword(password, hashedPassword) {
-        const hash = await this.hashPassword(password);
-        return hash === hashedPassword;
+    async wrapKey(rawKey, password, shareId, iterations = SecureSharingService.PBKDF2_ITERATIONS) {
+        const salt = this.randomBytes(SecureSharingService.SALT_BYTES);
+        const iv = this.randomBytes(SecureSharingService.IV_BYTES);
+        const wrappingKey = await this.derivePasswordKey(password, salt, iterations);
+        
+        const wrappedKey = await this.getCrypto().subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(shareId) },
+            wrappingKey,
+            rawKey
+        );
+        
+        return {
+            wrappedKey: new Uint8Array(wrappedKey),
+            keyWrap: {
+                algorithm: 'PBKDF2-SHA256/AES-GCM',
+                iterations,
+                salt: this.toBase64Url(salt),
+                iv: this.toBase64Url(iv)
+            }
+        };
+    }
+    
+    /**
+     * Recover the raw content key from a wrapped link key
+     */
+    async unwrapKey(wrappedKey, password, keyWrap, shareId) {
+        const iterations = parseInt(keyWrap.iterations, 10);
+        if (!Number.isInteger(iterations) || iterations < 1) {
+            throw new Error('The share has an invalid key wrapping');
+        }
+        
+        const wrappingKey = await this.derivePasswordKey(password, this.fromBase64Url(keyWrap.salt), iterations);
+        try {
+            const rawKey = await this.getCrypto().subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64Url(keyWrap.iv), additionalData: new TextEncoder().encode(shareId) },
+                wrappingKey,
+                wrappedKey
+            );
+            return new Uint8Array(rawKey);
+        } catch (error) {
+            throw new Error('The shared activity could not be decrypted (wrong password)');
+        }
+    }
+    
+    async derivePasswordKey(password, saltBytes, iterations) {
+        const subtle = this.getCrypto().subtle;
+        const baseKey = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+        return subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+    
+    /**
+     * Decrypt a share's activity with the key from its link
+     * @param {Object} shareData - Share record (from validateShare)
+     * @param {string} fragment - The link's fragment ("#key=...") or the bare key
+     * @param {string|null} password - Needed when the share's key is wrapped
+     */
+    async decryptPayload(shareData, fragment = window.location.hash, password = null) {
+        if (!shareData || !shareData.encryptedPayload) {
+            throw new Error('This share is not encrypted');
+        }
+        
+        const keyText = this.getKeyFromFragment(fragment);
+        if (!keyText) {
+            throw new Error('The link is missing its key (the part after #)');
+        }
+        
+        const { iv, ciphertext, keyWrap } = shareData.encryptedPayload;
+        let rawKey = this.fromBase64Url(keyText);
+        if (keyWrap) {
+            if (!password) {
+                throw new Error('This share needs its password to be decrypted');
+            }
+            rawKey = await this.unwrapKey(rawKey, password, keyWrap, shareData.id);
+        }
+        
+        const subtle = this.getCrypto().subtle;
+        try {
+            const key = await subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['decrypt']);
+            const plaintext = await subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64Url(iv), additionalData: new TextEncoder().encode(shareData.id) },
+                key,
+                this.fromBase64Url(ciphertext)
+            );
+            return JSON.parse(new TextDecoder().decode(plaintext));
+        } catch (error) {
+            throw new Error('The shared activity could not be decrypted (the link may be incomplete)');
+        }
+    }
+    
+    /**
+     * Validate a share and, for encrypted shares, decrypt its activity. The access
+     * is only counted once decryption has worked, so a link missing its key or a
+     * wrong password doesn't use one up
+     * @returns {Promise<Object>} validateShare's result, plus payload when encrypted
+     */
+    async openShare(shareId, password = null, fragment = window.location.hash) {
+        const result = await this.validateShare(shareId, password, { recordAccess: false });
+        if (!result.valid) {
+            return result;
+        }
+        const opened = result.encrypted
+            ? { ...result, payload: await this.decryptPayload(result.shareData, fragment, password) }
+            : result;
+        await this.recordShareAccess(shareId);
+        return opened;
+    }
+    
+    /**
+     * The key from a "#key=..." fragment (a bare key is returned as it is)
+     */
+    getKeyFromFragment(fragment) {
+        const text = String(fragment || '').replace(/^#/, '');
+        if (!text.includes('=')) {
+            return text || null;
+        }
+        return new URLSearchParams(text).get('key');
+    }
+    
+    toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    fromBase64Url(text) {
+        const base64 = String(text).replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
     }
     
     /**
      * Cache validation result
      */
     cacheValidationResult(cacheKey, result) {
+        if (!cacheKey) {
+            return;
+        }
         this.shareValidationCache.set(cacheKey, {
             data: result,
             expires: Date.now() + this.cacheTimeout
@@ -504,7 +771,7 @@ class SecureSharingService {
      */
     async logShareAccess(shareId, accessInfo = {}) {
         try {
-            const accessLogRef = this.firebaseService.firestore.collection('share_access_logs').doc();
+            const { collection, addDoc } = await import(FIRESTORE_MODULE);
             const logData = {
                 shareId,
                 timestamp: new Date(),
@@ -514,7 +781,7 @@ class SecureSharingService {
                 country: accessInfo.country || null
             };
             
-            await accessLogRef.set(logData);
+            await addDoc(collection(this.firebaseService.firestore, 'share_access_logs'), logData);
             
             console.log(`Access logged for share: ${shareId}`);
         } catch (error) {
@@ -534,20 +801,20 @@ class SecureSharingService {
             const userId = this.firebaseService.getCurrentUser().uid;
             
             // Verify ownership
-            const shareRef = this.firebaseService.firestore.collection('shares').doc(shareId);
-            const shareDoc = await shareRef.get();
+            const { doc, getDoc, collection, query, where, orderBy, limit, getDocs } = await import(FIRESTORE_MODULE);
+            const shareDoc = await getDoc(doc(this.firebaseService.firestore, 'shares', shareId));
             
-            if (!shareDoc.exists || shareDoc.data().userId !== userId) {
+            if (!shareDoc.exists() || shareDoc.data().userId !== userId) {
                 throw new Error('Unauthorized or share not found');
             }
             
             // Get access logs
-            const logsSnapshot = await this.firebaseService.firestore
-                .collection('share_access_logs')
-                .where('shareId', '==', shareId)
-                .orderBy('timestamp', 'desc')
-                .limit(1000)
-                .get();
+            const logsSnapshot = await getDocs(query(
+                collection(this.firebaseService.firestore, 'share_access_logs'),
+                where('shareId', '==', shareId),
+                orderBy('timestamp', 'desc'),
+                limit(1000)
+            ));
             
             const accesses = [];
             let uniqueVisitors = new Set();
@@ -589,13 +856,14 @@ class SecureSharingService {
         try {
             // Query for expired but still active shares
             const now = new Date();
-            const expiredSharesSnapshot = await this.firebaseService.firestore
-                .collection('shares')
-                .where('expiresAt', '<=', now)
-                .where('isActive', '==', true)
-                .get();
-            
-            const batch = this.firebaseService.firestore.batch();
+            const { collection, query, where, getDocs, writeBatch } = await import(FIRESTORE_MODULE);
+            const expiredSharesSnapshot = await getDocs(query(
+                collection(this.firebaseService.firestore, 'shares'),
+                where('expiresAt', '<=', now),
+                where('isActive', '==', true)
+            ));
+            
+            const batch = writeBatch(this.firebaseService.firestore);
             let count = 0;
             
             expiredSharesSnapshot.forEach(doc => {
@@ -630,11 +898,13 @@ class SecureSharingService {
     
     /**
      * Get share URL with custom domain (if configured)
+     * @param {string|null} key - Encryption key; it goes in the fragment, which is never sent to the server
      */
-    getPublicShareUrl(shareId) {
+    getPublicShareUrl(shareId, key = null) {
         // In a real implementation, this might use a custom domain
         // For now, return the standard URL
-        return `${window.location.origin}/share/${shareId}`;
+        const url = `${window.location.origin}/share/${shareId}`;
+        return key ? `${url}#key=${key}` : url;
     }
     
     /**
@@ -3,14 +3,64 @@
  * 
  * This service handles saving and restoring user progress, scores, and attempts
  * in Firestore to ensure data persists across sessions and page reloads.
+ * Writes that can't reach Firestore wait in an IndexedDB queue (SyncQueueStore)
+ * and are replayed with backoff when the connection comes back.
  */
 
+import SyncQueueStore from './sync-queue-store.js';
+
+const FIRESTORE_MODULE = 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+
 class StatePersistenceService {
     constructor(firebaseService) {
         this.firebaseService = firebaseService;
         this.cache = new Map(); // In-memory cache for recent data
-        this.syncQueue = []; // Queue for pending sync operations
+        this.syncQueue = []; // Pending writes, oldest first; mirrored in IndexedDB
+        this.queueStore = new SyncQueueStore();
+        this.queueObservers = [];
         this.isSyncing = false;
+        this.retryTimer = null;
+        this.isOnline = typeof navigator === 'undefined' || navigator.onLine !== false;
+        
+        // Replay as soon as the connection or the signed-in user comes back
+        this.connectionObserver = (online) => this.handleConnectionChange(online);
+        this.authObserver = (user) => {
+            if (user) this.processSyncQueue();
+        };
+        if (this.firebaseService) {
+            this.firebaseService.addConnectionObserver(this.connectionObserver);
+            this.firebaseService.addAuthObserver(this.authObserver);
+        }
+    }
+    
+    // Retry delays double from the base up to the cap
+    static get RETRY_BASE_DELAY() {
+        return 2000;
+    }
+    
+    static get RETRY_MAX_DELAY() {
+        return 5 * 60 * 1000;
+    }
+    
+    // A write that hasn't been acknowledged by then is queued (Firestore keeps
+    // trying too; the idempotency key makes the second copy harmless)
+    static get WRITE_TIMEOUT() {
+        return 15000;
+    }
+    
+    /**
+     * Load writes queued in earlier visits and start sending them
+     */
+    async initialize() {
+        try {
+            const stored = await this.queueStore.getAll();
+            const known = new Set(this.syncQueue.map(entry => entry.id));
+            this.syncQueue = [...stored.filter(entry => !known.has(entry.id)), ...this.syncQueue];
+        } catch (error) {
+            console.warn('Offline queue not available, pending changes will be kept in memory only:', error);
+        }
+        this.notifyQueueObservers();
+        await this.processSyncQueue();
     }
     
     /**
@@ -22,33 +72,13 @@ class StatePersistenceService {
             return;
         }
         
-        try {
-            const progressRef = this.firebaseService.firestore.collection('users').doc(userId)
-                .collection('progress').doc(activityId);
-            
-            const saveData = {
-                userId,
-                activityId,
-                ...progressData,
-                updatedAt: this.firebaseService.firestore.FieldValue.serverTimestamp(),
-                lastAccessed: new Date()
-            };
-            
-            // Add to cache
-            const cacheKey = `${userId}:${activityId}`;
-            this.cache.set(cacheKey, saveData);
-            
-            // Save to Firestore
-            await progressRef.set(saveData, { merge: true });
-            
-            console.log(`Progress saved for user ${userId}, activity ${activityId}`);
-            return true;
-        } catch (error) {
-            console.error('Error saving progress:', error);
-            // Add to sync queue for retry
-            this.addToSyncQueue('save', userId, activityId, progressData);
-            throw error;
-        }
+        const saveData = await this.runOrQueue(this.createSyncEntry('save', userId, activityId, progressData));
+        if (!saveData) return false;
+        
+        // Add to cache
+        this.cache.set(`${userId}:${activityId}`, saveData);
+        console.log(`Progress saved for user ${userId}, activity ${activityId}`);
+        return true;
     }
     
     /**
@@ -67,13 +97,13 @@ class StatePersistenceService {
                 return this.cache.get(cacheKey);
             }
             
-            const progressRef = this.firebaseService.firestore.collection('users').doc(userId)
-                .collection('progress').doc(activityId);
+            const { doc, getDoc } = await import(FIRESTORE_MODULE);
+            const progressRef = doc(this.firebaseService.firestore, 'users', userId, 'progress', activityId);
             
-            const doc = await progressRef.get();
+            const snapshot = await getDoc(progressRef);
             
-            if (doc.exists) {
-                const data = doc.data();
+            if (snapshot.exists()) {
+                const data = snapshot.data();
                 // Add to cache
                 this.cache.set(cacheKey, data);
                 return data;
@@ -95,28 +125,11 @@ class StatePersistenceService {
             return;
         }
         
-        try {
-            const scoresRef = this.firebaseService.firestore.collection('users').doc(userId)
-                .collection('scores').doc(activityId);
-            
-            const saveData = {
-                userId,
-                activityId,
-                ...scoresData,
-                updatedAt: this.firebaseService.firestore.FieldValue.serverTimestamp(),
-                completedAt: new Date()
-            };
-            
-            await scoresRef.set(saveData, { merge: true });
-            
-            console.log(`Scores saved for user ${userId}, activity ${activityId}`);
-            return true;
-        } catch (error) {
-            console.error('Error saving scores:', error);
-            // Add to sync queue for retry
-            this.addToSyncQueue('saveScores', userId, activityId, scoresData);
-            throw error;
-        }
+        const saveData = await this.runOrQueue(this.createSyncEntry('saveScores', userId, activityId, scoresData));
+        if (!saveData) return false;
+        
+        console.log(`Scores saved for user ${userId}, activity ${activityId}`);
+        return true;
     }
     
     /**
@@ -129,13 +142,13 @@ class StatePersistenceService {
         }
         
         try {
-            const scoresRef = this.firebaseService.firestore.collection('users').doc(userId)
-                .collection('scores').doc(activityId);
+            const { doc, getDoc } = await import(FIRESTORE_MODULE);
+            const scoresRef = doc(this.firebaseService.firestore, 'users', userId, 'scores', activityId);
             
-            const doc = await scoresRef.get();
+            const snapshot = await getDoc(scoresRef);
             
-            if (doc.exists) {
-                return doc.data();
+            if (snapshot.exists()) {
+                return snapshot.data();
             } else {
                 return null;
             }
@@ -146,7 +159,9 @@ class StatePersistenceService {
     }
     
     /**
-     * Save attempt data
+     * Save attempt data. The attempt's id is its idempotency key, so a retried
+     * write lands on the same document instead of adding a second attempt
+     * @returns {string} The attempt's document id, also when it is still queued
      */
     async saveAttempt(userId, activityId, attemptData) {
         if (!this.firebaseService || !this.firebaseService.isAuthenticated()) {
@@ -154,28 +169,11 @@ class StatePersistenceService {
             return;
         }
         
-        try {
-            const attemptsRef = this.firebaseService.firestore.collection('users').doc(userId)
-                .collection('attempts').doc();
-            
-            const saveData = {
-                userId,
-                activityId,
-                ...attemptData,
-                createdAt: this.firebaseService.firestore.FieldValue.serverTimestamp(),
-                startedAt: new Date()
-            };
-            
-            const docId = await attemptsRef.set(saveData);
-            
+        const entry = this.createSyncEntry('saveAttempt', userId, activityId, attemptData);
+        if (await this.runOrQueue(entry)) {
             console.log(`Attempt saved for user ${userId}, activity ${activityId}`);
-            return docId;
-        } catch (error) {
-            console.error('Error saving attempt:', error);
-            // Add to sync queue for retry
-            this.addToSyncQueue('saveAttempt', userId, activityId, attemptData);
-            throw error;
         }
+        return entry.id;
     }
     
     /**
@@ -188,12 +186,14 @@ class StatePersistenceService {
         }
         
         try {
-            const attemptsRef = this.firebaseService.firestore.collection('users').doc(userId)
-                .collection('attempts')
-                .where('activityId', '==', activityId)
-                .orderBy('createdAt', 'desc');
-            
-            const snapshot = await attemptsRef.get();
+            const { collection, query, where, orderBy, getDocs } = await import(FIRESTORE_MODULE);
+            const attemptsQuery = query(
+                collection(this.firebaseService.firestore, 'users', userId, 'attempts'),
+                where('activityId', '==', activityId),
+                orderBy('createdAt', 'desc')
+            );
+            
+            const snapshot = await getDocs(attemptsQuery);
             const attempts = [];
             
             snapshot.forEach(doc => {
@@ -219,32 +219,13 @@ class StatePersistenceService {
             return;
         }
         
-        try {
-            const stateRef = this.firebaseService.firestore.collection('users').doc(userId)
-                .collection('states').doc(activityId);
-            
-            const saveData = {
-                userId,
-                activityId,
-                ...stateData,
-                updatedAt: this.firebaseService.firestore.FieldValue.serverTimestamp(),
-                lastSaved: new Date()
-            };
-            
-            await stateRef.set(saveData, { merge: true });
-            
-            // Update cache
-            const cacheKey = `${userId}:state:${activityId}`;
-            this.cache.set(cacheKey, saveData);
-            
-            console.log(`Activity state saved for user ${userId}, activity ${activityId}`);
-            return true;
-        } catch (error) {
-            console.error('Error saving activity state:', error);
-            // Add to sync queue for retry
-            this.addToSyncQueue('saveState', userId, activityId, stateData);
-            throw error;
-        }
+        const saveData = await this.runOrQueue(this.createSyncEntry('saveState', userId, activityId, stateData));
+        if (!saveData) return false;
+        
+        // Update cache
+        this.cache.set(`${userId}:state:${activityId}`, saveData);
+        console.log(`Activity state saved for user ${userId}, activity ${activityId}`);
+        return true;
     }
     
     /**
@@ -263,13 +244,13 @@ class StatePersistenceService {
                 return this.cache.get(cacheKey);
             }
             
-            const stateRef = this.firebaseService.firestore.collection('users').doc(userId)
-                .collection('states').doc(activityId);
+            const { doc, getDoc } = await import(FIRESTORE_MODULE);
+            const stateRef = doc(this.firebaseService.firestore, 'users', userId, 'states', activityId);
             
-            const doc = await stateRef.get();
+            const snapshot = await getDoc(stateRef);
             
-            if (doc.exists) {
-                const data = doc.data();
+            if (snapshot.exists()) {
+                const data = snapshot.data();
                 // Add to cache
                 this.cache.set(cacheKey, data);
                 return data;
@@ -292,14 +273,13 @@ class StatePersistenceService {
         }
         
         try {
+            const { collection, getDocs } = await import(FIRESTORE_MODULE);
+            const db = this.firebaseService.firestore;
+            
             // Get progress, scores, and attempts for all activities
-            const progressSnapshot = await this.firebaseService.firestore
-                .collection('users').doc(userId).collection('progress')
-                .get();
+            const progressSnapshot = await getDocs(collection(db, 'users', userId, 'progress'));
             
-            const scoresSnapshot = await this.firebaseService.firestore
-                .collection('users').doc(userId).collection('scores')
-                .get();
+            const scoresSnapshot = await getDocs(collection(db, 'users', userId, 'scores'));
             
             const history = [];
             
@@ -343,10 +323,15 @@ class StatePersistenceService {
         }
         
         try {
-            const progressRef = this.firebaseService.firestore.collection('users').doc(userId)
-                .collection('progress').doc(activityId);
+            // Queued progress for the activity would bring it back
+            const queued = this.syncQueue.filter(entry =>
+                entry.operation === 'save' && entry.userId === userId && entry.activityId === activityId);
+            for (const entry of queued) {
+                await this.removeFromSyncQueue(entry);
+            }
             
-            await progressRef.delete();
+            const { doc, deleteDoc } = await import(FIRESTORE_MODULE);
+            await deleteDoc(doc(this.firebaseService.firestore, 'users', userId, 'progress', activityId));
             
             // Clear from cache
             const cacheKey = `${userId}:${activityId}`;
@@ -361,64 +346,276 @@ class StatePersistenceService {
     }
     
     /**
-     * Add operation to sync queue
+     * A write to make, and to keep in the queue until it has been made. Its id is
+     * the idempotency key
      */
-    addToSyncQueue(operation, userId, activityId, data) {
-        this.syncQueue.push({
+    createSyncEntry(operation, userId, activityId, data) {
+        return {
+            id: this.firebaseService.generateId(),
             operation,
             userId,
             activityId,
             data,
-            timestamp: new Date()
+            createdAt: Date.now(),
+            attempts: 0,
+            nextAttemptAt: 0,
+            revision: 0,
+            lastError: null
+        };
+    }
+    
+    /**
+     * Write now when online and nothing is waiting ahead of this write; queue it otherwise
+     * @returns {Object|null} The data written, or null when the write was queued
+     */
+    async runOrQueue(entry) {
+        if (!this.isOnline || this.syncQueue.some(queued => queued.userId === entry.userId)) {
+            await this.addToSyncQueue(entry);
+            return null;
+        }
+        
+        try {
+            return await this.writeEntry(entry);
+        } catch (error) {
+            if (StatePersistenceService.isPermanentError(error)) {
+                console.error(`Error saving (${entry.operation}):`, error);
+                throw error;
+            }
+            console.warn(`Could not save (${entry.operation}) now, it will be retried:`, error);
+            entry.attempts = 1;
+            entry.nextAttemptAt = Date.now() + this.getRetryDelay(1);
+            entry.lastError = error.message;
+            await this.addToSyncQueue(entry);
+            return null;
+        }
+    }
+    
+    /**
+     * Write one queued operation to Firestore
+     * @returns {Object} The data written
+     */
+    async writeEntry(entry) {
+        const { doc, setDoc, serverTimestamp } = await import(FIRESTORE_MODULE);
+        const db = this.firebaseService.firestore;
+        const { userId, activityId } = entry;
+        // When the learner did it, not when it finally reached the server
+        const madeAt = new Date(entry.createdAt);
+        
+        let ref;
+        let saveData;
+        let merge = true;
+        switch (entry.operation) {
+            case 'save':
+                ref = doc(db, 'users', userId, 'progress', activityId);
+                saveData = { userId, activityId, ...entry.data, updatedAt: serverTimestamp(), lastAccessed: madeAt };
+                break;
+            case 'saveScores':
+                ref = doc(db, 'users', userId, 'scores', activityId);
+                saveData = { userId, activityId, ...entry.data, updatedAt: serverTimestamp(), completedAt: madeAt };
+                break;
+            case 'saveAttempt':
+                ref = doc(db, 'users', userId, 'attempts', entry.id);
+                saveData = { userId, activityId, ...entry.data, createdAt: serverTimestamp(), startedAt: madeAt };
+                merge = false;
+                break;
+            case 'saveState':
+                ref = doc(db, 'users', userId, 'states', activityId);
+                saveData = { userId, activityId, ...entry.data, updatedAt: serverTimestamp(), lastSaved: madeAt };
+                break;
+            default:
+                throw Object.assign(new Error(`Unknown operation in sync queue: ${entry.operation}`), { code: 'invalid-argument' });
+        }
+        
+        await this.withTimeout(setDoc(ref, saveData, { merge }));
+        return saveData;
+    }
+    
+    withTimeout(promise) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                reject(Object.assign(new Error('Firestore did not answer in time'), { code: 'deadline-exceeded' }));
+            }, StatePersistenceService.WRITE_TIMEOUT);
         });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+    
+    /**
+     * Errors retrying can't fix
+     */
+    static isPermanentError(error) {
+        return ['permission-denied', 'invalid-argument'].includes(error && error.code);
+    }
+    
+    /**
+     * Exponential backoff with jitter, so a classroom that reconnects together
+     * doesn't retry in step
+     */
+    getRetryDelay(attempts) {
+        const delay = Math.min(
+            StatePersistenceService.RETRY_BASE_DELAY * Math.pow(2, attempts - 1),
+            StatePersistenceService.RETRY_MAX_DELAY
+        );
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+    
+    /**
+     * Add operation to sync queue. Progress, scores and state are merged into a
+     * write already waiting for the same activity; attempts are always kept apart
+     */
+    async addToSyncQueue(entry) {
+        const waiting = entry.operation === 'saveAttempt' ? null : this.syncQueue.find(queued =>
+            queued.operation === entry.operation && queued.userId === entry.userId && queued.activityId === entry.activityId);
         
-        // Try to sync immediately
-        this.processSyncQueue();
+        let stored = entry;
+        if (waiting) {
+            waiting.data = { ...waiting.data, ...entry.data };
+            waiting.createdAt = entry.createdAt;
+            waiting.revision += 1;
+            stored = waiting;
+        } else {
+            this.syncQueue.push(entry);
+        }
+        
+        await this.persistEntry(stored);
+        this.notifyQueueObservers();
+        this.scheduleRetry();
+    }
+    
+    async removeFromSyncQueue(entry) {
+        this.syncQueue = this.syncQueue.filter(queued => queued !== entry);
+        try {
+            await this.queueStore.delete(entry.id);
+        } catch (error) {
+            console.warn('Could not update the offline queue:', error);
+        }
+        this.notifyQueueObservers();
+    }
+    
+    async persistEntry(entry) {
+        try {
+            await this.queueStore.put(entry);
+        } catch (error) {
+            console.warn('Could not update the offline queue, this change is kept in memory only:', error);
+        }
     }
     
     /**
-     * Process sync queue
+     * Process sync queue: send every write that is due, and back off the ones that fail
      */
     async processSyncQueue() {
         if (this.isSyncing || this.syncQueue.length === 0) {
             return;
         }
+        if (!this.isOnline || !this.firebaseService || !this.firebaseService.isAuthenticated()) {
+            return;
+        }
         
         this.isSyncing = true;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
         
         try {
-            const queue = [...this.syncQueue];
-            this.syncQueue = [];
+            // Other users' writes wait until they sign in again on this device
+            const userId = this.firebaseService.getUserId();
+            const due = this.syncQueue.filter(entry => entry.userId === userId && entry.nextAttemptAt <= Date.now());
             
-            for (const item of queue) {
+            for (const entry of due) {
+                const revision = entry.revision;
                 try {
-                    switch (item.operation) {
-                        case 'save':
-                            await this.saveProgress(item.userId, item.activityId, item.data);
-                            break;
-                        case 'saveScores':
-                            await this.saveScores(item.userId, item.activityId, item.data);
-                            break;
-                        case 'saveAttempt':
-                            await this.saveAttempt(item.userId, item.activityId, item.data);
-                            break;
-                        case 'saveState':
-                            await this.saveActivityState(item.userId, item.activityId, item.data);
-                            break;
-                        default:
-                            console.warn('Unknown operation in sync queue:', item.operation);
+                    await this.writeEntry(entry);
+                    // Changed while it was being written: keep it for the next pass
+                    if (entry.revision === revision) {
+                        await this.removeFromSyncQueue(entry);
+                    } else {
+                        entry.nextAttemptAt = 0;
                     }
                 } catch (error) {
-                    console.error(`Error processing sync queue item (${item.operation}):`, error);
-                    // Add back to queue for retry
-                    this.syncQueue.unshift(item);
+                    if (StatePersistenceService.isPermanentError(error)) {
+                        console.error(`Dropping queued ${entry.operation} for activity ${entry.activityId}:`, error);
+                        await this.removeFromSyncQueue(entry);
+                        continue;
+                    }
+                    
+                    entry.attempts += 1;
+                    entry.nextAttemptAt = Date.now() + this.getRetryDelay(entry.attempts);
+                    entry.lastError = error.message;
+                    await this.persistEntry(entry);
+                    console.warn(`Error processing sync queue item (${entry.operation}), retry ${entry.attempts}:`, error);
                 }
             }
         } finally {
             this.isSyncing = false;
+            this.scheduleRetry();
         }
     }
     
+    /**
+     * Wake up when the next queued write is due
+     */
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        if (!this.isOnline || this.isSyncing || !this.firebaseService) return;
+        
+        const userId = this.firebaseService.getUserId();
+        const times = this.syncQueue.filter(entry => entry.userId === userId).map(entry => entry.nextAttemptAt);
+        if (times.length === 0) return;
+        
+        const delay = Math.max(0, Math.min(...times) - Date.now());
+        this.retryTimer = setTimeout(() => this.processSyncQueue(), delay);
+    }
+    
+    /**
+     * Connection observer: back online, everything waiting is tried straight away
+     */
+    handleConnectionChange(online) {
+        this.isOnline = online;
+        if (online) {
+            this.syncQueue.forEach(entry => { entry.nextAttemptAt = 0; });
+            this.processSyncQueue();
+        } else {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        this.notifyQueueObservers();
+    }
+    
+    /**
+     * Number of writes waiting to be sent
+     */
+    get pendingCount() {
+        return this.syncQueue.length;
+    }
+    
+    /**
+     * Add queue observer, called with (pendingCount, isOnline) whenever either changes
+     */
+    addQueueObserver(callback) {
+        this.queueObservers.push(callback);
+        callback(this.pendingCount, this.isOnline);
+    }
+    
+    /**
+     * Remove queue observer
+     */
+    removeQueueObserver(callback) {
+        const index = this.queueObservers.indexOf(callback);
+        if (index > -1) {
+            this.queueObservers.splice(index, 1);
+        }
+    }
+    
+    notifyQueueObservers() {
+        this.queueObservers.forEach(callback => {
+            try {
+                callback(this.pendingCount, this.isOnline);
+            } catch (error) {
+                console.error('Error in queue observer:', error);
+            }
+        });
+    }
+    
     /**
      * Subscribe to progress updates (real-time)
      */
@@ -429,18 +626,16 @@ class StatePersistenceService {
         }
         
         try {
-            const unsubscribe = this.firebaseService.firestore
-                .collection('users').doc(userId)
-                .collection('progress').doc(activityId)
-                .onSnapshot((doc) => {
-                    if (doc.exists) {
-                        callback(doc.data());
-                    } else {
-                        callback(null);
-                    }
-                }, (error) => {
-                    console.error('Error in progress subscription:', error);
-                });
+            const { doc, onSnapshot } = await import(FIRESTORE_MODULE);
+            const unsubscribe = onSnapshot(doc(this.firebaseService.firestore, 'users', userId, 'progress', activityId), (snapshot) => {
+                if (snapshot.exists()) {
+                    callback(snapshot.data());
+                } else {
+                    callback(null);
+                }
+            }, (error) => {
+                console.error('Error in progress subscription:', error);
+            });
             
             return unsubscribe;
         } catch (error) {
@@ -459,17 +654,17 @@ class StatePersistenceService {
         }
         
         try {
-            const batch = this.firebaseService.firestore.batch();
+            const { doc, writeBatch, serverTimestamp } = await import(FIRESTORE_MODULE);
+            const db = this.firebaseService.firestore;
+            const batch = writeBatch(db);
             
             for (const progress of progressArray) {
-                const progressRef = this.firebaseService.firestore
-                    .collection('users').doc(userId)
-                    .collection('progress').doc(progress.activityId);
+                const progressRef = doc(db, 'users', userId, 'progress', progress.activityId);
                 
                 const saveData = {
                     userId,
                     ...progress,
-                    updatedAt: this.firebaseService.firestore.FieldValue.serverTimestamp(),
+                    updatedAt: serverTimestamp(),
                     lastAccessed: new Date()
                 };
                 
@@ -496,17 +691,14 @@ class StatePersistenceService {
         }
         
         try {
-            const progressSnapshot = await this.firebaseService.firestore
-                .collection('users').doc(userId).collection('progress')
-                .get();
+            const { collection, getDocs } = await import(FIRESTORE_MODULE);
+            const db = this.firebaseService.firestore;
             
-            const scoresSnapshot = await this.firebaseService.firestore
-                .collection('users').doc(userId).collection('scores')
-                .get();
+            const progressSnapshot = await getDocs(collection(db, 'users', userId, 'progress'));
             
-            const attemptsSnapshot = await this.firebaseService.firestore
-                .collection('users').doc(userId).collection('attempts')
-                .get();
+            const scoresSnapshot = await getDocs(collection(db, 'users', userId, 'scores'));
+            
+            const attemptsSnapshot = await getDocs(collection(db, 'users', userId, 'attempts'));
             
             const summary = {
                 totalActivities: progressSnapshot.size,
@@ -555,12 +747,19 @@ class StatePersistenceService {
     }
     
     /**
-     * Cleanup service
+     * Cleanup service. Queued writes stay in IndexedDB for the next visit
      */
     cleanup() {
         this.clearCache();
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        if (this.firebaseService) {
+            this.firebaseService.removeConnectionObserver(this.connectionObserver);
+            this.firebaseService.removeAuthObserver(this.authObserver);
+        }
+        this.queueObservers = [];
     }
 }
 
 // Export the service
-export default StatePersistenceService;
\ No newline at end of file
+export default StatePersistenceService;
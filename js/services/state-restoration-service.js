@@ -248,9 +248,17 @@ class StateRestorationService {
         const timelineScroll = timelineContainer.querySelector('.timeline-scroll');
         const scrollPosition = timelineScroll ? timelineScroll.scrollLeft : 0;
         
+        // In the ordering quiz the learner's current order is the state worth keeping
+        const mode = timelineContainer.dataset.mode || 'present';
+        const order = mode === 'quiz'
+            ? Array.from(eventElements).map(eventElement => eventElement.dataset.eventId)
+            : [];
+        
         return {
             template: 'timeline',
+            mode,
             events,
+            order,
             scrollPosition,
             visitedCount: events.filter(event => event.isVisited).length
         };
@@ -706,6 +714,17 @@ class StateRestorationService {
             return;
         }
         
+        // Restore the quiz order before per-event states, which are applied by index
+        const quizList = timelineContainer.querySelector('.timeline-quiz-list');
+        if (quizList && state.mode === 'quiz' && state.order && state.order.length > 0) {
+            state.order.forEach(eventId => {
+                const eventElement = Array.from(quizList.children).find(child => child.dataset.eventId === eventId);
+                if (eventElement) {
+                    quizList.appendChild(eventElement);
+                }
+            });
+        }
+        
         // Restore event states
         state.events.forEach((eventState, index) => {
             const eventElement = timelineContainer.querySelectorAll('.timeline-event')[index];
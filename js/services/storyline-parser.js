@@ -38,6 +38,21 @@ class StorylineParser {
         }
         
         try {
+            // Exported HTML source files carry the activity payload in the page
+            if (file.name.toLowerCase().endsWith('.html')) {
+                const activity = this.readActivityPayloadFromHTML(await file.text());
+                if (!activity) {
+                    throw new Error('This HTML file has no activity data to import');
+                }
+                return {
+                    templateType: activity.template,
+                    data: activity,
+                    originalFile: file.name,
+                    fileSize: file.size,
+                    analysis: null
+                };
+            }
+            
             // Read the file as ArrayBuffer
             const arrayBuffer = await file.arrayBuffer();
             
@@ -47,11 +62,11 @@ class StorylineParser {
             // Extract content and analyze structure
             const content = await this.extractStorylineContent(zip);
             
-            // Determine template type based on content
-            const templateType = this.detectTemplateType(content);
+            // Packages exported from this platform convert exactly; anything else is detected
+            const templateType = content.activity ? content.activity.template : this.detectTemplateType(content);
             
             // Convert to native template format
-            const convertedData = await this.convertToTemplate(content, templateType);
+            const convertedData = content.activity || await this.convertToTemplate(content, templateType);
             
             return {
                 templateType: templateType,
@@ -77,6 +92,7 @@ class StorylineParser {
             interactions: [],
             questions: [],
             multimedia: [],
+            activity: null,
             analysis: {
                 hasQuiz: false,
                 hasInteractions: false,
@@ -118,6 +134,7 @@ class StorylineParser {
             content.interactions = this.extractInteractions(xmlDoc);
             content.questions = this.extractQuestions(xmlDoc);
             content.multimedia = this.extractMultimedia(xmlDoc);
+            content.activity = this.readActivityPayload(xmlDoc);
         }
         
         // Analyze the content
@@ -712,7 +729,7 @@ class StorylineParser {
             .filter(slide => slide.type === 'timeline' || slide.content.text.length > 0)
             .map((slide, index) => ({
                 id: slide.id || `event_${index}`,
-                date: slide.title || `Event ${index + 1}`,
+                date: this.extractTimelineDate(slide) || slide.title || `Event ${index + 1}`,
                 title: slide.title || `Timeline Event ${index + 1}`,
                 description: slide.content.text.length > 0 ? 
                            slide.content.text[0].value : 
@@ -737,6 +754,21 @@ class StorylineParser {
         };
     }
     
+    /**
+     * Find a year (e.g. "1066", "44 BCE") or ISO date in a slide's title or text,
+     * in the format the timeline template parses
+     */
+    extractTimelineDate(slide) {
+        const sources = [slide.title || '', ...slide.content.text.map(t => t.value || '')];
+        for (const text of sources) {
+            const match = text.match(/\b(\d{4}-\d{2}-\d{2}|\d{1,4}\s*(?:BCE|BC|CE|AD)|\d{3,4})\b/i);
+            if (match) {
+                return match[1].replace(/\s+/, ' ');
+            }
+        }
+        return null;
+    }
+    
     /**
      * Convert to Content Reveal template
      */
@@ -926,6 +958,179 @@ class StorylineParser {
         };
     }
     
+    /**
+     * Activity payload
+     * 
+     * Activities exported from this platform carry an <activityPayload> block in
+     * story.xml (and in exported HTML source files) so they can be imported again
+     * without guessing. Question types are written out as <question> elements the
+     * generic extractors above also understand; <data> holds the whole activity
+     * as JSON so nothing is lost on the way back.
+     */
+    
+    /**
+     * Build the payload XML for an activity
+     */
+    buildActivityPayload(data) {
+        const type = data.template || '';
+        const esc = (value) => this.escapeXML(value);
+        let xml = `<activityPayload template="${esc(type)}" version="1">`;
+        xml += `\n  <title>${esc(data.title)}</title>`;
+        xml += `\n  <description>${esc(data.description)}</description>`;
+        
+        const option = (id, text, correct) => `\n      <option id="${id}" correct="${!!correct}">${esc(text)}</option>`;
+        const question = (attributes, body) => `\n    <question ${attributes}>${body}\n    </question>`;
+        const feedback = (text) => (text === undefined || text === null ? '' : `\n      <correctfeedback>${esc(text)}</correctfeedback>`);
+        const points = (value) => (value === undefined || value === null ? '' : ` points="${esc(value)}"`);
+        
+        if (type === 'mcq' && Array.isArray(data.questions)) {
+            xml += '\n  <questions>';
+            data.questions.forEach((q, i) => {
+                xml += question(
+                    `id="${esc(q.id || `q${i + 1}`)}" questiontype="multiplechoice"${points(q.points)} prompt="${esc(q.question)}"`,
+                    (q.options || []).map((text, j) => option(j, text, j === q.correctIndex)).join('') + feedback(q.explanation)
+                );
+            });
+            xml += '\n  </questions>';
+        } else if (type === 'truefalse' && Array.isArray(data.items)) {
+            xml += '\n  <questions>';
+            data.items.forEach((item, i) => {
+                xml += question(
+                    `id="${esc(item.id || `tf${i + 1}`)}" questiontype="truefalse"${points(item.points)} correctanswer="${!!item.isTrue}" prompt="${esc(item.question)}"`,
+                    option(0, 'True', item.isTrue) + option(1, 'False', !item.isTrue) + feedback(item.explanation)
+                );
+            });
+            xml += '\n  </questions>';
+        } else if (type === 'pickmany' && Array.isArray(data.items)) {
+            xml += '\n  <questions>';
+            xml += question(
+                `id="pm1" questiontype="pickmany" prompt="${esc(data.question)}"`,
+                data.items.map((item, j) => option(esc(item.id || j), item.text, item.isCorrect)).join('')
+            );
+            xml += '\n  </questions>';
+        } else if (type === 'interactivevideo') {
+            xml += `\n  <videoUrl>${esc(data.videoUrl)}</videoUrl>`;
+            xml += `\n  <videoType>${esc(data.videoType || 'youtube')}</videoType>`;
+            xml += '\n  <questions>';
+            (data.questions || []).forEach((q, i) => {
+                xml += question(
+                    `id="vq${i + 1}" questiontype="multiplechoice" timestamp="${esc(q.timestamp)}" prompt="${esc(q.question)}"`,
+                    (q.options || []).map((text, j) => option(j, text, j === q.correctIndex)).join('')
+                );
+            });
+            xml += '\n  </questions>';
+        }
+        
+        // "]]>" would end the CDATA section early, so split it across two sections
+        const json = JSON.stringify(data).replace(/]]>/g, ']]]]><![CDATA[>');
+        xml += `\n  <data format="json"><![CDATA[${json}]]></data>`;
+        xml += '\n</activityPayload>';
+        return xml;
+    }
+    
+    /**
+     * Read an activity back from its payload
+     * @returns {Object|null} The activity, or null if the document has no payload
+     */
+    readActivityPayload(xmlDoc) {
+        const payload = xmlDoc.getElementsByTagName('activityPayload')[0];
+        if (!payload) return null;
+        
+        const dataNode = payload.getElementsByTagName('data')[0];
+        if (dataNode && dataNode.textContent.trim()) {
+            try {
+                return JSON.parse(dataNode.textContent);
+            } catch (error) {
+                console.warn('Activity payload JSON is invalid, rebuilding from XML:', error);
+            }
+        }
+        
+        // Rebuild from the XML alone, e.g. after the JSON was stripped by another tool
+        const type = payload.getAttribute('template');
+        const childText = (node, tag) => {
+            const child = Array.from(node.children).find(c => c.tagName === tag);
+            return child ? child.textContent : undefined;
+        };
+        const activity = {
+            template: type,
+            title: childText(payload, 'title') || '',
+            description: childText(payload, 'description') || ''
+        };
+        
+        const questions = Array.from(payload.getElementsByTagName('question')).map(node => {
+            const options = Array.from(node.getElementsByTagName('option'));
+            const explanation = childText(node, 'correctfeedback');
+            const points = node.getAttribute('points');
+            return {
+                id: node.getAttribute('id'),
+                prompt: node.getAttribute('prompt') || '',
+                timestamp: node.getAttribute('timestamp'),
+                correctAnswer: node.getAttribute('correctanswer'),
+                options: options.map(o => ({ id: o.getAttribute('id'), text: o.textContent, isCorrect: o.getAttribute('correct') === 'true' })),
+                explanation,
+                points: points === null ? undefined : parseFloat(points)
+            };
+        });
+        const withOptional = (item, q) => {
+            if (q.explanation !== undefined) item.explanation = q.explanation;
+            if (q.points !== undefined) item.points = q.points;
+            return item;
+        };
+        
+        if (type === 'mcq') {
+            activity.questions = questions.map(q => withOptional({
+                id: q.id,
+                question: q.prompt,
+                options: q.options.map(o => o.text),
+                correctIndex: q.options.findIndex(o => o.isCorrect)
+            }, q));
+        } else if (type === 'truefalse') {
+            activity.items = questions.map(q => withOptional({
+                id: q.id,
+                question: q.prompt,
+                isTrue: q.correctAnswer === 'true'
+            }, q));
+        } else if (type === 'pickmany' && questions[0]) {
+            activity.question = questions[0].prompt;
+            activity.items = questions[0].options.map(o => ({ id: o.id, text: o.text, isCorrect: o.isCorrect }));
+        } else if (type === 'interactivevideo') {
+            activity.videoUrl = childText(payload, 'videoUrl') || '';
+            activity.videoType = childText(payload, 'videoType') || 'youtube';
+            activity.questions = questions.map(q => ({
+                timestamp: parseFloat(q.timestamp) || 0,
+                question: q.prompt,
+                options: q.options.map(o => o.text),
+                correctIndex: q.options.findIndex(o => o.isCorrect)
+            }));
+        }
+        
+        return activity;
+    }
+    
+    /**
+     * Read the payload from an exported HTML source file
+     * @returns {Object|null} The activity, or null if the page has no payload
+     */
+    readActivityPayloadFromHTML(html) {
+        const page = this.parser.parseFromString(html, 'text/html');
+        const script = page.getElementById('activity-payload');
+        if (!script) return null;
+        return this.readActivityPayload(this.parseStorylineXML(script.textContent));
+    }
+    
+    /**
+     * Escape text for XML element content and attributes
+     */
+    escapeXML(value) {
+        if (value === undefined || value === null) return '';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+    
     /**
      * Parse Storyline XML from string
      */
@@ -948,8 +1153,8 @@ class StorylineParser {
         const fileName = file.name.toLowerCase();
         const fileType = file.type.toLowerCase();
         
-        // Check file extension
-        const validExtensions = ['.story', '.zip'];
+        // Check file extension; .html covers source files exported from this platform
+        const validExtensions = ['.story', '.zip', '.html'];
         const hasValidExtension = validExtensions.some(ext => fileName.endsWith(ext));
         
         // Check file type
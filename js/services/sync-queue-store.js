@@ -0,0 +1,102 @@
+/**
+ * Sync Queue Store
+ *
+ * This service keeps learner progress that could not be written to Firestore in
+ * IndexedDB, so it survives a reload and can be sent once the connection is back.
+ * StatePersistenceService owns the queue; this class only stores its entries.
+ */
+
+class SyncQueueStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    static get DB_NAME() {
+        return 'tamerSyncQueue';
+    }
+
+    static get DB_VERSION() {
+        return 1;
+    }
+
+    /**
+     * Open the database, creating the operations store on first use
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('This browser cannot keep changes offline (IndexedDB is not available)'));
+                    return;
+                }
+
+                const request = indexedDB.open(SyncQueueStore.DB_NAME, SyncQueueStore.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('operations')) {
+                        db.createObjectStore('operations', { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a transaction on the operations store and wait for it to finish
+     */
+    async transaction(mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['operations'], mode);
+            const holder = { value: undefined };
+            tx.oncomplete = () => resolve(holder.value);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+            work(tx.objectStore('operations'), holder);
+        });
+    }
+
+    /**
+     * Add an entry, or replace the stored entry with the same id
+     */
+    async put(entry) {
+        await this.transaction('readwrite', store => store.put(entry));
+    }
+
+    /**
+     * Remove an entry once it has been written
+     */
+    async delete(id) {
+        await this.transaction('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * All queued entries, oldest first
+     */
+    async getAll() {
+        const entries = await this.transaction('readonly', (store, holder) => {
+            const request = store.getAll();
+            request.onsuccess = () => { holder.value = request.result; };
+        });
+        return entries.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Number of queued entries
+     */
+    async count() {
+        return this.transaction('readonly', (store, holder) => {
+            const request = store.count();
+            request.onsuccess = () => { holder.value = request.result; };
+        });
+    }
+}
+
+// Export the service
+export default SyncQueueStore;
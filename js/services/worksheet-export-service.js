@@ -38,6 +38,12 @@ class WorksheetExportService {
             generate: (data) => this.generateCrosswordWorksheet(data)
         });
 
+        // Word Search Worksheet Template
+        this.worksheetTemplates.set('wordsearch', {
+            title: 'Word Search Worksheet',
+            generate: (data, options) => this.generateWordSearchWorksheet(data, options)
+        });
+
         // Timeline Worksheet Template
         this.worksheetTemplates.set('timeline', {
             title: 'Timeline Sequencing Worksheet',
@@ -47,7 +53,7 @@ class WorksheetExportService {
         // Label Diagram Worksheet Template
         this.worksheetTemplates.set('labeldiagram', {
             title: 'Labeling Exercise Worksheet',
-            generate: (data) => this.generateLabelDiagramWorksheet(data)
+            generate: (data, options) => this.generateLabelDiagramWorksheet(data, options)
         });
 
         // Content Reveal Worksheet Template
@@ -290,6 +296,91 @@ class WorksheetExportService {
         return html;
     }
 
+    /**
+     * Generate Word Search worksheet
+     * Uses the same generator and seed as the playable template, so the printed
+     * grid matches the one learners see on screen
+     */
+    generateWordSearchWorksheet(data, options = {}) {
+        const Generator = typeof WordSearchGenerator !== 'undefined'
+            ? WordSearchGenerator
+            : require('../utils/word-search-generator.js');
+
+        const puzzle = Generator.generate(data.words || [], {
+            size: parseInt(data.gridSize) || 0,
+            directions: data.directions || ['horizontal', 'vertical', 'diagonal'],
+            reversed: !!data.reversed,
+            seed: data.seed || 1
+        });
+
+        const renderGrid = (highlighted) => `
+            <table class="wordsearch-grid">
+                ${puzzle.grid.map((row, r) => `
+                    <tr>
+                        ${Array.from(row).map((letter, c) => `
+                            <td class="${highlighted.has(`${r},${c}`) ? 'wordsearch-answer' : ''}">${letter}</td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+
+        const answerCells = new Set();
+        puzzle.placements.forEach(p => {
+            Generator.getPlacementCells(p).forEach(([r, c]) => answerCells.add(`${r},${c}`));
+        });
+
+        let html = `
+            <div class="worksheet-header">
+                <h2>Word Search</h2>
+                <div class="instructions">
+                    ${data.description ? `<p>${this.escapeHtml(data.description)}</p>` : ''}
+                    <p><strong>Instructions:</strong> Find and circle each word in the grid. Words can run ${this.describeWordSearchDirections(data)}. Tick each word when you find it.</p>
+                </div>
+            </div>
+            
+            <div class="wordsearch-container">
+                ${renderGrid(new Set())}
+                
+                <div class="wordsearch-words">
+                    <h3>Words to Find:</h3>
+                    <ul>
+                        ${puzzle.placements.map(p => `
+                            <li><span class="answer-checkbox">□</span>${this.escapeHtml(p.word)}</li>
+                        `).join('')}
+                    </ul>
+                </div>
+            </div>
+        `;
+
+        if (options.includeAnswers) {
+            html += `
+                <div class="answer-key">
+                    <h3>Answer Key</h3>
+                    ${renderGrid(answerCells)}
+                </div>
+            `;
+        }
+
+        return html;
+    }
+
+    /**
+     * Describe the enabled word search directions for the instructions
+     */
+    describeWordSearchDirections(data) {
+        const labels = { horizontal: 'across', vertical: 'down', diagonal: 'diagonally' };
+        const directions = (data.directions || ['horizontal', 'vertical', 'diagonal'])
+            .filter(direction => labels[direction])
+            .map(direction => labels[direction]);
+        if (directions.length === 0) directions.push('across');
+
+        const list = directions.length > 1
+            ? `${directions.slice(0, -1).join(', ')} or ${directions[directions.length - 1]}`
+            : directions[0];
+        return data.reversed ? `${list}, forwards or backwards` : list;
+    }
+
     /**
      * Generate Timeline worksheet
      */
@@ -334,32 +425,49 @@ class WorksheetExportService {
 
     /**
      * Generate Label Diagram worksheet
+     * Prints the diagram with its numbered pins, a word bank and a numbered answer line per pin
      */
-    generateLabelDiagramWorksheet(data) {
-        const items = data.items || [];
-        
+    generateLabelDiagramWorksheet(data, options = {}) {
+        // Older data only has a list of terms ({ label }) and no image
+        const labels = (data.labels || (data.items || []).map(item => ({ text: item.label })))
+            .filter(label => label.text);
+        const wordBank = labels.map(label => label.text).sort((a, b) => a.localeCompare(b));
+
+        const diagram = data.imageUrl ? `
+            <div class="diagram-area">
+                <img src="${this.escapeHtml(data.imageUrl)}" alt="Diagram">
+                ${labels.filter(label => label.x !== undefined && label.y !== undefined).map(label => `
+                    <span class="diagram-pin" style="left: ${Number(label.x)}%; top: ${Number(label.y)}%;">${labels.indexOf(label) + 1}</span>
+                `).join('')}
+            </div>
+        ` : `
+            <div class="diagram-area diagram-placeholder">
+                <p>Diagram would appear here<br><small>(Students label the parts)</small></p>
+            </div>
+        `;
+
         let html = `
             <div class="worksheet-header">
                 <h2>Labeling Exercise</h2>
                 <div class="instructions">
-                    <p><strong>Instructions:</strong> Label the diagram parts using the terms provided below.</p>
+                    ${data.description ? `<p>${this.escapeHtml(data.description)}</p>` : ''}
+                    <p><strong>Instructions:</strong> Write the correct term from the word bank next to the number of each part of the diagram.</p>
                 </div>
             </div>
             
             <div class="labeling-container">
-                <div class="diagram-placeholder">
-                    <div class="diagram-area" style="width: 100%; height: 300px; border: 2px dashed #999; display: flex; align-items: center; justify-content: center; background: #f5f5f5;">
-                        <p>Diagram would appear here<br><small>(Students label the parts)</small></p>
-                    </div>
-                </div>
+                ${diagram}
                 
                 <div class="labels-section">
-                    <h3>Terms to Label:</h3>
+                    <h3>Word Bank:</h3>
+                    <div class="word-bank">
+                        ${wordBank.map(text => `<span class="word-bank-item">${this.escapeHtml(text)}</span>`).join('')}
+                    </div>
+                    
                     <div class="labels-grid">
-                        ${items.map((item, index) => `
+                        ${labels.map((label, index) => `
                             <div class="label-item">
                                 <span class="label-number">${index + 1}.</span>
-                                <span class="label-text">${this.escapeHtml(item.label)}</span>
                                 <span class="answer-line">______________________</span>
                             </div>
                         `).join('')}
@@ -368,6 +476,17 @@ class WorksheetExportService {
             </div>
         `;
 
+        if (options.includeAnswers) {
+            html += `
+                <div class="answer-key">
+                    <h3>Answer Key</h3>
+                    <ol>
+                        ${labels.map(label => `<li>${this.escapeHtml(label.text)}</li>`).join('')}
+                    </ol>
+                </div>
+            `;
+        }
+
         return html;
     }
 
@@ -419,12 +538,16 @@ class WorksheetExportService {
      * Generate Survey worksheet
      */
     generateSurveyWorksheet(data) {
-        const questions = data.questions || [];
+        const Results = typeof SurveyResults !== 'undefined'
+            ? SurveyResults
+            : require('../utils/survey-results.js');
+        const questions = (data.questions || []).map(question => Results.normalizeQuestion(question));
         
         let html = `
             <div class="worksheet-header">
                 <h2>Survey Questionnaire</h2>
                 <div class="instructions">
+                    ${data.description ? `<p>${this.escapeHtml(data.description)}</p>` : ''}
                     <p><strong>Instructions:</strong> Please answer the following questions honestly.</p>
                 </div>
             </div>
@@ -437,26 +560,29 @@ class WorksheetExportService {
                 <div class="survey-question">
                     <div class="question-header">
                         <span class="question-number">${index + 1}.</span>
-                        <span class="question-text">${this.escapeHtml(question.question)}</span>
+                        <span class="question-text">${this.escapeHtml(question.question)}${question.required ? ' *' : ''}</span>
                     </div>
             `;
 
             if (question.type === 'rating') {
                 html += `
                     <div class="rating-scale">
-                        <span>1 ★</span>
-                        <span>2 ★★</span>
-                        <span>3 ★★★</span>
-                        <span>4 ★★★★</span>
-                        <span>5 ★★★★★</span>
+                        ${Array.from({ length: question.scale }, (_, i) => `<span>□ ${i + 1}</span>`).join('')}
                     </div>
                     <div class="rating-response">
-                        My rating: _______
+                        1 = lowest, ${question.scale} = highest
                     </div>
                 `;
-            } else if (question.type === 'multiple_choice') {
+            } else if (question.type === 'likert') {
+                html += `
+                    <div class="rating-scale">
+                        ${Results.LIKERT_LABELS.map(label => `<span>□ ${label}</span>`).join('')}
+                    </div>
+                `;
+            } else if (question.type === 'single' || question.type === 'multi') {
                 html += `
                     <div class="multiple-choice-options">
+                        ${question.type === 'multi' ? '<p><em>Select all that apply.</em></p>' : ''}
                         ${question.options.map((option, optIndex) => `
                             <div class="option-row">
                                 <span class="option-letter">${String.fromCharCode(65 + optIndex)}.</span>
@@ -859,6 +985,104 @@ class WorksheetExportService {
                 border-radius: 5px;
             }
             
+            .wordsearch-container {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 30px;
+                align-items: flex-start;
+            }
+            
+            .wordsearch-grid {
+                border-collapse: collapse;
+                font-family: 'Courier New', monospace;
+            }
+            
+            .wordsearch-grid td {
+                width: 28px;
+                height: 28px;
+                text-align: center;
+                font-weight: bold;
+                font-size: 16px;
+                border: 1px solid #ddd;
+            }
+            
+            .wordsearch-grid td.wordsearch-answer {
+                background: #ffe58f;
+            }
+            
+            .wordsearch-words ul {
+                list-style: none;
+                padding: 0;
+            }
+            
+            .wordsearch-words li {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                margin-bottom: 8px;
+            }
+            
+            .diagram-area {
+                position: relative;
+                margin-bottom: 20px;
+            }
+            
+            .diagram-area img {
+                display: block;
+                width: 100%;
+                max-height: 500px;
+                object-fit: contain;
+            }
+            
+            .diagram-placeholder {
+                height: 300px;
+                border: 2px dashed #999;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: #f5f5f5;
+                text-align: center;
+            }
+            
+            .diagram-pin {
+                position: absolute;
+                transform: translate(-50%, -50%);
+                width: 26px;
+                height: 26px;
+                border-radius: 50%;
+                background: #fff;
+                border: 2px solid #333;
+                font-weight: bold;
+                font-size: 14px;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+            }
+            
+            .word-bank {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 10px;
+                margin-bottom: 20px;
+            }
+            
+            .word-bank-item {
+                padding: 4px 12px;
+                border: 1px solid #999;
+                border-radius: 4px;
+            }
+            
+            .label-item {
+                display: flex;
+                gap: 8px;
+                margin-bottom: 15px;
+            }
+            
+            .answer-key {
+                margin-top: 40px;
+                page-break-before: always;
+            }
+            
             /* Print-specific styles */
             @media print {
                 body {
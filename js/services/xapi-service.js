@@ -0,0 +1,480 @@
+/**
+ * xAPI Service
+ *
+ * This service sends xAPI (Tin Can) statements to a Learning Record Store:
+ * initialized, answered, progressed, completed and passed/failed, with activity
+ * IDs, results and context. Statements are queued in localStorage and posted
+ * in batches with Basic auth, so nothing is lost while the learner is offline
+ * or the LRS is down.
+ */
+
+/**
+ * Also runs inside xAPI packages, serialized into xapi.js with toString,
+ * so it can't use anything outside itself
+ */
+class XAPIService {
+    constructor(options = {}) {
+        this.options = {
+            endpoint: '',
+            username: '',
+            password: '',
+            auth: '',
+            actor: null,
+            activityIdBase: '',
+            activityId: '',
+            registration: '',
+            masteryScore: null,
+            platform: 'Tamer Educational Activities',
+            language: 'en-US',
+            batchSize: 50
+        };
+        this.queue = [];
+        this.flushing = false;
+        this.retryDelay = 0;
+        this.retryTimer = null;
+        this.flushTimer = null;
+        this.attemptStart = Date.now();
+        this.completionSent = false;
+        this.configure(options);
+    }
+
+    static get VERSION() {
+        return '1.0.3';
+    }
+
+    static get VERBS() {
+        return {
+            initialized: 'http://adlnet.gov/expapi/verbs/initialized',
+            answered: 'http://adlnet.gov/expapi/verbs/answered',
+            progressed: 'http://adlnet.gov/expapi/verbs/progressed',
+            completed: 'http://adlnet.gov/expapi/verbs/completed',
+            passed: 'http://adlnet.gov/expapi/verbs/passed',
+            failed: 'http://adlnet.gov/expapi/verbs/failed'
+        };
+    }
+
+    /**
+     * Result extension for progress, as defined by cmi5 (0-100)
+     */
+    static get PROGRESS_EXTENSION() {
+        return 'https://w3id.org/xapi/cmi5/result/extensions/progress';
+    }
+
+    /**
+     * Statements kept while the LRS can't be reached; the oldest go first
+     */
+    static get QUEUE_LIMIT() {
+        return 1000;
+    }
+
+    /**
+     * Set or change the LRS and learner; queued statements for the new endpoint are loaded
+     * @param {Object} options
+     * @param {string} options.endpoint - LRS endpoint, e.g. https://lrs.example.org/xapi/
+     * @param {string} options.username - Basic auth key
+     * @param {string} options.password - Basic auth secret
+     * @param {string} options.auth - Authorization header from a launch link, used instead of username/password
+     * @param {Object} options.actor - xAPI Agent for the learner
+     * @param {string} options.activityIdBase - IRI activity IDs are built under
+     * @param {string} options.activityId - Fixed activity ID (packages, where the launch link can set it)
+     * @param {string} options.registration - Registration UUID from a launch link; one is made up otherwise
+     * @param {number|null} options.masteryScore - Passing percentage; without one scores are sent with completed only
+     */
+    configure(options = {}) {
+        const previousEndpoint = this.options.endpoint;
+        Object.assign(this.options, options);
+        if (!this.options.registration) this.options.registration = XAPIService.uuid();
+
+        if (this.options.endpoint !== previousEndpoint) {
+            this.queue = this.loadQueue();
+        }
+    }
+
+    /**
+     * Whether statements can be sent: an endpoint and a learner to send them as
+     */
+    get enabled() {
+        return !!(this.options.endpoint && this.options.actor);
+    }
+
+    get pendingCount() {
+        return this.queue.length;
+    }
+
+    /**
+     * Read launch parameters (Tin Can launch: endpoint, auth, actor, registration, activity_id)
+     * @param {string} search - Query string of the launch URL
+     * @param {Object} defaults - Options used where the launch link has no value
+     * @returns {XAPIService}
+     */
+    static fromLaunch(search, defaults = {}) {
+        const params = new URLSearchParams(search || '');
+        const options = { ...defaults };
+
+        if (params.get('endpoint')) options.endpoint = params.get('endpoint');
+        if (params.get('auth')) options.auth = params.get('auth');
+        if (params.get('registration')) options.registration = params.get('registration');
+        if (params.get('activity_id')) options.activityId = params.get('activity_id');
+        if (params.get('actor')) {
+            try {
+                // Older launchers send every Agent property as a list
+                const actor = JSON.parse(params.get('actor'));
+                Object.keys(actor).forEach(key => {
+                    if (Array.isArray(actor[key])) actor[key] = actor[key][0];
+                });
+                if (actor.account && actor.account.accountServiceHomePage) {
+                    actor.account = { homePage: actor.account.accountServiceHomePage, name: actor.account.accountName };
+                }
+                options.actor = { objectType: 'Agent', ...actor };
+            } catch (error) {
+                console.warn('xAPI: the actor in the launch link is not valid JSON');
+            }
+        }
+
+        return new XAPIService(options);
+    }
+
+    /**
+     * Send queued statements now, when the connection comes back and every minute
+     */
+    start() {
+        if (typeof window === 'undefined') return;
+        window.addEventListener('online', () => this.flush());
+        window.addEventListener('pagehide', () => this.flush({ keepalive: true }));
+        setInterval(() => this.flush(), 60000);
+        this.flush();
+    }
+
+    /**
+     * The activity's IRI
+     * @param {Object} activity - { id, template, title }
+     */
+    getActivityId(activity) {
+        if (this.options.activityId) return this.options.activityId;
+        const base = (this.options.activityIdBase || 'urn:tamer').replace(/\/+$/, '');
+        return this.joinIRI(base, 'activities', activity.template || 'activity', activity.id || activity.createdAt || activity.title || 'activity');
+    }
+
+    /**
+     * Add path segments to an IRI: "/" for URLs, ":" for URNs
+     */
+    joinIRI(base, ...parts) {
+        const separator = base.startsWith('urn:') ? ':' : '/';
+        return [base, ...parts.map(part => encodeURIComponent(part))].join(separator);
+    }
+
+    getActivityObject(activity) {
+        return {
+            objectType: 'Activity',
+            id: this.getActivityId(activity),
+            definition: {
+                type: 'http://adlnet.gov/expapi/activities/lesson',
+                name: { [this.options.language]: activity.title || 'Educational Activity' }
+            }
+        };
+    }
+
+    /**
+     * Build a statement as the configured learner
+     * @param {string} verb - Key of VERBS
+     * @param {Object} object - Activity the statement is about
+     * @param {Object} extra - { result, parent: Activity the object is part of }
+     */
+    buildStatement(verb, object, { result = null, parent = null } = {}) {
+        const statement = {
+            id: XAPIService.uuid(),
+            actor: this.options.actor,
+            verb: { id: this.constructor.VERBS[verb], display: { 'en-US': verb } },
+            object,
+            context: {
+                registration: this.options.registration,
+                platform: this.options.platform,
+                language: this.options.language
+            },
+            timestamp: new Date().toISOString()
+        };
+        if (parent) statement.context.contextActivities = { parent: [parent] };
+        if (result) statement.result = result;
+        return statement;
+    }
+
+    /**
+     * A new attempt started
+     */
+    initialized(activity) {
+        this.attemptStart = Date.now();
+        this.completionSent = false;
+        this.send(this.buildStatement('initialized', this.getActivityObject(activity)));
+    }
+
+    /**
+     * One answered question
+     * @param {Object} interaction - { id, type, description, response, correctResponse, correct, latency },
+     *   as reported to trackActivityInteraction
+     */
+    answered(activity, interaction) {
+        const types = ['true-false', 'choice', 'fill-in', 'long-fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric', 'other'];
+        const type = types.includes(interaction.type) ? interaction.type : 'other';
+        const parent = this.getActivityObject(activity);
+
+        const definition = {
+            type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+            interactionType: type
+        };
+        if (interaction.description) definition.name = { [this.options.language]: String(interaction.description) };
+        if (interaction.correctResponse !== undefined && interaction.correctResponse !== null) {
+            definition.correctResponsesPattern = [this.formatResponse(type, interaction.correctResponse)];
+        }
+
+        const result = { response: this.formatResponse(type, interaction.response) };
+        if (interaction.correct === true || interaction.correct === false) result.success = interaction.correct;
+        if (typeof interaction.latency === 'number') result.duration = this.formatDuration(interaction.latency);
+
+        const object = {
+            objectType: 'Activity',
+            id: this.joinIRI(parent.id, 'interactions', interaction.id),
+            definition
+        };
+        this.send(this.buildStatement('answered', object, { result, parent }));
+    }
+
+    /**
+     * Part of the activity done (sections opened, questions reached)
+     */
+    progressed(activity, done, total) {
+        if (!(total > 0)) return;
+        const progress = Math.min(100, Math.round((done / total) * 100));
+        this.send(this.buildStatement('progressed', this.getActivityObject(activity), {
+            result: {
+                completion: false,
+                duration: this.formatDuration((Date.now() - this.attemptStart) / 1000),
+                extensions: { [XAPIService.PROGRESS_EXTENSION]: progress }
+            }
+        }));
+    }
+
+    /**
+     * The activity was finished
+     * @param {Object} score - { score, maxScore } for scored activities
+     */
+    completed(activity, { score = null, maxScore = null } = {}) {
+        // Players report a score and then completion; scored() has already sent this one
+        if (this.completionSent) {
+            this.completionSent = false;
+            return;
+        }
+
+        const result = {
+            completion: true,
+            duration: this.formatDuration((Date.now() - this.attemptStart) / 1000)
+        };
+        if (score !== null && maxScore > 0) result.score = this.buildScore(score, maxScore);
+        this.send(this.buildStatement('completed', this.getActivityObject(activity), { result }));
+    }
+
+    /**
+     * A scored attempt finished: passed or failed against the mastery score, then completed
+     */
+    scored(activity, score, maxScore) {
+        const masteryScore = this.options.masteryScore;
+        if (masteryScore !== null && masteryScore !== undefined && maxScore > 0) {
+            const success = (score / maxScore) * 100 >= masteryScore;
+            this.send(this.buildStatement(success ? 'passed' : 'failed', this.getActivityObject(activity), {
+                result: {
+                    score: this.buildScore(score, maxScore),
+                    success,
+                    completion: true,
+                    duration: this.formatDuration((Date.now() - this.attemptStart) / 1000)
+                }
+            }));
+        }
+        this.completionSent = false;
+        this.completed(activity, { score, maxScore });
+        this.completionSent = true;
+    }
+
+    buildScore(score, maxScore) {
+        return {
+            scaled: Math.round(Math.min(1, Math.max(0, score / maxScore)) * 10000) / 10000,
+            raw: score,
+            min: 0,
+            max: maxScore
+        };
+    }
+
+    /**
+     * Response text as in cmi.interactions: "[,]" between items, "[.]" inside matching pairs
+     */
+    formatResponse(type, response) {
+        const list = Array.isArray(response) ? response : [response];
+        const text = value => (value === undefined || value === null ? '' : String(value));
+
+        if (type === 'true-false') {
+            return String(list[0] === true || list[0] === 'true' || list[0] === 't');
+        }
+        if (type === 'matching') {
+            return list.map(pair => `${text(pair[0])}[.]${text(pair[1])}`).join('[,]');
+        }
+        return list.map(text).join('[,]');
+    }
+
+    /**
+     * ISO 8601 duration, to the hundredth of a second
+     */
+    formatDuration(seconds) {
+        const centiseconds = Math.round(Math.max(0, seconds || 0) * 100);
+        const hours = Math.floor(centiseconds / 360000);
+        const minutes = Math.floor(centiseconds / 6000) % 60;
+        const secs = (centiseconds % 6000) / 100;
+        return `PT${hours}H${minutes}M${secs}S`;
+    }
+
+    /**
+     * Queue a statement and send it with whatever else comes in the next couple of seconds
+     */
+    send(statement) {
+        if (!this.enabled) return;
+        this.queue.push(statement);
+        if (this.queue.length > XAPIService.QUEUE_LIMIT) {
+            this.queue.splice(0, this.queue.length - XAPIService.QUEUE_LIMIT);
+        }
+        this.saveQueue();
+
+        if (this.queue.length >= this.options.batchSize) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush();
+            }, 2000);
+        }
+    }
+
+    /**
+     * Post queued statements in batches. Network errors, 5xx, 401/403/404 and 429
+     * keep them queued and retry with backoff (up to five minutes); statements
+     * the LRS refuses as invalid (400) or conflicting (409) are dropped
+     * @param {Object} options - { keepalive } to send while the page unloads
+     * @returns {Promise<boolean>} Whether the queue is empty afterwards
+     */
+    async flush({ keepalive = false } = {}) {
+        if (this.flushing || !this.options.endpoint || this.queue.length === 0) return this.queue.length === 0;
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return false;
+
+        this.flushing = true;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        try {
+            while (this.queue.length > 0) {
+                const batch = this.queue.slice(0, this.options.batchSize);
+                const response = await fetch(this.getResourceURL('statements'), {
+                    method: 'POST',
+                    headers: this.getHeaders(),
+                    body: JSON.stringify(batch),
+                    keepalive
+                });
+
+                if (!response.ok && response.status !== 400 && response.status !== 409) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                if (!response.ok) {
+                    console.error(`xAPI: the LRS refused ${batch.length} statements (HTTP ${response.status})`);
+                }
+
+                this.queue.splice(0, batch.length);
+                this.saveQueue();
+                this.retryDelay = 0;
+            }
+            return true;
+        } catch (error) {
+            this.retryDelay = Math.min(this.retryDelay ? this.retryDelay * 2 : 5000, 300000);
+            console.warn(`xAPI: could not send statements (${error.message}), retrying in ${this.retryDelay / 1000}s`);
+            this.retryTimer = setTimeout(() => this.flush(), this.retryDelay);
+            return false;
+        } finally {
+            this.flushing = false;
+        }
+    }
+
+    /**
+     * Check the endpoint and credentials by reading one statement back
+     * @returns {Promise<Object>} { ok, status, message }
+     */
+    async testConnection() {
+        try {
+            const response = await fetch(`${this.getResourceURL('statements')}?limit=1`, { headers: this.getHeaders() });
+            const messages = { 401: 'The key or secret was not accepted', 403: 'This key may not read statements', 404: 'No LRS found at this endpoint' };
+            return {
+                ok: response.ok,
+                status: response.status,
+                message: response.ok ? 'Connected' : (messages[response.status] || `The LRS answered HTTP ${response.status}`)
+            };
+        } catch (error) {
+            return { ok: false, status: 0, message: 'The LRS could not be reached' };
+        }
+    }
+
+    getResourceURL(resource) {
+        return `${this.options.endpoint.replace(/\/+$/, '')}/${resource}`;
+    }
+
+    getHeaders() {
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Experience-API-Version': XAPIService.VERSION
+        };
+        const authorization = this.getAuthorization();
+        if (authorization) headers.Authorization = authorization;
+        return headers;
+    }
+
+    /**
+     * Basic auth header from the key and secret (UTF-8, as btoa only takes Latin-1)
+     */
+    getAuthorization() {
+        if (this.options.auth) return this.options.auth;
+        if (!this.options.username) return null;
+        const bytes = new TextEncoder().encode(`${this.options.username}:${this.options.password || ''}`);
+        return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+    }
+
+    getQueueKey() {
+        return `xapiQueue:${this.options.endpoint}`;
+    }
+
+    loadQueue() {
+        if (!this.options.endpoint) return [];
+        try {
+            return JSON.parse(localStorage.getItem(this.getQueueKey())) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveQueue() {
+        try {
+            if (this.queue.length > 0) {
+                localStorage.setItem(this.getQueueKey(), JSON.stringify(this.queue));
+            } else {
+                localStorage.removeItem(this.getQueueKey());
+            }
+        } catch (error) {
+            // Storage full or turned off: the queue lasts until the page closes
+        }
+    }
+
+    /**
+     * Random (version 4) UUID for statement IDs and registrations
+     */
+    static uuid() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const random = Math.floor(Math.random() * 16);
+            return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+        });
+    }
+}
+
+// Export the service
+export default XAPIService;
@@ -3,10 +3,18 @@
  * 
  * This template handles the display and interaction with SCORM packages.
  * It integrates with the bookmarking service to track progress and completion.
+ * cmi5 courses (a cmi5.xml URL) are listed by AU and launched through the LRS.
+ * Multi-SCO packages (an imsmanifest.xml URL) get a table of contents and are
+ * played one SCO at a time under SCORMSequencer, with SCORMRuntimeAPI as the LMS.
  */
 
 import { BaseTemplate } from '../core/base-template.js';
-import SCORMBookmarkingService from './scorm-bookmarking-service.js';
+import SCORMBookmarkingService from '../services/scorm-bookmarking-service.js';
+import SCORMManifestParser from '../services/scorm-manifest-parser.js';
+import Cmi5LaunchService from '../services/cmi5-launch-service.js';
+import SCORMSequencer from '../services/scorm-sequencing-service.js';
+import SCORMRuntimeAPI from '../services/scorm-runtime-api.js';
+import XAPIService from '../services/xapi-service.js';
 
 export class SCORMViewerTemplate extends BaseTemplate {
     constructor(templateId, containerId) {
@@ -17,16 +25,27 @@ export class SCORMViewerTemplate extends BaseTemplate {
         this.iframe = null;
         this.packageLoaded = false;
         this.sessionActive = false;
+        this.manifestParser = new SCORMManifestParser();
+        this.cmi5Service = null;
+        this.currentAUIndex = null;
+        this.sequencer = null;
+        this.runtimeAPI = null;
+        this.scoData = {};
+        this.launchedScoId = null;
     }
     
     /**
-     * Initialize the template with bookmarking service
+     * Initialize the template with bookmarking service, and the xAPI service cmi5 AUs launch against
      */
-    async initialize(data = null, firebaseService = null) {
+    async initialize(data = null, firebaseService = null, xapiService = null) {
         if (firebaseService) {
             this.bookmarkingService = new SCORMBookmarkingService(firebaseService);
         }
         
+        if (xapiService) {
+            this.cmi5Service = new Cmi5LaunchService(xapiService);
+        }
+        
         await super.initialize(data);
     }
     
@@ -41,10 +60,32 @@ export class SCORMViewerTemplate extends BaseTemplate {
         }
     }
     
+    /**
+     * Whether the activity is a cmi5 course rather than a SCORM package
+     */
+    isCmi5() {
+        return this.activityData?.format === 'cmi5' && Array.isArray(this.activityData?.cmi5?.aus);
+    }
+    
+    /**
+     * Whether the activity is a SCORM package played SCO by SCO from its manifest
+     */
+    isSequenced() {
+        return this.activityData?.format === 'scorm' && Array.isArray(this.activityData?.manifest?.organizations);
+    }
+    
     /**
      * Get play mode HTML
      */
     getPlayModeHTML() {
+        if (this.isCmi5()) {
+            return this.getCmi5PlayModeHTML();
+        }
+        
+        if (this.isSequenced()) {
+            return this.getSequencedPlayModeHTML();
+        }
+        
         const scormUrl = this.activityData?.scormUrl || '';
         const title = this.activityData?.metadata?.title || 'SCORM Package';
         const description = this.activityData?.metadata?.description || 'Interactive learning content';
@@ -118,6 +159,123 @@ export class SCORMViewerTemplate extends BaseTemplate {
         `;
     }
     
+    /**
+     * Get play mode HTML for a cmi5 course: the AUs with their status, and the frame they launch in
+     */
+    getCmi5PlayModeHTML() {
+        const course = this.activityData.cmi5;
+        const title = this.activityData?.metadata?.title || course.title || 'cmi5 Course';
+        const description = this.activityData?.metadata?.description || course.description || '';
+        
+        return `
+            <div class="scorm-viewer-play-mode">
+                <div class="activity-header mb-6">
+                    <h2 class="text-2xl font-bold mb-2">${title}</h2>
+                    <p class="text-muted">${description}</p>
+                </div>
+                
+                <div class="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
+                    <div class="card p-4">
+                        <h3 class="text-lg font-bold mb-3">Units</h3>
+                        <div class="space-y-2" id="cmi5-au-list">
+                            ${course.aus.map((au, index) => `
+                                <button class="cmi5-au w-full text-left p-2 border rounded-lg" data-index="${index}">
+                                    <div class="font-medium text-sm">${au.title || au.id}</div>
+                                    <div class="text-xs text-muted" id="cmi5-au-status-${index}">Not attempted</div>
+                                </button>
+                            `).join('')}
+                        </div>
+                        <div class="text-sm font-medium mt-4" id="cmi5-course-status"></div>
+                    </div>
+                    
+                    <div class="scorm-container card p-0 md:col-span-3" style="position: relative; overflow: hidden;">
+                        <iframe 
+                            id="scorm-iframe"
+                            src="about:blank" 
+                            style="width: 100%; height: ${this.activityData?.height || '600px'}; border: none;"
+                            frameborder="0"
+                            allow="autoplay; fullscreen"
+                            allowfullscreen
+                            title="cmi5 Course Viewer"
+                        ></iframe>
+                        
+                        <div class="scorm-controls absolute top-4 right-4 z-10 flex gap-2">
+                            <button class="btn btn-sm btn-secondary" id="scorm-restart" title="Relaunch Unit">
+                                <i class="fas fa-redo"></i>
+                            </button>
+                            <button class="btn btn-sm btn-secondary" id="scorm-progress" title="Refresh Progress">
+                                <i class="fas fa-chart-bar"></i>
+                            </button>
+                        </div>
+                        
+                        <div class="scorm-status absolute bottom-4 left-4 z-10 bg-black bg-opacity-70 text-white px-3 py-2 rounded-lg text-sm">
+                            <span id="scorm-status-text">${this.cmi5Service ? 'Choose a unit to start' : 'Set up a Learning Record Store to launch cmi5 content'}</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Get play mode HTML for a multi-SCO package: the table of contents, the frame
+     * SCOs launch in, and Previous/Next
+     */
+    getSequencedPlayModeHTML() {
+        const title = this.activityData?.metadata?.title || 'SCORM Package';
+        const description = this.activityData?.metadata?.description || 'Interactive learning content';
+        
+        return `
+            <div class="scorm-viewer-play-mode">
+                <div class="activity-header mb-6">
+                    <h2 class="text-2xl font-bold mb-2">${title}</h2>
+                    <p class="text-muted">${description}</p>
+                </div>
+                
+                <div class="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
+                    <div class="card p-4" id="sco-toc-panel">
+                        <h3 class="text-lg font-bold mb-3">Contents</h3>
+                        <div class="space-y-1" id="sco-toc"></div>
+                        <div class="text-sm font-medium mt-4" id="sco-course-status"></div>
+                    </div>
+                    
+                    <div class="md:col-span-3" id="sco-player">
+                        <div class="scorm-container card p-0 mb-3" style="position: relative; overflow: hidden;">
+                            <iframe 
+                                id="scorm-iframe"
+                                src="about:blank" 
+                                style="width: 100%; height: ${this.activityData?.height || '600px'}; border: none;"
+                                frameborder="0"
+                                allow="autoplay; fullscreen"
+                                allowfullscreen
+                                title="SCORM Package Viewer"
+                            ></iframe>
+                            
+                            <div class="scorm-controls absolute top-4 right-4 z-10 flex gap-2">
+                                <button class="btn btn-sm btn-secondary" id="scorm-restart" title="Relaunch Unit">
+                                    <i class="fas fa-redo"></i>
+                                </button>
+                            </div>
+                            
+                            <div class="scorm-status absolute bottom-4 left-4 z-10 bg-black bg-opacity-70 text-white px-3 py-2 rounded-lg text-sm">
+                                <span id="scorm-status-text">Loading...</span>
+                            </div>
+                        </div>
+                        
+                        <div class="flex justify-between gap-3" id="sco-navigation">
+                            <button class="btn btn-secondary" id="sco-previous">
+                                <i class="fas fa-chevron-left mr-2"></i>Previous
+                            </button>
+                            <button class="btn btn-primary" id="sco-next">
+                                Next<i class="fas fa-chevron-right ml-2"></i>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
     /**
      * Get edit mode HTML
      */
@@ -160,8 +318,8 @@ export class SCORMViewerTemplate extends BaseTemplate {
                                 <label class="block text-sm font-medium mb-2">SCORM Package URL</label>
                                 <input type="text" id="scorm-url" value="${scormUrl}"
                                        class="w-full px-3 py-2 border rounded-lg"
-                                       placeholder="Enter path to SCORM package (imsmanifest.xml location)">
-                                <p class="text-xs text-muted mt-1">Path to the SCORM package directory</p>
+                                       placeholder="Enter path to SCORM package (imsmanifest.xml location) or cmi5.xml">
+                                <p class="text-xs text-muted mt-1">Path to the SCORM package directory, or to a cmi5 course's cmi5.xml</p>
                             </div>
                             
                             <div class="grid grid-cols-2 gap-4">
@@ -214,6 +372,16 @@ export class SCORMViewerTemplate extends BaseTemplate {
      * Initialize play mode
      */
     async initializePlayMode() {
+        if (this.isCmi5()) {
+            await this.initializeCmi5PlayMode();
+            return;
+        }
+        
+        if (this.isSequenced()) {
+            await this.initializeSequencedPlayMode();
+            return;
+        }
+        
         // Initialize SCORM session if we have a package and user is authenticated
         if (this.activityData?.scormUrl && this.bookmarkingService) {
             await this.initializeSCORMSession();
@@ -257,6 +425,412 @@ export class SCORMViewerTemplate extends BaseTemplate {
         }
     }
     
+    /**
+     * Initialize play mode for a cmi5 course
+     */
+    async initializeCmi5PlayMode() {
+        this.iframe = this.getElement('#scorm-iframe');
+        
+        this.getElements('.cmi5-au').forEach(btn => {
+            btn.addEventListener('click', () => this.launchAU(parseInt(btn.dataset.index, 10)));
+        });
+        
+        const restartBtn = this.getElement('#scorm-restart');
+        if (restartBtn) {
+            restartBtn.addEventListener('click', () => this.restartPackage());
+        }
+        
+        const progressBtn = this.getElement('#scorm-progress');
+        if (progressBtn) {
+            progressBtn.addEventListener('click', () => this.refreshCmi5Status());
+        }
+        
+        // An AU that exits sends the frame to its returnURL (about:blank): read its results back
+        if (this.iframe) {
+            this.iframe.addEventListener('load', () => {
+                let returned = false;
+                try {
+                    returned = this.iframe.contentWindow.location.href === 'about:blank';
+                } catch (error) {
+                    // Still on the AU's own origin
+                }
+                if (returned && this.currentAUIndex !== null) {
+                    this.updateStatusDisplay('Unit Closed');
+                    this.refreshCmi5Status();
+                }
+            });
+        }
+        
+        await this.refreshCmi5Status();
+    }
+    
+    /**
+     * The learner's registration for this course, kept so every launch adds to the same attempt
+     */
+    getCmi5Registration() {
+        const actor = this.cmi5Service.getLaunchActor();
+        const key = `cmi5Registration:${this.activityData.cmi5.id}:${actor.account.name}`;
+        try {
+            let registration = localStorage.getItem(key);
+            if (!registration) {
+                registration = XAPIService.uuid();
+                localStorage.setItem(key, registration);
+            }
+            return registration;
+        } catch (error) {
+            // Storage turned off: one registration for as long as the page is open
+            this.cmi5Registration = this.cmi5Registration || XAPIService.uuid();
+            return this.cmi5Registration;
+        }
+    }
+    
+    /**
+     * Launch an AU in the frame, or in a window of its own when it asks for one
+     */
+    async launchAU(index) {
+        const au = this.activityData.cmi5.aus[index];
+        if (!au) return;
+        if (!this.cmi5Service) {
+            this.updateStatusDisplay('Set up a Learning Record Store to launch cmi5 content');
+            return;
+        }
+        
+        try {
+            this.updateStatusDisplay('Launching...');
+            this.currentAUIndex = index;
+            const ownWindow = au.launchMethod === 'OwnWindow';
+            const url = await this.cmi5Service.launch(this.activityData.cmi5, au, {
+                baseUrl: this.activityData.scormUrl,
+                registration: this.getCmi5Registration(),
+                returnURL: ownWindow ? window.location.href : 'about:blank'
+            });
+            
+            this.getElements('.cmi5-au').forEach(btn => {
+                btn.classList.toggle('active', parseInt(btn.dataset.index, 10) === index);
+            });
+            
+            if (ownWindow) {
+                const auWindow = window.open(url, '_blank');
+                const timer = setInterval(() => {
+                    if (!auWindow || auWindow.closed) {
+                        clearInterval(timer);
+                        this.refreshCmi5Status();
+                    }
+                }, 1000);
+                this.updateStatusDisplay('Unit Opened in New Window');
+            } else if (this.iframe) {
+                this.iframe.src = url;
+                this.updateStatusDisplay(au.title || 'Unit Launched');
+            }
+        } catch (error) {
+            console.error('Failed to launch cmi5 AU:', error);
+            this.updateStatusDisplay('Launch Error: ' + error.message);
+        }
+    }
+    
+    /**
+     * Read each AU's results from the LRS, show them, and record satisfied blocks and course
+     */
+    async refreshCmi5Status() {
+        if (!this.cmi5Service || !this.isCmi5()) return;
+        
+        const course = this.activityData.cmi5;
+        const registration = this.getCmi5Registration();
+        try {
+            const statuses = {};
+            for (const au of course.aus) {
+                statuses[au.id] = await this.cmi5Service.getAUStatus(au, registration);
+            }
+            
+            course.aus.forEach((au, index) => {
+                const statusEl = this.getElement(`#cmi5-au-status-${index}`);
+                if (statusEl) statusEl.textContent = this.describeAUStatus(statuses[au.id]);
+            });
+            
+            const courseSatisfied = await this.cmi5Service.recordSatisfied(course, registration, statuses);
+            const done = course.aus.filter(au => statuses[au.id].satisfied).length;
+            const courseStatus = this.getElement('#cmi5-course-status');
+            if (courseStatus) {
+                courseStatus.textContent = courseSatisfied ? 'Course complete' : `${done} of ${course.aus.length} units done`;
+            }
+        } catch (error) {
+            console.error('Failed to read cmi5 progress:', error);
+            this.updateStatusDisplay('Progress Error: ' + error.message);
+        }
+    }
+    
+    /**
+     * Short label for an AU's status
+     */
+    describeAUStatus(status) {
+        if (status.passed) return status.completed ? 'Completed, passed' : 'Passed';
+        if (status.failed) return status.completed ? 'Completed, failed' : 'Failed';
+        if (status.completed) return 'Completed';
+        return 'Not attempted';
+    }
+    
+    /**
+     * Initialize play mode for a multi-SCO package: build the activity tree, put the
+     * SCORM API where SCOs look for it, and resume where the learner left off
+     */
+    async initializeSequencedPlayMode() {
+        this.iframe = this.getElement('#scorm-iframe');
+        
+        try {
+            this.sequencer = new SCORMSequencer(this.activityData.manifest, { baseUrl: this.activityData.scormUrl });
+        } catch (error) {
+            console.error('Failed to read the package organization:', error);
+            this.updateStatusDisplay('Package Error: ' + error.message);
+            return;
+        }
+        
+        const user = window.platform?.getUser();
+        const activityId = this.activityData?.metadata?.id || this.activityData.scormUrl;
+        this.sequencingKey = `scormSequencing:${activityId}:${user?.uid || 'guest'}`;
+        const saved = this.loadSequencingState();
+        this.sequencer.restoreState(saved.sequencer);
+        this.scoData = saved.scos || {};
+        
+        this.runtimeAPI = new SCORMRuntimeAPI({
+            version: this.sequencer.version,
+            learner: { id: user?.uid || 'guest', name: user?.displayName || user?.email || 'Guest' },
+            onCommit: (scoId, tracking, savedData) => this.recordSCOData(scoId, tracking, savedData),
+            onTerminate: (scoId, tracking, savedData, navRequest) => this.handleSCOExit(scoId, navRequest),
+            isNavigationValid: request => this.isNavigationValid(request)
+        });
+        this.runtimeAPI.install(window);
+        
+        // A single-SCO package doesn't need the contents or Previous/Next
+        if (this.sequencer.leaves.length === 1) {
+            this.getElement('#sco-toc-panel')?.classList.add('hidden');
+            this.getElement('#sco-navigation')?.classList.add('hidden');
+            this.getElement('#sco-player')?.classList.add('md:col-span-4');
+        }
+        
+        const toc = this.getElement('#sco-toc');
+        if (toc) {
+            toc.addEventListener('click', (e) => {
+                const item = e.target.closest('.sco-toc-item');
+                if (item && !item.disabled) this.chooseSCO(item.dataset.id);
+            });
+        }
+        
+        const previousBtn = this.getElement('#sco-previous');
+        if (previousBtn) {
+            previousBtn.addEventListener('click', () => this.navigateSCO(-1));
+        }
+        
+        const nextBtn = this.getElement('#sco-next');
+        if (nextBtn) {
+            nextBtn.addEventListener('click', () => this.navigateSCO(1));
+        }
+        
+        const restartBtn = this.getElement('#scorm-restart');
+        if (restartBtn) {
+            restartBtn.addEventListener('click', () => this.restartPackage());
+        }
+        
+        const start = this.sequencer.getNode(this.sequencer.currentId) || this.sequencer.getStartTarget();
+        this.renderTableOfContents();
+        if (start) {
+            await this.launchSCO(start.id);
+        } else {
+            this.updateStatusDisplay('Choose a unit to start');
+        }
+    }
+    
+    /**
+     * Sequencing state and each SCO's saved data from earlier visits
+     */
+    loadSequencingState() {
+        try {
+            return JSON.parse(localStorage.getItem(this.sequencingKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    saveSequencingState() {
+        try {
+            localStorage.setItem(this.sequencingKey, JSON.stringify({
+                sequencer: this.sequencer.getState(),
+                scos: this.scoData
+            }));
+        } catch (error) {
+            console.warn('Could not save SCORM progress:', error);
+        }
+    }
+    
+    /**
+     * Launch a SCO (or asset) in the frame with a fresh data model
+     */
+    async launchSCO(id) {
+        const sco = this.sequencer.getNode(id);
+        if (!sco || !sco.href) return;
+        
+        // Unload the open SCO first so its unload handler can finish its session
+        if (this.runtimeAPI.state === 'initialized' && this.iframe) {
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, 2000);
+                this.iframe.addEventListener('load', () => {
+                    clearTimeout(timer);
+                    resolve();
+                }, { once: true });
+                this.iframe.src = 'about:blank';
+            });
+        }
+        
+        this.runtimeAPI.prepare(sco, this.scoData[id] || null);
+        this.sequencer.currentId = id;
+        this.launchedScoId = id;
+        
+        // Assets never talk to the API; opening one is all there is to it
+        if (sco.scormType === 'asset') {
+            this.sequencer.setStatus(id, { completion: 'completed' });
+        }
+        
+        if (this.iframe) {
+            this.iframe.src = sco.href;
+        }
+        this.updateStatusDisplay(sco.title);
+        this.saveSequencingState();
+        this.renderTableOfContents();
+    }
+    
+    /**
+     * Keep what a SCO committed and roll it up through the course
+     */
+    recordSCOData(scoId, tracking, savedData) {
+        if (!this.sequencer) return;
+        this.sequencer.setStatus(scoId, tracking);
+        this.scoData[scoId] = savedData;
+        this.saveSequencingState();
+        this.renderTableOfContents();
+    }
+    
+    /**
+     * Act on the navigation request a SCO made when it finished (SCORM 2004 adl.nav.request)
+     */
+    handleSCOExit(scoId, navRequest) {
+        // A SCO finished because another was launched: nothing more to do
+        if (scoId !== this.launchedScoId) return;
+        
+        const choice = /^\{target=([^}]+)\}choice$/.exec(navRequest || '');
+        if (navRequest === 'continue') {
+            this.navigateSCO(1);
+        } else if (navRequest === 'previous') {
+            this.navigateSCO(-1);
+        } else if (choice) {
+            this.chooseSCO(choice[1]);
+        } else if (['exit', 'exitAll', 'suspendAll', 'abandon', 'abandonAll'].includes(navRequest)) {
+            if (this.iframe) this.iframe.src = 'about:blank';
+            this.updateStatusDisplay(navRequest === 'suspendAll' ? 'Course Suspended' : 'Unit Closed');
+        }
+    }
+    
+    /**
+     * Go to the next (1) or previous (-1) unit, if sequencing allows it
+     */
+    navigateSCO(direction) {
+        const result = direction > 0 ? this.sequencer.getNext() : this.sequencer.getPrevious();
+        if (result.target) {
+            this.launchSCO(result.target.id);
+        } else {
+            this.updateStatusDisplay(result.reason);
+        }
+    }
+    
+    /**
+     * Launch a unit chosen from the contents, if sequencing allows it
+     */
+    chooseSCO(id) {
+        const check = this.sequencer.checkChoice(id);
+        if (check.allowed) {
+            this.launchSCO(id);
+        } else {
+            this.updateStatusDisplay(check.reason);
+        }
+    }
+    
+    /**
+     * Answers adl.nav.request_valid.* for the SCO in the frame
+     */
+    isNavigationValid(request) {
+        if (request === 'continue') return !!this.sequencer.getNext().target;
+        if (request === 'previous') return !!this.sequencer.getPrevious().target;
+        const choice = /^\{target=([^}]+)\}choice$/.exec(request);
+        return choice ? this.sequencer.checkChoice(choice[1]).allowed : false;
+    }
+    
+    /**
+     * Show the contents with each unit's status, the course status, and whether
+     * Previous and Next can be used
+     */
+    renderTableOfContents() {
+        if (!this.sequencer) return;
+        
+        const toc = this.getElement('#sco-toc');
+        if (toc) {
+            toc.innerHTML = this.sequencer.getTableOfContents().map(entry => entry.launchable ? `
+                <button class="sco-toc-item w-full text-left px-2 py-1 rounded-lg text-sm${entry.current ? ' active font-bold' : ''}"
+                        data-id="${this.escapeHTML(entry.id)}" style="padding-left: ${0.5 + entry.depth}rem"
+                        title="${this.escapeHTML(entry.reason)}" ${entry.allowed || entry.current ? '' : 'disabled'}>
+                    <i class="fas ${this.getSCOStatusIcon(entry)} mr-2"></i>${this.escapeHTML(entry.title)}
+                </button>
+            ` : `
+                <div class="text-sm font-medium text-muted mt-2" style="padding-left: ${0.5 + entry.depth}rem">
+                    ${this.escapeHTML(entry.title)}
+                </div>
+            `).join('');
+        }
+        
+        const courseStatus = this.getElement('#sco-course-status');
+        if (courseStatus) {
+            const status = this.sequencer.getCourseStatus();
+            const parts = [status.completion === 'completed' ? 'Course complete' : (status.attempted ? 'In progress' : 'Not started')];
+            if (status.success === 'passed' || status.success === 'failed') {
+                parts.push(status.success === 'passed' ? 'Passed' : 'Failed');
+            }
+            if (status.scaled !== null) {
+                parts.push(`Score ${Math.round(status.scaled * 100)}%`);
+            }
+            courseStatus.textContent = parts.join(' · ');
+        }
+        
+        const previousBtn = this.getElement('#sco-previous');
+        if (previousBtn) {
+            const previous = this.sequencer.getPrevious();
+            previousBtn.disabled = !previous.target;
+            previousBtn.title = previous.reason || '';
+        }
+        
+        const nextBtn = this.getElement('#sco-next');
+        if (nextBtn) {
+            const next = this.sequencer.getNext();
+            nextBtn.disabled = !next.target;
+            nextBtn.title = next.reason || '';
+        }
+    }
+    
+    /**
+     * Icon for a unit in the contents
+     */
+    getSCOStatusIcon(entry) {
+        const status = entry.status;
+        if (status.success === 'failed') return 'fa-times-circle text-red-500';
+        if (status.success === 'passed' || status.completion === 'completed') return 'fa-check-circle text-green-500';
+        if (status.attempted) return 'fa-adjust';
+        if (!entry.allowed && !entry.current) return 'fa-lock text-muted';
+        return 'fa-circle text-muted';
+    }
+    
+    /**
+     * Titles and ids come from the package's manifest
+     */
+    escapeHTML(text) {
+        return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+    
     /**
      * Start progress tracking
      */
@@ -500,7 +1074,7 @@ export class SCORMViewerTemplate extends BaseTemplate {
     /**
      * Save configuration
      */
-    saveConfiguration() {
+    async saveConfiguration() {
         if (!this.activityData) {
             this.activityData = {
                 metadata: {
@@ -525,13 +1099,44 @@ export class SCORMViewerTemplate extends BaseTemplate {
         if (widthInput) this.activityData.width = widthInput.value;
         if (heightInput) this.activityData.height = heightInput.value;
         
+        // A cmi5.xml URL is a cmi5 course: read its AUs now so play mode can list them
+        if (/cmi5\.xml(\?.*)?$/i.test(this.activityData.scormUrl || '')) {
+            const course = await this.manifestParser.parseCourseStructureFromUrl(this.activityData.scormUrl);
+            if (!course.isValid) {
+                this.updateStatusDisplay('cmi5 Error: ' + course.error);
+                return;
+            }
+            this.activityData.format = 'cmi5';
+            this.activityData.cmi5 = course;
+            if (!this.activityData.metadata.title || this.activityData.metadata.title === 'New SCORM Package') {
+                this.activityData.metadata.title = course.title;
+            }
+        } else if (/imsmanifest\.xml(\?.*)?$/i.test(this.activityData.scormUrl || '')) {
+            // A manifest URL: keep its organization so play mode can sequence the SCOs
+            const manifest = await this.manifestParser.parseManifestFromUrl(this.activityData.scormUrl);
+            if (!manifest.isValid) {
+                this.updateStatusDisplay('Manifest Error: ' + manifest.error);
+                return;
+            }
+            this.activityData.format = 'scorm';
+            this.activityData.manifest = manifest;
+            delete this.activityData.cmi5;
+            if (!this.activityData.metadata.title || this.activityData.metadata.title === 'New SCORM Package') {
+                this.activityData.metadata.title = manifest.organizations[0]?.title || manifest.metadata?.title || this.activityData.metadata.title;
+            }
+        } else {
+            delete this.activityData.format;
+            delete this.activityData.cmi5;
+            delete this.activityData.manifest;
+        }
+        
         this.activityData.metadata.updatedAt = new Date();
         
         // Update status
         this.updateStatusDisplay('Configuration Saved');
         
         // If we're in play mode, update the iframe src
-        if (this.mode === 'play' && this.iframe) {
+        if (this.mode === 'play' && this.iframe && !this.isCmi5() && !this.isSequenced()) {
             this.iframe.src = this.activityData.scormUrl;
         }
     }
@@ -540,6 +1145,20 @@ export class SCORMViewerTemplate extends BaseTemplate {
      * Restart package
      */
     restartPackage() {
+        if (this.isCmi5()) {
+            if (this.currentAUIndex !== null) {
+                this.launchAU(this.currentAUIndex);
+            }
+            return;
+        }
+        
+        if (this.isSequenced()) {
+            if (this.launchedScoId) {
+                this.launchSCO(this.launchedScoId);
+            }
+            return;
+        }
+        
         if (this.iframe && this.activityData?.scormUrl) {
             this.iframe.src = this.activityData.scormUrl;
             this.updateStatusDisplay('Package Restarting...');
@@ -556,6 +1175,14 @@ export class SCORMViewerTemplate extends BaseTemplate {
             errors.push('SCORM package URL is required');
         }
         
+        if (this.activityData?.format === 'cmi5' && !this.activityData.cmi5?.aus?.length) {
+            errors.push('The cmi5 course has no AUs');
+        }
+        
+        if (this.activityData?.format === 'scorm' && !this.activityData.manifest?.organizations?.length) {
+            errors.push('The SCORM manifest has no organization to play');
+        }
+        
         if (!this.activityData?.metadata?.title || this.activityData.metadata.title.trim() === '') {
             errors.push('Package title is required');
         }
@@ -588,6 +1215,10 @@ export class SCORMViewerTemplate extends BaseTemplate {
             this.sessionActive = false;
         }
         
+        if (this.runtimeAPI) {
+            this.runtimeAPI.uninstall(window);
+        }
+        
         super.beforeDestroy();
     }
     
@@ -0,0 +1,106 @@
+/**
+ * Caption Tracks
+ * Reads WebVTT and SRT caption files into cues ({ start, end, text } in seconds)
+ * and writes them back out as WebVTT, the only format <track> accepts
+ * Used by the interactive video template (captions, transcript and edit mode)
+ */
+
+class CaptionTracks {
+    /**
+     * Parse a cue timestamp: "01:02:03.500", "02:03.500" or SRT's "01:02:03,500"
+     * @returns {number|null} Seconds, or null if the text isn't a timestamp
+     */
+    static parseTime(text) {
+        const match = String(text || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/);
+        if (!match) return null;
+
+        const [, hours, minutes, seconds, fraction] = match;
+        return (parseInt(hours || '0', 10) * 3600) +
+            (parseInt(minutes, 10) * 60) +
+            parseInt(seconds, 10) +
+            (fraction ? parseInt(fraction.padEnd(3, '0'), 10) / 1000 : 0);
+    }
+
+    /**
+     * Parse a WebVTT or SRT file
+     * Blocks without a "-->" timing line (the WEBVTT header, NOTE, STYLE, REGION,
+     * SRT's cue numbers on their own) are skipped
+     * @param {string} text - File contents
+     * @returns {Array<Object>} Cues sorted by start time
+     */
+    static parse(text) {
+        const blocks = String(text || '')
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?/g, '\n')
+            .split(/\n{2,}/);
+
+        const cues = [];
+        blocks.forEach(block => {
+            const lines = block.split('\n');
+            const timing = lines.findIndex(line => line.includes('-->'));
+            if (timing === -1) return;
+
+            // Cue settings ("align:start position:10%") follow the end time
+            const [startText, rest] = lines[timing].split('-->');
+            const start = CaptionTracks.parseTime(startText);
+            const end = CaptionTracks.parseTime((rest || '').trim().split(/\s+/)[0]);
+            const cueText = lines.slice(timing + 1).join('\n').trim();
+
+            if (start === null || end === null || end < start || !cueText) return;
+            cues.push({ start, end, text: cueText });
+        });
+
+        return cues.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Cue text without WebVTT markup (<v Speaker>, <i>, <c.class>, timestamps)
+     */
+    static plainText(text) {
+        return String(text || '')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, ' ');
+    }
+
+    /**
+     * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+     */
+    static formatTime(seconds) {
+        const total = Math.round(Math.max(0, seconds || 0) * 1000);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(Math.floor(total / 3600000))}:${pad(Math.floor(total / 60000) % 60)}:${pad(Math.floor(total / 1000) % 60)}.${pad(total % 1000, 3)}`;
+    }
+
+    /**
+     * Write cues as a WebVTT file
+     */
+    static toVTT(cues) {
+        const body = (cues || [])
+            .map(cue => `${CaptionTracks.formatTime(cue.start)} --> ${CaptionTracks.formatTime(cue.end)}\n${cue.text}`)
+            .join('\n\n');
+        return `WEBVTT\n\n${body}\n`;
+    }
+
+    /**
+     * Index of the cue showing at a time; between cues, the last one that started
+     * so a transcript keeps its place through pauses in speech
+     * @returns {number} Cue index, or -1 before the first cue
+     */
+    static findCue(cues, time) {
+        let found = -1;
+        (cues || []).forEach((cue, index) => {
+            if (cue.start <= time) found = index;
+        });
+        return found;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaptionTracks;
+} else {
+    window.CaptionTracks = CaptionTracks;
+}
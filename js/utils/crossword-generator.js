@@ -0,0 +1,262 @@
+/**
+ * Crossword Generator
+ * Lays out a list of words into an intersecting crossword grid
+ * Used by the crossword template (play and edit mode) and the worksheet export
+ */
+
+class CrosswordGenerator {
+    /**
+     * Grid character used for black squares
+     */
+    static get BLOCK() {
+        return '#';
+    }
+
+    /**
+     * Generate a crossword layout
+     * @param {Array<{word: string, clue: string}>} words - Words and clues to place
+     * @param {Object} options - Generation options
+     * @param {number} options.attempts - Number of word orderings to try (default 10)
+     * @returns {Object} Layout: { rows, cols, grid, placements, unplaced }, where grid is
+     *   one string per row with BLOCK for black squares (Firestore can't store nested arrays)
+     */
+    static generate(words, options = {}) {
+        const attempts = options.attempts || 10;
+        const entries = (words || [])
+            .map((entry, index) => ({
+                index,
+                word: entry.word || '',
+                clue: entry.clue || '',
+                answer: CrosswordGenerator.normalizeWord(entry.word)
+            }))
+            .filter(entry => entry.answer.length >= 2);
+
+        if (entries.length === 0) {
+            return { rows: 0, cols: 0, grid: [], placements: [], unplaced: [] };
+        }
+
+        // Longest words first gives the most intersection opportunities;
+        // later attempts rotate the starting word to look for a tighter layout
+        const byLength = [...entries].sort((a, b) => b.answer.length - a.answer.length || a.index - b.index);
+
+        let best = null;
+        for (let attempt = 0; attempt < Math.min(attempts, byLength.length); attempt++) {
+            const order = [byLength[attempt], ...byLength.filter((_, i) => i !== attempt)];
+            const layout = CrosswordGenerator.buildLayout(order);
+            if (!best || CrosswordGenerator.compareLayouts(layout, best) < 0) {
+                best = layout;
+            }
+        }
+
+        return CrosswordGenerator.finalizeLayout(best, entries);
+    }
+
+    /**
+     * Uppercase a word and strip everything but letters
+     */
+    static normalizeWord(word) {
+        return String(word || '').toUpperCase().replace(/[^A-Z]/g, '');
+    }
+
+    /**
+     * Place words in the given order on an unbounded sparse grid
+     */
+    static buildLayout(order) {
+        const cells = new Map(); // "row,col" -> { letter, across: bool, down: bool }
+        const placements = [];
+        const pending = [];
+
+        order.forEach((entry, i) => {
+            if (i === 0) {
+                CrosswordGenerator.placeWord(cells, placements, entry, 0, 0, 'across');
+            } else {
+                pending.push(entry);
+            }
+        });
+
+        // Keep sweeping until no more words fit; a word that doesn't intersect
+        // yet may fit once another word has been placed
+        let placedSomething = true;
+        while (pending.length > 0 && placedSomething) {
+            placedSomething = false;
+            for (let i = 0; i < pending.length; i++) {
+                const candidate = CrosswordGenerator.findBestPosition(cells, pending[i].answer);
+                if (candidate) {
+                    CrosswordGenerator.placeWord(cells, placements, pending[i], candidate.row, candidate.col, candidate.direction);
+                    pending.splice(i, 1);
+                    i--;
+                    placedSomething = true;
+                }
+            }
+        }
+
+        return { cells, placements, unplaced: pending };
+    }
+
+    /**
+     * Find the intersecting position with the most crossings and smallest bounding box
+     */
+    static findBestPosition(cells, answer) {
+        let best = null;
+        const bounds = CrosswordGenerator.getBounds(cells);
+
+        cells.forEach((cell, key) => {
+            const [cellRow, cellCol] = key.split(',').map(Number);
+            for (let i = 0; i < answer.length; i++) {
+                if (answer[i] !== cell.letter) continue;
+
+                ['across', 'down'].forEach(direction => {
+                    // A cell can only be crossed by a word running the other way
+                    if (cell[direction]) return;
+
+                    const row = direction === 'across' ? cellRow : cellRow - i;
+                    const col = direction === 'across' ? cellCol - i : cellCol;
+                    const crossings = CrosswordGenerator.countCrossings(cells, answer, row, col, direction);
+                    if (crossings < 1) return;
+
+                    const endRow = direction === 'down' ? row + answer.length - 1 : row;
+                    const endCol = direction === 'across' ? col + answer.length - 1 : col;
+                    const area = (Math.max(bounds.maxRow, endRow) - Math.min(bounds.minRow, row) + 1) *
+                        (Math.max(bounds.maxCol, endCol) - Math.min(bounds.minCol, col) + 1);
+
+                    if (!best || crossings > best.crossings || (crossings === best.crossings && area < best.area)) {
+                        best = { row, col, direction, crossings, area };
+                    }
+                });
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Count crossings for a word at a position, or -1 if the position is invalid
+     */
+    static countCrossings(cells, answer, row, col, direction) {
+        const dRow = direction === 'down' ? 1 : 0;
+        const dCol = direction === 'across' ? 1 : 0;
+
+        // The cells directly before and after the word must be empty
+        if (cells.has(`${row - dRow},${col - dCol}`)) return -1;
+        if (cells.has(`${row + dRow * answer.length},${col + dCol * answer.length}`)) return -1;
+
+        let crossings = 0;
+        for (let i = 0; i < answer.length; i++) {
+            const r = row + dRow * i;
+            const c = col + dCol * i;
+            const existing = cells.get(`${r},${c}`);
+
+            if (existing) {
+                if (existing.letter !== answer[i] || existing[direction]) return -1;
+                crossings++;
+            } else {
+                // New letters must not touch a neighbouring word side-on
+                if (cells.has(`${r + dCol},${c + dRow}`) || cells.has(`${r - dCol},${c - dRow}`)) return -1;
+            }
+        }
+
+        return crossings;
+    }
+
+    /**
+     * Write a word into the sparse grid
+     */
+    static placeWord(cells, placements, entry, row, col, direction) {
+        const dRow = direction === 'down' ? 1 : 0;
+        const dCol = direction === 'across' ? 1 : 0;
+
+        for (let i = 0; i < entry.answer.length; i++) {
+            const key = `${row + dRow * i},${col + dCol * i}`;
+            const cell = cells.get(key) || { letter: entry.answer[i], across: false, down: false };
+            cell[direction] = true;
+            cells.set(key, cell);
+        }
+
+        placements.push({ entry, row, col, direction });
+    }
+
+    static getBounds(cells) {
+        let minRow = Infinity, maxRow = -Infinity, minCol = Infinity, maxCol = -Infinity;
+        cells.forEach((_, key) => {
+            const [r, c] = key.split(',').map(Number);
+            minRow = Math.min(minRow, r);
+            maxRow = Math.max(maxRow, r);
+            minCol = Math.min(minCol, c);
+            maxCol = Math.max(maxCol, c);
+        });
+        return { minRow, maxRow, minCol, maxCol };
+    }
+
+    /**
+     * Prefer layouts that place more words, then smaller grids
+     */
+    static compareLayouts(a, b) {
+        if (a.placements.length !== b.placements.length) {
+            return b.placements.length - a.placements.length;
+        }
+        const area = layout => {
+            const bounds = CrosswordGenerator.getBounds(layout.cells);
+            return (bounds.maxRow - bounds.minRow + 1) * (bounds.maxCol - bounds.minCol + 1);
+        };
+        return area(a) - area(b);
+    }
+
+    /**
+     * Shift the layout to a zero-based grid and number the clues
+     */
+    static finalizeLayout(layout, entries) {
+        const bounds = CrosswordGenerator.getBounds(layout.cells);
+        const rows = bounds.maxRow - bounds.minRow + 1;
+        const cols = bounds.maxCol - bounds.minCol + 1;
+
+        const letters = Array.from({ length: rows }, () => Array(cols).fill(CrosswordGenerator.BLOCK));
+        layout.cells.forEach((cell, key) => {
+            const [r, c] = key.split(',').map(Number);
+            letters[r - bounds.minRow][c - bounds.minCol] = cell.letter;
+        });
+        const grid = letters.map(row => row.join(''));
+
+        const placements = layout.placements.map(p => ({
+            wordIndex: p.entry.index,
+            word: p.entry.word,
+            answer: p.entry.answer,
+            clue: p.entry.clue,
+            row: p.row - bounds.minRow,
+            col: p.col - bounds.minCol,
+            direction: p.direction,
+            number: 0
+        }));
+
+        // Number the start cells in reading order, shared by across and down words
+        const starts = [...new Set(placements.map(p => `${p.row},${p.col}`))]
+            .map(key => key.split(',').map(Number))
+            .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        starts.forEach(([r, c], i) => {
+            placements.filter(p => p.row === r && p.col === c).forEach(p => { p.number = i + 1; });
+        });
+        placements.sort((a, b) => a.number - b.number || (a.direction === 'across' ? -1 : 1));
+
+        const placedIndexes = new Set(placements.map(p => p.wordIndex));
+        const unplaced = entries
+            .filter(entry => !placedIndexes.has(entry.index))
+            .map(entry => ({ wordIndex: entry.index, word: entry.word, clue: entry.clue }));
+
+        return { rows, cols, grid, placements, unplaced };
+    }
+
+    /**
+     * Stable signature of a word list, used to tell whether a stored layout is stale
+     */
+    static getWordsSignature(words) {
+        return (words || [])
+            .map(entry => `${CrosswordGenerator.normalizeWord(entry.word)}:${entry.clue || ''}`)
+            .join('|');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CrosswordGenerator;
+} else {
+    window.CrosswordGenerator = CrosswordGenerator;
+}
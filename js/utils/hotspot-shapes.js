@@ -0,0 +1,168 @@
+/**
+ * Hotspot Shapes
+ * Geometry for image hotspots drawn as rectangles, circles or polygons.
+ * Coordinates are percentages of the image width (x) and height (y), so a
+ * hotspot keeps its place on the image at any display size
+ * Used by the image hotspot template (play and edit mode)
+ */
+
+class HotspotShapes {
+    static get SHAPES() {
+        return ['rect', 'circle', 'polygon'];
+    }
+
+    /**
+     * Fill in shape fields for a hotspot, converting hotspots saved as a single
+     * point ({ x, y }) into small circles
+     * @param {Object} hotspot - Hotspot as stored in the activity
+     * @returns {Object} Copy of the hotspot with a valid shape
+     */
+    static normalize(hotspot) {
+        const spot = { ...hotspot };
+        const num = (value, fallback) => (isFinite(parseFloat(value)) ? parseFloat(value) : fallback);
+
+        if (!HotspotShapes.SHAPES.includes(spot.shape)) {
+            spot.shape = 'circle';
+            spot.cx = num(spot.x, 50);
+            spot.cy = num(spot.y, 50);
+            spot.rx = 4;
+            spot.ry = 4;
+        }
+
+        if (spot.shape === 'rect') {
+            spot.x = num(spot.x, 0);
+            spot.y = num(spot.y, 0);
+            spot.width = num(spot.width, 10);
+            spot.height = num(spot.height, 10);
+        } else if (spot.shape === 'circle') {
+            spot.cx = num(spot.cx, 50);
+            spot.cy = num(spot.cy, 50);
+            spot.rx = num(spot.rx, 5);
+            spot.ry = num(spot.ry, spot.rx);
+        } else {
+            // Points are { x, y } objects; Firestore can't store nested arrays
+            spot.points = (spot.points || []).map(p => ({ x: num(p.x, 0), y: num(p.y, 0) }));
+        }
+
+        return spot;
+    }
+
+    /**
+     * Whether a point (in percentages) falls inside a hotspot
+     */
+    static contains(hotspot, x, y) {
+        const spot = HotspotShapes.normalize(hotspot);
+
+        if (spot.shape === 'rect') {
+            return x >= spot.x && x <= spot.x + spot.width && y >= spot.y && y <= spot.y + spot.height;
+        }
+
+        if (spot.shape === 'circle') {
+            if (spot.rx <= 0 || spot.ry <= 0) return false;
+            const dx = (x - spot.cx) / spot.rx;
+            const dy = (y - spot.cy) / spot.ry;
+            return dx * dx + dy * dy <= 1;
+        }
+
+        // Ray casting: count the polygon edges crossed by a ray to the right of the point
+        const points = spot.points;
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Area of a hotspot in square percentage units
+     */
+    static area(hotspot) {
+        const spot = HotspotShapes.normalize(hotspot);
+        if (spot.shape === 'rect') return spot.width * spot.height;
+        if (spot.shape === 'circle') return Math.PI * spot.rx * spot.ry;
+
+        let sum = 0;
+        spot.points.forEach((p, i) => {
+            const next = spot.points[(i + 1) % spot.points.length];
+            sum += p.x * next.y - next.x * p.y;
+        });
+        return Math.abs(sum) / 2;
+    }
+
+    /**
+     * Find the hotspot at a point; where hotspots overlap the smallest one wins,
+     * so a small region drawn on top of a large one stays reachable
+     * @returns {number} Index of the hotspot, or -1
+     */
+    static hitTest(hotspots, x, y) {
+        let best = -1;
+        let bestArea = Infinity;
+        (hotspots || []).forEach((hotspot, index) => {
+            if (!HotspotShapes.contains(hotspot, x, y)) return;
+            const area = HotspotShapes.area(hotspot);
+            if (area < bestArea) {
+                best = index;
+                bestArea = area;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Centre of a hotspot's bounding box, used to place markers and labels
+     */
+    static center(hotspot) {
+        const spot = HotspotShapes.normalize(hotspot);
+        if (spot.shape === 'rect') return { x: spot.x + spot.width / 2, y: spot.y + spot.height / 2 };
+        if (spot.shape === 'circle') return { x: spot.cx, y: spot.cy };
+
+        const xs = spot.points.map(p => p.x);
+        const ys = spot.points.map(p => p.y);
+        if (xs.length === 0) return { x: 50, y: 50 };
+        return { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+    }
+
+    /**
+     * Move a hotspot by dx/dy percentage points
+     */
+    static translate(hotspot, dx, dy) {
+        const spot = HotspotShapes.normalize(hotspot);
+        if (spot.shape === 'rect') {
+            spot.x += dx;
+            spot.y += dy;
+        } else if (spot.shape === 'circle') {
+            spot.cx += dx;
+            spot.cy += dy;
+        } else {
+            spot.points = spot.points.map(p => ({ x: p.x + dx, y: p.y + dy }));
+        }
+        return spot;
+    }
+
+    /**
+     * SVG markup for a hotspot inside a viewBox="0 0 100 100" overlay
+     * @param {Object} hotspot - Hotspot
+     * @param {string} attributes - Extra attributes (class, style, data-*) for the element
+     */
+    static toSVG(hotspot, attributes = '') {
+        const spot = HotspotShapes.normalize(hotspot);
+        if (spot.shape === 'rect') {
+            return `<rect x="${spot.x}" y="${spot.y}" width="${spot.width}" height="${spot.height}" ${attributes}></rect>`;
+        }
+        if (spot.shape === 'circle') {
+            return `<ellipse cx="${spot.cx}" cy="${spot.cy}" rx="${spot.rx}" ry="${spot.ry}" ${attributes}></ellipse>`;
+        }
+        return `<polygon points="${spot.points.map(p => `${p.x},${p.y}`).join(' ')}" ${attributes}></polygon>`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HotspotShapes;
+} else {
+    window.HotspotShapes = HotspotShapes;
+}
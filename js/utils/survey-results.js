@@ -0,0 +1,136 @@
+/**
+ * Survey Results
+ * Question types, response tallies and CSV export for the survey template
+ * Used by the survey template (play, edit and results view) and the worksheet export
+ */
+
+class SurveyResults {
+    static get TYPES() {
+        return ['likert', 'single', 'multi', 'rating', 'text'];
+    }
+
+    static get LIKERT_LABELS() {
+        return ['Strongly disagree', 'Disagree', 'Neutral', 'Agree', 'Strongly agree'];
+    }
+
+    /**
+     * Fill in defaults for a question; surveys saved before question types were
+     * split use 'multiple' / 'multiple_choice' for single choice
+     * @param {Object} question - Question as stored in the activity
+     * @returns {Object} Copy with a valid type, options and scale
+     */
+    static normalizeQuestion(question) {
+        const q = { ...question };
+        if (q.type === 'multiple' || q.type === 'multiple_choice') q.type = 'single';
+        if (!SurveyResults.TYPES.includes(q.type)) q.type = 'text';
+
+        q.question = q.question || '';
+        q.options = (q.options || []).map(option => String(option)).filter(option => option.trim());
+        q.scale = q.type === 'rating' ? (parseInt(q.scale) === 10 ? 10 : 5) : undefined;
+        q.required = !!q.required;
+        return q;
+    }
+
+    /**
+     * Whether an answer counts as answered for a question
+     */
+    static isAnswered(question, answer) {
+        if (answer === undefined || answer === null) return false;
+        if (Array.isArray(answer)) return answer.length > 0;
+        return String(answer).trim() !== '';
+    }
+
+    /**
+     * Tally responses per question
+     * @param {Array<Object>} questions - Survey questions
+     * @param {Array<Object>} responses - Responses: { answers: { [questionId]: value } }
+     * @returns {Array<Object>} One summary per question:
+     *   { question, answered, counts: [{ label, count }], average, texts }
+     */
+    static summarize(questions, responses) {
+        return (questions || []).map(raw => {
+            const question = SurveyResults.normalizeQuestion(raw);
+            const answers = (responses || [])
+                .map(response => (response.answers || {})[question.id])
+                .filter(answer => SurveyResults.isAnswered(question, answer));
+
+            const summary = { question, answered: answers.length, counts: [], average: null, texts: [] };
+
+            if (question.type === 'text') {
+                summary.texts = answers.map(answer => String(answer));
+                return summary;
+            }
+
+            let labels;
+            if (question.type === 'likert') {
+                labels = SurveyResults.LIKERT_LABELS;
+            } else if (question.type === 'rating') {
+                labels = Array.from({ length: question.scale }, (_, i) => String(i + 1));
+            } else {
+                labels = question.options;
+            }
+
+            const counts = labels.map(label => ({ label, count: 0 }));
+            answers.forEach(answer => {
+                (Array.isArray(answer) ? answer : [answer]).forEach(value => {
+                    // Likert and rating answers are 1-based numbers, choices are option text
+                    const index = question.type === 'likert' || question.type === 'rating'
+                        ? parseInt(value) - 1
+                        : labels.indexOf(String(value));
+                    if (counts[index]) counts[index].count++;
+                });
+            });
+            summary.counts = counts;
+
+            if (question.type === 'likert' || question.type === 'rating') {
+                const numbers = answers.map(answer => parseInt(answer)).filter(n => n >= 1 && n <= labels.length);
+                summary.average = numbers.length
+                    ? Math.round(numbers.reduce((sum, n) => sum + n, 0) / numbers.length * 100) / 100
+                    : null;
+            }
+
+            return summary;
+        });
+    }
+
+    /**
+     * One row per response, one column per question
+     * @returns {string} CSV text
+     */
+    static toCSV(questions, responses) {
+        const normalized = (questions || []).map(q => SurveyResults.normalizeQuestion(q));
+        const cell = value => {
+            let text = value === undefined || value === null ? '' : String(value);
+            // Respondents type free text; a leading =, +, -, @, tab or CR would make
+            // Excel or Sheets run it as a formula, so it is kept as text with a '
+            if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = [['Submitted', 'Respondent', ...normalized.map(q => q.question)]];
+        (responses || []).forEach(response => {
+            const answers = response.answers || {};
+            rows.push([
+                response.submittedAt || '',
+                response.respondentName || response.respondentId || 'Anonymous',
+                ...normalized.map(q => {
+                    const answer = answers[q.id];
+                    if (Array.isArray(answer)) return answer.join('; ');
+                    if (q.type === 'likert' && answer) return SurveyResults.LIKERT_LABELS[parseInt(answer) - 1] || answer;
+                    return answer;
+                })
+            ]);
+        });
+
+        return rows.map(row => row.map(cell).join(',')).join('\r\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SurveyResults;
+} else {
+    window.SurveyResults = SurveyResults;
+}
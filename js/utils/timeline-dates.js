@@ -0,0 +1,124 @@
+/**
+ * Timeline Dates
+ * Parses the free-text dates authors type into timeline events ("1066", "44 BCE",
+ * "1969-07-20", "1939 to 1945", "1939-1945") into sortable values, including BCE years and ranges
+ * Used by the timeline template (presentation, quiz and edit mode)
+ */
+
+class TimelineDates {
+    /**
+     * Parse a single date
+     * Accepts YYYY, YYYY-MM or YYYY-MM-DD, an optional leading minus sign, and an
+     * optional era suffix (BCE/BC count backwards, CE/AD are ignored)
+     * @param {string} text - Date as typed by the author
+     * @returns {Object|null} { year, month, day, value } or null if the text isn't a date
+     */
+    static parse(text) {
+        const match = String(text || '').trim().match(/^(-)?(\d{1,6})(?:-(\d{1,2})(?:-(\d{1,2}))?)?\s*(BCE|BC|B\.C\.|B\.C\.E\.|CE|AD|A\.D\.|C\.E\.)?$/i);
+        if (!match) return null;
+
+        const [, minus, yearText, monthText, dayText, era] = match;
+        const bce = !!minus || (!!era && /^B/i.test(era));
+        const year = parseInt(yearText, 10) * (bce ? -1 : 1);
+        const month = monthText ? parseInt(monthText, 10) : null;
+        const day = dayText ? parseInt(dayText, 10) : null;
+
+        if ((month !== null && (month < 1 || month > 12)) || (day !== null && (day < 1 || day > 31))) {
+            return null;
+        }
+
+        // Fractional years keep months and days in order within a year
+        const value = year + ((month || 1) - 1) / 12 + ((day || 1) - 1) / 372;
+
+        return { year, month, day, value };
+    }
+
+    /**
+     * Parse an event's date span
+     * A range comes from event.endDate, or from the date text itself ("1939 to 1945", "1939 – 1945", "1939-1945")
+     * @param {Object} event - Timeline event with date and optional endDate
+     * @returns {Object|null} { start, end } where end is null for single dates
+     */
+    static parseEvent(event) {
+        let startText = event && event.date;
+        let endText = event && event.endDate;
+
+        if (!endText) {
+            const parts = String(startText || '').split(/\s+(?:to|until|-)\s+|\s*[–—]\s*/i);
+            if (parts.length === 2) {
+                [startText, endText] = parts;
+            } else if (!TimelineDates.parse(startText)) {
+                [startText, endText] = TimelineDates.splitHyphenRange(startText) || [startText, endText];
+            }
+        }
+
+        const start = TimelineDates.parse(startText);
+        if (!start) return null;
+
+        const end = endText ? TimelineDates.parse(endText) : null;
+        if (endText && (!end || end.value < start.value)) return null;
+
+        return { start, end };
+    }
+
+    /**
+     * Split an unspaced hyphen range ("1939-1945", "1969-07-20-1970-01-01") at the
+     * first hyphen with a date on both sides, the end not before the start
+     * Hyphens inside a date are tried too, so only call this when the whole text isn't a date
+     * @returns {Array|null} [startText, endText]
+     */
+    static splitHyphenRange(text) {
+        const value = String(text || '');
+        for (let index = value.indexOf('-', 1); index !== -1; index = value.indexOf('-', index + 1)) {
+            const start = TimelineDates.parse(value.slice(0, index));
+            const end = TimelineDates.parse(value.slice(index + 1));
+            if (start && end && end.value >= start.value) {
+                return [value.slice(0, index), value.slice(index + 1)];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Compare two events chronologically; events without a valid date sort last
+     */
+    static compareEvents(a, b) {
+        const spanA = TimelineDates.parseEvent(a);
+        const spanB = TimelineDates.parseEvent(b);
+        if (!spanA || !spanB) return (spanA ? 0 : 1) - (spanB ? 0 : 1);
+        return spanA.start.value - spanB.start.value ||
+            (spanA.end ? spanA.end.value : spanA.start.value) - (spanB.end ? spanB.end.value : spanB.start.value);
+    }
+
+    /**
+     * Format a parsed date for display, e.g. "44 BCE", "Jul 1969", "20 Jul 1969"
+     */
+    static format(date) {
+        if (!date) return '';
+        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const year = date.year < 0 ? `${-date.year} BCE` : String(date.year);
+        const month = date.month ? `${months[date.month - 1]} ` : '';
+        const day = date.day ? `${date.day} ` : '';
+        return `${day}${month}${year}`;
+    }
+
+    /**
+     * Format an event's date or range for display
+     */
+    static formatEvent(event) {
+        const span = TimelineDates.parseEvent(event);
+        if (!span) return String((event && event.date) || '');
+        if (!span.end) return TimelineDates.format(span.start);
+
+        // Label the end year CE when a range crosses from BCE
+        const era = span.start.year < 0 && span.end.year > 0 ? ' CE' : '';
+        return `${TimelineDates.format(span.start)} – ${TimelineDates.format(span.end)}${era}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimelineDates;
+} else {
+    window.TimelineDates = TimelineDates;
+}
@@ -0,0 +1,207 @@
+/**
+ * Video Branching
+ * Branch targets, stop order and path analysis for interactive video.
+ * Each answer option can continue, jump to a time or jump to a named segment;
+ * a segment's end can jump somewhere too. The player stops at question times
+ * and at segment ends that have a jump, so the activity forms a graph of stops
+ * Used by the interactive video template (play and edit mode)
+ */
+
+class VideoBranching {
+    static get BRANCH_TYPES() {
+        return ['next', 'time', 'segment'];
+    }
+
+    /**
+     * Fill in a branch; a missing or unknown branch continues playing
+     * @param {Object} branch - { type, time, segmentId }
+     * @returns {Object} Copy with a valid type
+     */
+    static normalizeBranch(branch) {
+        const b = { ...(branch || {}) };
+        if (!VideoBranching.BRANCH_TYPES.includes(b.type)) b.type = 'next';
+        if (b.type === 'time') b.time = Math.max(0, parseFloat(b.time) || 0);
+        return b;
+    }
+
+    /**
+     * Whether any answer or segment end jumps somewhere
+     */
+    static hasBranches(data) {
+        const jumps = branch => VideoBranching.normalizeBranch(branch).type !== 'next';
+        return (data.questions || []).some(q => (q.branches || []).some(jumps)) ||
+            (data.segments || []).some(s => jumps(s.then));
+    }
+
+    /**
+     * Time a branch jumps to
+     * @returns {number|null} Seconds, or null to keep playing from where the video is
+     */
+    static resolveTime(data, branch) {
+        const b = VideoBranching.normalizeBranch(branch);
+        if (b.type === 'time') return b.time;
+        if (b.type === 'segment') {
+            const segment = (data.segments || []).find(s => s.id === b.segmentId);
+            return segment ? Math.max(0, parseFloat(segment.start) || 0) : null;
+        }
+        return null;
+    }
+
+    /**
+     * Everything the player stops at, in playback order
+     * @returns {Array<Object>} { key, kind: 'question'|'segment', index, time }
+     */
+    static getStops(data) {
+        const stops = (data.questions || []).map((question, index) => ({
+            key: `q${index}`,
+            kind: 'question',
+            index,
+            time: Math.max(0, parseFloat(question.timestamp) || 0)
+        }));
+
+        (data.segments || []).forEach((segment, index) => {
+            if (VideoBranching.normalizeBranch(segment.then).type === 'next') return;
+            stops.push({ key: `s${index}`, kind: 'segment', index, time: Math.max(0, parseFloat(segment.end) || 0) });
+        });
+
+        // Questions before segment ends at the same time, then authoring order
+        return stops.sort((a, b) => a.time - b.time ||
+            (a.kind === b.kind ? a.index - b.index : (a.kind === 'question' ? -1 : 1)));
+    }
+
+    /**
+     * First stop playback reaches from a time
+     * @returns {Object|null} Stop, or null when the video plays to the end
+     */
+    static nextStopFrom(stops, time) {
+        return stops.find(stop => stop.time >= time) || null;
+    }
+
+    /**
+     * Where playback goes after a stop takes a branch
+     * @returns {Object} { stop (or null for the end), from: time playback resumes at }
+     */
+    static follow(data, stops, stop, branch) {
+        const time = VideoBranching.resolveTime(data, branch);
+        if (time === null) {
+            return { stop: stops[stops.indexOf(stop) + 1] || null, from: stop.time };
+        }
+        return { stop: VideoBranching.nextStopFrom(stops, time), from: time };
+    }
+
+    /**
+     * Build the branch graph
+     * @returns {Object} { stops, edges: [{ from, to, label, span: [start, end] }] } where
+     *   from/to are stop keys, 'start' or 'end', and span is the stretch of video played
+     */
+    static buildGraph(data) {
+        const stops = VideoBranching.getStops(data);
+        const edges = [];
+        const addEdge = (from, target, label) => {
+            edges.push({
+                from,
+                to: target.stop ? target.stop.key : 'end',
+                label,
+                span: [target.from, target.stop ? target.stop.time : Infinity]
+            });
+        };
+
+        const first = VideoBranching.nextStopFrom(stops, 0);
+        addEdge('start', { stop: first, from: 0 }, '');
+
+        stops.forEach(stop => {
+            if (stop.kind === 'question') {
+                const question = data.questions[stop.index];
+                (question.options || []).forEach((option, i) => {
+                    addEdge(stop.key, VideoBranching.follow(data, stops, stop, (question.branches || [])[i]), String.fromCharCode(65 + i));
+                });
+            } else {
+                addEdge(stop.key, VideoBranching.follow(data, stops, stop, data.segments[stop.index].then), '');
+            }
+        });
+
+        return { stops, edges };
+    }
+
+    /**
+     * Find problems with the branch graph
+     * @returns {Array<Object>} Warnings: { type: 'unreachable'|'loop'|'missing-segment', key, message }
+     */
+    static analyze(data) {
+        const { stops, edges } = VideoBranching.buildGraph(data);
+        const warnings = [];
+        const name = key => VideoBranching.describeKey(data, key);
+
+        // Stops reachable from the start
+        const reachable = VideoBranching.walk(edges, 'start', edge => edge.from, edge => edge.to);
+        stops.filter(stop => !reachable.has(stop.key)).forEach(stop => {
+            warnings.push({ type: 'unreachable', key: stop.key, message: `${name(stop.key)} can never be reached` });
+        });
+
+        // Segments no reachable stretch of video plays through
+        const played = edges.filter(edge => reachable.has(edge.from)).map(edge => edge.span);
+        (data.segments || []).forEach((segment, index) => {
+            const start = parseFloat(segment.start) || 0;
+            const end = parseFloat(segment.end) || Infinity;
+            if (!played.some(([from, to]) => (from <= start ? to > start : from < end))) {
+                warnings.push({ type: 'unreachable', key: `s${index}`, message: `Segment "${segment.title || index + 1}" is never played` });
+            }
+        });
+
+        // Reachable stops that can't get to the end trap the learner in a loop
+        const finishing = VideoBranching.walk(edges, 'end', edge => edge.to, edge => edge.from);
+        stops.filter(stop => reachable.has(stop.key) && !finishing.has(stop.key)).forEach(stop => {
+            warnings.push({ type: 'loop', key: stop.key, message: `${name(stop.key)} is in a loop with no way to reach the end of the video` });
+        });
+
+        // Branches pointing at deleted segments just continue
+        const segmentIds = (data.segments || []).map(s => s.id);
+        const checkBranch = (branch, key) => {
+            const b = VideoBranching.normalizeBranch(branch);
+            if (b.type === 'segment' && !segmentIds.includes(b.segmentId)) {
+                warnings.push({ type: 'missing-segment', key, message: `${name(key)} jumps to a segment that no longer exists` });
+            }
+        };
+        (data.questions || []).forEach((q, index) => (q.branches || []).forEach(branch => checkBranch(branch, `q${index}`)));
+        (data.segments || []).forEach((s, index) => checkBranch(s.then, `s${index}`));
+
+        return warnings;
+    }
+
+    /**
+     * Keys reachable from a node following edges in one direction
+     */
+    static walk(edges, origin, fromOf, toOf) {
+        const seen = new Set([origin]);
+        const queue = [origin];
+        while (queue.length) {
+            const key = queue.shift();
+            edges.filter(edge => fromOf(edge) === key).forEach(edge => {
+                if (!seen.has(toOf(edge))) {
+                    seen.add(toOf(edge));
+                    queue.push(toOf(edge));
+                }
+            });
+        }
+        return seen;
+    }
+
+    /**
+     * Readable name for a stop key
+     */
+    static describeKey(data, key) {
+        if (key === 'start') return 'Start';
+        if (key === 'end') return 'End';
+        const index = parseInt(key.slice(1));
+        if (key[0] === 'q') return `Question ${index + 1}`;
+        const segment = (data.segments || [])[index];
+        return `End of segment "${(segment && segment.title) || index + 1}"`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VideoBranching;
+} else {
+    window.VideoBranching = VideoBranching;
+}
@@ -0,0 +1,183 @@
+/**
+ * Word Search Generator
+ * Hides a word list in a letter grid using a seeded random number generator,
+ * so the same seed always regenerates the same puzzle
+ * Used by the word search template (play and edit mode) and the worksheet export
+ */
+
+class WordSearchGenerator {
+    /**
+     * Row/column steps for each direction setting; reversed adds the opposite of each
+     */
+    static get DIRECTIONS() {
+        return {
+            horizontal: [[0, 1]],
+            vertical: [[1, 0]],
+            diagonal: [[1, 1], [-1, 1]]
+        };
+    }
+
+    static get DEFAULT_OPTIONS() {
+        return {
+            size: 0, // 0 = fit the longest word, minimum 10
+            directions: ['horizontal', 'vertical', 'diagonal'],
+            reversed: false,
+            seed: 1,
+            maxSize: 20,
+            attempts: 200 // Random positions tried per word before giving up
+        };
+    }
+
+    /**
+     * Generate a word search puzzle
+     * @param {Array<string>} words - Words to hide
+     * @param {Object} options - See DEFAULT_OPTIONS
+     * @returns {Object} Puzzle: { size, seed, grid, placements, unplaced }, where grid is one
+     *   string per row (Firestore can't store nested arrays)
+     */
+    static generate(words, options = {}) {
+        const settings = { ...WordSearchGenerator.DEFAULT_OPTIONS, ...options };
+        const random = WordSearchGenerator.createRandom(settings.seed);
+
+        const entries = (words || [])
+            .map((word, index) => ({ index, word: String(word || ''), answer: WordSearchGenerator.normalizeWord(word) }))
+            .filter(entry => entry.answer.length >= 2);
+
+        const longest = entries.reduce((max, entry) => Math.max(max, entry.answer.length), 0);
+        const size = Math.min(settings.maxSize, Math.max(settings.size || 10, longest));
+
+        const steps = WordSearchGenerator.getSteps(settings.directions, settings.reversed);
+        const letters = Array.from({ length: size }, () => Array(size).fill(''));
+        const placements = [];
+        const unplaced = [];
+
+        // Place long words first while the grid is still empty
+        [...entries]
+            .sort((a, b) => b.answer.length - a.answer.length || a.index - b.index)
+            .forEach(entry => {
+                const placement = WordSearchGenerator.placeWord(letters, entry.answer, steps, random, settings.attempts);
+                if (placement) {
+                    placements.push({ wordIndex: entry.index, word: entry.word, answer: entry.answer, ...placement });
+                } else {
+                    unplaced.push({ wordIndex: entry.index, word: entry.word });
+                }
+            });
+
+        // Fill the rest with random letters
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                if (!letters[r][c]) {
+                    letters[r][c] = alphabet[Math.floor(random() * alphabet.length)];
+                }
+            }
+        }
+
+        placements.sort((a, b) => a.wordIndex - b.wordIndex);
+
+        return {
+            size,
+            seed: settings.seed,
+            grid: letters.map(row => row.join('')),
+            placements,
+            unplaced
+        };
+    }
+
+    /**
+     * Uppercase a word and strip everything but letters
+     */
+    static normalizeWord(word) {
+        return String(word || '').toUpperCase().replace(/[^A-Z]/g, '');
+    }
+
+    /**
+     * Mulberry32: small, fast, deterministic PRNG returning floats in [0, 1)
+     */
+    static createRandom(seed) {
+        let state = (Number(seed) || 0) >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Random seed for a new puzzle
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 2147483647) + 1;
+    }
+
+    static getSteps(directions, reversed) {
+        const steps = [];
+        (directions && directions.length ? directions : ['horizontal']).forEach(direction => {
+            (WordSearchGenerator.DIRECTIONS[direction] || []).forEach(([dRow, dCol]) => {
+                steps.push([dRow, dCol]);
+                if (reversed) steps.push([-dRow, -dCol]);
+            });
+        });
+        return steps.length ? steps : [[0, 1]];
+    }
+
+    /**
+     * Try random positions and directions until the word fits, allowing shared letters
+     */
+    static placeWord(letters, answer, steps, random, attempts) {
+        const size = letters.length;
+
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            const [dRow, dCol] = steps[Math.floor(random() * steps.length)];
+            const row = Math.floor(random() * size);
+            const col = Math.floor(random() * size);
+            const endRow = row + dRow * (answer.length - 1);
+            const endCol = col + dCol * (answer.length - 1);
+
+            if (endRow < 0 || endRow >= size || endCol < 0 || endCol >= size) continue;
+
+            let fits = true;
+            for (let i = 0; i < answer.length && fits; i++) {
+                const existing = letters[row + dRow * i][col + dCol * i];
+                fits = !existing || existing === answer[i];
+            }
+            if (!fits) continue;
+
+            for (let i = 0; i < answer.length; i++) {
+                letters[row + dRow * i][col + dCol * i] = answer[i];
+            }
+            return { row, col, dRow, dCol, endRow, endCol };
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the placement matching a selection from (startRow, startCol) to (endRow, endCol), in either direction
+     */
+    static findPlacement(puzzle, startRow, startCol, endRow, endCol) {
+        return puzzle.placements.find(p =>
+            (p.row === startRow && p.col === startCol && p.endRow === endRow && p.endCol === endCol) ||
+            (p.row === endRow && p.col === endCol && p.endRow === startRow && p.endCol === startCol)
+        ) || null;
+    }
+
+    /**
+     * Cells covered by a placement, as [row, col] pairs
+     */
+    static getPlacementCells(placement) {
+        return Array.from({ length: placement.answer.length }, (_, i) => [
+            placement.row + placement.dRow * i,
+            placement.col + placement.dCol * i
+        ]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WordSearchGenerator;
+} else {
+    window.WordSearchGenerator = WordSearchGenerator;
+}
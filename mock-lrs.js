@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const http = require('http');
+
+// Local stand-in for a Learning Record Store, for trying out xAPI tracking:
+//   node mock-lrs.js
+// then set the LRS endpoint to http://localhost:8090/xapi/ with key "mock" and
+// secret "mock". Statements and state documents (used by cmi5 launches) are
+// kept in memory; statements are printed as they arrive.
+// MOCK_LRS_FAIL=0.3 fails that share of requests with 503 to exercise retries
+const port = parseInt(process.env.PORT || '8090', 10);
+const key = process.env.MOCK_LRS_KEY || 'mock';
+const secret = process.env.MOCK_LRS_SECRET || 'mock';
+const failRate = parseFloat(process.env.MOCK_LRS_FAIL || '0');
+
+const statements = [];
+const states = new Map();
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'X-Experience-API-Version': '1.0.3',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Experience-API-Version',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+    'Access-Control-Expose-Headers': 'X-Experience-API-Version'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function isAuthorized(req) {
+  const expected = 'Basic ' + Buffer.from(`${key}:${secret}`).toString('base64');
+  return req.headers.authorization === expected;
+}
+
+// Checks the parts of a statement the tracking code is responsible for
+function validateStatement(statement) {
+  if (!statement || typeof statement !== 'object') return 'statement is not an object';
+  if (!statement.actor || !(statement.actor.mbox || statement.actor.account || statement.actor.openid || statement.actor.mbox_sha1sum)) return 'actor has no identifier';
+  if (!statement.verb || !statement.verb.id) return 'verb has no id';
+  if (!statement.object || !statement.object.id) return 'object has no id';
+  if (statement.result && statement.result.score && statement.result.score.scaled !== undefined &&
+    (statement.result.score.scaled < -1 || statement.result.score.scaled > 1)) return 'score.scaled out of range';
+  return null;
+}
+
+// Agents match on whichever identifier they have
+function sameAgent(a, b) {
+  if (!a || !b) return false;
+  if (a.mbox || b.mbox) return a.mbox === b.mbox;
+  if (a.account || b.account) return !!(a.account && b.account) && a.account.homePage === b.account.homePage && a.account.name === b.account.name;
+  return a.openid === b.openid && a.mbox_sha1sum === b.mbox_sha1sum;
+}
+
+// Statement query filters: agent, verb, activity, registration, limit
+function queryStatements(params) {
+  const agent = params.get('agent') ? JSON.parse(params.get('agent')) : null;
+  const limit = parseInt(params.get('limit') || '0', 10);
+  const list = statements
+    .filter(statement => !agent || sameAgent(statement.actor, agent))
+    .filter(statement => !params.get('verb') || statement.verb.id === params.get('verb'))
+    .filter(statement => !params.get('activity') || statement.object.id === params.get('activity'))
+    .filter(statement => !params.get('registration') || (statement.context && statement.context.registration) === params.get('registration'))
+    .map(({ original, ...statement }) => statement)
+    .reverse();
+  return limit > 0 ? list.slice(0, limit) : list;
+}
+
+function stateKey(params) {
+  const agent = JSON.parse(params.get('agent') || 'null') || {};
+  const who = agent.mbox || (agent.account ? `${agent.account.homePage}|${agent.account.name}` : '');
+  return [params.get('activityId'), who, params.get('registration') || '', params.get('stateId')].join(' ');
+}
+
+function storeStatements(list) {
+  const existing = new Map(statements.map(statement => [statement.id, statement]));
+  for (const statement of list) {
+    const error = validateStatement(statement);
+    if (error) return { status: 400, error };
+    const stored = existing.get(statement.id);
+    if (stored && JSON.stringify(stored.original) !== JSON.stringify(statement)) {
+      return { status: 409, error: `statement ${statement.id} already exists with different content` };
+    }
+  }
+
+  const ids = list.map(statement => {
+    const id = statement.id || crypto.randomUUID();
+    if (!existing.has(id)) {
+      statements.push({ ...statement, id, stored: new Date().toISOString(), original: statement });
+      const object = statement.object.definition && statement.object.definition.name
+        ? Object.values(statement.object.definition.name)[0]
+        : statement.object.id;
+      console.log(`${statement.verb.display ? Object.values(statement.verb.display)[0] : statement.verb.id}  ${object}${statement.result ? '  ' + JSON.stringify(statement.result) : ''}`);
+    }
+    return id;
+  });
+  return { status: 200, ids };
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const resource = url.pathname.replace(/^\/xapi/, '').replace(/\/+$/, '');
+
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (resource === '/about') return send(res, 200, { version: ['1.0.3'] });
+  if (resource !== '/statements' && resource !== '/activities/state') return send(res, 404, { error: 'not found' });
+  if (!isAuthorized(req)) return send(res, 401, { error: 'unauthorized' });
+  if (!req.headers['x-experience-api-version']) return send(res, 400, { error: 'missing X-Experience-API-Version header' });
+  if (failRate > 0 && Math.random() < failRate) return send(res, 503, { error: 'simulated outage' });
+
+  if (resource === '/activities/state') {
+    if (!url.searchParams.get('activityId') || !url.searchParams.get('agent') || !url.searchParams.get('stateId')) {
+      return send(res, 400, { error: 'activityId, agent and stateId are required' });
+    }
+    const keyForState = stateKey(url.searchParams);
+    if (req.method === 'GET') {
+      return states.has(keyForState) ? send(res, 200, states.get(keyForState)) : send(res, 404, { error: 'no such state' });
+    }
+    if (req.method !== 'PUT' && req.method !== 'POST') return send(res, 405, { error: 'method not allowed' });
+    let stateBody = '';
+    req.on('data', chunk => { stateBody += chunk; });
+    req.on('end', () => {
+      try {
+        states.set(keyForState, JSON.parse(stateBody));
+      } catch (error) {
+        return send(res, 400, { error: 'body is not JSON' });
+      }
+      console.log(`state  ${url.searchParams.get('stateId')}  ${url.searchParams.get('activityId')}`);
+      return send(res, 204);
+    });
+    return;
+  }
+
+  if (req.method === 'GET') {
+    return send(res, 200, { statements: queryStatements(url.searchParams), more: '' });
+  }
+
+  if (req.method !== 'POST' && req.method !== 'PUT') return send(res, 405, { error: 'method not allowed' });
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch (error) {
+      return send(res, 400, { error: 'body is not JSON' });
+    }
+
+    if (req.method === 'PUT') {
+      const statementId = url.searchParams.get('statementId');
+      if (!statementId) return send(res, 400, { error: 'missing statementId' });
+      parsed = [{ ...parsed, id: statementId }];
+    }
+
+    const result = storeStatements(Array.isArray(parsed) ? parsed : [parsed]);
+    if (result.error) {
+      console.warn(`Rejected (${result.status}): ${result.error}`);
+      return send(res, result.status, { error: result.error });
+    }
+    return req.method === 'PUT' ? send(res, 204) : send(res, 200, result.ids);
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock LRS listening on http://localhost:${port}/xapi/ (key "${key}", secret "${secret}")`);
+});
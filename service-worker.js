@@ -0,0 +1,286 @@
+// Makes the app installable and playable offline, and serves SCORM packages
+// uploaded in the browser.
+//
+// The app shell (the page, its stylesheet, scripts and the CDN libraries it
+// loads) is precached on install; other files are cached as they are used.
+// Activities a student opens are posted here by the page (cacheActivityForOffline
+// in index.html) and kept with their uploaded media so they play without a
+// connection.
+//
+// SCORMPackageStore (js/services/scorm-package-store.js) keeps uploaded packages'
+// files in IndexedDB; requests for scorm-packages/<package id>/<path> are answered
+// from there, so a package's relative links work as if it were unpacked on the server.
+const PACKAGE_DB_NAME = 'tamerScormPackages';
+const PACKAGE_DB_VERSION = 1;
+const PACKAGE_ROOT = new URL('scorm-packages/', self.registration.scope).href;
+
+// Bump the version when the shell list changes; saved activities are kept across versions
+const APP_CACHE = 'tamer-app-v5';
+const ACTIVITY_CACHE = 'tamer-activities';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'dist/output.css',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'js/utils/crossword-generator.js',
+  'js/utils/word-search-generator.js',
+  'js/utils/timeline-dates.js',
+  'js/utils/hotspot-shapes.js',
+  'js/utils/survey-results.js',
+  'js/utils/video-branching.js',
+  'js/utils/caption-tracks.js',
+  'js/services/analytics-service.js',
+  'js/services/firebase-service.js',
+  'js/services/accessibility-service.js',
+  'js/services/storyline-parser.js',
+  'js/services/scorm-package-builder.js',
+  'js/services/xapi-service.js',
+  'js/services/scorm-package-processor.js',
+  'js/services/scorm-manifest-parser.js',
+  'js/services/scorm-package-store.js',
+  'js/services/scorm-course-player.js',
+  'js/services/scorm-sequencing-service.js',
+  'js/services/scorm-runtime-api.js',
+  'js/services/cmi5-launch-service.js',
+  'js/services/state-persistence-service.js',
+  'js/services/sync-queue-store.js',
+  'js/services/persistent-leaderboards-service.js',
+  'js/services/live-game-service.js',
+  // XSDs bundled into SCORM packages (ScormPackageBuilder.SCHEMA_FILES)
+  ...['adlcp_rootv1p2.xsd', 'ims_xml.xsd', 'imscp_rootv1p1p2.xsd', 'imsmd_rootv1p2p1.xsd']
+    .map(name => `scorm/schemas/1.2/${name}`),
+  ...['XMLSchema.dtd', 'datatypes.dtd', 'xml.xsd', 'adlcp_v1p3.xsd', 'adlnav_v1p3.xsd', 'adlseq_v1p3.xsd',
+    'imscp_v1p1.xsd', 'imsss_v1p0.xsd', 'imsss_v1p0auxresource.xsd', 'imsss_v1p0control.xsd',
+    'imsss_v1p0delivery.xsd', 'imsss_v1p0limit.xsd', 'imsss_v1p0objective.xsd', 'imsss_v1p0random.xsd',
+    'imsss_v1p0rollup.xsd', 'imsss_v1p0seqrule.xsd', 'imsss_v1p0util.xsd']
+    .map(name => `scorm/schemas/2004/${name}`)
+];
+
+// index.html loads Firebase 10; FirebaseService (used to sync results) loads Firebase 9
+const CDN_FILES = [
+  'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/FileSaver.js/2.0.5/FileSaver.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-solid-900.woff2',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-regular-400.woff2',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-brands-400.woff2',
+  'https://www.gstatic.com/firebasejs/10.12.4/firebase-app.js',
+  'https://www.gstatic.com/firebasejs/10.12.4/firebase-auth.js',
+  'https://www.gstatic.com/firebasejs/10.12.4/firebase-firestore.js',
+  'https://www.gstatic.com/firebasejs/9.22.0/firebase-app.js',
+  'https://www.gstatic.com/firebasejs/9.22.0/firebase-auth.js',
+  'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js',
+  'https://www.gstatic.com/firebasejs/9.22.0/firebase-storage.js'
+];
+
+const MIME_TYPES = {
+  html: 'text/html', htm: 'text/html', js: 'text/javascript', mjs: 'text/javascript',
+  css: 'text/css', json: 'application/json', xml: 'application/xml', xsd: 'application/xml',
+  txt: 'text/plain', vtt: 'text/vtt', svg: 'image/svg+xml', png: 'image/png',
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', ico: 'image/x-icon',
+  mp3: 'audio/mpeg', m4a: 'audio/mp4', wav: 'audio/wav', ogg: 'audio/ogg',
+  mp4: 'video/mp4', webm: 'video/webm', woff: 'font/woff', woff2: 'font/woff2',
+  ttf: 'font/ttf', otf: 'font/otf', pdf: 'application/pdf', swf: 'application/x-shockwave-flash'
+};
+
+self.addEventListener('install', event => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(removeOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  if (request.url.startsWith(PACKAGE_ROOT)) {
+    event.respondWith(servePackageFile(request));
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(serveAppPage(request));
+  } else if (['image', 'audio', 'video'].includes(request.destination)) {
+    event.respondWith(serveMedia(request));
+  } else if (!request.headers.has('Range') && (url.origin === self.location.origin || isCDNFile(url))) {
+    event.respondWith(serveAppFile(event));
+  }
+});
+
+self.addEventListener('message', event => {
+  const message = event.data || {};
+  if (message.type === 'cache-activity') {
+    event.waitUntil(cacheActivity(message));
+  }
+});
+
+// One file that can't be fetched shouldn't keep the rest from being cached
+async function precacheShell() {
+  const cache = await caches.open(APP_CACHE);
+  const results = await Promise.allSettled(
+    [...SHELL_FILES, ...CDN_FILES].map(url => cache.add(new Request(url, { cache: 'reload' })))
+  );
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.warn('Not cached for offline use:', [...SHELL_FILES, ...CDN_FILES][index], result.reason);
+    }
+  });
+}
+
+async function removeOldCaches() {
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter(name => name.startsWith('tamer-app-') && name !== APP_CACHE)
+    .map(name => caches.delete(name)));
+}
+
+function isCDNFile(url) {
+  return url.hostname === 'cdnjs.cloudflare.com' ||
+    (url.hostname === 'www.gstatic.com' && url.pathname.startsWith('/firebasejs/'));
+}
+
+// The page comes from the network when there is one, so updates show up straight
+// away; offline, the cached copy is used whatever the query (?share=... links)
+async function serveAppPage(request) {
+  const cacheKey = request.url.split(/[?#]/)[0];
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(APP_CACHE);
+      await cache.put(cacheKey, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(cacheKey, { cacheName: APP_CACHE }) ||
+      await caches.match('index.html', { cacheName: APP_CACHE });
+    return cached || new Response('You are offline and this page has not been saved on this device.', {
+      status: 503, headers: { 'Content-Type': 'text/plain' }
+    });
+  }
+}
+
+// Scripts, styles and libraries: the cached copy straight away, refreshed in the
+// background for next time
+async function serveAppFile(event) {
+  const request = event.request;
+  const cache = await caches.open(APP_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request).then(response => {
+    if (response.ok) {
+      const copy = response.clone();
+      event.waitUntil(cache.put(request, copy));
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => null));
+    return cached;
+  }
+  return network;
+}
+
+// Media saved with an activity is played from the cache; anything else goes to the network
+async function serveMedia(request) {
+  const cached = await caches.match(request.url, { cacheName: ACTIVITY_CACHE });
+  if (!cached) return fetch(request);
+  // Opaque copies can't be sliced; they are only good for whole-file requests
+  if (cached.type === 'opaque' || !request.headers.has('Range')) return cached;
+  return blobResponse(request, await cached.blob(), {
+    'Content-Type': cached.headers.get('Content-Type') || 'application/octet-stream'
+  });
+}
+
+// Keep an opened activity and its media. Hosts that don't allow CORS reads are
+// cached as opaque responses, which images (and whole-file media) can still use
+async function cacheActivity({ key, activity, media }) {
+  const cache = await caches.open(ACTIVITY_CACHE);
+  await cache.put(key, new Response(activity, { headers: { 'Content-Type': 'application/json' } }));
+
+  await Promise.allSettled((media || []).map(async url => {
+    if (await cache.match(url)) return;
+    let response;
+    try {
+      response = await fetch(url, { mode: 'cors' });
+    } catch (error) {
+      response = await fetch(url, { mode: 'no-cors' });
+    }
+    if (response.ok || response.type === 'opaque') {
+      await cache.put(url, response);
+    }
+  }));
+}
+
+// The upgrade that creates the stores lives in SCORMPackageStore; a database the
+// page never set up has no packages in it
+function openPackageDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(PACKAGE_DB_NAME, PACKAGE_DB_VERSION);
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function readPackageFile(db, key) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction('files', 'readonly').objectStore('files').get(key);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function notFound(message) {
+  return new Response(message, { status: 404, headers: { 'Content-Type': 'text/plain' } });
+}
+
+async function servePackageFile(request) {
+  const relative = new URL(request.url).pathname.slice(new URL(PACKAGE_ROOT).pathname.length);
+  const [packageId, ...parts] = relative.split('/').map(part => decodeURIComponent(part));
+  let path = parts.join('/');
+  if (!packageId) return notFound('No package given');
+  if (path === '' || path.endsWith('/')) path += 'index.html';
+
+  let file;
+  try {
+    const db = await openPackageDB();
+    file = await readPackageFile(db, `${packageId}/${path}`);
+    db.close();
+  } catch (error) {
+    return notFound('This package is not stored on this device');
+  }
+  if (!file) return notFound(`${path} is not in this package`);
+
+  const extension = path.split('.').pop().toLowerCase();
+  return blobResponse(request, file.blob, {
+    'Content-Type': MIME_TYPES[extension] || 'application/octet-stream',
+    'Cache-Control': 'no-cache'
+  });
+}
+
+// The whole file, or the byte range asked for: audio and video elements ask for
+// ranges (Safari won't play without them)
+function blobResponse(request, blob, baseHeaders) {
+  const headers = { ...baseHeaders, 'Accept-Ranges': 'bytes' };
+  const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('Range') || '');
+  if (range && (range[1] || range[2])) {
+    const size = blob.size;
+    const start = range[1] ? parseInt(range[1], 10) : Math.max(0, size - parseInt(range[2], 10));
+    const end = range[1] && range[2] ? Math.min(parseInt(range[2], 10), size - 1) : size - 1;
+    if (start >= size || start > end) {
+      return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+    }
+    return new Response(blob.slice(start, end + 1), {
+      status: 206,
+      headers: { ...headers, 'Content-Range': `bytes ${start}-${end}/${size}`, 'Content-Length': String(end - start + 1) }
+    });
+  }
+
+  return new Response(blob, { status: 200, headers: { ...headers, 'Content-Length': String(blob.size) } });
+}
@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert';
+
+const { default: AnalyticsService } = await import('../js/services/analytics-service.js');
+
+test('the send queue and the session log keep only the latest events', () => {
+    const analytics = new AnalyticsService(null);
+    const total = AnalyticsService.MAX_SESSION_EVENTS + 10;
+    for (let i = 0; i < total; i++) {
+        analytics.trackCustomEvent('step', { i });
+    }
+
+    assert.strictEqual(analytics.trackingQueue.length, AnalyticsService.MAX_QUEUED_EVENTS);
+    assert.strictEqual(analytics.trackingQueue[0].properties.i, total - AnalyticsService.MAX_QUEUED_EVENTS);
+    assert.strictEqual(analytics.events.length, AnalyticsService.MAX_SESSION_EVENTS);
+    assert.strictEqual(analytics.events[0].properties.i, 10);
+    assert.strictEqual(analytics.events[analytics.events.length - 1].properties.i, total - 1);
+});
+
+test('sending empties the queue but keeps the session log', async () => {
+    const analytics = new AnalyticsService({ isAuthenticated: () => true });
+    analytics.trackCustomEvent('start');
+    analytics.trackCustomEvent('finish');
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await analytics.sendData();
+    } finally {
+        console.log = log;
+    }
+    assert.deepStrictEqual(analytics.trackingQueue, []);
+    assert.strictEqual(analytics.getSessionInfo().totalEvents, 2);
+});
@@ -0,0 +1,383 @@
+/**
+ * In-memory stand-in for the modular Firestore SDK (9.x), covering the calls
+ * the services make. Tests reach it through firestore-loader.mjs and call
+ * resetFirestore() between cases; `documents` holds what has been written
+ */
+
+export const documents = new Map();
+const listeners = new Set();
+let nextId = 1;
+
+const SENTINEL = Symbol('fieldValue');
+
+export function resetFirestore() {
+    documents.clear();
+    listeners.clear();
+    nextId = 1;
+}
+
+// Dates come back from reads as Timestamps, as they do from Firestore
+export class Timestamp {
+    constructor(seconds, nanoseconds) {
+        this.seconds = seconds;
+        this.nanoseconds = nanoseconds;
+    }
+
+    static fromDate(date) {
+        const millis = date.getTime();
+        return new Timestamp(Math.floor(millis / 1000), (millis % 1000) * 1e6);
+    }
+
+    static fromMillis(millis) {
+        return Timestamp.fromDate(new Date(millis));
+    }
+
+    static now() {
+        return Timestamp.fromDate(new Date());
+    }
+
+    toMillis() {
+        return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+    }
+
+    toDate() {
+        return new Date(this.toMillis());
+    }
+}
+
+function toTimestamps(value) {
+    if (value instanceof Date) return Timestamp.fromDate(value);
+    if (Array.isArray(value)) return value.map(toTimestamps);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, toTimestamps(child)]));
+    }
+    return value;
+}
+
+function toDates(value) {
+    if (value instanceof Timestamp) return value.toDate();
+    if (Array.isArray(value)) return value.map(toDates);
+    if (value && typeof value === 'object' && !(value instanceof Date) && !value[SENTINEL]) {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, toDates(child)]));
+    }
+    return value;
+}
+
+export function getFirestore() {
+    return { type: 'firestore' };
+}
+
+function basePath(parent) {
+    return parent && parent.path ? parent.path.split('/') : [];
+}
+
+export function collection(parent, ...segments) {
+    const path = [...basePath(parent), ...segments.join('/').split('/')];
+    if (path.length % 2 !== 1) {
+        throw new Error(`Invalid collection path: ${path.join('/')}`);
+    }
+    return { type: 'collection', path: path.join('/'), id: path[path.length - 1] };
+}
+
+export function doc(parent, ...segments) {
+    const path = [...basePath(parent), ...segments.join('/').split('/').filter(Boolean)];
+    if (path.length % 2 === 1) {
+        path.push(`auto${nextId++}`);
+    }
+    return { type: 'document', path: path.join('/'), id: path[path.length - 1] };
+}
+
+function snapshotOf(path) {
+    const data = documents.get(path);
+    const segments = path.split('/');
+    return {
+        id: segments[segments.length - 1],
+        ref: { type: 'document', path, id: segments[segments.length - 1] },
+        exists: () => data !== undefined,
+        data: () => (data === undefined ? undefined : toTimestamps(structuredClone(data)))
+    };
+}
+
+// Field values
+
+export function serverTimestamp() {
+    return { [SENTINEL]: 'serverTimestamp' };
+}
+
+export function increment(amount) {
+    return { [SENTINEL]: 'increment', amount };
+}
+
+export function deleteField() {
+    return { [SENTINEL]: 'delete' };
+}
+
+export function arrayUnion(...elements) {
+    return { [SENTINEL]: 'arrayUnion', elements };
+}
+
+export function arrayRemove(...elements) {
+    return { [SENTINEL]: 'arrayRemove', elements };
+}
+
+function resolveValue(value, current) {
+    if (value && typeof value === 'object' && value[SENTINEL]) {
+        switch (value[SENTINEL]) {
+            case 'serverTimestamp': return new Date();
+            case 'increment': return (typeof current === 'number' ? current : 0) + value.amount;
+            case 'arrayUnion': {
+                const list = Array.isArray(current) ? [...current] : [];
+                value.elements.forEach(element => {
+                    if (!list.some(item => JSON.stringify(item) === JSON.stringify(element))) list.push(element);
+                });
+                return list;
+            }
+            case 'arrayRemove':
+                return (Array.isArray(current) ? current : [])
+                    .filter(item => !value.elements.some(element => JSON.stringify(element) === JSON.stringify(item)));
+        }
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+        const result = {};
+        Object.entries(value).forEach(([key, child]) => {
+            if (child && child[SENTINEL] === 'delete') return;
+            result[key] = resolveValue(child, current && current[key]);
+        });
+        return result;
+    }
+    if (value === undefined) {
+        throw new Error('Function setDoc() called with invalid data. Unsupported field value: undefined');
+    }
+    return value;
+}
+
+function mergeInto(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+        if (value && value[SENTINEL] === 'delete') {
+            delete target[key];
+        } else if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !value[SENTINEL]) {
+            target[key] = target[key] && typeof target[key] === 'object' ? target[key] : {};
+            mergeInto(target[key], value);
+        } else {
+            target[key] = resolveValue(value, target[key]);
+        }
+    });
+    return target;
+}
+
+// Writes
+
+function write(path, data) {
+    if (data === undefined) {
+        documents.delete(path);
+    } else {
+        documents.set(path, structuredClone(data));
+    }
+    notify(path);
+}
+
+function applySet(ref, data, options = {}) {
+    data = toDates(data);
+    const current = documents.get(ref.path);
+    write(ref.path, options.merge && current ? mergeInto(structuredClone(current), data) : resolveValue(data));
+}
+
+function applyUpdate(ref, data) {
+    data = toDates(data);
+    const current = documents.get(ref.path);
+    if (current === undefined) {
+        throw new Error(`No document to update: ${ref.path}`);
+    }
+    const updated = structuredClone(current);
+    Object.entries(data).forEach(([fieldPath, value]) => {
+        const keys = fieldPath.split('.');
+        const last = keys.pop();
+        let target = updated;
+        keys.forEach(key => {
+            target[key] = target[key] && typeof target[key] === 'object' ? target[key] : {};
+            target = target[key];
+        });
+        if (value && value[SENTINEL] === 'delete') {
+            delete target[last];
+        } else {
+            target[last] = resolveValue(value, target[last]);
+        }
+    });
+    write(ref.path, updated);
+}
+
+export async function getDoc(ref) {
+    return snapshotOf(ref.path);
+}
+
+export async function setDoc(ref, data, options) {
+    applySet(ref, data, options);
+}
+
+export async function updateDoc(ref, data) {
+    applyUpdate(ref, data);
+}
+
+export async function deleteDoc(ref) {
+    write(ref.path, undefined);
+}
+
+export async function addDoc(collectionRef, data) {
+    const ref = doc(collectionRef);
+    applySet(ref, data);
+    return ref;
+}
+
+export function writeBatch() {
+    const writes = [];
+    return {
+        set: (ref, data, options) => writes.push(() => applySet(ref, data, options)),
+        update: (ref, data) => writes.push(() => applyUpdate(ref, data)),
+        delete: ref => writes.push(() => write(ref.path, undefined)),
+        commit: async () => writes.forEach(apply => apply())
+    };
+}
+
+export async function runTransaction(db, updateFunction) {
+    const writes = [];
+    const transaction = {
+        get: async ref => snapshotOf(ref.path),
+        set: (ref, data, options) => { writes.push(() => applySet(ref, data, options)); return transaction; },
+        update: (ref, data) => { writes.push(() => applyUpdate(ref, data)); return transaction; },
+        delete: ref => { writes.push(() => write(ref.path, undefined)); return transaction; }
+    };
+    const result = await updateFunction(transaction);
+    writes.forEach(apply => apply());
+    return result;
+}
+
+// Queries
+
+export function where(field, op, value) {
+    return { type: 'where', field, op, value };
+}
+
+export function orderBy(field, direction = 'asc') {
+    return { type: 'orderBy', field, direction };
+}
+
+export function limit(count) {
+    return { type: 'limit', count };
+}
+
+export function query(collectionRef, ...constraints) {
+    return { ...collectionRef, constraints: [...(collectionRef.constraints || []), ...constraints] };
+}
+
+function fieldValue(data, field) {
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function comparable(value) {
+    if (value instanceof Timestamp) return value.toMillis();
+    return value instanceof Date ? value.getTime() : value;
+}
+
+function matches(data, { field, op, value }) {
+    const actual = comparable(fieldValue(data, field));
+    const expected = comparable(value);
+    switch (op) {
+        case '==': return actual === expected;
+        case '!=': return actual !== expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case 'in': return value.map(comparable).includes(actual);
+        case 'array-contains': return Array.isArray(fieldValue(data, field)) && fieldValue(data, field).includes(value);
+        default: throw new Error(`Unsupported query operator: ${op}`);
+    }
+}
+
+function runQuery(queryRef) {
+    const prefix = `${queryRef.path}/`;
+    let paths = [...documents.keys()].filter(path => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'));
+    const constraints = queryRef.constraints || [];
+
+    constraints.filter(c => c.type === 'where').forEach(constraint => {
+        paths = paths.filter(path => matches(documents.get(path), constraint));
+    });
+    constraints.filter(c => c.type === 'orderBy').reverse().forEach(({ field, direction }) => {
+        const sign = direction === 'desc' ? -1 : 1;
+        paths = paths
+            .filter(path => fieldValue(documents.get(path), field) !== undefined)
+            .sort((a, b) => {
+                const x = comparable(fieldValue(documents.get(a), field));
+                const y = comparable(fieldValue(documents.get(b), field));
+                return x < y ? -sign : x > y ? sign : 0;
+            });
+    });
+    const limitConstraint = constraints.find(c => c.type === 'limit');
+    if (limitConstraint) {
+        paths = paths.slice(0, limitConstraint.count);
+    }
+    return paths;
+}
+
+function querySnapshot(paths, changes = []) {
+    const docs = paths.map(snapshotOf);
+    return {
+        docs,
+        size: docs.length,
+        empty: docs.length === 0,
+        forEach: callback => docs.forEach(callback),
+        docChanges: () => changes
+    };
+}
+
+export async function getDocs(queryRef) {
+    return querySnapshot(runQuery(queryRef));
+}
+
+// Listeners (snapshots arrive asynchronously, as they do from the SDK)
+
+export function onSnapshot(ref, onNext, onError) {
+    const listener = { ref, onNext, onError, seen: new Map(), active: true };
+    listeners.add(listener);
+    queueMicrotask(() => deliver(listener));
+    return () => {
+        listener.active = false;
+        listeners.delete(listener);
+    };
+}
+
+function deliver(listener) {
+    if (!listener.active) return;
+
+    if (listener.ref.type === 'document') {
+        listener.onNext(snapshotOf(listener.ref.path));
+        return;
+    }
+
+    const paths = runQuery(listener.ref);
+    const changes = [];
+    paths.forEach(path => {
+        const data = JSON.stringify(documents.get(path));
+        if (!listener.seen.has(path)) {
+            changes.push({ type: 'added', doc: snapshotOf(path) });
+        } else if (listener.seen.get(path) !== data) {
+            changes.push({ type: 'modified', doc: snapshotOf(path) });
+        }
+    });
+    [...listener.seen.keys()].filter(path => !paths.includes(path)).forEach(path => {
+        changes.push({ type: 'removed', doc: snapshotOf(path) });
+    });
+    listener.seen = new Map(paths.map(path => [path, JSON.stringify(documents.get(path))]));
+    listener.onNext(querySnapshot(paths, changes));
+}
+
+function notify(path) {
+    listeners.forEach(listener => {
+        const watched = listener.ref.type === 'document'
+            ? listener.ref.path === path
+            : path.startsWith(`${listener.ref.path}/`) && !path.slice(listener.ref.path.length + 1).includes('/');
+        if (watched) {
+            queueMicrotask(() => deliver(listener));
+        }
+    });
+}
@@ -0,0 +1,14 @@
+/**
+ * Module resolve hook that serves the Firestore SDK the services import from
+ * gstatic with the in-memory fake-firestore.mjs, since tests can't reach the
+ * CDN. Registered by test files with module.register()
+ */
+
+const FIRESTORE_MODULE = 'https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore.js';
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier === FIRESTORE_MODULE) {
+        return { url: new URL('./fake-firestore.mjs', import.meta.url).href, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
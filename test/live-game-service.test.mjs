@@ -0,0 +1,81 @@
+import { register } from 'node:module';
+import test from 'node:test';
+import assert from 'node:assert';
+
+register('./helpers/firestore-loader.mjs', import.meta.url);
+
+const { default: LiveGameService } = await import('../js/services/live-game-service.js');
+const { documents, getFirestore, resetFirestore, doc, setDoc, Timestamp } = await import('./helpers/fake-firestore.mjs');
+
+test('generates valid 6-digit join codes', () => {
+    const codes = new Set(Array.from({ length: 200 }, () => LiveGameService.generateCode()));
+    codes.forEach(code => assert.ok(LiveGameService.isValidCode(code), code));
+    assert.ok(codes.size > 190);
+});
+
+test('scores correct answers by speed', () => {
+    assert.strictEqual(LiveGameService.scoreAnswer(true, 0, 20), 1000);
+    assert.strictEqual(LiveGameService.scoreAnswer(true, 20000, 20), 500);
+    assert.strictEqual(LiveGameService.scoreAnswer(true, 22000, 20), 0);
+    assert.strictEqual(LiveGameService.scoreAnswer(false, 0, 20), 0);
+});
+
+test('answers from before a question opened score nothing', () => {
+    assert.strictEqual(LiveGameService.scoreAnswer(true, -1, 20), 0);
+    assert.strictEqual(LiveGameService.scoreAnswer(true, -5000, 20), 0);
+});
+
+const quiz = {
+    template: 'truefalse',
+    title: 'Facts',
+    items: [{ q: 'The sun is a star', isTrue: true }, { q: 'Bats are birds', isTrue: false }]
+};
+
+// A host signed in on the fake Firestore; podium entries are dropped
+async function hostedGame() {
+    resetFirestore();
+    const firebase = {
+        isAuthenticated: () => true,
+        getCurrentUser: () => ({ uid: 'teacher' }),
+        firestore: getFirestore()
+    };
+    const service = new LiveGameService(firebase, { submitScore: async () => ({ success: true }) });
+    const code = await service.hostGame(quiz);
+    const { playerId } = await service.joinGame(code, 'Sam');
+    return { service, code, playerId };
+}
+
+test('answers are only taken for the question that is open', async () => {
+    const { service, code, playerId } = await hostedGame();
+
+    await assert.rejects(service.submitAnswer(code, playerId, 0, 0), /not open/);
+
+    await service.nextQuestion(code);
+    await assert.rejects(service.submitAnswer(code, playerId, 1, 0), /not open/);
+    await service.submitAnswer(code, playerId, 0, 0);
+    await assert.rejects(service.submitAnswer(code, playerId, 0, 1), /already answered/);
+
+    await service.closeQuestion(code);
+    await assert.rejects(service.submitAnswer(code, 'player_late', 0, 0), /not open/);
+    assert.strictEqual(documents.get(`live_games/${code}/players/${playerId}`).lastCorrect, true);
+});
+
+test('an answer written before the question opened earns no points', async () => {
+    const { service, code, playerId } = await hostedGame();
+    await service.nextQuestion(code);
+
+    // Written straight to Firestore, around the service's check
+    const startedAt = documents.get(`live_games/${code}`).questionStartedAt.getTime();
+    await setDoc(doc(getFirestore(), 'live_games', code, 'answers', `0_${playerId}`), {
+        playerId,
+        questionIndex: 0,
+        choice: 0,
+        answeredAt: Timestamp.fromMillis(startedAt - 2000)
+    });
+
+    await service.closeQuestion(code);
+    const player = documents.get(`live_games/${code}/players/${playerId}`);
+    assert.strictEqual(player.lastPoints, 0);
+    assert.strictEqual(player.lastCorrect, false);
+    assert.strictEqual(player.score, 0);
+});
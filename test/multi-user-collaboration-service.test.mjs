@@ -0,0 +1,216 @@
+import { register } from 'node:module';
+import test from 'node:test';
+import assert from 'node:assert';
+
+register('./helpers/firestore-loader.mjs', import.meta.url);
+
+const { default: MultiUserCollaborationService } = await import('../js/services/multi-user-collaboration-service.js');
+const { default: InMemoryCollaborationTransport } = await import('../js/services/in-memory-collaboration-transport.js');
+const { documents, getFirestore, resetFirestore } = await import('./helpers/fake-firestore.mjs');
+
+const activity = {
+    title: 'Planets',
+    questions: [
+        { id: 'q1', question: 'Largest planet?', answer: 'Jupiter' },
+        { id: 'q2', question: 'Closest to the sun?', answer: 'Mercury' }
+    ]
+};
+
+// A FirebaseService signed in as one user, on the shared fake Firestore
+function signedIn(uid) {
+    return {
+        isAuthenticated: () => true,
+        getCurrentUser: () => ({ uid }),
+        firestore: getFirestore()
+    };
+}
+
+// Snapshot listeners deliver on later ticks
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test('sessions are created, joined, edited and left through Firestore', async () => {
+    resetFirestore();
+    const host = new MultiUserCollaborationService(signedIn('alice'));
+    const guest = new MultiUserCollaborationService(signedIn('bob'));
+
+    try {
+        await host.createSession('s1', 'alice', activity);
+        assert.strictEqual(documents.get('collaboration_sessions/s1').hostUserId, 'alice');
+        assert.ok(documents.get('collaboration_sessions/s1/document/base'));
+
+        await guest.joinSession('s1', 'bob', 'editor');
+        assert.deepStrictEqual(documents.get('collaboration_sessions/s1').participants.bob.permissions, guest.getPermissionsForRole('editor'));
+
+        const result = await guest.updateActivityData('s1', 'bob', { title: 'The planets' });
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.operations, 1);
+
+        await settle();
+        const hostView = await host.openDocument('s1', 'alice');
+        assert.strictEqual(hostView.replica.toActivityData().title, 'The planets');
+
+        await guest.leaveSession('s1', 'bob');
+        assert.strictEqual(documents.get('collaboration_sessions/s1').participants.bob, undefined);
+        assert.ok(documents.get('collaboration_sessions/s1').participants.alice);
+    } finally {
+        host.cleanup();
+        guest.cleanup();
+    }
+});
+
+test('viewers cannot edit the activity', async () => {
+    resetFirestore();
+    const host = new MultiUserCollaborationService(signedIn('alice'));
+    const viewer = new MultiUserCollaborationService(signedIn('carol'));
+
+    try {
+        await host.createSession('s2', 'alice', activity);
+        await viewer.joinSession('s2', 'carol', 'viewer');
+        await assert.rejects(viewer.updateActivityData('s2', 'carol', { title: 'Mine' }), /permission/);
+    } finally {
+        host.cleanup();
+        viewer.cleanup();
+    }
+});
+
+// Two editors on one session, sharing an in-memory transport
+async function coEditors(transport) {
+    resetFirestore();
+    const alice = new MultiUserCollaborationService(signedIn('alice'), transport);
+    const bob = new MultiUserCollaborationService(signedIn('bob'), transport);
+    await alice.createSession('shared', 'alice', activity);
+    await bob.joinSession('shared', 'bob', 'editor');
+    await alice.openDocument('shared', 'alice');
+    await bob.openDocument('shared', 'bob');
+    await transport.flush();
+    return { alice, bob };
+}
+
+async function view(service, userId) {
+    return (await service.openDocument('shared', userId)).replica.toActivityData();
+}
+
+async function assertConverged(transport, alice, bob) {
+    await transport.flush();
+    const aliceView = await view(alice, 'alice');
+    assert.deepStrictEqual(await view(bob, 'bob'), aliceView);
+    return aliceView;
+}
+
+const ids = data => data.questions.map(question => question.id);
+
+// Each delivery waits a different time, so batches arrive out of order, and
+// every batch arrives twice: first reversed, then as sent
+function unreliableTransport() {
+    const transport = new InMemoryCollaborationTransport();
+    const delays = [15, 0, 10, 5, 20];
+    let deliveries = 0;
+    const deliver = transport.deliver.bind(transport);
+    transport.deliver = handler => {
+        transport.latency = delays[deliveries++ % delays.length];
+        deliver(handler);
+    };
+    const subscribe = transport.subscribe.bind(transport);
+    transport.subscribe = (sessionId, handlers) => subscribe(sessionId, {
+        ...handlers,
+        onOperations: operations => {
+            handlers.onOperations([...operations].reverse());
+            handlers.onOperations(operations);
+        }
+    });
+    return transport;
+}
+
+for (const [name, createTransport] of [
+    ['in order', () => new InMemoryCollaborationTransport({ latency: 5 })],
+    ['with duplicate and out-of-order delivery', unreliableTransport]
+]) {
+    test(`concurrent inserts into the same list converge (${name})`, async () => {
+        const transport = createTransport();
+        const { alice, bob } = await coEditors(transport);
+        try {
+            const start = await view(alice, 'alice');
+            await Promise.all([
+                alice.updateActivityData('shared', 'alice', { questions: [...start.questions, { question: 'Has rings?', answer: 'Saturn' }] }),
+                bob.updateActivityData('shared', 'bob', { questions: [{ question: 'Red planet?', answer: 'Mars' }, ...start.questions] })
+            ]);
+
+            const merged = await assertConverged(transport, alice, bob);
+            assert.deepStrictEqual(merged.questions.map(q => q.answer), ['Mars', 'Jupiter', 'Mercury', 'Saturn']);
+        } finally {
+            alice.cleanup();
+            bob.cleanup();
+        }
+    });
+
+    test(`a delete wins over a concurrent edit and move of the same item (${name})`, async () => {
+        const transport = createTransport();
+        const { alice, bob } = await coEditors(transport);
+        try {
+            const start = await view(alice, 'alice');
+            const [q1, q2] = start.questions;
+            await Promise.all([
+                alice.updateActivityData('shared', 'alice', { questions: [q2] }),
+                bob.updateActivityData('shared', 'bob', { questions: [q2, { ...q1, answer: 'Jupiter!' }] })
+            ]);
+
+            const merged = await assertConverged(transport, alice, bob);
+            assert.deepStrictEqual(ids(merged), ['q2']);
+        } finally {
+            alice.cleanup();
+            bob.cleanup();
+        }
+    });
+
+    test(`concurrent reorders and edits of the same list converge (${name})`, async () => {
+        const transport = createTransport();
+        const { alice, bob } = await coEditors(transport);
+        try {
+            await alice.updateActivityData('shared', 'alice', {
+                questions: [...activity.questions, { id: 'q3', question: 'Coldest?', answer: 'Neptune' }]
+            });
+            await transport.flush();
+
+            const start = await view(alice, 'alice');
+            const [q1, q2, q3] = start.questions;
+            await Promise.all([
+                alice.updateActivityData('shared', 'alice', { questions: [q3, q2, q1] }),
+                bob.updateActivityData('shared', 'bob', { questions: [q2, q3, { ...q1, question: 'Biggest planet?' }] })
+            ]);
+
+            const merged = await assertConverged(transport, alice, bob);
+            assert.deepStrictEqual([...ids(merged)].sort(), ['q1', 'q2', 'q3']);
+            assert.strictEqual(merged.questions.find(q => q.id === 'q1').question, 'Biggest planet?');
+        } finally {
+            alice.cleanup();
+            bob.cleanup();
+        }
+    });
+}
+
+test('editors see who is on which item', async () => {
+    const transport = new InMemoryCollaborationTransport({ latency: 5 });
+    const { alice, bob } = await coEditors(transport);
+    try {
+        const seen = [];
+        bob.addPresenceObserver('shared', presence => seen.push(presence.map(entry => entry.userId)));
+
+        await alice.updatePresence('shared', 'alice', { path: ['questions'], itemId: 'q1', field: 'question' });
+        await transport.flush();
+        assert.deepStrictEqual(bob.getItemEditors('shared', ['questions'], 'q1').map(entry => entry.userId), ['alice']);
+        assert.deepStrictEqual(bob.getItemEditors('shared', ['questions'], 'q2'), []);
+        assert.deepStrictEqual(seen[seen.length - 1], ['alice']);
+
+        await alice.updatePresence('shared', 'alice', { path: ['questions'], itemId: 'q2', field: 'answer' });
+        await transport.flush();
+        assert.deepStrictEqual(bob.getItemEditors('shared', ['questions'], 'q1'), []);
+        assert.strictEqual(bob.getItemEditors('shared', ['questions'], 'q2')[0].field, 'answer');
+
+        await alice.leaveSession('shared', 'alice');
+        await transport.flush();
+        assert.deepStrictEqual(bob.getSessionPresence('shared'), []);
+    } finally {
+        alice.cleanup();
+        bob.cleanup();
+    }
+});
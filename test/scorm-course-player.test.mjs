@@ -0,0 +1,227 @@
+import test from 'node:test';
+import assert from 'node:assert';
+
+globalThis.window = { location: { href: 'https://app.test/index.html', origin: 'https://app.test' } };
+
+const { default: SCORMCoursePlayer } = await import('../js/services/scorm-course-player.js');
+const { default: XAPIService } = await import('../js/services/xapi-service.js');
+
+// A cmi5.xml as SCORMManifestParser.parseCourseStructure reads it
+const course = {
+    isValid: true,
+    format: 'cmi5',
+    id: 'https://example.test/course',
+    title: 'Course',
+    description: '',
+    blocks: [],
+    aus: [
+        { id: 'https://example.test/au/1', title: 'Intro', url: 'au1/index.html', launchMethod: 'AnyWindow', moveOn: 'Completed', masteryScore: null, launchParameters: '', entitlementKey: '', blockIds: [] },
+        { id: 'https://example.test/au/2', title: 'Quiz', url: 'au2/index.html?lang=en', launchMethod: 'AnyWindow', moveOn: 'Passed', masteryScore: 0.8, launchParameters: '', entitlementKey: '', blockIds: [] }
+    ]
+};
+
+// An LRS that keeps what it is sent and has the first AU completed
+function fakeLRS() {
+    const requests = [];
+    globalThis.fetch = async (url, init = {}) => {
+        requests.push({ url: String(url), method: init.method || 'GET', body: init.body ? JSON.parse(init.body) : null });
+        const activity = new URL(url).searchParams.get('activity');
+        const statements = activity === course.aus[0].id ? [{ verb: { id: 'http://adlnet.gov/expapi/verbs/completed' } }] : [];
+        return { ok: true, status: 200, json: async () => ({ statements }) };
+    };
+    return requests;
+}
+
+function memoryStorage() {
+    const values = new Map();
+    return { getItem: key => values.get(key) ?? null, setItem: (key, value) => values.set(key, String(value)) };
+}
+
+function createPlayer(options = {}) {
+    const xapiService = new XAPIService({
+        endpoint: 'https://lrs.test/xapi/',
+        username: 'key',
+        password: 'secret',
+        actor: { objectType: 'Agent', name: 'Guest', account: { homePage: 'https://app.test/', name: 'guest_1' } }
+    });
+    const frame = { src: 'about:blank', addEventListener() {}, removeEventListener() {} };
+    const player = new SCORMCoursePlayer({
+        format: 'cmi5',
+        structure: course,
+        baseUrl: 'scorm-packages/pkg_1/cmi5.xml',
+        frame,
+        xapiService,
+        storage: memoryStorage(),
+        ...options
+    });
+    return { player, frame };
+}
+
+test('launches an uploaded cmi5 AU with the LRS endpoint and fetch token', async () => {
+    const requests = fakeLRS();
+    const { player, frame } = createPlayer();
+    await player.start();
+
+    const url = await player.launchUnit(1);
+    assert.strictEqual(frame.src, url);
+
+    const launch = new URL(url);
+    assert.strictEqual(launch.origin + launch.pathname, 'https://app.test/scorm-packages/pkg_1/au2/index.html');
+    assert.strictEqual(launch.searchParams.get('lang'), 'en');
+    assert.strictEqual(launch.searchParams.get('endpoint'), 'https://lrs.test/xapi/');
+    assert.strictEqual(launch.searchParams.get('activityId'), course.aus[1].id);
+    assert.strictEqual(JSON.parse(launch.searchParams.get('actor')).account.name, 'guest_1');
+
+    const fetchURL = launch.searchParams.get('fetch');
+    const token = JSON.parse(decodeURIComponent(fetchURL.slice('data:application/json,'.length)))['auth-token'];
+    assert.strictEqual(Buffer.from(token, 'base64').toString(), 'key:secret');
+
+    const launchData = requests.find(request => request.method === 'PUT');
+    assert.ok(launchData.url.startsWith('https://lrs.test/xapi/activities/state?'));
+    assert.strictEqual(launchData.body.masteryScore, 0.8);
+    assert.strictEqual(launchData.body.returnURL, 'about:blank');
+
+    const launched = requests.find(request => request.method === 'POST' && request.body[0].verb.id.endsWith('/launched'));
+    assert.strictEqual(launched.body[0].context.registration, launch.searchParams.get('registration'));
+});
+
+test('keeps one registration across launches and shows each AU status', async () => {
+    fakeLRS();
+    const changes = [];
+    const { player } = createPlayer({ onChange: current => changes.push(current.getCourseSummary()) });
+    await player.start();
+
+    const first = new URL(await player.launchUnit(0)).searchParams.get('registration');
+    const second = new URL(await player.launchUnit(1)).searchParams.get('registration');
+    assert.strictEqual(first, second);
+
+    assert.deepStrictEqual(player.getUnits().map(unit => [unit.title, unit.status, unit.current]), [
+        ['Intro', 'Completed', false],
+        ['Quiz', 'Not attempted', true]
+    ]);
+    assert.strictEqual(changes.at(-1), '1 of 2 units done');
+});
+
+test('asks for an LRS instead of launching without one', async () => {
+    const requests = fakeLRS();
+    const { player, frame } = createPlayer({ xapiService: new XAPIService() });
+    await player.start();
+
+    assert.strictEqual(await player.launchUnit(0), null);
+    assert.strictEqual(frame.src, 'about:blank');
+    assert.match(player.message, /Learning Record Store/);
+    assert.strictEqual(requests.length, 0);
+});
+
+// Two SCOs under a 2004 organization that allows Previous/Next, as parseManifest reads them
+const manifest = {
+    isValid: true,
+    scormVersion: '2004',
+    defaultOrganization: 'org',
+    organizations: [{
+        id: 'org',
+        title: 'Course',
+        sequencing: { flow: true },
+        items: [
+            { id: 'item1', title: 'Lesson 1', identifierref: 'res1', children: [] },
+            { id: 'item2', title: 'Lesson 2', identifierref: 'res2', children: [] }
+        ]
+    }],
+    resources: [
+        { id: 'res1', href: 'sco1/index.html', scormType: 'sco' },
+        { id: 'res2', href: 'sco2/index.html', scormType: 'sco' }
+    ]
+};
+
+// An iframe that "loads" whatever it is pointed at on the next tick
+function fakeFrame() {
+    const listeners = [];
+    let src = 'about:blank';
+    return {
+        get src() {
+            return src;
+        },
+        set src(value) {
+            src = value;
+            setTimeout(() => listeners.splice(0).forEach(listener => listener()), 0);
+        },
+        addEventListener(type, listener) {
+            listeners.push(listener);
+        },
+        removeEventListener() {}
+    };
+}
+
+async function waitFor(check) {
+    for (let i = 0; i < 100 && !check(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.ok(check());
+}
+
+function createScormPlayer(storage, options = {}) {
+    const win = {};
+    const frame = fakeFrame();
+    const player = new SCORMCoursePlayer({
+        format: 'scorm',
+        structure: manifest,
+        baseUrl: 'scorm-packages/pkg_2/imsmanifest.xml',
+        frame,
+        win,
+        learner: { id: 'guest_1', name: 'Guest' },
+        storageKey: 'scormSequencing:activity:guest_1',
+        storage,
+        ...options
+    });
+    return { player, frame, win };
+}
+
+test('plays an uploaded multi-SCO package SCO by SCO with the SCORM API', async () => {
+    const completions = [];
+    const { player, frame, win } = createScormPlayer(memoryStorage(), { onComplete: status => completions.push(status) });
+    await player.start();
+
+    assert.strictEqual(frame.src, 'https://app.test/scorm-packages/pkg_2/sco1/index.html');
+    assert.deepStrictEqual(player.getTableOfContents().map(entry => [entry.title, entry.current]), [['Lesson 1', true], ['Lesson 2', false]]);
+    assert.deepStrictEqual(player.getNavigation().next, { allowed: true, reason: '' });
+
+    // The SCO finds the API in its parent window, reports, and asks to continue
+    const api = win.API_1484_11;
+    assert.strictEqual(api.Initialize(''), 'true');
+    assert.strictEqual(api.GetValue('cmi.learner_id'), 'guest_1');
+    api.SetValue('cmi.completion_status', 'completed');
+    api.SetValue('cmi.success_status', 'passed');
+    api.SetValue('cmi.score.scaled', '0.5');
+    api.SetValue('adl.nav.request', 'continue');
+    assert.strictEqual(api.Terminate(''), 'true');
+
+    await waitFor(() => frame.src.endsWith('/sco2/index.html'));
+    assert.strictEqual(player.getTableOfContents()[0].status.completion, 'completed');
+    assert.strictEqual(completions.length, 0);
+
+    api.Initialize('');
+    api.SetValue('cmi.completion_status', 'completed');
+    api.SetValue('cmi.success_status', 'passed');
+    api.SetValue('cmi.score.scaled', '1');
+    api.Terminate('');
+
+    assert.strictEqual(completions.length, 1);
+    assert.strictEqual(completions[0].scaled, 0.75);
+    assert.strictEqual(player.getCourseSummary(), 'Course complete · Passed · Score 75%');
+
+    player.destroy();
+    assert.strictEqual(win.API_1484_11, undefined);
+});
+
+test('resumes a package at the SCO the learner was on', async () => {
+    const storage = memoryStorage();
+    const first = createScormPlayer(storage);
+    await first.player.start();
+    await first.player.choose('item2');
+    first.player.destroy();
+
+    const { player, frame } = createScormPlayer(storage);
+    await player.start();
+    assert.strictEqual(frame.src, 'https://app.test/scorm-packages/pkg_2/sco2/index.html');
+    assert.strictEqual(player.getTableOfContents()[1].current, true);
+});
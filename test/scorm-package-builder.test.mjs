@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { readFile } from 'node:fs/promises';
+
+const { default: ScormPackageBuilder } = await import('../js/services/scorm-package-builder.js');
+
+const activity = { id: 'a1', template: 'mcq', title: 'Fractions' };
+
+// The file names a manifest's xsi:schemaLocation points at (namespace/location pairs)
+function schemaLocations(manifest) {
+    const [, pairs] = manifest.match(/xsi:schemaLocation="([^"]*)"/);
+    return pairs.trim().split(/\s+/).filter((_, index) => index % 2 === 1);
+}
+
+for (const version of ['1.2', '2004']) {
+    test(`SCORM ${version} packages carry every schema file at the root`, async () => {
+        const builder = new ScormPackageBuilder();
+        const schemaFiles = await builder.loadSchemaFiles(version, url => readFile(new URL(url), 'utf8'));
+        const files = builder.buildPackageFiles(activity, '<html></html>', { version, schemaFiles });
+        const names = Object.keys(files);
+
+        ScormPackageBuilder.SCHEMA_FILES[version].forEach(name => {
+            assert.ok(names.includes(name), `${name} is missing`);
+            assert.ok(files[name].length > 0, `${name} is empty`);
+        });
+        schemaLocations(files['imsmanifest.xml']).forEach(name => {
+            assert.ok(names.includes(name), `${name} is named in the manifest but not packaged`);
+        });
+    });
+}
+
+test('SCORM packages are not built without their schema files', () => {
+    const builder = new ScormPackageBuilder();
+    assert.throws(() => builder.buildPackageFiles(activity, '<html></html>', { version: '2004' }), /imscp_v1p1\.xsd/);
+    assert.throws(() => builder.buildPackageFiles(activity, '<html></html>', {
+        version: '1.2',
+        schemaFiles: { 'imscp_rootv1p1p2.xsd': '<xs:schema/>' }
+    }), /adlcp_rootv1p2\.xsd/);
+});
+
+test('xAPI and cmi5 packages need no schema files', () => {
+    const builder = new ScormPackageBuilder();
+    assert.deepStrictEqual(Object.keys(builder.buildPackageFiles(activity, '<html></html>', { version: 'xapi' })), ['tincan.xml', 'index.html', 'xapi.js']);
+    assert.deepStrictEqual(Object.keys(builder.buildPackageFiles(activity, '<html></html>', { version: 'cmi5' })), ['cmi5.xml', 'index.html', 'cmi5.js']);
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert';
+
+// SCORMManifestParser makes a DOMParser up front; these tests give it parsed XML directly
+globalThis.DOMParser = class {};
+
+const { default: SCORMPackageProcessor } = await import('../js/services/scorm-package-processor.js');
+
+// Just enough of JSZip for importPackageZip: entries with a name and their contents
+function fakeZip(contents) {
+    globalThis.JSZip = {
+        loadAsync: async () => ({
+            files: Object.fromEntries(Object.entries(contents).map(([name, text]) => [name, {
+                name,
+                dir: false,
+                async: async type => (type === 'text' ? text : new Blob([text]))
+            }]))
+        })
+    };
+}
+
+const course = {
+    isValid: true,
+    format: 'cmi5',
+    id: 'https://example.test/course',
+    title: 'Safety Course',
+    description: 'Four short units',
+    blocks: [],
+    aus: [
+        { id: 'https://example.test/au/1', title: 'Intro', url: 'au1/index.html', blockIds: [] },
+        { id: 'https://example.test/au/2', title: 'Hosted', url: 'https://cdn.example.test/au2/', blockIds: [] }
+    ]
+};
+
+test('imports a zip with cmi5.xml as a cmi5 course', async () => {
+    fakeZip({ 'course/cmi5.xml': '<courseStructure/>', 'course/au1/index.html': '<html></html>' });
+    const processor = new SCORMPackageProcessor();
+    processor.parser.parseCourseStructure = xml => (xml === '<courseStructure/>' ? course : null);
+
+    const { processedPackage, files } = await processor.importPackageZip({ name: 'safety.zip', size: 10 });
+    assert.strictEqual(processedPackage.format, 'cmi5');
+    assert.strictEqual(processedPackage.launchHref, 'cmi5.xml');
+    assert.strictEqual(processedPackage.name, 'Safety Course');
+    assert.strictEqual(processedPackage.manifestData, course);
+    assert.deepStrictEqual([...files.keys()].sort(), ['au1/index.html', 'cmi5.xml']);
+});
+
+test('refuses a cmi5 zip missing an AU it launches', async () => {
+    fakeZip({ 'cmi5.xml': '<courseStructure/>' });
+    const processor = new SCORMPackageProcessor();
+    processor.parser.parseCourseStructure = () => course;
+
+    await assert.rejects(processor.importPackageZip({ name: 'safety.zip' }), /launches au1\/index\.html, which is not in the zip/);
+});
+
+test('refuses a zip with neither imsmanifest.xml nor cmi5.xml', async () => {
+    fakeZip({ 'index.html': '<html></html>' });
+    await assert.rejects(new SCORMPackageProcessor().importPackageZip({ name: 'site.zip' }), /not a SCORM or cmi5 package/);
+});
@@ -0,0 +1,77 @@
+import { register } from 'node:module';
+import test from 'node:test';
+import assert from 'node:assert';
+
+register('./helpers/firestore-loader.mjs', import.meta.url);
+globalThis.window = { location: { origin: 'https://app.test', hash: '' } };
+
+const { default: SecureSharingService } = await import('../js/services/secure-sharing-service.js');
+const { documents, getFirestore, resetFirestore } = await import('./helpers/fake-firestore.mjs');
+
+// A signed-in FirebaseService; its firestore is a modular getFirestore() instance
+function fakeFirebase() {
+    resetFirestore();
+    return {
+        isAuthenticated: () => true,
+        getCurrentUser: () => ({ uid: 'teacher' }),
+        firestore: getFirestore()
+    };
+}
+
+const activity = { title: 'Fractions', questions: [{ text: '1/2 + 1/4?' }] };
+
+test('a password share\'s link does not decrypt without the password', async () => {
+    const firebase = fakeFirebase();
+    const sharing = new SecureSharingService(firebase);
+    const { shareId, shareUrl } = await sharing.createPasswordProtectedShare('activity-1', 'correct horse', 24, { payload: activity });
+    const fragment = new URL(shareUrl).hash;
+    const stored = documents.get(`shares/${shareId}`);
+
+    assert.ok(stored.encryptedPayload.keyWrap);
+    await assert.rejects(sharing.decryptPayload(stored, fragment), /password/);
+    await assert.rejects(sharing.decryptPayload(stored, fragment, 'wrong password'), /wrong password/);
+
+    const opened = await sharing.openShare(shareId, 'correct horse', fragment);
+    assert.deepStrictEqual(opened.payload, activity);
+});
+
+test('failed decryption does not use up an access', async () => {
+    const firebase = fakeFirebase();
+    const sharing = new SecureSharingService(firebase);
+    const { shareId, shareUrl } = await sharing.createPasswordProtectedShare('activity-1', 'correct horse', 24, { payload: activity });
+    const fragment = new URL(shareUrl).hash;
+
+    assert.deepStrictEqual(await sharing.openShare(shareId, 'wrong password', fragment), { valid: false, reason: 'Invalid password' });
+    await assert.rejects(sharing.openShare(shareId, 'correct horse', ''), /missing its key/);
+    await assert.rejects(sharing.openShare(shareId, 'correct horse', '#key=AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA'), /wrong password/);
+    assert.strictEqual(documents.get(`shares/${shareId}`).accessCount, 0);
+
+    await sharing.openShare(shareId, 'correct horse', fragment);
+    assert.strictEqual(documents.get(`shares/${shareId}`).accessCount, 1);
+});
+
+test('an expiring share decrypts with its link alone', async () => {
+    const firebase = fakeFirebase();
+    const sharing = new SecureSharingService(firebase);
+    const { shareId, shareUrl } = await sharing.createExpiringShare('activity-1', 24, { payload: activity });
+
+    await assert.rejects(sharing.openShare(shareId, null, '#key=AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA'), /could not be decrypted/);
+    assert.strictEqual(documents.get(`shares/${shareId}`).accessCount, 0);
+
+    const opened = await sharing.openShare(shareId, null, new URL(shareUrl).hash);
+    assert.deepStrictEqual(opened.payload, activity);
+    assert.strictEqual(documents.get(`shares/${shareId}`).accessCount, 1);
+});
+
+test('opening a share counts the access and a revoked share stops opening', async () => {
+    const firebase = fakeFirebase();
+    const sharing = new SecureSharingService(firebase);
+    const { shareId } = await sharing.createExpiringShare('activity-1', 24);
+
+    assert.strictEqual((await sharing.validateShare(shareId)).valid, true);
+    assert.strictEqual(documents.get(`shares/${shareId}`).accessCount, 1);
+
+    await sharing.revokeShare(shareId);
+    sharing.shareValidationCache.clear();
+    assert.deepStrictEqual(await sharing.validateShare(shareId), { valid: false, reason: 'Share is inactive' });
+});
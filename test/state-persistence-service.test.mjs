@@ -0,0 +1,224 @@
+import { register } from 'node:module';
+import test from 'node:test';
+import assert from 'node:assert';
+
+register('./helpers/firestore-loader.mjs', import.meta.url);
+
+const { default: StatePersistenceService } = await import('../js/services/state-persistence-service.js');
+const { documents, getFirestore, resetFirestore } = await import('./helpers/fake-firestore.mjs');
+
+// Stands in for the IndexedDB-backed SyncQueueStore
+class FakeSyncQueueStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async put(entry) {
+        this.entries.set(entry.id, structuredClone(entry));
+    }
+
+    async delete(id) {
+        this.entries.delete(id);
+    }
+
+    async getAll() {
+        return [...this.entries.values()].sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async count() {
+        return this.entries.size;
+    }
+}
+
+// A FirebaseService signed in as u1, on the fake Firestore
+function fakeFirebase() {
+    let nextId = 1;
+    return {
+        firestore: getFirestore(),
+        isAuthenticated: () => true,
+        getUserId: () => 'u1',
+        generateId: () => `entry${nextId++}`,
+        addConnectionObserver: () => {},
+        addAuthObserver: () => {}
+    };
+}
+
+const services = [];
+
+function createService() {
+    resetFirestore();
+    const service = new StatePersistenceService(fakeFirebase());
+    service.queueStore = new FakeSyncQueueStore();
+    services.push(service);
+    return service;
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+const unavailable = () => Object.assign(new Error('Service unavailable'), { code: 'unavailable' });
+const attemptDocs = () => [...documents.keys()].filter(path => path.startsWith('users/u1/attempts/'));
+
+const quiet = ['log', 'warn', 'error'].map(method => [method, console[method]]);
+test.beforeEach(() => quiet.forEach(([method]) => { console[method] = () => {}; }));
+test.afterEach(() => {
+    quiet.forEach(([method, original]) => { console[method] = original; });
+    // Nothing may be left waiting to retry
+    services.splice(0).forEach(service => clearTimeout(service.retryTimer));
+});
+
+test('retry delays double up to the cap, with up to 20% jitter either way', () => {
+    const service = createService();
+    const random = Math.random;
+    try {
+        Math.random = () => 0;
+        assert.strictEqual(service.getRetryDelay(1), 1600);
+        assert.strictEqual(service.getRetryDelay(3), 6400);
+        assert.strictEqual(service.getRetryDelay(20), StatePersistenceService.RETRY_MAX_DELAY * 0.8);
+
+        Math.random = () => 0.5;
+        assert.strictEqual(service.getRetryDelay(2), 4000);
+
+        Math.random = () => 0.999999;
+        assert.strictEqual(service.getRetryDelay(1), 2400);
+        assert.strictEqual(service.getRetryDelay(20), StatePersistenceService.RETRY_MAX_DELAY * 1.2);
+    } finally {
+        Math.random = random;
+    }
+});
+
+test('a failed replay backs off further each time', async () => {
+    const service = createService();
+    service.writeEntry = async () => { throw unavailable(); };
+
+    await service.runOrQueue(service.createSyncEntry('save', 'u1', 'a1', { step: 1 }));
+    const [entry] = service.syncQueue;
+    assert.strictEqual(entry.attempts, 1);
+    assert.strictEqual(entry.lastError, 'Service unavailable');
+
+    for (const attempts of [2, 3]) {
+        entry.nextAttemptAt = 0;
+        const before = Date.now();
+        await service.processSyncQueue();
+        const expected = StatePersistenceService.RETRY_BASE_DELAY * Math.pow(2, attempts - 1);
+        assert.strictEqual(entry.attempts, attempts);
+        assert.ok(entry.nextAttemptAt >= before + expected * 0.8 && entry.nextAttemptAt <= Date.now() + expected * 1.2);
+        assert.strictEqual(service.queueStore.entries.get(entry.id).attempts, attempts);
+    }
+});
+
+test('queued writes for the same activity are merged, attempts are not', async () => {
+    const service = createService();
+    service.isOnline = false;
+
+    await service.saveProgress('u1', 'a1', { step: 1, answers: ['x'] });
+    await service.saveProgress('u1', 'a1', { step: 2 });
+    await service.saveProgress('u1', 'a2', { step: 1 });
+    await service.saveScores('u1', 'a1', { score: 4 });
+    await service.saveAttempt('u1', 'a1', { score: 4 });
+    await service.saveAttempt('u1', 'a1', { score: 5 });
+
+    assert.deepStrictEqual(service.syncQueue.map(entry => [entry.operation, entry.activityId]), [
+        ['save', 'a1'], ['save', 'a2'], ['saveScores', 'a1'], ['saveAttempt', 'a1'], ['saveAttempt', 'a1']
+    ]);
+    const [progress] = service.syncQueue;
+    assert.deepStrictEqual(progress.data, { step: 2, answers: ['x'] });
+    assert.strictEqual(progress.revision, 1);
+    assert.deepStrictEqual(service.queueStore.entries.get(progress.id).data, { step: 2, answers: ['x'] });
+    assert.strictEqual(service.queueStore.entries.size, 5);
+});
+
+test('a write merged in while its entry is being sent keeps the entry queued', async () => {
+    const service = createService();
+    service.isOnline = false;
+    await service.saveProgress('u1', 'a1', { step: 1 });
+    service.isOnline = true;
+
+    const written = [];
+    let duringWrite = async () => {
+        await service.addToSyncQueue(service.createSyncEntry('save', 'u1', 'a1', { step: 2 }));
+    };
+    service.writeEntry = async entry => {
+        written.push({ ...entry.data });
+        const change = duringWrite;
+        duringWrite = null;
+        if (change) await change();
+    };
+
+    await service.processSyncQueue();
+    assert.deepStrictEqual(written, [{ step: 1 }]);
+    assert.strictEqual(service.pendingCount, 1);
+    assert.deepStrictEqual(service.syncQueue[0].data, { step: 2 });
+    assert.strictEqual(service.syncQueue[0].nextAttemptAt, 0);
+    assert.strictEqual(service.queueStore.entries.size, 1);
+
+    await service.processSyncQueue();
+    assert.deepStrictEqual(written, [{ step: 1 }, { step: 2 }]);
+    assert.strictEqual(service.pendingCount, 0);
+    assert.strictEqual(service.queueStore.entries.size, 0);
+});
+
+test('entries that fail permanently are dropped', async () => {
+    const service = createService();
+    service.isOnline = false;
+    await service.saveProgress('u1', 'a1', { step: 1 });
+    await service.saveScores('u1', 'a1', { score: 4 });
+    service.isOnline = true;
+
+    service.writeEntry = async entry => {
+        if (entry.operation === 'save') throw Object.assign(new Error('Missing or insufficient permissions'), { code: 'permission-denied' });
+        throw unavailable();
+    };
+    await service.processSyncQueue();
+    assert.deepStrictEqual(service.syncQueue.map(entry => entry.operation), ['saveScores']);
+    assert.deepStrictEqual([...service.queueStore.entries.values()].map(entry => entry.operation), ['saveScores']);
+
+    // Written straight away, a permanent error is the caller's to handle
+    service.syncQueue = [];
+    service.writeEntry = async () => { throw Object.assign(new Error('Bad data'), { code: 'invalid-argument' }); };
+    await assert.rejects(service.saveScores('u1', 'a1', { score: 5 }), /Bad data/);
+    assert.strictEqual(service.pendingCount, 0);
+});
+
+test('an attempt is written under its entry id', async () => {
+    const service = createService();
+    const id = await service.saveAttempt('u1', 'a1', { score: 3 });
+
+    assert.strictEqual(id, 'entry1');
+    assert.deepStrictEqual(attemptDocs(), ['users/u1/attempts/entry1']);
+    assert.strictEqual(documents.get('users/u1/attempts/entry1').score, 3);
+});
+
+test('an attempt that fails and is sent again after reconnecting is stored once', async () => {
+    const service = createService();
+    const write = service.writeEntry.bind(service);
+    let calls = 0;
+    // The first write reaches Firestore but is never acknowledged
+    service.writeEntry = async entry => {
+        calls += 1;
+        const data = await write(entry);
+        if (calls === 1) throw Object.assign(new Error('Firestore did not answer in time'), { code: 'deadline-exceeded' });
+        return data;
+    };
+
+    const id = await service.saveAttempt('u1', 'a1', { score: 3 });
+    assert.strictEqual(service.pendingCount, 1);
+    assert.ok(service.syncQueue[0].nextAttemptAt > Date.now());
+
+    service.handleConnectionChange(false);
+    service.handleConnectionChange(true);
+    await settle();
+
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(service.pendingCount, 0);
+    assert.strictEqual(service.queueStore.entries.size, 0);
+    assert.deepStrictEqual(attemptDocs(), [`users/u1/attempts/${id}`]);
+});
+
+test('queued writes from an earlier visit are loaded and sent', async () => {
+    const service = createService();
+    const stored = service.createSyncEntry('saveState', 'u1', 'a1', { page: 2 });
+    await service.queueStore.put(stored);
+
+    await service.initialize();
+    assert.strictEqual(service.pendingCount, 0);
+    assert.strictEqual(documents.get('users/u1/states/a1').page, 2);
+});
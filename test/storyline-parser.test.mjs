@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { DOMParser } from '@xmldom/xmldom';
+
+globalThis.DOMParser = DOMParser;
+
+const { default: StorylineParser } = await import('../js/services/storyline-parser.js');
+
+// Text that has to survive both the XML escaping and the JSON's CDATA section
+const tricky = 'Is 1 < 2 && "quoted" or \'apostrophes\' ]]> still fine?';
+
+const activities = {
+    mcq: {
+        template: 'mcq',
+        title: `Quiz: ${tricky}`,
+        description: 'Pick <one>',
+        questions: [
+            { id: 'q1', question: tricky, options: ['a < b', '"b"', ']]>'], correctIndex: 2, explanation: 'Because ]]> & <', points: 5 },
+            { id: 'q2', question: 'Second', options: ['Yes', 'No'], correctIndex: 0 }
+        ]
+    },
+    truefalse: {
+        template: 'truefalse',
+        title: 'True or false',
+        description: '',
+        items: [
+            { id: 'tf1', question: tricky, isTrue: true, explanation: '<b>yes</b>' },
+            { id: 'tf2', question: 'The sun is cold', isTrue: false, points: 2 }
+        ]
+    },
+    pickmany: {
+        template: 'pickmany',
+        title: 'Pick the primes',
+        description: 'All that apply',
+        question: tricky,
+        items: [
+            { id: 'p1', text: '2 < 3', isCorrect: true },
+            { id: 'p2', text: '"4"', isCorrect: false },
+            { id: 'p3', text: ']]>', isCorrect: true }
+        ]
+    },
+    interactivevideo: {
+        template: 'interactivevideo',
+        title: 'Watch & answer',
+        description: '',
+        videoUrl: 'https://example.test/video.mp4?a=1&b=2',
+        videoType: 'file',
+        questions: [
+            { timestamp: 12.5, question: tricky, options: ['<left>', 'right'], correctIndex: 0 },
+            { timestamp: 40, question: 'Next', options: ['x', '"y"', 'z'], correctIndex: 1 }
+        ]
+    }
+};
+
+function read(parser, xml) {
+    return parser.readActivityPayload(parser.parseStorylineXML(xml));
+}
+
+// Drop the JSON copy, as a tool that only keeps the XML elements would
+const withoutData = xml => xml.replace(/\n {2}<data format="json">[\s\S]*<\/data>/, '');
+
+for (const [type, activity] of Object.entries(activities)) {
+    test(`${type} activities come back whole from the payload's JSON`, () => {
+        const parser = new StorylineParser();
+        const xml = parser.buildActivityPayload({ ...activity, extra: { kept: ']]>]]>' } });
+        assert.deepStrictEqual(read(parser, xml), { ...activity, extra: { kept: ']]>]]>' } });
+    });
+
+    test(`${type} activities are rebuilt from the XML when the JSON is gone`, () => {
+        const parser = new StorylineParser();
+        const xml = withoutData(parser.buildActivityPayload(activity));
+        assert.ok(!xml.includes('<data'));
+        assert.deepStrictEqual(read(parser, xml), activity);
+    });
+}
+
+test('invalid JSON falls back to the XML', () => {
+    const parser = new StorylineParser();
+    const xml = parser.buildActivityPayload(activities.mcq).replace(/<!\[CDATA\[[\s\S]*\]\]><\/data>/, '<![CDATA[{not json]]></data>');
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.deepStrictEqual(read(parser, xml), activities.mcq);
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('exported HTML source files carry the payload', () => {
+    const parser = new StorylineParser();
+    const activity = { ...activities.mcq, title: 'Ends with </script> inside' };
+    // As generateStandaloneHTML embeds it
+    const html = '<!DOCTYPE html><html><head><script type="application/xml" id="activity-payload">\n' +
+        parser.buildActivityPayload(activity).replace(/<\/script/gi, '<\\/script') +
+        '\n</script></head><body></body></html>';
+
+    assert.deepStrictEqual(parser.readActivityPayloadFromHTML(html), activity);
+    assert.strictEqual(parser.readActivityPayloadFromHTML('<html><body></body></html>'), null);
+});
+
+test('documents without a payload read as null', () => {
+    const parser = new StorylineParser();
+    assert.strictEqual(read(parser, '<story><slide id="1"/></story>'), null);
+});
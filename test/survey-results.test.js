@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SurveyResults = require('../js/utils/survey-results.js');
+
+const questions = [
+    { id: 'q1', type: 'text', question: 'Comments' },
+    { id: 'q2', type: 'rating', question: 'Score', scale: 5 }
+];
+
+test('quotes cells with commas, quotes and line breaks', () => {
+    const csv = SurveyResults.toCSV(questions, [{ answers: { q1: 'Good, "fun"\nthanks', q2: 4 } }]);
+    assert.strictEqual(csv.split('\r\n')[1], ',Anonymous,"Good, ""fun""\nthanks",4');
+});
+
+test('keeps answers that start like a formula as text', () => {
+    const answers = ['=HYPERLINK("http://x.test","click")', '+1', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd'];
+    const csv = SurveyResults.toCSV(questions, answers.map(q1 => ({ answers: { q1 } })));
+    const cells = csv.split('\r\n').slice(1).map(row => row.slice(',Anonymous,'.length));
+
+    assert.deepStrictEqual(cells.slice(0, 5), [
+        '"\'=HYPERLINK(""http://x.test"",""click"")",',
+        "'+1,",
+        "'-2+3,",
+        "'@SUM(A1),",
+        "'\tcmd,"
+    ]);
+    assert.strictEqual(cells[5], '"\'\rcmd",');
+});
+
+test('leaves numbers and ordinary text alone', () => {
+    const csv = SurveyResults.toCSV(questions, [{ answers: { q1: 'All good', q2: -1 } }]);
+    assert.strictEqual(csv.split('\r\n')[1], ',Anonymous,All good,-1');
+});
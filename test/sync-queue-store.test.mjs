@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { indexedDB as fakeIndexedDB } from 'fake-indexeddb';
+
+const { default: SyncQueueStore } = await import('../js/services/sync-queue-store.js');
+
+const entry = (id, createdAt, data = {}) => ({ id, operation: 'save', userId: 'u1', activityId: 'a1', data, createdAt });
+
+test('the store says so when IndexedDB is not available, and can open later', async () => {
+    const store = new SyncQueueStore();
+    await assert.rejects(store.getAll(), /IndexedDB is not available/);
+
+    globalThis.indexedDB = fakeIndexedDB;
+    try {
+        assert.deepStrictEqual(await store.getAll(), []);
+    } finally {
+        delete globalThis.indexedDB;
+    }
+});
+
+test('entries are kept oldest first, replaced by id and deleted', async () => {
+    globalThis.indexedDB = fakeIndexedDB;
+    try {
+        const store = new SyncQueueStore();
+        await store.put(entry('b', 20));
+        await store.put(entry('a', 10));
+        await store.put(entry('c', 30));
+        assert.deepStrictEqual((await store.getAll()).map(stored => stored.id), ['a', 'b', 'c']);
+
+        await store.put(entry('a', 40, { score: 3 }));
+        const all = await store.getAll();
+        assert.deepStrictEqual(all.map(stored => stored.id), ['b', 'c', 'a']);
+        assert.deepStrictEqual(all[2].data, { score: 3 });
+
+        await store.delete('b');
+        assert.strictEqual(await store.count(), 2);
+
+        // A second store on the same database sees what the first one wrote
+        assert.deepStrictEqual((await new SyncQueueStore().getAll()).map(stored => stored.id), ['c', 'a']);
+    } finally {
+        delete globalThis.indexedDB;
+    }
+});
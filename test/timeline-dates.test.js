@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TimelineDates = require('../js/utils/timeline-dates.js');
+
+test('parses spaced and unspaced year ranges', () => {
+    for (const date of ['1939-1945', '1939 - 1945', '1939 to 1945', '1939–1945']) {
+        const span = TimelineDates.parseEvent({ date });
+        assert.ok(span, date);
+        assert.strictEqual(span.start.year, 1939);
+        assert.strictEqual(span.end.year, 1945);
+    }
+});
+
+test('keeps hyphenated dates as single dates', () => {
+    const span = TimelineDates.parseEvent({ date: '1969-07-20' });
+    assert.deepStrictEqual([span.start.year, span.start.month, span.start.day, span.end], [1969, 7, 20, null]);
+    assert.strictEqual(TimelineDates.parseEvent({ date: '1939-12' }).end, null);
+});
+
+test('splits unspaced ranges of full dates and BCE years', () => {
+    const dates = TimelineDates.parseEvent({ date: '1969-07-20-1970-01-01' });
+    assert.deepStrictEqual([dates.start.day, dates.end.year], [20, 1970]);
+
+    const bce = TimelineDates.parseEvent({ date: '44 BCE-30 BCE' });
+    assert.deepStrictEqual([bce.start.year, bce.end.year], [-44, -30]);
+});
+
+test('sorts unspaced ranges with other events', () => {
+    const events = [{ date: '1969-07-20' }, { date: '1939-1945' }, { date: '1914' }];
+    assert.deepStrictEqual(events.sort(TimelineDates.compareEvents).map(event => event.date), ['1914', '1939-1945', '1969-07-20']);
+});
+
+test('rejects backwards ranges', () => {
+    assert.strictEqual(TimelineDates.parseEvent({ date: '1945-1939' }), null);
+});